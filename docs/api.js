@@ -0,0 +1,190 @@
+// Client for the Zelle API used by index.html. Loaded as a plain script; it
+// defines window.ZelleApi.
+//
+// The server is the one in /server (see docs/API_DOCUMENTATION.md). Its
+// address comes from <meta name="api-base-url">, defaulting to the local
+// development server. Every failed call rejects with an ApiError carrying
+// the HTTP status and the error code and details from the response body.
+(function () {
+    const DEFAULT_BASE_URL = 'http://localhost:3001/api';
+    const SESSION_KEY = 'zelle.session';
+
+    const baseUrl = (document.querySelector('meta[name="api-base-url"]')?.content || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+    class ApiError extends Error {
+        constructor(message, status, code, details) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = status;
+            this.code = code;
+            this.details = details;
+        }
+    }
+
+    // The session survives reloads in localStorage: { token, refreshToken, user }
+    function loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    let session = loadSession();
+    const sessionListeners = [];
+
+    function setSession(next) {
+        session = next;
+        if (next) {
+            localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+        } else {
+            localStorage.removeItem(SESSION_KEY);
+        }
+        sessionListeners.forEach(listener => listener(session));
+    }
+
+    // Login and verification responses carry the tokens and the user
+    function startSession(body) {
+        setSession({ token: body.token, refreshToken: body.refreshToken, user: body.user });
+        return body;
+    }
+
+    async function call(method, path, { body, query, headers = {}, auth = true } = {}) {
+        let url = baseUrl + path;
+        if (query) {
+            const params = new URLSearchParams();
+            Object.entries(query).forEach(([name, value]) => {
+                if (value !== undefined && value !== null && value !== '') params.set(name, value);
+            });
+            if (params.toString()) url += '?' + params;
+        }
+
+        const send = () => fetch(url, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(auth && session ? { Authorization: `Bearer ${session.token}` } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        let response;
+        try {
+            response = await send();
+            // Access tokens are short-lived; swap the refresh token for a new
+            // one and try once more
+            if (response.status === 401 && auth && session && await refresh()) {
+                response = await send();
+            }
+        } catch (error) {
+            throw new ApiError('Could not reach the server. Check your connection and try again.', 0, 'NETWORK_ERROR');
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            if (response.status === 401 && auth) {
+                setSession(null);
+            }
+            throw new ApiError(data.error || `Request failed (${response.status})`, response.status, data.code, data.details);
+        }
+        return data;
+    }
+
+    // Concurrent 401s share one refresh, since each refresh token works once
+    let refreshing = null;
+
+    function refresh() {
+        if (!refreshing) {
+            const { refreshToken } = session;
+            refreshing = fetch(`${baseUrl}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(response => (response.ok ? response.json() : null))
+                .then(body => {
+                    if (!body || !session) return false;
+                    setSession({ ...session, token: body.token, refreshToken: body.refreshToken });
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    window.ZelleApi = {
+        ApiError,
+
+        get session() {
+            return session;
+        },
+
+        onSessionChange(listener) {
+            sessionListeners.push(listener);
+        },
+
+        register: (details) => call('POST', '/auth/register', { body: details, auth: false }),
+        verifyEmail: (email, code) => call('POST', '/auth/verify-email', { body: { email, code }, auth: false }).then(startSession),
+        resendVerification: (email) => call('POST', '/auth/resend-verification', { body: { email }, auth: false }),
+
+        // Resolves with { twoFactorRequired, challengeToken } when the account
+        // has two-factor authentication; finish with loginTwoFactor
+        async login(email, password) {
+            const body = await call('POST', '/auth/login', { body: { email, password }, auth: false });
+            return body.twoFactorRequired ? body : startSession(body);
+        },
+        loginTwoFactor: (challengeToken, code) => call('POST', '/auth/login/2fa', { body: { challengeToken, code }, auth: false }).then(startSession),
+
+        // The session is forgotten locally even if the server can't be reached
+        async logout() {
+            try {
+                await call('POST', '/auth/logout');
+            } finally {
+                setSession(null);
+            }
+        },
+
+        async profile() {
+            const { user } = await call('GET', '/auth/profile');
+            if (session) setSession({ ...session, user });
+            return user;
+        },
+
+        history: (filters = {}) => call('GET', '/transactions/history', { query: filters }),
+
+        // recipient is an email address or phone number. idempotencyKey makes
+        // retries of the same payment safe; stepUpToken comes from stepUp for
+        // amounts over the verification threshold.
+        send: ({ recipient, amount, note }, { idempotencyKey, stepUpToken } = {}) => call('POST', '/transactions/send', {
+            body: { recipient, amount, note },
+            headers: {
+                ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+                ...(stepUpToken ? { 'X-Step-Up-Token': stepUpToken } : {})
+            }
+        }),
+        sendStepUpCode: () => call('POST', '/auth/step-up/email'),
+        // The token approves only the payment described by { recipient, amount }
+        stepUp: (method, code, { recipient, amount }) => call('POST', '/auth/step-up', {
+            body: { method, code, recipient, amount }
+        }),
+
+        request: ({ requestee, amount, note }, { idempotencyKey } = {}) => call('POST', '/transactions/request', {
+            body: { requestee, amount, note },
+            headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+        }),
+
+        split: (details, { idempotencyKey } = {}) => call('POST', '/transactions/split', {
+            body: details,
+            headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+        }),
+
+        contacts: () => call('GET', '/contacts').then(body => body.contacts),
+        recentRecipients: (limit) => call('GET', '/contacts/recent', { query: { limit } }).then(body => body.recipients),
+        // payee is an email address or phone number
+        addContact: ({ payee, nickname, favorite }) => call('POST', '/contacts', { body: { payee, nickname, favorite } }),
+        updateContact: (contactId, changes) => call('PATCH', `/contacts/${encodeURIComponent(contactId)}`, { body: changes }),
+        removeContact: (contactId) => call('DELETE', `/contacts/${encodeURIComponent(contactId)}`)
+    };
+})();
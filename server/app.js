@@ -1,12 +1,27 @@
+// Load environment variables before anything reads them
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const db = require('./db');
+const { startJobs } = require('./jobs');
 const { apiLimiter } = require('./middleware/rateLimiter');
+const { AppError, ValidationError, NotFoundError } = require('./utils/errors');
 const authRoutes = require('./routes/auth');
 const transactionRoutes = require('./routes/transactions');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
+const contactRoutes = require('./routes/contacts');
+const fundingRoutes = require('./routes/funding');
+const limitRoutes = require('./routes/limits');
+const { transport: emailTransport } = require('./email');
 
-// Load environment variables
-require('dotenv').config();
+// Bring the database schema up to date
+const appliedMigrations = db.migrate();
+if (appliedMigrations.length > 0) {
+  console.log('Applied database migrations:', appliedMigrations.join(', '));
+}
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -24,8 +39,8 @@ app.use(cors({
 app.use('/api/', apiLimiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ extended: true, limit: '100kb' }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -35,10 +50,22 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes.router);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/funding', fundingRoutes);
+app.use('/api/limits', limitRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Test email endpoint and dev helpers. They need no authentication and
+// expose every email sent, so they're only mounted when asked for with
+// ENABLE_DEV_ROUTES=true, and never in production.
+if (process.env.ENABLE_DEV_ROUTES === 'true' && process.env.NODE_ENV !== 'production') {
+  if (emailTransport.name === 'outbox') {
+    const { createDevRouter } = require('./routes/dev');
+    app.use('/api/dev', createDevRouter(emailTransport));
+  }
 
-// Test email endpoint (remove in production)
-if (process.env.NODE_ENV !== 'production') {
-  app.post('/api/test-email', async (req, res) => {
+  app.post('/api/test-email', async (req, res, next) => {
     try {
       const emailService = require('./services/emailService');
       const { type, email, name } = req.body;
@@ -46,16 +73,16 @@ if (process.env.NODE_ENV !== 'production') {
       let result;
       switch (type) {
         case 'verification':
-          result = await emailService.sendVerificationCode(email, name);
+          result = emailService.sendVerificationCode(email, name);
           break;
         case 'welcome':
-          result = await emailService.sendWelcomeEmail(email, name);
+          result = emailService.sendWelcomeEmail(email, name);
           break;
         case 'receipt':
-          result = await emailService.sendTransactionReceipt(email, {
+          result = emailService.sendTransactionReceipt(email, {
             recipientName: 'Test Recipient',
             recipientEmail: 'test@example.com',
-            amount: 50.00,
+            amountCents: 5000,
             transactionId: 'TX-TEST123',
             timestamp: new Date().toISOString(),
             note: 'Test transaction',
@@ -64,46 +91,70 @@ if (process.env.NODE_ENV !== 'production') {
           });
           break;
         default:
-          return res.status(400).json({ error: 'Invalid email type' });
+          throw new ValidationError('Invalid email type');
       }
       
-      res.json({ message: 'Test email sent successfully', result });
+      res.json({ message: 'Test email queued', result });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   });
 }
 
-// Error handling middleware
+// 404 handler
+app.use('*', (req, res, next) => {
+  next(new NotFoundError('Endpoint not found', 'ENDPOINT_NOT_FOUND'));
+});
+
+// Error handling middleware. Application errors get the HTTP status of their
+// class and their code; anything else is an unexpected 500.
 app.use((err, req, res, next) => {
+  let error = err;
+
+  // Rejected by the body parser before reaching a route
+  if (err.type === 'entity.parse.failed') {
+    error = new ValidationError('Request body must be valid JSON', 'INVALID_JSON');
+  } else if (err.type === 'entity.too.large') {
+    error = new ValidationError('Request body is too large', 'BODY_TOO_LARGE');
+  }
+
+  if (error instanceof AppError) {
+    return res.status(error.constructor.status).json(error.toJSON());
+  }
+
   console.error('Unhandled error:', err);
   res.status(500).json({ 
     error: process.env.NODE_ENV === 'production' 
       ? 'Internal server error' 
-      : err.message 
+      : err.message,
+    code: 'INTERNAL_ERROR'
   });
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
-});
+// Start the server when run directly (npm start); tests load the app
+// without listening or starting the background jobs
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Email transport: ${emailTransport.name}`);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    startJobs();
   
-  // Validate required environment variables
-  const requiredEnvVars = ['SENDGRID_API_KEY', 'JWT_SECRET', 'FROM_EMAIL'];
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+    // Validate required environment variables
+    const requiredEnvVars = ['JWT_SECRET', 'FROM_EMAIL'];
+    if (emailTransport.name === 'sendgrid') {
+      requiredEnvVars.push('SENDGRID_API_KEY');
+    }
+    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
   
-  if (missingVars.length > 0) {
-    console.warn('⚠️  Missing environment variables:', missingVars.join(', '));
-    console.warn('⚠️  Please check your .env file');
-  } else {
-    console.log('✅ All required environment variables are set');
-  }
-});
+    if (missingVars.length > 0) {
+      console.warn('⚠️  Missing environment variables:', missingVars.join(', '));
+      console.warn('⚠️  Please check your .env file');
+    } else {
+      console.log('✅ All required environment variables are set');
+    }
+  });
+}
 
 module.exports = app;
\ No newline at end of file
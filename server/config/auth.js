@@ -0,0 +1,18 @@
+const authConfig = {
+  // Lifetime of the JWT access token (jsonwebtoken / ms format)
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  // Lifetime of a refresh token and the session it belongs to
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  // How long a password reset link stays valid
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30,
+  // Issuer shown next to the account in authenticator apps
+  totpIssuer: process.env.TOTP_ISSUER || 'Zelle',
+  // Time allowed between the password and the second factor at login
+  twoFactorChallengeTtl: '5m',
+  // How long a confirmed step-up stays valid for large transfers
+  stepUpTokenTtl: process.env.STEP_UP_TOKEN_TTL || '5m',
+  // Lifetime of an emailed step-up code
+  stepUpCodeTtlMinutes: 10
+};
+
+module.exports = { authConfig };
@@ -1,18 +1,71 @@
-const sgMail = require('@sendgrid/mail');
+const path = require('path');
 
-// Initialize SendGrid
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Without a configured transport, development falls back to the outbox.
+// Anywhere else the server won't start, rather than silently sending nothing.
+const isDevelopment = ['development', 'test'].includes(process.env.NODE_ENV || 'development');
+const defaultDriver = process.env.SENDGRID_API_KEY ? 'sendgrid' : (isDevelopment ? 'outbox' : null);
 
 const emailConfig = {
   from: {
     email: process.env.FROM_EMAIL || 'noreply@yourdomain.com',
     name: process.env.FROM_NAME || 'Zelle'
   },
+  // Base URL of the web app, used for links in emails
+  appUrl: process.env.APP_URL || `https://${process.env.DOMAIN || 'yourdomain.com'}`,
+  // Used when the recipient has no (supported) locale or time zone of their own
+  defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || 'en',
+  defaultTimeZone: process.env.EMAIL_DEFAULT_TIME_ZONE || 'America/New_York',
+  // How emails leave the server, see email/index.js
+  transport: {
+    driver: process.env.EMAIL_TRANSPORT || defaultDriver,
+    sendgrid: {
+      apiKey: process.env.SENDGRID_API_KEY
+    },
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      // true for implicit TLS (usually port 465); otherwise STARTTLS is used when offered
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    outbox: {
+      // Relative to the server directory
+      dir: path.resolve(__dirname, '..', process.env.EMAIL_OUTBOX_DIR || './data/outbox')
+    }
+  },
+  // Outbound queue, see services/emailQueueService.js
+  queue: {
+    // A message is dead-lettered after this many failed attempts
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6,
+    // Retries wait 30s, 1m, 2m, 4m, ... up to the maximum
+    retryBaseMs: (parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 30) * 1000,
+    retryMaxMs: (parseInt(process.env.EMAIL_RETRY_MAX_MINUTES, 10) || 60) * 60 * 1000,
+    // How often the worker looks for due retries
+    pollIntervalMs: (parseInt(process.env.EMAIL_QUEUE_POLL_SECONDS, 10) || 10) * 1000,
+    batchSize: 20,
+    // A send still marked in progress after this long is assumed lost
+    lockTimeoutMs: 10 * 60 * 1000,
+    // Delivered messages are kept this long for inspection
+    sentRetentionDays: parseInt(process.env.EMAIL_SENT_RETENTION_DAYS, 10) || 7
+  },
+  // SendGrid dynamic template IDs (d-...) by email. With the sendgrid
+  // transport, emails that have one are sent as that template with
+  // dynamic_template_data; the rest are rendered from email/templates.
   templates: {
-    verification: 'd-your-verification-template-id',
-    receipt: 'd-your-receipt-template-id',
-    welcome: 'd-your-welcome-template-id'
+    verification: process.env.SENDGRID_TEMPLATE_VERIFICATION || null,
+    receipt: process.env.SENDGRID_TEMPLATE_RECEIPT || null,
+    welcome: process.env.SENDGRID_TEMPLATE_WELCOME || null,
+    invitation: process.env.SENDGRID_TEMPLATE_INVITATION || null,
+    refund: process.env.SENDGRID_TEMPLATE_REFUND || null,
+    moneyRequest: process.env.SENDGRID_TEMPLATE_MONEY_REQUEST || null,
+    passwordReset: process.env.SENDGRID_TEMPLATE_PASSWORD_RESET || null,
+    passwordChanged: process.env.SENDGRID_TEMPLATE_PASSWORD_CHANGED || null,
+    stepUpCode: process.env.SENDGRID_TEMPLATE_STEP_UP_CODE || null,
+    newDeviceLogin: process.env.SENDGRID_TEMPLATE_NEW_DEVICE_LOGIN || null,
+    statement: process.env.SENDGRID_TEMPLATE_STATEMENT || null,
+    scheduledPaymentFailed: process.env.SENDGRID_TEMPLATE_SCHEDULED_PAYMENT_FAILED || null
   }
 };
 
-module.exports = { sgMail, emailConfig };
\ No newline at end of file
+module.exports = { emailConfig };
@@ -0,0 +1,37 @@
+const { parseAmount } = require('../utils/money');
+
+// Caps on one direction of transfer: each transfer, and the total over the
+// last 24 hours
+const directionLimits = (direction, defaults) => {
+  const setting = (name) => process.env[`FUNDING_${direction}_${name}`];
+  return {
+    perTransferCents: parseAmount(setting('PER_TRANSFER') || defaults.perTransfer),
+    dailyAmountCents: parseAmount(setting('DAILY_AMOUNT') || defaults.dailyAmount)
+  };
+};
+
+const fundingConfig = {
+  // Which rail moves money to and from linked bank accounts, see rails/index.js
+  rail: {
+    driver: process.env.FUNDING_RAIL || 'mock',
+    mock: {
+      // Transfers settle (or are returned) this long after they're submitted
+      settlementDelayMs: (parseInt(process.env.MOCK_RAIL_SETTLEMENT_SECONDS, 10) || 60) * 1000
+    }
+  },
+  // How often the background job asks the rail about pending transfers
+  pollIntervalMs: (parseInt(process.env.FUNDING_POLL_SECONDS, 10) || 30) * 1000,
+  batchSize: 50,
+  // Bank accounts a user can have linked at once
+  maxBankAccounts: 5,
+  // Wrong micro-deposit guesses before the account has to be linked again
+  maxVerificationAttempts: 3,
+  // Separate from the limits on payments (config/limits.js); failed
+  // transfers don't count towards the daily amount
+  limits: {
+    deposit: directionLimits('DEPOSIT', { perTransfer: '2500.00', dailyAmount: '5000.00' }),
+    withdrawal: directionLimits('WITHDRAWAL', { perTransfer: '2500.00', dailyAmount: '5000.00' })
+  }
+};
+
+module.exports = { fundingConfig };
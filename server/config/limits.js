@@ -0,0 +1,42 @@
+const { parseAmount } = require('../utils/money');
+
+// Limits on the payments one tier of user can send, per payment and over
+// rolling windows (see services/limitService.js)
+const tierLimits = (tier, defaults) => {
+  const setting = (name) => process.env[`LIMIT_${tier}_${name}`];
+  return {
+    perTransactionCents: parseAmount(setting('PER_TRANSACTION') || defaults.perTransaction),
+    daily: {
+      amountCents: parseAmount(setting('DAILY_AMOUNT') || defaults.dailyAmount),
+      count: parseInt(setting('DAILY_COUNT'), 10) || defaults.dailyCount
+    },
+    monthly: {
+      amountCents: parseAmount(setting('MONTHLY_AMOUNT') || defaults.monthlyAmount),
+      count: parseInt(setting('MONTHLY_COUNT'), 10) || defaults.monthlyCount
+    }
+  };
+};
+
+const limitsConfig = {
+  // Accounts move from the new to the established tier once their phone
+  // is verified and they're this old
+  establishedAfterDays: parseInt(process.env.LIMIT_ESTABLISHED_AFTER_DAYS, 10) || 30,
+  tiers: {
+    new: tierLimits('NEW', {
+      perTransaction: '500.00',
+      dailyAmount: '1000.00',
+      dailyCount: 10,
+      monthlyAmount: '2500.00',
+      monthlyCount: 40
+    }),
+    established: tierLimits('ESTABLISHED', {
+      perTransaction: '2500.00',
+      dailyAmount: '5000.00',
+      dailyCount: 25,
+      monthlyAmount: '20000.00',
+      monthlyCount: 200
+    })
+  }
+};
+
+module.exports = { limitsConfig };
@@ -0,0 +1,14 @@
+const { parseAmount } = require('../utils/money');
+
+const paymentConfig = {
+  // Payments to unregistered recipients are refunded after this many days
+  pendingPaymentExpiryDays: parseInt(process.env.PENDING_PAYMENT_EXPIRY_DAYS, 10) || 14,
+  // How often the background job looks for expired pending payments
+  pendingPaymentSweepIntervalMs: (parseInt(process.env.PENDING_PAYMENT_SWEEP_MINUTES, 10) || 5) * 60 * 1000,
+  // How often the background job looks for scheduled payments that are due
+  scheduledPaymentPollIntervalMs: (parseInt(process.env.SCHEDULED_PAYMENT_POLL_SECONDS, 10) || 60) * 1000,
+  // Sends above this amount need a fresh second factor (TOTP or emailed code)
+  stepUpThresholdCents: parseAmount(process.env.STEP_UP_THRESHOLD || '1000.00')
+};
+
+module.exports = { paymentConfig };
@@ -0,0 +1,26 @@
+const webhookConfig = {
+  // Endpoints a single user can register
+  maxEndpointsPerUser: 10,
+  // Give up on an endpoint that hasn't answered after this long
+  timeoutMs: (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10) * 1000,
+  // A delivery is marked failed after this many attempts
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  // Retries wait 30s, 1m, 2m, 4m, ... up to the maximum
+  retryBaseMs: (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000,
+  retryMaxMs: (parseInt(process.env.WEBHOOK_RETRY_MAX_MINUTES, 10) || 360) * 60 * 1000,
+  // How often the worker looks for due retries
+  pollIntervalMs: (parseInt(process.env.WEBHOOK_POLL_SECONDS, 10) || 15) * 1000,
+  batchSize: 20,
+  // A delivery still marked in progress after this long is assumed lost
+  lockTimeoutMs: 10 * 60 * 1000,
+  // Finished deliveries stay in the log this long
+  deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30,
+  // Only this much of an endpoint's response body is kept in the log
+  maxResponseBodyLength: 1024,
+  // Let endpoints be on this host or a private network, e.g. to try
+  // webhooks out locally. Never set this where the server can reach
+  // anything worth protecting.
+  allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+};
+
+module.exports = { webhookConfig };
@@ -0,0 +1,109 @@
+const { matches, compareRows } = require('../query');
+
+// In-memory adapter. Nothing survives a restart, which makes it the
+// default for tests and local experiments.
+class MemoryAdapter {
+  constructor() {
+    this.tables = new Map();
+    this.undoLog = null;
+  }
+
+  migrate() {
+    // Tables are created lazily, there is no schema to migrate
+    return [];
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new Map());
+    }
+    return this.tables.get(name);
+  }
+
+  recordUndo(table, id) {
+    if (!this.undoLog) return;
+    const rows = this.table(table);
+    const previous = rows.has(id) ? rows.get(id) : undefined;
+    this.undoLog.push(() => {
+      if (previous === undefined) {
+        rows.delete(id);
+      } else {
+        rows.set(id, previous);
+      }
+    });
+  }
+
+  transaction(fn) {
+    // Nested calls join the outer transaction
+    if (this.undoLog) {
+      return fn();
+    }
+
+    this.undoLog = [];
+    try {
+      const result = fn();
+      this.undoLog = null;
+      return result;
+    } catch (error) {
+      const undoLog = this.undoLog;
+      this.undoLog = null;
+      undoLog.reverse().forEach(undo => undo());
+      throw error;
+    }
+  }
+
+  insert(table, row) {
+    const rows = this.table(table);
+    if (rows.has(row.id)) {
+      throw new Error(`Duplicate id ${row.id} in ${table}`);
+    }
+    this.recordUndo(table, row.id);
+    rows.set(row.id, structuredClone(row));
+  }
+
+  update(table, id, changes) {
+    const rows = this.table(table);
+    if (!rows.has(id)) return 0;
+    this.recordUndo(table, id);
+    rows.set(id, { ...rows.get(id), ...structuredClone(changes) });
+    return 1;
+  }
+
+  delete(table, where) {
+    const rows = this.table(table);
+    let deleted = 0;
+    for (const [id, row] of rows) {
+      if (matches(row, where)) {
+        this.recordUndo(table, id);
+        rows.delete(id);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  find(table, where = {}, { orderBy = [], limit, offset = 0 } = {}) {
+    let results = [...this.table(table).values()].filter(row => matches(row, where));
+
+    if (orderBy.length > 0) {
+      results.sort(compareRows(orderBy));
+    }
+
+    results = results.slice(offset, limit === undefined ? undefined : offset + limit);
+    return results.map(row => structuredClone(row));
+  }
+
+  count(table, where = {}) {
+    return this.find(table, where).length;
+  }
+
+  sum(table, column, where = {}) {
+    return this.find(table, where).reduce((total, row) => total + (row[column] || 0), 0);
+  }
+
+  close() {
+    this.tables.clear();
+  }
+}
+
+module.exports = MemoryAdapter;
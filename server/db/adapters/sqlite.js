@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { compileWhere, compileOrderBy } = require('../query');
+
+// File-based SQLite adapter. Columns declared as BOOLEAN or JSON in the
+// migrations are converted to and from their JavaScript representation.
+class SqliteAdapter {
+  constructor(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.columnTypes = new Map();
+    this.statements = new Map();
+  }
+
+  migrate(migrationsDir) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id TEXT PRIMARY KEY,
+        appliedAt TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT id FROM schema_migrations').all().map(row => row.id)
+    );
+    const pending = fs.readdirSync(migrationsDir)
+      .filter(file => file.endsWith('.sql'))
+      .sort()
+      .filter(file => !applied.has(file));
+
+    for (const file of pending) {
+      const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.prepare('INSERT INTO schema_migrations (id, appliedAt) VALUES (?, ?)')
+          .run(file, new Date().toISOString());
+      })();
+    }
+
+    // Schema may have changed, drop anything derived from it
+    this.columnTypes.clear();
+    this.statements.clear();
+
+    return pending;
+  }
+
+  columns(table) {
+    if (!this.columnTypes.has(table)) {
+      const info = this.db.prepare(`PRAGMA table_info(${table})`).all();
+      if (info.length === 0) {
+        throw new Error(`Unknown table: ${table}`);
+      }
+      this.columnTypes.set(table, new Map(info.map(column => [column.name, column.type.toUpperCase()])));
+    }
+    return this.columnTypes.get(table);
+  }
+
+  serialize(table, row) {
+    const columns = this.columns(table);
+    const values = {};
+
+    for (const [key, value] of Object.entries(row)) {
+      if (value === undefined) continue;
+      if (!columns.has(key)) {
+        throw new Error(`Unknown column ${key} on ${table}`);
+      }
+
+      const type = columns.get(key);
+      if (value === null) {
+        values[key] = null;
+      } else if (type === 'BOOLEAN') {
+        values[key] = value ? 1 : 0;
+      } else if (type === 'JSON') {
+        values[key] = JSON.stringify(value);
+      } else {
+        values[key] = value;
+      }
+    }
+
+    return values;
+  }
+
+  deserialize(table, row) {
+    const columns = this.columns(table);
+    const result = {};
+
+    for (const [key, value] of Object.entries(row)) {
+      const type = columns.get(key);
+      if (value === null) {
+        result[key] = null;
+      } else if (type === 'BOOLEAN') {
+        result[key] = value === 1;
+      } else if (type === 'JSON') {
+        result[key] = JSON.parse(value);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    return result;
+  }
+
+  statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  transaction(fn) {
+    // better-sqlite3 turns nested transactions into savepoints
+    return this.db.transaction(fn)();
+  }
+
+  insert(table, row) {
+    const values = this.serialize(table, row);
+    const keys = Object.keys(values);
+    const sql = `INSERT INTO ${table} (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`;
+    this.statement(sql).run(...keys.map(key => values[key]));
+  }
+
+  update(table, id, changes) {
+    const values = this.serialize(table, changes);
+    const keys = Object.keys(values);
+    if (keys.length === 0) return 0;
+
+    const sql = `UPDATE ${table} SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE id = ?`;
+    return this.statement(sql).run(...keys.map(key => values[key]), id).changes;
+  }
+
+  delete(table, where) {
+    const { sql, params } = compileWhere(where);
+    return this.statement(`DELETE FROM ${table} WHERE ${sql}`).run(...params).changes;
+  }
+
+  find(table, where = {}, { orderBy = [], limit, offset = 0 } = {}) {
+    const { sql, params } = compileWhere(where);
+    let query = `SELECT * FROM ${table} WHERE ${sql}${compileOrderBy(orderBy)}`;
+
+    if (limit !== undefined) {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    } else if (offset > 0) {
+      query += ' LIMIT -1 OFFSET ?';
+      params.push(offset);
+    }
+
+    return this.statement(query).all(...params).map(row => this.deserialize(table, row));
+  }
+
+  count(table, where = {}) {
+    const { sql, params } = compileWhere(where);
+    return this.statement(`SELECT COUNT(*) AS count FROM ${table} WHERE ${sql}`).get(...params).count;
+  }
+
+  sum(table, column, where = {}) {
+    const { sql, params } = compileWhere(where);
+    return this.statement(`SELECT COALESCE(SUM(${column}), 0) AS total FROM ${table} WHERE ${sql}`)
+      .get(...params).total;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,90 @@
+const path = require('path');
+const MemoryAdapter = require('./adapters/memory');
+const UserRepository = require('./repositories/userRepository');
+const SessionRepository = require('./repositories/sessionRepository');
+const TransactionRepository = require('./repositories/transactionRepository');
+const MoneyRequestRepository = require('./repositories/moneyRequestRepository');
+const JournalEntryRepository = require('./repositories/journalEntryRepository');
+const LedgerPostingRepository = require('./repositories/ledgerPostingRepository');
+const IdempotencyKeyRepository = require('./repositories/idempotencyKeyRepository');
+const SplitBillRepository = require('./repositories/splitBillRepository');
+const PasswordResetTokenRepository = require('./repositories/passwordResetTokenRepository');
+const StepUpCodeRepository = require('./repositories/stepUpCodeRepository');
+const StepUpTokenRepository = require('./repositories/stepUpTokenRepository');
+const EmailJobRepository = require('./repositories/emailJobRepository');
+const WebhookRepository = require('./repositories/webhookRepository');
+const WebhookDeliveryRepository = require('./repositories/webhookDeliveryRepository');
+const ContactRepository = require('./repositories/contactRepository');
+const ScheduledPaymentRepository = require('./repositories/scheduledPaymentRepository');
+const BankAccountRepository = require('./repositories/bankAccountRepository');
+const FundingTransferRepository = require('./repositories/fundingTransferRepository');
+const VerificationCodeRepository = require('./repositories/verificationCodeRepository');
+const EmailSendAttemptRepository = require('./repositories/emailSendAttemptRepository');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Pick a storage adapter from DATABASE_URL:
+//   memory:                      in-memory, wiped on restart (default)
+//   sqlite:./data/zelle.db       SQLite file, relative to the server directory
+//   sqlite:///var/lib/zelle.db   SQLite file, absolute path
+function createAdapter(databaseUrl = 'memory:') {
+  if (databaseUrl === 'memory:' || databaseUrl === ':memory:') {
+    return new MemoryAdapter();
+  }
+
+  const match = databaseUrl.match(/^(sqlite|file):(?:\/\/)?(.+)$/);
+  if (match) {
+    // Loaded on demand so the in-memory backend works without the native module
+    const SqliteAdapter = require('./adapters/sqlite');
+    const filename = match[2] === ':memory:'
+      ? match[2]
+      : path.resolve(__dirname, '..', match[2]);
+    return new SqliteAdapter(filename);
+  }
+
+  throw new Error(`Unsupported DATABASE_URL: ${databaseUrl}`);
+}
+
+class Database {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.users = new UserRepository(adapter);
+    this.sessions = new SessionRepository(adapter);
+    this.transactions = new TransactionRepository(adapter);
+    this.moneyRequests = new MoneyRequestRepository(adapter);
+    this.journalEntries = new JournalEntryRepository(adapter);
+    this.ledgerPostings = new LedgerPostingRepository(adapter);
+    this.idempotencyKeys = new IdempotencyKeyRepository(adapter);
+    this.splitBills = new SplitBillRepository(adapter);
+    this.passwordResetTokens = new PasswordResetTokenRepository(adapter);
+    this.stepUpCodes = new StepUpCodeRepository(adapter);
+    this.stepUpTokens = new StepUpTokenRepository(adapter);
+    this.emailJobs = new EmailJobRepository(adapter);
+    this.webhooks = new WebhookRepository(adapter);
+    this.webhookDeliveries = new WebhookDeliveryRepository(adapter);
+    this.contacts = new ContactRepository(adapter);
+    this.scheduledPayments = new ScheduledPaymentRepository(adapter);
+    this.bankAccounts = new BankAccountRepository(adapter);
+    this.fundingTransfers = new FundingTransferRepository(adapter);
+    this.verificationCodes = new VerificationCodeRepository(adapter);
+    this.emailSendAttempts = new EmailSendAttemptRepository(adapter);
+  }
+
+  migrate() {
+    return this.adapter.migrate(MIGRATIONS_DIR);
+  }
+
+  // Run fn atomically: every write inside it is rolled back if it throws.
+  // fn must be synchronous.
+  transaction(fn) {
+    return this.adapter.transaction(fn);
+  }
+
+  close() {
+    this.adapter.close();
+  }
+}
+
+module.exports = new Database(createAdapter(process.env.DATABASE_URL || undefined));
+module.exports.Database = Database;
+module.exports.createAdapter = createAdapter;
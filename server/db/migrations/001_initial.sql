@@ -0,0 +1,49 @@
+CREATE TABLE users (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  phone TEXT NOT NULL,
+  password TEXT NOT NULL,
+  verified BOOLEAN NOT NULL DEFAULT 0,
+  balance REAL NOT NULL DEFAULT 0,
+  createdAt TEXT NOT NULL
+);
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  createdAt TEXT NOT NULL,
+  expiresAt TEXT NOT NULL,
+  revokedAt TEXT
+);
+
+CREATE INDEX idx_sessions_user ON sessions (userId);
+
+CREATE TABLE transactions (
+  id TEXT PRIMARY KEY,
+  senderEmail TEXT NOT NULL,
+  senderName TEXT NOT NULL,
+  recipientEmail TEXT NOT NULL,
+  recipientName TEXT NOT NULL,
+  amount REAL NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  timestamp TEXT NOT NULL,
+  status TEXT NOT NULL
+);
+
+CREATE INDEX idx_transactions_sender ON transactions (senderEmail, timestamp);
+CREATE INDEX idx_transactions_recipient ON transactions (recipientEmail, timestamp);
+
+CREATE TABLE money_requests (
+  id TEXT PRIMARY KEY,
+  requesterEmail TEXT NOT NULL,
+  requesterName TEXT NOT NULL,
+  requesteeEmail TEXT NOT NULL,
+  amount REAL NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  timestamp TEXT NOT NULL,
+  status TEXT NOT NULL
+);
+
+CREATE INDEX idx_money_requests_requester ON money_requests (requesterEmail, timestamp);
+CREATE INDEX idx_money_requests_requestee ON money_requests (requesteeEmail, timestamp);
@@ -0,0 +1,36 @@
+CREATE TABLE journal_entries (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  reference TEXT,
+  description TEXT NOT NULL DEFAULT '',
+  createdAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_journal_entries_reference ON journal_entries (reference);
+
+CREATE TABLE ledger_postings (
+  id TEXT PRIMARY KEY,
+  journalId TEXT NOT NULL REFERENCES journal_entries(id),
+  accountId TEXT NOT NULL,
+  direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amount REAL NOT NULL CHECK (amount > 0),
+  createdAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_ledger_postings_journal ON ledger_postings (journalId);
+CREATE INDEX idx_ledger_postings_account ON ledger_postings (accountId, createdAt);
+
+-- Existing balances become opening entries funded from outside the system
+INSERT INTO journal_entries (id, type, reference, description, createdAt)
+SELECT 'JE-OPEN-' || id, 'opening_balance', id, 'Opening balance', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM users WHERE balance != 0;
+
+INSERT INTO ledger_postings (id, journalId, accountId, direction, amount, createdAt)
+SELECT 'LP-OPEN-' || id || '-1', 'JE-OPEN-' || id, 'user:' || id,
+  CASE WHEN balance > 0 THEN 'credit' ELSE 'debit' END, ABS(balance), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM users WHERE balance != 0;
+
+INSERT INTO ledger_postings (id, journalId, accountId, direction, amount, createdAt)
+SELECT 'LP-OPEN-' || id || '-2', 'JE-OPEN-' || id, 'external:funding',
+  CASE WHEN balance > 0 THEN 'debit' ELSE 'credit' END, ABS(balance), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM users WHERE balance != 0;
@@ -0,0 +1,33 @@
+-- Store money as integer cents instead of floating point dollars
+
+ALTER TABLE users ADD COLUMN balanceCents INTEGER NOT NULL DEFAULT 0;
+UPDATE users SET balanceCents = CAST(ROUND(balance * 100) AS INTEGER);
+ALTER TABLE users DROP COLUMN balance;
+
+ALTER TABLE transactions ADD COLUMN amountCents INTEGER NOT NULL DEFAULT 0;
+UPDATE transactions SET amountCents = CAST(ROUND(amount * 100) AS INTEGER);
+ALTER TABLE transactions DROP COLUMN amount;
+
+ALTER TABLE money_requests ADD COLUMN amountCents INTEGER NOT NULL DEFAULT 0;
+UPDATE money_requests SET amountCents = CAST(ROUND(amount * 100) AS INTEGER);
+ALTER TABLE money_requests DROP COLUMN amount;
+
+-- Rebuilt rather than altered to keep the positive-amount check
+CREATE TABLE ledger_postings_new (
+  id TEXT PRIMARY KEY,
+  journalId TEXT NOT NULL REFERENCES journal_entries(id),
+  accountId TEXT NOT NULL,
+  direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amountCents INTEGER NOT NULL CHECK (amountCents > 0),
+  createdAt TEXT NOT NULL
+);
+
+INSERT INTO ledger_postings_new (id, journalId, accountId, direction, amountCents, createdAt)
+SELECT id, journalId, accountId, direction, CAST(ROUND(amount * 100) AS INTEGER), createdAt
+FROM ledger_postings;
+
+DROP TABLE ledger_postings;
+ALTER TABLE ledger_postings_new RENAME TO ledger_postings;
+
+CREATE INDEX idx_ledger_postings_journal ON ledger_postings (journalId);
+CREATE INDEX idx_ledger_postings_account ON ledger_postings (accountId, createdAt);
@@ -0,0 +1,13 @@
+CREATE TABLE idempotency_keys (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL,
+  key TEXT NOT NULL,
+  requestHash TEXT NOT NULL,
+  state TEXT NOT NULL CHECK (state IN ('processing', 'completed')),
+  responseStatus INTEGER,
+  responseBody JSON,
+  createdAt TEXT NOT NULL,
+  expiresAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys (expiresAt);
@@ -0,0 +1,5 @@
+-- Payments to unregistered recipients are held in escrow until claimed or refunded
+ALTER TABLE transactions ADD COLUMN expiresAt TEXT;
+ALTER TABLE transactions ADD COLUMN settledAt TEXT;
+
+CREATE INDEX idx_transactions_status_expires ON transactions (status, expiresAt);
@@ -0,0 +1,3 @@
+ALTER TABLE money_requests ADD COLUMN requesteeName TEXT;
+ALTER TABLE money_requests ADD COLUMN transactionId TEXT;
+ALTER TABLE money_requests ADD COLUMN respondedAt TEXT;
@@ -0,0 +1,16 @@
+CREATE TABLE split_bills (
+  id TEXT PRIMARY KEY,
+  requesterEmail TEXT NOT NULL,
+  totalCents INTEGER NOT NULL CHECK (totalCents > 0),
+  requesterShareCents INTEGER NOT NULL DEFAULT 0,
+  splitType TEXT NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  createdAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_split_bills_requester ON split_bills (requesterEmail, createdAt);
+
+ALTER TABLE money_requests ADD COLUMN splitId TEXT REFERENCES split_bills(id);
+ALTER TABLE money_requests ADD COLUMN splitIndex INTEGER;
+
+CREATE INDEX idx_money_requests_split ON money_requests (splitId);
@@ -0,0 +1,9 @@
+ALTER TABLE sessions ADD COLUMN refreshTokenHash TEXT;
+ALTER TABLE sessions ADD COLUMN previousRefreshTokenHash TEXT;
+ALTER TABLE sessions ADD COLUMN lastUsedAt TEXT;
+ALTER TABLE sessions ADD COLUMN userAgent TEXT;
+ALTER TABLE sessions ADD COLUMN ipAddress TEXT;
+ALTER TABLE sessions ADD COLUMN revokedReason TEXT;
+
+CREATE UNIQUE INDEX idx_sessions_refresh_token ON sessions (refreshTokenHash);
+CREATE INDEX idx_sessions_previous_refresh_token ON sessions (previousRefreshTokenHash);
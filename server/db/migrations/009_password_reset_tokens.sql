@@ -0,0 +1,10 @@
+CREATE TABLE password_reset_tokens (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  tokenHash TEXT NOT NULL UNIQUE,
+  createdAt TEXT NOT NULL,
+  expiresAt TEXT NOT NULL,
+  usedAt TEXT
+);
+
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens (userId);
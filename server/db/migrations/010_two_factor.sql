@@ -0,0 +1,17 @@
+ALTER TABLE users ADD COLUMN totpSecret TEXT;
+ALTER TABLE users ADD COLUMN totpEnabled BOOLEAN NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN totpLastUsedStep INTEGER;
+ALTER TABLE users ADD COLUMN totpBackupCodes JSON;
+
+-- One-time codes emailed to confirm a sensitive action
+CREATE TABLE step_up_codes (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  codeHash TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  createdAt TEXT NOT NULL,
+  expiresAt TEXT NOT NULL,
+  usedAt TEXT
+);
+
+CREATE INDEX idx_step_up_codes_user ON step_up_codes (userId, createdAt);
@@ -0,0 +1,20 @@
+-- Outbound email queue. Rows move pending -> sending -> sent, or to dead
+-- once every retry has failed.
+CREATE TABLE email_jobs (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  message JSON NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  nextAttemptAt TEXT NOT NULL,
+  lockedAt TEXT,
+  lastError TEXT,
+  messageId TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL,
+  sentAt TEXT
+);
+
+CREATE INDEX idx_email_jobs_due ON email_jobs (status, nextAttemptAt);
@@ -0,0 +1,3 @@
+-- Language and time zone for emails; NULL uses the server defaults
+ALTER TABLE users ADD COLUMN locale TEXT;
+ALTER TABLE users ADD COLUMN timeZone TEXT;
@@ -0,0 +1,3 @@
+-- Which optional emails the user gets (see services/emailService.js); NULL
+-- means all of them
+ALTER TABLE users ADD COLUMN notificationPreferences JSON;
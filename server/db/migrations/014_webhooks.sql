@@ -0,0 +1,40 @@
+-- Endpoints users register to be told about events on their account.
+-- events lists the event types the endpoint subscribes to.
+CREATE TABLE webhooks (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  url TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  events JSON NOT NULL,
+  secret TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT 1,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_webhooks_user ON webhooks (userId);
+
+-- One row per event per endpoint, both the retry queue and the delivery
+-- log. Rows move pending -> sending -> succeeded, or to failed once every
+-- retry has failed.
+CREATE TABLE webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhookId TEXT NOT NULL REFERENCES webhooks(id),
+  eventId TEXT NOT NULL,
+  event TEXT NOT NULL,
+  payload JSON NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  nextAttemptAt TEXT NOT NULL,
+  lockedAt TEXT,
+  responseStatus INTEGER,
+  responseBody TEXT,
+  durationMs INTEGER,
+  lastError TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL,
+  deliveredAt TEXT
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, nextAttemptAt);
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhookId, createdAt);
@@ -0,0 +1,17 @@
+-- Payees a user has saved. email is where payments go; phone is the number
+-- the contact was added by, if it was added by phone.
+CREATE TABLE contacts (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  email TEXT NOT NULL,
+  phone TEXT,
+  nickname TEXT,
+  favorite BOOLEAN NOT NULL DEFAULT 0,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_contacts_user_email ON contacts (userId, email);
+
+-- Payees can be looked up by phone number
+CREATE INDEX idx_users_phone ON users (phone);
@@ -0,0 +1,31 @@
+-- Payments set up to go out later, once or on a recurring schedule. rule
+-- holds the schedule ({ frequency, startDate, interval, dayOfMonth,
+-- endDate }); occurrence counts the payments it has produced, and
+-- nextRunAt is when the next one is due (the start of nextRunDate in the
+-- user's time zone). Rows move active <-> paused, and end up completed,
+-- cancelled, or failed (a one-off payment that couldn't be made).
+CREATE TABLE scheduled_payments (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  recipientEmail TEXT NOT NULL,
+  recipientName TEXT NOT NULL,
+  amountCents INTEGER NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  rule JSON NOT NULL,
+  timeZone TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  occurrence INTEGER NOT NULL DEFAULT 0,
+  nextRunDate TEXT,
+  nextRunAt TEXT,
+  runCount INTEGER NOT NULL DEFAULT 0,
+  failureCount INTEGER NOT NULL DEFAULT 0,
+  lastRunAt TEXT,
+  lastStatus TEXT,
+  lastError TEXT,
+  lastTransactionId TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_scheduled_payments_user ON scheduled_payments (userId, createdAt);
+CREATE INDEX idx_scheduled_payments_due ON scheduled_payments (status, nextRunAt);
@@ -0,0 +1,48 @@
+-- External bank accounts users move money in and out of. railToken is the
+-- funding rail's handle for the account; only the last four digits of the
+-- account number are kept. Accounts start pending_verification until the
+-- user confirms the two micro-deposits (microDepositsCents), and end up
+-- verified, failed (too many wrong guesses) or removed.
+CREATE TABLE bank_accounts (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  accountHolderName TEXT NOT NULL,
+  accountType TEXT NOT NULL,
+  routingNumber TEXT NOT NULL,
+  accountNumberLast4 TEXT NOT NULL,
+  nickname TEXT,
+  railToken TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending_verification',
+  microDepositsCents JSON,
+  verificationAttempts INTEGER NOT NULL DEFAULT 0,
+  verifiedAt TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_bank_accounts_user ON bank_accounts (userId, createdAt);
+
+-- Deposits from and withdrawals to a bank account. Rows move from pending to
+-- settled, or to failed if the rail rejects or returns the transfer.
+-- journalId is the ledger entry that moved the user's balance: a deposit is
+-- credited when it settles; a withdrawal is taken when it's made and given
+-- back if it fails.
+CREATE TABLE funding_transfers (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  bankAccountId TEXT NOT NULL REFERENCES bank_accounts(id),
+  direction TEXT NOT NULL,
+  amountCents INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  railReference TEXT,
+  failureReason TEXT,
+  journalId TEXT,
+  submittedAt TEXT NOT NULL,
+  settledAt TEXT,
+  failedAt TEXT,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_funding_transfers_user ON funding_transfers (userId, createdAt);
+CREATE INDEX idx_funding_transfers_pending ON funding_transfers (status, submittedAt);
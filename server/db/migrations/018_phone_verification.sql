@@ -0,0 +1,3 @@
+-- When the user's phone number was confirmed to be theirs. Accounts with a
+-- confirmed phone can move up to the established transfer limits tier.
+ALTER TABLE users ADD COLUMN phoneVerifiedAt TEXT;
@@ -0,0 +1,10 @@
+-- Step-up tokens that have approved a payment. Each token is good for one,
+-- so it is recorded here when used and kept until it would have expired.
+CREATE TABLE step_up_tokens (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL REFERENCES users(id),
+  usedAt TEXT NOT NULL,
+  expiresAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_step_up_tokens_expiry ON step_up_tokens (expiresAt);
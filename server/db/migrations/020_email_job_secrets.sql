@@ -0,0 +1,16 @@
+-- Emails with a code or link that lets someone act as the recipient
+-- (verification codes, password reset links, step-up codes). Only their
+-- addressing and subject are kept once they're sent.
+ALTER TABLE email_jobs ADD COLUMN containsSecrets BOOLEAN NOT NULL DEFAULT 0;
+
+UPDATE email_jobs SET containsSecrets = 1
+  WHERE type IN ('verification', 'password_reset', 'step_up_code');
+
+UPDATE email_jobs
+  SET message = json_object(
+    'to', recipient,
+    'from', json_extract(message, '$.from'),
+    'subject', subject,
+    'redacted', json('true')
+  )
+  WHERE containsSecrets = 1 AND status = 'sent';
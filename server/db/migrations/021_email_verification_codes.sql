@@ -0,0 +1,20 @@
+-- Email verification codes, one outstanding per address; sending a new
+-- code replaces the old one
+CREATE TABLE verification_codes (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  codeHash TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  createdAt TEXT NOT NULL,
+  expiresAt TEXT NOT NULL
+);
+
+-- Codes emailed to an address, kept for the hour the send limit looks back
+CREATE TABLE email_send_attempts (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL,
+  type TEXT NOT NULL,
+  createdAt TEXT NOT NULL
+);
+
+CREATE INDEX idx_email_send_attempts_email ON email_send_attempts (email, type, createdAt);
@@ -0,0 +1,24 @@
+-- Emails are trimmed and lowercased on the way in (middleware/validate.js)
+-- and looked up ignoring case. Lowercase the ones stored before that, so
+-- stored addresses compare equal to new ones. An account whose lowercased
+-- address another account already has keeps its own spelling.
+UPDATE users SET email = LOWER(email)
+  WHERE email != LOWER(email)
+    AND NOT EXISTS (SELECT 1 FROM users other WHERE other.id != users.id AND LOWER(other.email) = LOWER(users.email));
+
+UPDATE transactions SET senderEmail = LOWER(senderEmail), recipientEmail = LOWER(recipientEmail);
+UPDATE money_requests SET requesterEmail = LOWER(requesterEmail), requesteeEmail = LOWER(requesteeEmail);
+UPDATE split_bills SET requesterEmail = LOWER(requesterEmail);
+UPDATE scheduled_payments SET recipientEmail = LOWER(recipientEmail);
+
+UPDATE contacts SET email = LOWER(email)
+  WHERE email != LOWER(email)
+    AND NOT EXISTS (SELECT 1 FROM contacts other
+      WHERE other.id != contacts.id AND other.userId = contacts.userId AND LOWER(other.email) = LOWER(contacts.email));
+
+-- Case-insensitive lookups
+CREATE INDEX idx_users_email_lower ON users (LOWER(email));
+CREATE INDEX idx_transactions_recipient_lower ON transactions (LOWER(recipientEmail), status);
+CREATE INDEX idx_money_requests_requester_lower ON money_requests (LOWER(requesterEmail));
+CREATE INDEX idx_money_requests_requestee_lower ON money_requests (LOWER(requesteeEmail));
+CREATE INDEX idx_split_bills_requester_lower ON split_bills (LOWER(requesterEmail));
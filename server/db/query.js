@@ -0,0 +1,179 @@
+// Shared query helpers for the storage adapters.
+//
+// A `where` object maps column names to either a plain value (equality, or
+// IS NULL for null) or an operator object such as { $gte: 100 }. A top-level
+// `$or` holds an array of where objects, at least one of which must match.
+// $ieq is equality ignoring case, for emails. $like patterns use % and _ as
+// wildcards and \ to escape them (see escapeLike).
+
+const COMPARISON_OPERATORS = {
+  $ne: '!=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toSqlValue(value) {
+  return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+}
+
+function compileCondition(column, condition, params) {
+  if (condition === null) {
+    return `${column} IS NULL`;
+  }
+
+  if (!isOperatorObject(condition)) {
+    params.push(toSqlValue(condition));
+    return `${column} = ?`;
+  }
+
+  const clauses = Object.entries(condition).map(([operator, value]) => {
+    if (operator === '$in') {
+      if (value.length === 0) return '0';
+      params.push(...value.map(toSqlValue));
+      return `${column} IN (${value.map(() => '?').join(', ')})`;
+    }
+
+    if (operator === '$like') {
+      params.push(value);
+      return `${column} LIKE ? ESCAPE '\\'`;
+    }
+
+    if (operator === '$ieq') {
+      params.push(value);
+      return `LOWER(${column}) = LOWER(?)`;
+    }
+
+    if (operator === '$ne' && value === null) {
+      return `${column} IS NOT NULL`;
+    }
+
+    if (!COMPARISON_OPERATORS[operator]) {
+      throw new Error(`Unsupported query operator: ${operator}`);
+    }
+
+    params.push(toSqlValue(value));
+    return `${column} ${COMPARISON_OPERATORS[operator]} ?`;
+  });
+
+  return clauses.join(' AND ');
+}
+
+// Build a SQL WHERE clause (without the keyword) and its parameters
+function compileWhere(where = {}, params = []) {
+  const clauses = Object.entries(where).map(([key, condition]) => {
+    if (key === '$or') {
+      const alternatives = condition.map(alternative => `(${compileWhere(alternative, params).sql})`);
+      return alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : '0';
+    }
+    return compileCondition(key, condition, params);
+  });
+
+  return { sql: clauses.length > 0 ? clauses.join(' AND ') : '1', params };
+}
+
+function compileOrderBy(orderBy = []) {
+  if (orderBy.length === 0) return '';
+  return ' ORDER BY ' + orderBy
+    .map(([column, direction = 'asc']) => `${column} ${direction.toLowerCase() === 'desc' ? 'DESC' : 'ASC'}`)
+    .join(', ');
+}
+
+// Text for a $like pattern that matches it literally, wildcards included
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+function likeToRegExp(pattern) {
+  const escapeRegExp = (char) => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  // SQLite's LIKE is case-insensitive for ASCII, mirror that here
+  return new RegExp(`^${source}$`, 'is');
+}
+
+function matchesCondition(value, condition) {
+  if (value === undefined) value = null;
+
+  if (condition === null) {
+    return value === null;
+  }
+
+  if (!isOperatorObject(condition)) {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$in':
+        return expected.includes(value);
+      case '$like':
+        return value !== null && likeToRegExp(expected).test(String(value));
+      case '$ieq':
+        return value !== null && String(value).toLowerCase() === String(expected).toLowerCase();
+      case '$ne':
+        return value !== expected;
+      case '$gt':
+        return value !== null && value > expected;
+      case '$gte':
+        return value !== null && value >= expected;
+      case '$lt':
+        return value !== null && value < expected;
+      case '$lte':
+        return value !== null && value <= expected;
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+}
+
+// Evaluate a where object against an in-memory row
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(alternative => matches(row, alternative));
+    }
+    return matchesCondition(row[key], condition);
+  });
+}
+
+function compareRows(orderBy = []) {
+  return (a, b) => {
+    for (const [column, direction = 'asc'] of orderBy) {
+      const left = a[column] ?? null;
+      const right = b[column] ?? null;
+      if (left === right) continue;
+
+      // NULLs sort first in ascending order, as in SQLite
+      let result;
+      if (left === null) result = -1;
+      else if (right === null) result = 1;
+      else result = left < right ? -1 : 1;
+
+      return direction.toLowerCase() === 'desc' ? -result : result;
+    }
+    return 0;
+  };
+}
+
+module.exports = {
+  escapeLike,
+  compileWhere,
+  compileOrderBy,
+  matches,
+  compareRows
+};
@@ -0,0 +1,14 @@
+const Repository = require('./repository');
+
+class BankAccountRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'bank_accounts');
+  }
+
+  // Accounts the user hasn't removed, oldest first
+  findByUser(userId) {
+    return this.find({ userId, status: { $ne: 'removed' } }, { orderBy: [['createdAt', 'asc']] });
+  }
+}
+
+module.exports = BankAccountRepository;
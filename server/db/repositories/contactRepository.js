@@ -0,0 +1,17 @@
+const Repository = require('./repository');
+
+class ContactRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'contacts');
+  }
+
+  findByUser(userId) {
+    return this.find({ userId }, { orderBy: [['createdAt', 'asc']] });
+  }
+
+  findByUserAndEmail(userId, email) {
+    return this.findOne({ userId, email: { $ieq: email } });
+  }
+}
+
+module.exports = ContactRepository;
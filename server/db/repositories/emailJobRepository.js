@@ -0,0 +1,31 @@
+const Repository = require('./repository');
+
+class EmailJobRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'email_jobs');
+  }
+
+  // Jobs whose next attempt is due, oldest first. Jobs left in `sending` by
+  // a worker that died before lockedBefore are picked up again.
+  findDue(now, lockedBefore, limit) {
+    return this.find(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: lockedBefore } }
+        ]
+      },
+      { orderBy: [['nextAttemptAt', 'asc']], limit }
+    );
+  }
+
+  findByStatus(status, { limit, offset } = {}) {
+    return this.find(status ? { status } : {}, { orderBy: [['createdAt', 'desc']], limit, offset });
+  }
+
+  deleteSentBefore(cutoff) {
+    return this.delete({ status: 'sent', sentAt: { $lt: cutoff } });
+  }
+}
+
+module.exports = EmailJobRepository;
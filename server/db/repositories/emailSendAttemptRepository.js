@@ -0,0 +1,17 @@
+const Repository = require('./repository');
+
+class EmailSendAttemptRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'email_send_attempts');
+  }
+
+  countSince(email, type, since) {
+    return this.count({ email: { $ieq: email }, type, createdAt: { $gt: since } });
+  }
+
+  deleteBefore(email, type, cutoff) {
+    return this.delete({ email: { $ieq: email }, type, createdAt: { $lte: cutoff } });
+  }
+}
+
+module.exports = EmailSendAttemptRepository;
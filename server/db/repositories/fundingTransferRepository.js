@@ -0,0 +1,25 @@
+const Repository = require('./repository');
+
+class FundingTransferRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'funding_transfers');
+  }
+
+  findByUser(userId, { status, limit, offset } = {}) {
+    const where = status ? { userId, status } : { userId };
+    return this.find(where, { orderBy: [['createdAt', 'desc']], limit, offset });
+  }
+
+  // Cents moved in one direction since the given time, leaving out
+  // transfers that failed
+  sumSince(userId, direction, since) {
+    return this.sum('amountCents', { userId, direction, status: { $ne: 'failed' }, createdAt: { $gt: since } });
+  }
+
+  // Pending transfers, oldest first
+  findPending(limit, offset) {
+    return this.find({ status: 'pending' }, { orderBy: [['submittedAt', 'asc']], limit, offset });
+  }
+}
+
+module.exports = FundingTransferRepository;
@@ -0,0 +1,13 @@
+const Repository = require('./repository');
+
+class IdempotencyKeyRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'idempotency_keys');
+  }
+
+  deleteExpired(now = new Date().toISOString()) {
+    return this.delete({ expiresAt: { $lte: now } });
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
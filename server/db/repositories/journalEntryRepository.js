@@ -0,0 +1,13 @@
+const Repository = require('./repository');
+
+class JournalEntryRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'journal_entries');
+  }
+
+  findByReference(reference) {
+    return this.find({ reference }, { orderBy: [['createdAt', 'asc']] });
+  }
+}
+
+module.exports = JournalEntryRepository;
@@ -0,0 +1,25 @@
+const Repository = require('./repository');
+
+class LedgerPostingRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'ledger_postings');
+  }
+
+  findByJournal(journalId) {
+    return this.find({ journalId });
+  }
+
+  findByAccount(accountId) {
+    return this.find({ accountId }, { orderBy: [['createdAt', 'asc'], ['id', 'asc']] });
+  }
+
+  // Postings from `from` (inclusive) to `to` (exclusive), oldest first
+  findByAccountBetween(accountId, from, to) {
+    return this.find(
+      { accountId, createdAt: { $gte: from, $lt: to } },
+      { orderBy: [['createdAt', 'asc'], ['id', 'asc']] }
+    );
+  }
+}
+
+module.exports = LedgerPostingRepository;
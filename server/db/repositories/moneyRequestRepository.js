@@ -0,0 +1,26 @@
+const Repository = require('./repository');
+
+class MoneyRequestRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'money_requests');
+  }
+
+  // direction is 'incoming' (asked to pay), 'outgoing' (asked by the user) or 'all'
+  findForUser(email, { direction = 'all', status } = {}) {
+    const where = {};
+    const byEmail = { $ieq: email };
+    if (direction === 'incoming') where.requesteeEmail = byEmail;
+    else if (direction === 'outgoing') where.requesterEmail = byEmail;
+    else where.$or = [{ requesterEmail: byEmail }, { requesteeEmail: byEmail }];
+
+    if (status) where.status = status;
+
+    return this.find(where, { orderBy: [['timestamp', 'desc'], ['id', 'desc']] });
+  }
+
+  findBySplit(splitId) {
+    return this.find({ splitId }, { orderBy: [['splitIndex', 'asc']] });
+  }
+}
+
+module.exports = MoneyRequestRepository;
@@ -0,0 +1,21 @@
+const Repository = require('./repository');
+
+class PasswordResetTokenRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'password_reset_tokens');
+  }
+
+  findByTokenHash(tokenHash) {
+    return this.findOne({ tokenHash });
+  }
+
+  // Mark every outstanding token of a user as used
+  invalidateForUser(userId) {
+    const now = new Date().toISOString();
+    const outstanding = this.find({ userId, usedAt: null });
+    outstanding.forEach(token => this.update(token.id, { usedAt: now }));
+    return outstanding.length;
+  }
+}
+
+module.exports = PasswordResetTokenRepository;
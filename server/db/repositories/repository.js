@@ -0,0 +1,45 @@
+// Base repository: table-level CRUD on top of a storage adapter.
+// Entity repositories extend it with their own lookups.
+class Repository {
+  constructor(adapter, table) {
+    this.adapter = adapter;
+    this.table = table;
+  }
+
+  findById(id) {
+    return this.findOne({ id });
+  }
+
+  findOne(where, options = {}) {
+    const [record] = this.adapter.find(this.table, where, { ...options, limit: 1 });
+    return record || null;
+  }
+
+  find(where = {}, options = {}) {
+    return this.adapter.find(this.table, where, options);
+  }
+
+  insert(record) {
+    this.adapter.insert(this.table, record);
+    return record;
+  }
+
+  update(id, changes) {
+    this.adapter.update(this.table, id, changes);
+    return this.findById(id);
+  }
+
+  delete(where) {
+    return this.adapter.delete(this.table, where);
+  }
+
+  count(where = {}) {
+    return this.adapter.count(this.table, where);
+  }
+
+  sum(column, where = {}) {
+    return this.adapter.sum(this.table, column, where);
+  }
+}
+
+module.exports = Repository;
@@ -0,0 +1,22 @@
+const Repository = require('./repository');
+
+class ScheduledPaymentRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'scheduled_payments');
+  }
+
+  findByUser(userId, { status } = {}) {
+    const where = status ? { userId, status } : { userId };
+    return this.find(where, { orderBy: [['createdAt', 'desc']] });
+  }
+
+  // Active schedules whose next payment is due, earliest first
+  findDue(now, limit) {
+    return this.find(
+      { status: 'active', nextRunAt: { $lte: now } },
+      { orderBy: [['nextRunAt', 'asc']], limit }
+    );
+  }
+}
+
+module.exports = ScheduledPaymentRepository;
@@ -0,0 +1,24 @@
+const Repository = require('./repository');
+
+class SessionRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'sessions');
+  }
+
+  findActiveByUser(userId) {
+    return this.find(
+      { userId, revokedAt: null, expiresAt: { $gt: new Date().toISOString() } },
+      { orderBy: [['createdAt', 'desc']] }
+    );
+  }
+
+  findByRefreshTokenHash(refreshTokenHash) {
+    return this.findOne({ refreshTokenHash });
+  }
+
+  findByPreviousRefreshTokenHash(refreshTokenHash) {
+    return this.findOne({ previousRefreshTokenHash: refreshTokenHash });
+  }
+}
+
+module.exports = SessionRepository;
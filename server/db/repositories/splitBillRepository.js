@@ -0,0 +1,13 @@
+const Repository = require('./repository');
+
+class SplitBillRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'split_bills');
+  }
+
+  findByRequester(email) {
+    return this.find({ requesterEmail: { $ieq: email } }, { orderBy: [['createdAt', 'desc'], ['id', 'desc']] });
+  }
+}
+
+module.exports = SplitBillRepository;
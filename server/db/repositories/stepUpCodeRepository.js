@@ -0,0 +1,24 @@
+const Repository = require('./repository');
+
+class StepUpCodeRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'step_up_codes');
+  }
+
+  // The most recent code that can still be redeemed
+  findLatestUsable(userId, now = new Date()) {
+    return this.findOne(
+      { userId, usedAt: null, expiresAt: { $gt: now.toISOString() } },
+      { orderBy: [['createdAt', 'desc']] }
+    );
+  }
+
+  invalidateForUser(userId) {
+    const now = new Date().toISOString();
+    const outstanding = this.find({ userId, usedAt: null });
+    outstanding.forEach(code => this.update(code.id, { usedAt: now }));
+    return outstanding.length;
+  }
+}
+
+module.exports = StepUpCodeRepository;
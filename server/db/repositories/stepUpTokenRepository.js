@@ -0,0 +1,13 @@
+const Repository = require('./repository');
+
+class StepUpTokenRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'step_up_tokens');
+  }
+
+  deleteExpired(now = new Date().toISOString()) {
+    return this.delete({ expiresAt: { $lte: now } });
+  }
+}
+
+module.exports = StepUpTokenRepository;
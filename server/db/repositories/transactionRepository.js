@@ -0,0 +1,17 @@
+const Repository = require('./repository');
+
+class TransactionRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'transactions');
+  }
+
+  findPendingForRecipient(email) {
+    return this.find({ recipientEmail: { $ieq: email }, status: 'pending' }, { orderBy: [['timestamp', 'asc']] });
+  }
+
+  findExpiredPending(now = new Date().toISOString()) {
+    return this.find({ status: 'pending', expiresAt: { $lte: now } }, { orderBy: [['expiresAt', 'asc']] });
+  }
+}
+
+module.exports = TransactionRepository;
@@ -0,0 +1,22 @@
+const Repository = require('./repository');
+
+class UserRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'users');
+  }
+
+  // Emails are matched ignoring case
+  findByEmail(email) {
+    return this.findOne({ email: { $ieq: email } });
+  }
+
+  // Verified accounts registered with an E.164 phone number that support
+  // has confirmed is theirs. Anyone can sign up with any number, so
+  // unconfirmed ones are never matched. Numbers aren't unique, so there can
+  // be more than one.
+  findVerifiedByPhone(phone) {
+    return this.find({ phone, verified: true, phoneVerifiedAt: { $ne: null } });
+  }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,17 @@
+const Repository = require('./repository');
+
+class VerificationCodeRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'verification_codes');
+  }
+
+  findByEmail(email) {
+    return this.findOne({ email: { $ieq: email } });
+  }
+
+  deleteForEmail(email) {
+    return this.delete({ email: { $ieq: email } });
+  }
+}
+
+module.exports = VerificationCodeRepository;
@@ -0,0 +1,32 @@
+const Repository = require('./repository');
+
+class WebhookDeliveryRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'webhook_deliveries');
+  }
+
+  // Deliveries whose next attempt is due, oldest first. Deliveries left in
+  // `sending` by a worker that died before lockedBefore are picked up again.
+  findDue(now, lockedBefore, limit) {
+    return this.find(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: lockedBefore } }
+        ]
+      },
+      { orderBy: [['nextAttemptAt', 'asc']], limit }
+    );
+  }
+
+  findByWebhook(webhookId, { status, limit, offset } = {}) {
+    const where = status ? { webhookId, status } : { webhookId };
+    return this.find(where, { orderBy: [['createdAt', 'desc']], limit, offset });
+  }
+
+  deleteFinishedBefore(cutoff) {
+    return this.delete({ status: { $in: ['succeeded', 'failed'] }, updatedAt: { $lt: cutoff } });
+  }
+}
+
+module.exports = WebhookDeliveryRepository;
@@ -0,0 +1,19 @@
+const Repository = require('./repository');
+
+class WebhookRepository extends Repository {
+  constructor(adapter) {
+    super(adapter, 'webhooks');
+  }
+
+  findByUser(userId) {
+    return this.find({ userId }, { orderBy: [['createdAt', 'asc']] });
+  }
+
+  // Active endpoints of any of the users that subscribe to the event
+  findSubscribed(userIds, event) {
+    return this.find({ userId: { $in: userIds }, active: true })
+      .filter(webhook => webhook.events.includes(event));
+  }
+}
+
+module.exports = WebhookRepository;
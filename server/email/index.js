@@ -0,0 +1,33 @@
+const SendGridTransport = require('./transports/sendgrid');
+const OutboxTransport = require('./transports/outbox');
+const { emailConfig } = require('../config/email');
+
+// Pick an email transport from EMAIL_TRANSPORT:
+//   sendgrid   SendGrid Web API (default when SENDGRID_API_KEY is set)
+//   smtp       any SMTP server, configured with SMTP_*
+//   outbox     JSON files on disk, nothing is sent (default otherwise, in
+//              development only)
+//
+// Every transport has send(msg), taking a SendGrid-style message
+// ({ to, from: { email, name }, subject, html, text }) and resolving to
+// { messageId }.
+function createTransport({ driver, ...options } = emailConfig.transport) {
+  switch (driver) {
+    case 'sendgrid':
+      return new SendGridTransport(options.sendgrid);
+    case 'smtp': {
+      // Loaded on demand so nodemailer is only needed when SMTP is used
+      const SmtpTransport = require('./transports/smtp');
+      return new SmtpTransport(options.smtp);
+    }
+    case 'outbox':
+      return new OutboxTransport(options.outbox);
+    case null:
+    case undefined:
+      throw new Error('No email transport configured: set EMAIL_TRANSPORT, or SENDGRID_API_KEY for SendGrid');
+    default:
+      throw new Error(`Unsupported EMAIL_TRANSPORT: ${driver}`);
+  }
+}
+
+module.exports = { transport: createTransport(), createTransport };
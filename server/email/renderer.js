@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { emailConfig } = require('../config/email');
+const { isValidTimeZone } = require('../utils/timeZone');
+
+// Renders the transactional emails in email/templates. Every email has an
+// HTML and a plain-text template (<name>.html.hbs, <name>.text.hbs) that
+// wrap their content in the matching layout, and its subject and copy live
+// in the translation catalogs in email/locales.
+//
+// Catalog strings take {placeholders} filled from the template data, with
+// an optional formatter for the recipient's locale and time zone:
+//
+//   "expires": "This payment expires on {expiresAt, date}."
+//
+// Formatters are money (integer cents), date, datetime and day (a calendar
+// date such as 2025-01-31, shown as is in every time zone). In HTML every
+// value is escaped; user-supplied text such as notes and names can't
+// inject markup.
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const FORMATS = ['html', 'text'];
+
+const catalogs = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))])
+);
+
+const SUPPORTED_LOCALES = Object.keys(catalogs).sort();
+
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+// Closest supported locale: "es-MX" falls back to "es", anything unknown to
+// the default
+function resolveLocale(locale) {
+  if (!locale) return emailConfig.defaultLocale;
+  if (isSupportedLocale(locale)) return locale;
+  const language = locale.split('-')[0].toLowerCase();
+  return isSupportedLocale(language) ? language : emailConfig.defaultLocale;
+}
+
+const FORMATTERS = {
+  money: (cents, { locale }) => new Intl.NumberFormat(locale, { style: 'currency', currency: 'USD' }).format(cents / 100),
+  date: (value, { locale, timeZone }) => new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone }).format(new Date(value)),
+  datetime: (value, { locale, timeZone }) => new Intl.DateTimeFormat(locale, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone
+  }).format(new Date(value)) + ` (${timeZone})`,
+  day: (value, { locale }) => new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(value))
+};
+
+// Catalog entry for a dotted key, from the locale or else the default
+// locale. Entries that vary by event or direction are objects keyed by
+// `variant`.
+function translation(locale, key, variant) {
+  const find = (catalog) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+
+  let entry = find(catalogs[locale]);
+  if (entry === undefined) {
+    entry = find(catalogs[emailConfig.defaultLocale]);
+  }
+  if (entry !== null && typeof entry === 'object') {
+    entry = entry[variant];
+  }
+  if (typeof entry !== 'string') {
+    throw new Error(`Missing email translation: ${key}${variant ? ` (${variant})` : ''}`);
+  }
+  return entry;
+}
+
+function interpolate(text, params, context, escape) {
+  return text.replace(/\{(\w+)(?:,\s*(\w+))?\}/g, (match, name, formatter) => {
+    const value = params[name];
+    if (value === undefined || value === null) return '';
+    if (formatter && !FORMATTERS[formatter]) {
+      throw new Error(`Unknown email formatter: ${formatter}`);
+    }
+    return escape(formatter ? FORMATTERS[formatter](value, context) : String(value));
+  });
+}
+
+// One Handlebars environment per format, each with its own layout. Text
+// output is not HTML-escaped.
+function createEnvironment(format) {
+  const env = Handlebars.create();
+  const escape = format === 'html' ? env.escapeExpression : (value) => value;
+  const output = (value) => (format === 'html' ? new env.SafeString(value) : value);
+  const context = (options) => ({ locale: options.data.locale, timeZone: options.data.timeZone });
+
+  env.registerPartial('layout', fs.readFileSync(path.join(TEMPLATES_DIR, `layout.${format}.hbs`), 'utf8'));
+
+  // {{t "receipt.title"}} with the template data (and any hash arguments)
+  // as placeholder values
+  env.registerHelper('t', function (key, options) {
+    const params = { ...options.data.root, ...this, ...options.hash };
+    const text = translation(options.data.locale, key, params.variant);
+    return output(interpolate(text, params, context(options), escape));
+  });
+
+  for (const [name, formatter] of Object.entries(FORMATTERS)) {
+    env.registerHelper(name, (value, options) => formatter(value, context(options)));
+  }
+
+  env.registerHelper('eq', (a, b) => a === b);
+
+  return env;
+}
+
+const environments = Object.fromEntries(FORMATS.map(format => [format, createEnvironment(format)]));
+const compiled = new Map();
+
+function template(name, format) {
+  const key = `${name}.${format}`;
+  if (!compiled.has(key)) {
+    const source = fs.readFileSync(path.join(TEMPLATES_DIR, `${key}.hbs`), 'utf8');
+    compiled.set(key, environments[format].compile(source, { noEscape: format === 'text' }));
+  }
+  return compiled.get(key);
+}
+
+const recipientContext = ({ locale, timeZone } = {}) => ({
+  locale: resolveLocale(locale),
+  timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : emailConfig.defaultTimeZone
+});
+
+const subjectFor = (name, params, context) =>
+  interpolate(translation(context.locale, `${name}.subject`, params.variant), params, context, (value) => value);
+
+// Render an email for one recipient. Returns { subject, html, text, locale }.
+function render(name, data, preferences) {
+  const context = recipientContext(preferences);
+  const params = { ...data, appUrl: emailConfig.appUrl, year: new Date().getFullYear() };
+
+  return {
+    subject: subjectFor(name, params, context),
+    html: template(name, 'html')(params, { data: context }),
+    text: template(name, 'text')(params, { data: context }).replace(/\n{3,}/g, '\n\n').trim() + '\n',
+    locale: context.locale
+  };
+}
+
+// Values a SendGrid dynamic template can't format for the recipient itself:
+// [field, name in the template data, formatter]
+const DYNAMIC_FORMATTED_FIELDS = [
+  ['amountCents', 'amount', 'money'],
+  ['timestamp', 'timestampFormatted', 'datetime'],
+  ['changedAt', 'changedAtFormatted', 'datetime'],
+  ['expiresAt', 'expiresAtFormatted', 'date'],
+  ['loggedInAt', 'loggedInAtFormatted', 'datetime'],
+  ['from', 'fromFormatted', 'day'],
+  ['to', 'toFormatted', 'day'],
+  ['openingBalanceCents', 'openingBalance', 'money'],
+  ['closingBalanceCents', 'closingBalance', 'money'],
+  ['scheduledFor', 'scheduledForFormatted', 'day'],
+  ['nextRunDate', 'nextRunDateFormatted', 'day']
+];
+
+// dynamic_template_data for a SendGrid template standing in for a local one:
+// the template data plus the localized subject and preformatted values
+function dynamicTemplateData(name, data, preferences) {
+  const context = recipientContext(preferences);
+  const params = { ...data, appUrl: emailConfig.appUrl, year: new Date().getFullYear() };
+
+  const formatted = {};
+  for (const [field, key, formatter] of DYNAMIC_FORMATTED_FIELDS) {
+    if (params[field] !== undefined && params[field] !== null) {
+      formatted[key] = FORMATTERS[formatter](params[field], context);
+    }
+  }
+
+  return {
+    ...params,
+    ...formatted,
+    subject: subjectFor(name, params, context),
+    locale: context.locale,
+    timeZone: context.timeZone
+  };
+}
+
+module.exports = { render, dynamicTemplateData, resolveLocale, SUPPORTED_LOCALES };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Writes every message to a JSON file instead of sending it. Meant for local
+// development and CI, where there is no mail provider to talk to; messages
+// can be read back through the dev-only /api/dev/outbox endpoints.
+class OutboxTransport {
+  constructor({ dir }) {
+    this.name = 'outbox';
+    this.dir = dir;
+  }
+
+  async send(msg) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const createdAt = new Date().toISOString();
+    // Timestamp prefix keeps the files in the order they were sent
+    const id = `${createdAt.replace(/[-:.]/g, '')}-${uuidv4()}`;
+    const message = { id, createdAt, ...msg };
+
+    fs.writeFileSync(path.join(this.dir, `${id}.json`), JSON.stringify(message, null, 2));
+    return { messageId: id };
+  }
+
+  files() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).sort();
+  }
+
+  // Newest first. `to` narrows the list to one recipient.
+  list({ to, limit = 50 } = {}) {
+    return this.files()
+      .reverse()
+      .map(file => this.read(file))
+      .filter(message => !to || message.to === to)
+      .slice(0, limit);
+  }
+
+  get(id) {
+    // Ids come from the URL; anything that isn't one of ours is not found
+    if (!/^[\w-]+$/.test(id)) return null;
+    const file = `${id}.json`;
+    return this.files().includes(file) ? this.read(file) : null;
+  }
+
+  clear() {
+    const files = this.files();
+    files.forEach(file => fs.unlinkSync(path.join(this.dir, file)));
+    return files.length;
+  }
+
+  read(file) {
+    return JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+  }
+}
+
+module.exports = OutboxTransport;
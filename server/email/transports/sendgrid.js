@@ -0,0 +1,21 @@
+const sgMail = require('@sendgrid/mail');
+
+// Sends through the SendGrid Web API
+class SendGridTransport {
+  constructor({ apiKey }) {
+    if (!apiKey) {
+      throw new Error('SENDGRID_API_KEY is required for the sendgrid email transport');
+    }
+
+    this.name = 'sendgrid';
+    this.client = sgMail;
+    this.client.setApiKey(apiKey);
+  }
+
+  async send(msg) {
+    const [response] = await this.client.send(msg);
+    return { messageId: response && response.headers ? response.headers['x-message-id'] || null : null };
+  }
+}
+
+module.exports = SendGridTransport;
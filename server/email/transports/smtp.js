@@ -0,0 +1,39 @@
+const nodemailer = require('nodemailer');
+
+// Sends through any SMTP server (Postfix, Mailpit, SES SMTP, ...)
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    if (!host) {
+      throw new Error('SMTP_HOST is required for the smtp email transport');
+    }
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(msg) {
+    const info = await this.transporter.sendMail({
+      // Messages use SendGrid's { email, name } sender shape
+      from: { name: msg.from.name, address: msg.from.email },
+      to: msg.to,
+      subject: msg.subject,
+      html: msg.html,
+      text: msg.text,
+      // SendGrid shape too: base64 content with a MIME type
+      attachments: (msg.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        encoding: 'base64',
+        contentType: attachment.type
+      }))
+    });
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
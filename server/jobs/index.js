@@ -0,0 +1,94 @@
+const paymentService = require('../services/paymentService');
+const scheduledPaymentService = require('../services/scheduledPaymentService');
+const fundingService = require('../services/fundingService');
+const emailQueue = require('../services/emailQueueService');
+const webhookService = require('../services/webhookService');
+const { paymentConfig } = require('../config/payments');
+const { emailConfig } = require('../config/email');
+const { webhookConfig } = require('../config/webhooks');
+const { fundingConfig } = require('../config/funding');
+
+// In-process background jobs. Each runs on its own interval; a run is
+// skipped if the previous one is still going.
+const jobs = [
+  {
+    name: 'refund-expired-payments',
+    intervalMs: paymentConfig.pendingPaymentSweepIntervalMs,
+    run: async () => {
+      const refunded = await paymentService.refundExpiredPayments();
+      if (refunded.length > 0) {
+        console.log(`Refunded ${refunded.length} expired pending payment(s)`);
+      }
+    }
+  },
+  {
+    name: 'run-scheduled-payments',
+    intervalMs: paymentConfig.scheduledPaymentPollIntervalMs,
+    run: async () => {
+      const { succeeded, failed } = await scheduledPaymentService.processDue();
+      if (succeeded + failed > 0) {
+        console.log(`Ran ${succeeded + failed} scheduled payment(s), ${failed} failed`);
+      }
+    }
+  },
+  {
+    // Settles deposits and withdrawals the funding rail has finished with
+    name: 'settle-funding-transfers',
+    intervalMs: fundingConfig.pollIntervalMs,
+    run: async () => {
+      const { settled, failed } = await fundingService.processPending();
+      if (settled + failed > 0) {
+        console.log(`Settled ${settled} and failed ${failed} funding transfer(s)`);
+      }
+    }
+  },
+  {
+    // Retries failed emails and picks up anything queued before a restart
+    name: 'deliver-queued-emails',
+    intervalMs: emailConfig.queue.pollIntervalMs,
+    run: async () => {
+      await emailQueue.processDue();
+      emailQueue.purgeSent();
+    }
+  },
+  {
+    // Retries failed webhook deliveries and picks up anything queued before a restart
+    name: 'deliver-webhooks',
+    intervalMs: webhookConfig.pollIntervalMs,
+    run: async () => {
+      await webhookService.processDue();
+      webhookService.purgeDeliveries();
+    }
+  }
+];
+
+const timers = [];
+
+function startJobs() {
+  for (const job of jobs) {
+    let running = false;
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    timer.unref();
+    timers.push(timer);
+    tick();
+  }
+}
+
+function stopJobs() {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+}
+
+module.exports = { startJobs, stopJobs };
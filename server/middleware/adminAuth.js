@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const { AuthError, ForbiddenError } = require('../utils/errors');
+
+// Admin endpoints are authenticated with a shared key in the X-Admin-Key
+// header. They are disabled entirely when ADMIN_API_KEY is not set.
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return next(new ForbiddenError('Admin access is not configured', 'ADMIN_DISABLED'));
+  }
+
+  const providedKey = req.headers['x-admin-key'] || '';
+  const expected = Buffer.from(adminKey);
+  const provided = Buffer.from(providedKey);
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return next(new AuthError('Invalid admin key', 'INVALID_ADMIN_KEY'));
+  }
+
+  next();
+};
+
+module.exports = { requireAdmin };
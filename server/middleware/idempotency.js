@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+// How long a stored response can be replayed
+const IDEMPOTENCY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Successes and invalid requests are final: the same request will always
+// get the same answer. Any other error (insufficient funds, a limit, a
+// conflict, a server error) may go the other way once things change, so
+// the key is released and a retry runs the request again.
+const isFinal = (status) => status < 300 || status === 400;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Honors an optional Idempotency-Key header on authenticated POST routes.
+// The first request with a key runs normally and its response is stored;
+// replays within the window get that response back unchanged (see isFinal
+// for which responses are kept). Reusing a key for a different request, or
+// while the first is still running, is a 409.
+const idempotency = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return next(new ValidationError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, 'INVALID_IDEMPOTENCY_KEY'));
+  }
+
+  const now = new Date();
+  db.idempotencyKeys.deleteExpired(now.toISOString());
+
+  const id = `${req.user.userId}:${key}`;
+  const requestHash = hashRequest(req);
+  const existing = db.idempotencyKeys.findById(id);
+
+  if (existing) {
+    if (existing.requestHash !== requestHash) {
+      return next(new ConflictError('Idempotency-Key was already used for a different request', 'IDEMPOTENCY_KEY_REUSED'));
+    }
+
+    if (existing.state === 'processing') {
+      return next(new ConflictError('A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_KEY_IN_PROGRESS'));
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  db.idempotencyKeys.insert({
+    id,
+    userId: req.user.userId,
+    key,
+    requestHash,
+    state: 'processing',
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS).toISOString()
+  });
+
+  // Capture the response body so it can be replayed
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (!isFinal(res.statusCode)) {
+      db.idempotencyKeys.delete({ id });
+    } else {
+      db.idempotencyKeys.update(id, {
+        state: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: body
+      });
+    }
+    return originalJson(body);
+  };
+
+  // Release the key if the request ends without a response
+  res.on('close', () => {
+    const record = db.idempotencyKeys.findById(id);
+    if (record && record.state === 'processing') {
+      db.idempotencyKeys.delete({ id });
+    }
+  });
+
+  next();
+};
+
+// Whether the request repeats a finished one with the same Idempotency-Key,
+// which idempotency answers with the stored response instead of running it
+const isReplay = (req) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return false;
+
+  const existing = db.idempotencyKeys.findById(`${req.user.userId}:${key}`);
+  return Boolean(existing &&
+    existing.state === 'completed' &&
+    existing.expiresAt > new Date().toISOString() &&
+    existing.requestHash === hashRequest(req));
+};
+
+module.exports = { idempotency, isReplay };
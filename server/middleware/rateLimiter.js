@@ -1,12 +1,14 @@
 const rateLimit = require('express-rate-limit');
+const { RateLimitError } = require('../utils/errors');
+
+// Hand rejections to the error middleware so they share the error format
+const rejectWith = (message) => (req, res, next) => next(new RateLimitError(message));
 
 // General API rate limiter
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
-  },
+  handler: rejectWith('Too many requests from this IP, please try again later.'),
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -15,9 +17,7 @@ const apiLimiter = rateLimit({
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // limit each IP to 5 requests per windowMs
-  message: {
-    error: 'Too many authentication attempts, please try again later.'
-  },
+  handler: rejectWith('Too many authentication attempts, please try again later.'),
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -26,9 +26,7 @@ const authLimiter = rateLimit({
 const emailLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 10, // limit each IP to 10 email requests per hour
-  message: {
-    error: 'Too many email requests, please try again later.'
-  },
+  handler: rejectWith('Too many email requests, please try again later.'),
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -0,0 +1,70 @@
+const db = require('../db');
+const twoFactorService = require('../services/twoFactorService');
+const contactService = require('../services/contactService');
+const { paymentConfig } = require('../config/payments');
+const { isReplay } = require('./idempotency');
+const { parseAmount, formatAmount } = require('../utils/money');
+const { ForbiddenError } = require('../utils/errors');
+
+const stepUpRequired = (userId) => {
+  const user = db.users.findById(userId);
+  return new ForbiddenError(
+    `Payments over ${formatAmount(paymentConfig.stepUpThresholdCents)} need additional verification`,
+    'STEP_UP_REQUIRED',
+    { methods: user && user.totpEnabled ? ['totp', 'email'] : ['email'] }
+  );
+};
+
+// Who the money in a request body goes to, as a step-up token names it:
+// the bank account of a withdrawal, or the email of the recipient named by
+// email or phone number. Throws if the body names no one who can be paid.
+const payeeOf = (body) => body.bankAccountId ||
+  contactService.resolvePayee(body.recipient || body.recipientEmail).email;
+
+// Payments above the configured threshold need a step-up token from
+// POST /auth/step-up in the X-Step-Up-Token header, issued for the same
+// amount and payee. paymentOf(req) gives the payment as
+// { amountCents, payee }, or undefined to leave an invalid or unknown
+// payment for the route to reject. The checked token is left in
+// req.stepUp for the route to redeem (see redeemStepUp).
+const stepUpFor = (paymentOf) => (req, res, next) => {
+  const payment = paymentOf(req);
+  if (!payment || payment.amountCents <= paymentConfig.stepUpThresholdCents) {
+    return next();
+  }
+
+  // Replaying a payment that was already made moves no money, and its
+  // token has been used up
+  if (isReplay(req)) {
+    return next();
+  }
+
+  const token = req.get('X-Step-Up-Token');
+  const approval = token && twoFactorService.checkStepUpToken(token, req.user.sessionId, payment);
+  if (approval) {
+    req.stepUp = approval;
+    return next();
+  }
+
+  next(stepUpRequired(req.user.userId));
+};
+
+// For routes with the amount and payee in the body
+const requireStepUp = stepUpFor((req) => {
+  try {
+    return { amountCents: parseAmount(req.body && req.body.amount), payee: payeeOf(req.body) };
+  } catch (error) {
+    return undefined;
+  }
+});
+
+// Marks the request's step-up token as used. Routes pass it to the service
+// as inTransaction, so the token is used up only by a payment that goes
+// through. Undefined when the request didn't need a token.
+const redeemStepUp = (req) => req.stepUp && (() => {
+  if (!twoFactorService.redeemStepUpToken(req.stepUp)) {
+    throw stepUpRequired(req.user.userId);
+  }
+});
+
+module.exports = { requireStepUp, stepUpFor, redeemStepUp, payeeOf };
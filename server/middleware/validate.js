@@ -0,0 +1,255 @@
+const { parseAmount } = require('../utils/money');
+const { isValidTimeZone } = require('../utils/timeZone');
+const { normalizePhone } = require('../utils/phone');
+const { ValidationError } = require('../utils/errors');
+
+// Declarative request validation. A schema maps each part of the request
+// (body, query, params) to field rules:
+//
+//   validate({
+//     body: {
+//       email: { type: 'string', format: 'email', required: true },
+//       amount: { type: 'amount', required: true },
+//       note: { type: 'string', maxLength: 280 }
+//     }
+//   })
+//
+// String rules with `trim` or `lowercase` rewrite the value in the request
+// before it is checked, so routes see it normalized. Emails use both (see
+// schemas/fields.js), which makes them case-insensitive.
+//
+// Every offending field is reported at once as a ValidationError:
+//
+//   { error: 'Validation failed', code: 'VALIDATION_FAILED',
+//     details: [{ field: 'email', message: '...' }] }
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  email: {
+    pattern: EMAIL,
+    message: 'must be a valid email address'
+  },
+  code: {
+    pattern: /^\d{6}$/,
+    message: 'must be a 6-digit code'
+  },
+  // Formats that can't be a regex have a test function instead
+  // E.164 once spaces, dashes and the like are taken out (see utils/phone.js)
+  phone: {
+    test: (value) => normalizePhone(value) !== null,
+    message: 'must be a phone number in E.164 format, e.g. +15555550100'
+  },
+  // Who a payment or request is for: an email address or a phone number
+  payee: {
+    test: (value) => EMAIL.test(value) || normalizePhone(value) !== null,
+    message: 'must be an email address or a phone number with its country code, e.g. +15555550100'
+  },
+  // ISO 8601 date (2025-01-31) or date-time (2025-01-31T09:00:00Z)
+  date: {
+    test: (value) => /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/.test(value) &&
+      !Number.isNaN(Date.parse(value)) &&
+      // Date.parse rolls 2025-02-30 over into March
+      new Date(`${value.slice(0, 10)}T00:00:00Z`).toISOString().startsWith(value.slice(0, 10)),
+    message: 'must be an ISO 8601 date such as 2025-01-31 or a date-time such as 2025-01-31T09:00:00Z'
+  },
+  // US bank routing (ABA) number: nine digits with a valid checksum
+  routingNumber: {
+    test: (value) => /^\d{9}$/.test(value) &&
+      [3, 7, 1, 3, 7, 1, 3, 7, 1].reduce((sum, weight, index) => sum + weight * Number(value[index]), 0) % 10 === 0,
+    message: 'must be a 9-digit US routing number'
+  },
+  accountNumber: {
+    pattern: /^\d{4,17}$/,
+    message: 'must be 4 to 17 digits'
+  },
+  // A calendar date alone (2025-01-31)
+  day: {
+    test: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+    message: 'must be a date such as 2025-01-31'
+  },
+  timeZone: {
+    test: isValidTimeZone,
+    message: 'must be an IANA time zone such as America/New_York'
+  },
+  // Paging parameters, which arrive as query strings
+  pageLimit: {
+    pattern: /^[1-9]\d{0,5}$/,
+    message: 'must be a whole number of at least 1'
+  },
+  pageOffset: {
+    pattern: /^\d{1,9}$/,
+    message: 'must be a whole number of at least 0'
+  }
+};
+
+const matchesFormat = (value, format) => (format.test ? format.test(value) : format.pattern.test(value));
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+// Check one value against a rule. Returns a list of { field, message }.
+function check(value, rule, field) {
+  // Blank strings count as missing
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    return rule.required ? [{ field, message: 'is required' }] : [];
+  }
+
+  // Valid if any option matches. Otherwise report the errors of the option
+  // with the same type as the value, if there is one.
+  if (rule.anyOf) {
+    const failures = rule.anyOf.map(option => check(value, { ...option, required: true }, field));
+    if (failures.some(errors => errors.length === 0)) {
+      return [];
+    }
+    const sameType = rule.anyOf.findIndex(option => option.type === typeOf(value));
+    return sameType !== -1 ? failures[sameType] : [{ field, message: rule.message || 'has an invalid type' }];
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        return [{ field, message: 'must be a string' }];
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return [{ field, message: `must be at least ${rule.minLength} characters` }];
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return [{ field, message: `must be at most ${rule.maxLength} characters` }];
+      }
+      if (rule.format && !matchesFormat(value, FORMATS[rule.format])) {
+        return [{ field, message: FORMATS[rule.format].message }];
+      }
+      break;
+    }
+
+    case 'amount': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return [{ field, message: 'must be a decimal string such as "50.00"' }];
+      }
+      try {
+        parseAmount(value);
+      } catch (error) {
+        // parseAmount messages start with "Amount ..."
+        return [{ field, message: error.message.replace(/^Amount /, '') }];
+      }
+      break;
+    }
+
+    case 'integer': {
+      if (!Number.isSafeInteger(value)) {
+        return [{ field, message: 'must be a whole number' }];
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return [{ field, message: `must be at least ${rule.min}` }];
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return [{ field, message: `must be at most ${rule.max}` }];
+      }
+      break;
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        return [{ field, message: 'must be true or false' }];
+      }
+      break;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return [{ field, message: 'must be an array' }];
+      }
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return [{ field, message: `must have at least ${rule.minItems} item(s)` }];
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return [{ field, message: `must have at most ${rule.maxItems} items` }];
+      }
+      if (rule.items) {
+        return value.flatMap((item, index) => check(item, { ...rule.items, required: true }, `${field}[${index}]`));
+      }
+      break;
+    }
+
+    case 'object': {
+      if (typeOf(value) !== 'object') {
+        return [{ field, message: 'must be an object' }];
+      }
+      if (rule.properties) {
+        return checkFields(value, rule.properties, `${field}.`);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [{ field, message: `must be one of ${rule.enum.join(', ')}` }];
+  }
+
+  return [];
+}
+
+// Apply the trim and lowercase of a rule to a value, and of nested rules to
+// the items of arrays and the properties of objects. Values of the wrong
+// type are left for check to report.
+function normalize(value, rule) {
+  if (rule.anyOf) {
+    const option = rule.anyOf.find(candidate => candidate.type === typeOf(value));
+    return option ? normalize(value, option) : value;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = rule.trim ? value.trim() : value;
+    return rule.lowercase ? trimmed.toLowerCase() : trimmed;
+  }
+  if (rule.type === 'array' && rule.items && Array.isArray(value)) {
+    return value.map(item => normalize(item, rule.items));
+  }
+  if (rule.type === 'object' && rule.properties && typeOf(value) === 'object') {
+    return normalizeFields(value, rule.properties);
+  }
+  return value;
+}
+
+function normalizeFields(source, fields) {
+  const normalized = { ...source };
+  for (const [name, rule] of Object.entries(fields)) {
+    if (normalized[name] !== undefined) {
+      normalized[name] = normalize(normalized[name], rule);
+    }
+  }
+  return normalized;
+}
+
+function checkFields(source, fields, prefix = '') {
+  return Object.entries(fields).flatMap(([name, rule]) => check(source[name], rule, `${prefix}${name}`));
+}
+
+// Express middleware enforcing a schema of { body, query, params } field rules
+const validate = (schema) => (req, res, next) => {
+  const details = ['params', 'query', 'body'].flatMap(part => {
+    if (!schema[part]) return [];
+
+    if (typeOf(req[part]) !== 'object') {
+      return [{ field: part, message: 'must be a JSON object' }];
+    }
+    req[part] = normalizeFields(req[part], schema[part]);
+    return checkFields(req[part], schema[part]);
+  });
+
+  if (details.length > 0) {
+    return next(new ValidationError('Validation failed', 'VALIDATION_FAILED', details));
+  }
+
+  next();
+};
+
+module.exports = { validate, FORMATS };
@@ -0,0 +1,27 @@
+const MockRail = require('./mock');
+const { fundingConfig } = require('../config/funding');
+
+// Pick the rail that moves money between users' linked bank accounts and
+// their Zelle balance, from FUNDING_RAIL:
+//   mock   simulated bank network for development and tests (default)
+//
+// Every rail has:
+//   linkAccount({ routingNumber, accountNumber, accountType, accountHolderName })
+//     resolving to { token }, the rail's handle for the account; the full
+//     account number is never stored here
+//   sendMicroDeposits(account, amountsCents) resolving to { reference }
+//   submitTransfer(transfer, account) resolving to { reference }.
+//     transfer.direction is 'deposit' (pull from the bank account) or
+//     'withdrawal' (push to it)
+//   transferStatus(transfer, account) resolving to { status, reason }, status
+//     being 'pending', 'settled' or 'failed' (rejected or returned by the bank)
+function createRail({ driver, ...options } = fundingConfig.rail) {
+  switch (driver) {
+    case 'mock':
+      return new MockRail(options.mock);
+    default:
+      throw new Error(`Unsupported FUNDING_RAIL: ${driver}`);
+  }
+}
+
+module.exports = { rail: createRail(), createRail };
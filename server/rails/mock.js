@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { toDecimalString } = require('../utils/money');
+
+// Account numbers ending in this are treated as closed: every transfer to or
+// from them is returned
+const FAILING_ACCOUNT_SUFFIX = '0000';
+
+// Simulated bank rail. Nothing leaves the server: micro-deposits are only
+// logged, and transfers settle once settlementDelayMs has passed since they
+// were submitted, or fail if the account number ends in 0000. It keeps no
+// state of its own, so pending transfers survive a restart.
+class MockRail {
+  constructor({ settlementDelayMs }) {
+    this.name = 'mock';
+    this.settlementDelayMs = settlementDelayMs;
+  }
+
+  async linkAccount() {
+    return { token: 'mock_' + crypto.randomBytes(12).toString('hex') };
+  }
+
+  async sendMicroDeposits(account, amountsCents) {
+    console.log(
+      `Mock rail: micro-deposits of ${amountsCents.map(toDecimalString).join(' and ')} ` +
+      `sent to account ending ${account.accountNumberLast4}`
+    );
+    return { reference: 'MOCK-' + crypto.randomBytes(8).toString('hex').toUpperCase() };
+  }
+
+  async submitTransfer() {
+    return { reference: 'MOCK-' + crypto.randomBytes(8).toString('hex').toUpperCase() };
+  }
+
+  async transferStatus(transfer, account) {
+    if (Date.now() - Date.parse(transfer.submittedAt) < this.settlementDelayMs) {
+      return { status: 'pending', reason: null };
+    }
+    if (account.accountNumberLast4 === FAILING_ACCOUNT_SUFFIX) {
+      return {
+        status: 'failed',
+        reason: transfer.direction === 'deposit' ? 'R01: Insufficient funds' : 'R02: Account closed'
+      };
+    }
+    return { status: 'settled', reason: null };
+  }
+}
+
+module.exports = MockRail;
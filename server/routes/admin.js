@@ -0,0 +1,123 @@
+const express = require('express');
+const db = require('../db');
+const ledgerService = require('../services/ledgerService');
+const emailQueue = require('../services/emailQueueService');
+const limitService = require('../services/limitService');
+const { toDecimalString } = require('../utils/money');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { validate } = require('../middleware/validate');
+const { limit, offset } = require('../schemas/fields');
+const { NotFoundError } = require('../utils/errors');
+
+const EMAIL_JOB_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// A queued email without its body
+const serializeEmailJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  recipient: job.recipient,
+  subject: job.subject,
+  status: job.status,
+  attempts: job.attempts,
+  nextAttemptAt: job.status === 'pending' ? job.nextAttemptAt : null,
+  lastError: job.lastError,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  sentAt: job.sentAt
+});
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Reconcile the ledger against cached balances
+router.get('/ledger/reconcile', (req, res, next) => {
+  try {
+    res.json(ledgerService.reconcile());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Derived balance of a single ledger account
+router.get('/ledger/accounts/:accountId', (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    res.json({ accountId, balance: toDecimalString(ledgerService.getBalance(accountId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Outbound email queue, e.g. ?status=dead for the dead-letter list
+router.get('/emails', validate({ query: { status: { type: 'string', enum: EMAIL_JOB_STATUSES }, limit, offset } }), (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    res.json({
+      counts: emailQueue.stats(),
+      emails: emailQueue.list({ status: req.query.status, limit, offset }).map(serializeEmailJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Requeue every dead-lettered email
+router.post('/emails/replay-dead', (req, res, next) => {
+  try {
+    const replayed = emailQueue.replayAllDead();
+    res.json({ replayed: replayed.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A queued email including the message that will be sent. Messages with a
+// code or reset link only show who they're for and their subject.
+router.get('/emails/:jobId', (req, res, next) => {
+  try {
+    const job = emailQueue.get(req.params.jobId);
+    res.json({ ...serializeEmailJob(job), message: job.containsSecrets ? emailQueue.redact(job.message) : job.message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Requeue one dead-lettered email with a fresh set of attempts
+router.post('/emails/:jobId/replay', (req, res, next) => {
+  try {
+    res.json({ email: serializeEmailJob(emailQueue.replay(req.params.jobId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a user's phone number as confirmed (or, with DELETE, unconfirmed)
+// once support has checked it. Users have no way to do this themselves.
+// Confirmed phones move accounts old enough up to the established transfer
+// limits tier.
+const setPhoneVerified = (verified) => (req, res, next) => {
+  try {
+    const user = db.users.findById(req.params.userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    const updated = db.users.update(user.id, { phoneVerifiedAt: verified ? new Date().toISOString() : null });
+    res.json({
+      userId: updated.id,
+      phone: updated.phone,
+      phoneVerifiedAt: updated.phoneVerifiedAt,
+      tier: limitService.tier(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/users/:userId/phone-verification', setPhoneVerified(true));
+router.delete('/users/:userId/phone-verification', setPhoneVerified(false));
+
+module.exports = router;
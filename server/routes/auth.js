@@ -2,28 +2,78 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
 const emailService = require('../services/emailService');
-const { authLimiter, emailLimiter } = require('../middleware/rateLimiter');
+const paymentService = require('../services/paymentService');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const twoFactorService = require('../services/twoFactorService');
+const { apiLimiter, authLimiter, emailLimiter } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+const { payeeOf } = require('../middleware/stepUp');
+const schemas = require('../schemas/auth');
 const { generateTransactionId } = require('../utils/codeGenerator');
+const { parseAmount, toDecimalString } = require('../utils/money');
+const { normalizePhone } = require('../utils/phone');
+const { resolveLocale, SUPPORTED_LOCALES } = require('../email/renderer');
+const { emailConfig } = require('../config/email');
+const { ValidationError, AuthError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
 
 const router = express.Router();
 
-// In-memory storage (replace with database in production)
-const users = new Map();
-const sessions = new Map();
+// Public view of a user record
+const serializeUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  phoneVerified: Boolean(user.phoneVerifiedAt),
+  balance: toDecimalString(user.balanceCents),
+  twoFactorEnabled: Boolean(user.totpEnabled),
+  locale: resolveLocale(user.locale),
+  timeZone: user.timeZone || emailConfig.defaultTimeZone
+});
+
+// Client details recorded on a session
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ipAddress: req.ip || null
+});
+
+// Start a session after a login, warning the user by email when it's from a
+// device they haven't used before
+const startLoginSession = (user, req) => {
+  const client = clientInfo(req);
+  const newDevice = sessionService.isNewDevice(user.id, client);
+  const tokens = sessionService.createSession(user, client);
+
+  if (newDevice) {
+    emailService.sendNewDeviceLoginAlert(user.email, {
+      name: user.name,
+      ...client,
+      loggedInAt: new Date().toISOString()
+    });
+  }
 
-// Middleware to verify JWT token
+  return tokens;
+};
+
+// Middleware to verify JWT token and that its session hasn't been revoked
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return next(new AuthError('Access token required'));
   }
 
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+    // Login challenges and step-up tokens are signed with the same secret
+    if (err || user.purpose) {
+      return next(new AuthError('Invalid or expired token', 'TOKEN_INVALID'));
+    }
+    if (!sessionService.isActive(user.sessionId)) {
+      return next(new AuthError('Session has been revoked', 'SESSION_REVOKED'));
     }
     req.user = user;
     next();
@@ -31,23 +81,13 @@ const authenticateToken = (req, res, next) => {
 };
 
 // Register endpoint
-router.post('/register', authLimiter, async (req, res) => {
+router.post('/register', authLimiter, validate(schemas.register), async (req, res, next) => {
   try {
-    const { name, email, phone, password } = req.body;
-
-    // Validate input
-    if (!name || !email || !phone || !password) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
+    const { name, email, phone, password, locale, timeZone } = req.body;
 
     // Check if user already exists
-    if (users.has(email)) {
-      return res.status(409).json({ error: 'User already exists' });
-    }
-
-    // Validate password strength
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+    if (db.users.findByEmail(email)) {
+      throw new ConflictError('User already exists', 'USER_EXISTS');
     }
 
     // Hash password
@@ -58,172 +98,441 @@ router.post('/register', authLimiter, async (req, res) => {
       id: uuidv4(),
       name,
       email,
-      phone,
+      // Stored in E.164 so payees can be found by phone number
+      phone: normalizePhone(phone),
       password: hashedPassword,
       verified: false,
-      balance: 0,
+      balanceCents: 0,
+      // Emails go out in the browser's language unless one was picked
+      locale: locale || (req.get('Accept-Language') && req.acceptsLanguages(SUPPORTED_LOCALES)) || null,
+      timeZone: timeZone || null,
       createdAt: new Date().toISOString()
     };
 
-    users.set(email, user);
+    db.users.insert(user);
 
     // Send verification email
-    await emailService.sendVerificationCode(email, name);
+    emailService.sendVerificationCode(email, name);
 
     res.status(201).json({
       message: 'User registered successfully. Please check your email for verification code.',
       userId: user.id
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: error.message || 'Registration failed' });
+    next(error);
   }
 });
 
 // Verify email endpoint
-router.post('/verify-email', authLimiter, async (req, res) => {
+router.post('/verify-email', authLimiter, validate(schemas.verifyEmail), async (req, res, next) => {
   try {
     const { email, code } = req.body;
 
-    if (!email || !code) {
-      return res.status(400).json({ error: 'Email and verification code are required' });
-    }
-
-    const user = users.get(email);
+    const user = db.users.findByEmail(email);
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
     }
 
     // Verify the code
     emailService.verifyCode(email, code);
 
     // Mark user as verified
-    user.verified = true;
-    users.set(email, user);
+    db.users.update(user.id, { verified: true });
+
+    // Credit any payments that were waiting for this address
+    const claimedPayments = await paymentService.claimPendingPayments(user);
 
     // Send welcome email
-    await emailService.sendWelcomeEmail(email, user.name);
+    emailService.sendWelcomeEmail(email, user.name);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session
+    const tokens = sessionService.createSession(user, clientInfo(req));
 
     res.json({
       message: 'Email verified successfully',
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance
-      }
+      ...tokens,
+      user: serializeUser(db.users.findById(user.id)),
+      claimedPayments: claimedPayments.length
     });
   } catch (error) {
-    console.error('Verification error:', error);
-    res.status(400).json({ error: error.message });
+    next(error);
   }
 });
 
 // Resend verification code
-router.post('/resend-verification', emailLimiter, async (req, res) => {
+router.post('/resend-verification', emailLimiter, validate(schemas.resendVerification), async (req, res, next) => {
   try {
     const { email } = req.body;
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
-    const user = users.get(email);
+    const user = db.users.findByEmail(email);
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
     }
 
     if (user.verified) {
-      return res.status(400).json({ error: 'User is already verified' });
+      throw new ConflictError('User is already verified', 'ALREADY_VERIFIED');
     }
 
-    await emailService.sendVerificationCode(email, user.name);
+    emailService.sendVerificationCode(email, user.name);
 
     res.json({ message: 'Verification code sent successfully' });
   } catch (error) {
-    console.error('Resend verification error:', error);
-    res.status(400).json({ error: error.message });
+    next(error);
   }
 });
 
 // Login endpoint
-router.post('/login', authLimiter, async (req, res) => {
+router.post('/login', authLimiter, validate(schemas.login), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-
-    const user = users.get(email);
+    const user = db.users.findByEmail(email);
     if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      throw new AuthError('Invalid credentials', 'INVALID_CREDENTIALS');
     }
 
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      throw new AuthError('Invalid credentials', 'INVALID_CREDENTIALS');
     }
 
     if (!user.verified) {
-      return res.status(403).json({ error: 'Please verify your email before logging in' });
+      throw new ForbiddenError('Please verify your email before logging in', 'EMAIL_NOT_VERIFIED');
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // The password checks out, but the second factor is still to come
+    if (user.totpEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.issueLoginChallenge(user)
+      });
+    }
+
+    // Start a session
+    const tokens = startLoginSession(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance
-      }
+      ...tokens,
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Second login step for users with two-factor authentication. Accepts a
+// code from the authenticator app or a backup code.
+router.post('/login/2fa', authLimiter, validate(schemas.loginTwoFactor), (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const user = twoFactorService.completeLogin(challengeToken, code);
+    const tokens = startLoginSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: serializeUser(db.users.findById(user.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post('/refresh', apiLimiter, validate(schemas.refresh), (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = sessionService.refresh(refreshToken, clientInfo(req));
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out of the current session
+router.post('/logout', authenticateToken, (req, res, next) => {
+  try {
+    sessionService.revoke(req.user.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out of every session, including this one
+router.post('/logout-all', authenticateToken, (req, res, next) => {
+  try {
+    const revoked = sessionService.revokeAll(req.user.userId);
+    res.json({ message: 'Logged out of all sessions', revokedSessions: revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the user's active sessions
+router.get('/sessions', authenticateToken, (req, res, next) => {
+  try {
+    const sessions = sessionService.listActive(req.user.userId).map(session => ({
+      id: session.id,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      current: session.id === req.user.sessionId
+    }));
+
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of the user's sessions
+router.delete('/sessions/:sessionId', authenticateToken, validate(schemas.revokeSession), (req, res, next) => {
+  try {
+    const session = sessionService.listActive(req.user.userId)
+      .find(active => active.id === req.params.sessionId);
+
+    if (!session) {
+      throw new NotFoundError('Session not found', 'SESSION_NOT_FOUND');
+    }
+
+    sessionService.revoke(session.id);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// account exists.
+router.post('/forgot-password', emailLimiter, validate(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    await passwordResetService.requestReset(email);
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a new password with a reset token. Signs the user out everywhere.
+router.post('/reset-password', authLimiter, validate(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    await passwordResetService.resetPassword(token, password);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the password of the signed-in user. Other sessions are revoked.
+router.post('/change-password', authenticateToken, authLimiter, validate(schemas.changePassword), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (newPassword === currentPassword) {
+      throw new ValidationError('New password must be different from the current one', 'PASSWORD_UNCHANGED');
+    }
+
+    const { revokedSessions } = await passwordResetService.changePassword(
+      req.user.userId,
+      req.user.sessionId,
+      currentPassword,
+      newPassword
+    );
+
+    res.json({ message: 'Password changed successfully', revokedSessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Two-factor status of the current user
+router.get('/2fa', authenticateToken, (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+    res.json(twoFactorService.status(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start TOTP enrollment. The otpauth URL is what goes in the QR code.
+router.post('/2fa/setup', authenticateToken, (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+    const { secret, otpauthUrl } = twoFactorService.setup(user);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    next(error);
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/enable', authenticateToken, authLimiter, validate(schemas.twoFactorCode), (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const backupCodes = twoFactorService.enable(db.users.findById(req.user.userId), code);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn two-factor authentication off. Needs the password and a current code.
+router.post('/2fa/disable', authenticateToken, authLimiter, validate(schemas.disableTwoFactor), async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = db.users.findById(req.user.userId);
+    if (!(await bcrypt.compare(password, user.password))) {
+      throw new ForbiddenError('Password is incorrect', 'WRONG_PASSWORD');
+    }
+
+    twoFactorService.disable(user, code);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the backup codes, invalidating the old ones
+router.post('/2fa/backup-codes', authenticateToken, authLimiter, validate(schemas.twoFactorCode), (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const backupCodes = twoFactorService.regenerateBackupCodes(db.users.findById(req.user.userId), code);
+
+    res.json({ message: 'New backup codes generated', backupCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Email a one-time code for stepping up without an authenticator app
+router.post('/step-up/email', authenticateToken, emailLimiter, async (req, res, next) => {
+  try {
+    twoFactorService.sendStepUpCode(db.users.findById(req.user.userId));
+    res.json({ message: 'Security code sent to your email' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm a fresh second factor before a large transfer. The returned token
+// approves that one payment (amount and recipient or bank account) and
+// goes in the X-Step-Up-Token header.
+router.post('/step-up', authenticateToken, authLimiter, validate(schemas.stepUp), (req, res, next) => {
+  try {
+    const { method, code, amount, recipient, bankAccountId } = req.body;
+
+    if (!recipient && !bankAccountId) {
+      throw new ValidationError('Validation failed', 'VALIDATION_FAILED', [{ field: 'recipient', message: 'is required' }]);
+    }
+
+    const { stepUpToken, expiresIn } = twoFactorService.stepUp(
+      db.users.findById(req.user.userId),
+      req.user.sessionId,
+      { method, code, amountCents: parseAmount(amount), payee: payeeOf(req.body) }
+    );
+
+    res.json({ message: 'Verification successful', stepUpToken, expiresIn });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Get user profile
-router.get('/profile', authenticateToken, (req, res) => {
+router.get('/profile', authenticateToken, (req, res, next) => {
   try {
-    const user = users.get(req.user.email);
+    const user = db.users.findByEmail(req.user.email);
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
     }
 
     res.json({
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the name and the language and time zone used for emails
+router.patch('/profile', authenticateToken, validate(schemas.updateProfile), (req, res, next) => {
+  try {
+    const changes = {};
+    for (const field of ['name', 'locale', 'timeZone']) {
+      if (req.body[field]) {
+        changes[field] = req.body[field];
       }
+    }
+
+    const user = Object.keys(changes).length > 0
+      ? db.users.update(req.user.userId, changes)
+      : db.users.findById(req.user.userId);
+
+    res.json({
+      message: 'Profile updated',
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Which optional emails the user gets
+router.get('/profile/notifications', authenticateToken, (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+
+    res.json({
+      preferences: emailService.notificationPreferences(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn optional emails on or off; preferences left out are unchanged
+router.patch('/profile/notifications', authenticateToken, validate(schemas.updateNotificationPreferences), (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: emailService.updateNotificationPreferences(user, req.body)
     });
   } catch (error) {
-    console.error('Profile error:', error);
-    res.status(500).json({ error: 'Failed to get profile' });
+    next(error);
   }
 });
 
-module.exports = { router, authenticateToken, users };
\ No newline at end of file
+module.exports = { router, authenticateToken };
\ No newline at end of file
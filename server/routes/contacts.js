@@ -0,0 +1,96 @@
+const express = require('express');
+const db = require('../db');
+const { authenticateToken } = require('./auth');
+const contactService = require('../services/contactService');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/contacts');
+
+const router = express.Router();
+
+// A saved payee. name is the account holder's name once they've signed up.
+const serializeContact = (contact) => ({
+  id: contact.id,
+  email: contact.email,
+  phone: contact.phone,
+  nickname: contact.nickname,
+  name: contact.name,
+  favorite: Boolean(contact.favorite),
+  createdAt: contact.createdAt,
+  updatedAt: contact.updatedAt
+});
+
+router.use(authenticateToken);
+
+// Favorites first, then by nickname or name
+router.get('/', (req, res, next) => {
+  try {
+    res.json({
+      contacts: contactService.list(req.user.userId).map(serializeContact)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// People the user paid most recently, for quick picking (?limit=, up to 50)
+router.get('/recent', (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const user = db.users.findById(req.user.userId);
+
+    res.json({ recipients: contactService.recentRecipients(user, limit) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a payee by email address or phone number
+router.post('/', apiLimiter, validate(schemas.create), (req, res, next) => {
+  try {
+    const { payee, nickname, favorite } = req.body;
+    const user = db.users.findById(req.user.userId);
+    const contact = contactService.add(user, { payee, nickname, favorite });
+
+    res.status(201).json({
+      message: 'Contact added',
+      contact: serializeContact(contact)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:contactId', validate(schemas.contactAction), (req, res, next) => {
+  try {
+    res.json({ contact: serializeContact(contactService.get(req.user.userId, req.params.contactId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the nickname or favorite flag; a null or empty nickname clears it
+router.patch('/:contactId', apiLimiter, validate(schemas.update), (req, res, next) => {
+  try {
+    const { nickname, favorite } = req.body;
+    const contact = contactService.update(req.user.userId, req.params.contactId, { nickname, favorite });
+
+    res.json({
+      message: 'Contact updated',
+      contact: serializeContact(contact)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:contactId', validate(schemas.contactAction), (req, res, next) => {
+  try {
+    contactService.remove(req.user.userId, req.params.contactId);
+    res.json({ message: 'Contact removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { NotFoundError } = require('../utils/errors');
+
+// Development helpers. Only mounted with ENABLE_DEV_ROUTES=true outside
+// production, and only when emails go to the outbox transport.
+function createDevRouter(transport) {
+  const router = express.Router();
+
+  // Messages written by the outbox transport, newest first
+  router.get('/outbox', (req, res, next) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      const messages = transport.list({ to: req.query.to, limit }).map(message => ({
+        id: message.id,
+        createdAt: message.createdAt,
+        to: message.to,
+        subject: message.subject
+      }));
+
+      res.json({ messages });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/outbox/:messageId', (req, res, next) => {
+    try {
+      const message = transport.get(req.params.messageId);
+      if (!message) {
+        throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
+      }
+
+      res.json(message);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The HTML body as a browser would render it
+  router.get('/outbox/:messageId/html', (req, res, next) => {
+    try {
+      const message = transport.get(req.params.messageId);
+      if (!message) {
+        throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
+      }
+
+      res.type('html').send(message.html || '');
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/outbox', (req, res, next) => {
+    try {
+      res.json({ deleted: transport.clear() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDevRouter };
@@ -0,0 +1,160 @@
+const express = require('express');
+const db = require('../db');
+const { authenticateToken } = require('./auth');
+const fundingService = require('../services/fundingService');
+const { parseAmount, toDecimalString } = require('../utils/money');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+const { requireStepUp, redeemStepUp } = require('../middleware/stepUp');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/funding');
+
+const router = express.Router();
+
+// Only the last four digits of the account number are ever shown
+const serializeBankAccount = (account) => ({
+  id: account.id,
+  accountHolderName: account.accountHolderName,
+  accountType: account.accountType,
+  routingNumber: account.routingNumber,
+  accountNumberLast4: account.accountNumberLast4,
+  nickname: account.nickname,
+  status: account.status,
+  verifiedAt: account.verifiedAt,
+  createdAt: account.createdAt
+});
+
+const serializeTransfer = (transfer) => ({
+  id: transfer.id,
+  bankAccountId: transfer.bankAccountId,
+  direction: transfer.direction,
+  amount: toDecimalString(transfer.amountCents),
+  status: transfer.status,
+  failureReason: transfer.failureReason,
+  submittedAt: transfer.submittedAt,
+  settledAt: transfer.settledAt,
+  failedAt: transfer.failedAt
+});
+
+router.use(authenticateToken);
+
+router.get('/accounts', (req, res, next) => {
+  try {
+    res.json({ bankAccounts: fundingService.listAccounts(req.user.userId).map(serializeBankAccount) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Link a bank account. Two micro-deposits are sent to it; confirm them
+// with /accounts/:bankAccountId/verify before moving money.
+router.post('/accounts', apiLimiter, validate(schemas.linkAccount), async (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+    const account = await fundingService.linkAccount(user, req.body);
+
+    res.status(201).json({
+      message: 'Bank account linked. Confirm the two small deposits we sent to it to finish.',
+      bankAccount: serializeBankAccount(account)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/accounts/:bankAccountId', validate(schemas.bankAccountAction), (req, res, next) => {
+  try {
+    res.json({ bankAccount: serializeBankAccount(fundingService.getAccount(req.user.userId, req.params.bankAccountId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/accounts/:bankAccountId/verify', apiLimiter, validate(schemas.verifyAccount), (req, res, next) => {
+  try {
+    const account = fundingService.verifyAccount(
+      req.user.userId,
+      req.params.bankAccountId,
+      req.body.amounts.map(parseAmount)
+    );
+
+    res.json({
+      message: 'Bank account verified',
+      bankAccount: serializeBankAccount(account)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/accounts/:bankAccountId', validate(schemas.bankAccountAction), (req, res, next) => {
+  try {
+    fundingService.removeAccount(req.user.userId, req.params.bankAccountId);
+    res.json({ message: 'Bank account removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pull money from a verified bank account. The balance goes up once the
+// deposit settles.
+router.post('/deposit', apiLimiter, validate(schemas.deposit), idempotency, async (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+    const transfer = await fundingService.deposit(user, {
+      bankAccountId: req.body.bankAccountId,
+      amountCents: parseAmount(req.body.amount)
+    });
+
+    res.status(202).json({
+      message: 'Deposit started',
+      transfer: serializeTransfer(transfer),
+      balance: toDecimalString(db.users.findById(user.id).balanceCents)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send money to a verified bank account. It leaves the balance right away
+// and comes back if the bank returns it. Large amounts need a step-up token.
+router.post('/withdraw', apiLimiter, validate(schemas.withdraw), requireStepUp, idempotency, async (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+    const transfer = await fundingService.withdraw(user, {
+      bankAccountId: req.body.bankAccountId,
+      amountCents: parseAmount(req.body.amount),
+      inTransaction: redeemStepUp(req)
+    });
+
+    res.status(202).json({
+      message: 'Withdrawal started',
+      transfer: serializeTransfer(transfer),
+      balance: toDecimalString(db.users.findById(user.id).balanceCents)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deposits and withdrawals, newest first (?status=, ?limit= up to 100)
+router.get('/transfers', validate(schemas.listTransfers), (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const transfers = fundingService.listTransfers(req.user.userId, { status: req.query.status, limit });
+
+    res.json({ transfers: transfers.map(serializeTransfer) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/transfers/:transferId', validate(schemas.transferDetails), (req, res, next) => {
+  try {
+    res.json({ transfer: serializeTransfer(fundingService.getTransfer(req.user.userId, req.params.transferId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
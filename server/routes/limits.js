@@ -0,0 +1,61 @@
+const express = require('express');
+const db = require('../db');
+const { authenticateToken } = require('./auth');
+const limitService = require('../services/limitService');
+const { toDecimalString } = require('../utils/money');
+
+const router = express.Router();
+
+// What a user on the new tier still needs for the established one, or null.
+// Users can't verify their phone in the app: support checks the number and
+// an operator marks it verified through the admin API.
+const serializeUpgrade = (usage, now = new Date()) => {
+  if (usage.tier === 'established') return null;
+
+  const requires = [];
+  if (!usage.phoneVerified) requires.push('phoneVerification');
+  if (Date.parse(usage.establishedAt) > now.getTime()) requires.push('accountAge');
+
+  return {
+    tier: 'established',
+    requires,
+    phoneVerification: 'support',
+    message: usage.phoneVerified
+      ? 'Your limits go up once your account is old enough.'
+      : 'To raise your limits, contact support to have your phone number verified. ' +
+        'It can\'t be done in the app yet.'
+  };
+};
+
+// The user's transfer limits tier, and how much of each limit is left
+router.get('/', authenticateToken, (req, res, next) => {
+  try {
+    const usage = limitService.usage(db.users.findById(req.user.userId));
+
+    res.json({
+      tier: usage.tier,
+      phoneVerified: usage.phoneVerified,
+      establishedAt: usage.establishedAt,
+      perTransaction: toDecimalString(usage.perTransactionCents),
+      available: toDecimalString(usage.availableCents),
+      upgrade: serializeUpgrade(usage),
+      windows: Object.fromEntries(Object.entries(usage.windows).map(([name, window]) => [name, {
+        durationHours: window.durationMs / (60 * 60 * 1000),
+        amount: {
+          limit: toDecimalString(window.amountCents),
+          used: toDecimalString(window.usedCents),
+          remaining: toDecimalString(window.remainingCents)
+        },
+        count: {
+          limit: window.count,
+          used: window.usedCount,
+          remaining: window.remainingCount
+        }
+      }]))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
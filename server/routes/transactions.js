@@ -1,229 +1,469 @@
 const express = require('express');
-const { authenticateToken, users } = require('./auth');
+const db = require('../db');
+const { authenticateToken } = require('./auth');
+const paymentService = require('../services/paymentService');
+const moneyRequestService = require('../services/moneyRequestService');
+const splitBillService = require('../services/splitBillService');
+const historyService = require('../services/historyService');
+const statementService = require('../services/statementService');
 const emailService = require('../services/emailService');
-const { generateTransactionId } = require('../utils/codeGenerator');
+const contactService = require('../services/contactService');
+const scheduledPaymentService = require('../services/scheduledPaymentService');
+const { parseAmount, toDecimalString } = require('../utils/money');
 const { apiLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+const { requireStepUp, stepUpFor, redeemStepUp } = require('../middleware/stepUp');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/transactions');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
 
 const router = express.Router();
 
-// In-memory storage for transactions (replace with database in production)
-const transactions = new Map();
-
-// Send money endpoint
-router.post('/send', authenticateToken, apiLimiter, async (req, res) => {
-  try {
-    const { recipientEmail, amount, note } = req.body;
-    const senderEmail = req.user.email;
-
-    // Validate input
-    if (!recipientEmail || !amount) {
-      return res.status(400).json({ error: 'Recipient email and amount are required' });
-    }
-
-    if (amount <= 0) {
-      return res.status(400).json({ error: 'Amount must be greater than 0' });
-    }
+// A money request as seen by one of its two participants
+const serializeRequest = (request, userEmail) => ({
+  id: request.id,
+  direction: request.requesteeEmail === userEmail ? 'incoming' : 'outgoing',
+  requesterEmail: request.requesterEmail,
+  requesterName: request.requesterName,
+  requesteeEmail: request.requesteeEmail,
+  requesteeName: request.requesteeName,
+  amount: toDecimalString(request.amountCents),
+  note: request.note,
+  timestamp: request.timestamp,
+  status: request.status,
+  respondedAt: request.respondedAt || null,
+  transactionId: request.transactionId || null,
+  splitId: request.splitId || null
+});
 
-    // Get sender
-    const sender = users.get(senderEmail);
-    if (!sender) {
-      return res.status(404).json({ error: 'Sender not found' });
-    }
+// Paying a money request for a large amount needs a step-up token for the
+// requester, as sending that much does. Requests the user can't pay are
+// left for the route to reject.
+const requireStepUpToPay = stepUpFor((req) => {
+  const request = db.moneyRequests.findById(req.params.requestId);
+  return request && request.requesteeEmail === req.user.email
+    ? { amountCents: request.amountCents, payee: request.requesterEmail }
+    : undefined;
+});
 
-    // Check balance
-    if (sender.balance < amount) {
-      return res.status(400).json({ error: 'Insufficient funds' });
-    }
+// Email of the payee named in the body by email or phone number (field),
+// or by email alone (emailField, the older form)
+const payeeEmail = (body, field, emailField) => {
+  const payee = body[field] || body[emailField];
+  if (!payee) {
+    throw new ValidationError('Validation failed', 'VALIDATION_FAILED', [{ field, message: 'is required' }]);
+  }
+  return contactService.resolvePayee(payee).email;
+};
 
-    // Get recipient (for name, but allow sending to non-users)
-    const recipient = users.get(recipientEmail);
-    const recipientName = recipient ? recipient.name : recipientEmail.split('@')[0];
+// Send money endpoint. Large amounts need a step-up token first.
+router.post('/send', authenticateToken, apiLimiter, validate(schemas.send), requireStepUp, idempotency, async (req, res, next) => {
+  try {
+    const { amount, note } = req.body;
+    const senderEmail = req.user.email;
+    const recipientEmail = payeeEmail(req.body, 'recipient', 'recipientEmail');
 
-    // Generate transaction ID
-    const transactionId = generateTransactionId();
-    const timestamp = new Date().toISOString();
+    const amountCents = parseAmount(amount);
 
-    // Create transaction record
-    const transaction = {
-      id: transactionId,
+    const { transaction, newBalanceCents } = await paymentService.sendPayment({
       senderEmail,
-      senderName: sender.name,
       recipientEmail,
-      recipientName,
-      amount: parseFloat(amount),
+      amountCents,
       note: note || '',
-      timestamp,
-      status: 'completed'
-    };
-
-    // Update sender balance
-    sender.balance -= parseFloat(amount);
-    users.set(senderEmail, sender);
-
-    // Update recipient balance if they're a user
-    if (recipient) {
-      recipient.balance += parseFloat(amount);
-      users.set(recipientEmail, recipient);
-    }
-
-    // Store transaction
-    transactions.set(transactionId, transaction);
-
-    // Send receipt emails
-    try {
-      // Send receipt to sender
-      await emailService.sendTransactionReceipt(senderEmail, {
-        ...transaction,
-        type: 'sent'
-      });
-
-      // Send receipt to recipient if they're a user
-      if (recipient) {
-        await emailService.sendTransactionReceipt(recipientEmail, {
-          ...transaction,
-          type: 'received'
-        });
-      }
-    } catch (emailError) {
-      console.error('Failed to send receipt emails:', emailError);
-      // Don't fail the transaction if email fails
-    }
+      inTransaction: redeemStepUp(req)
+    });
 
     res.json({
       message: 'Payment sent successfully',
       transaction: {
-        id: transactionId,
+        id: transaction.id,
         recipientEmail,
-        recipientName,
-        amount: parseFloat(amount),
-        note: note || '',
-        timestamp,
-        status: 'completed'
+        recipientName: transaction.recipientName,
+        amount: toDecimalString(amountCents),
+        note: transaction.note,
+        timestamp: transaction.timestamp,
+        status: transaction.status
       },
-      newBalance: sender.balance
+      newBalance: toDecimalString(newBalanceCents)
     });
   } catch (error) {
-    console.error('Send money error:', error);
-    res.status(500).json({ error: 'Failed to send money' });
+    next(error);
   }
 });
 
 // Request money endpoint
-router.post('/request', authenticateToken, apiLimiter, async (req, res) => {
+router.post('/request', authenticateToken, apiLimiter, validate(schemas.request), idempotency, async (req, res, next) => {
   try {
-    const { requesteeEmail, amount, note } = req.body;
+    const { amount, note } = req.body;
     const requesterEmail = req.user.email;
+    const requesteeEmail = payeeEmail(req.body, 'requestee', 'requesteeEmail');
 
-    // Validate input
-    if (!requesteeEmail || !amount) {
-      return res.status(400).json({ error: 'Requestee email and amount are required' });
-    }
-
-    if (amount <= 0) {
-      return res.status(400).json({ error: 'Amount must be greater than 0' });
-    }
+    const amountCents = parseAmount(amount);
 
-    // Get requester
-    const requester = users.get(requesterEmail);
-    if (!requester) {
-      return res.status(404).json({ error: 'Requester not found' });
-    }
-
-    // Generate request ID
-    const requestId = generateTransactionId();
-    const timestamp = new Date().toISOString();
-
-    // Create request record
-    const request = {
-      id: requestId,
+    const request = await moneyRequestService.createRequest({
       requesterEmail,
-      requesterName: requester.name,
       requesteeEmail,
-      amount: parseFloat(amount),
-      note: note || '',
-      timestamp,
-      status: 'pending'
-    };
-
-    // Store request
-    transactions.set(requestId, request);
-
-    // Send request email to requestee
-    try {
-      const requesteeUser = users.get(requesteeEmail);
-      const requesteeName = requesteeUser ? requesteeUser.name : requesteeEmail.split('@')[0];
-      
-      // You would send a money request email here
-      // For now, we'll just log it
-      console.log(`Money request sent to ${requesteeEmail} for $${amount}`);
-    } catch (emailError) {
-      console.error('Failed to send request email:', emailError);
-    }
+      amountCents,
+      note: note || ''
+    });
 
     res.json({
       message: 'Money request sent successfully',
-      request: {
-        id: requestId,
-        requesteeEmail,
-        amount: parseFloat(amount),
-        note: note || '',
-        timestamp,
-        status: 'pending'
-      }
+      request: serializeRequest(request, requesterEmail)
     });
   } catch (error) {
-    console.error('Request money error:', error);
-    res.status(500).json({ error: 'Failed to send money request' });
+    next(error);
   }
 });
 
-// Get transaction history
-router.get('/history', authenticateToken, (req, res) => {
+// List money requests the user sent (outgoing) or received (incoming)
+router.get('/requests', authenticateToken, validate(schemas.listRequests), (req, res, next) => {
   try {
-    const userEmail = req.user.email;
-    const userTransactions = [];
-
-    // Get all transactions for this user
-    for (const [id, transaction] of transactions) {
-      if (transaction.senderEmail === userEmail || transaction.recipientEmail === userEmail) {
-        const isReceived = transaction.recipientEmail === userEmail;
-        userTransactions.push({
-          id: transaction.id,
-          type: isReceived ? 'received' : 'sent',
-          name: isReceived ? transaction.senderName : transaction.recipientName,
-          email: isReceived ? transaction.senderEmail : transaction.recipientEmail,
-          amount: transaction.amount,
-          note: transaction.note,
-          timestamp: transaction.timestamp,
-          status: transaction.status
-        });
+    const { direction = 'all', status } = req.query;
+
+    const requests = db.moneyRequests
+      .findForUser(req.user.email, { direction, status })
+      .map(request => serializeRequest(request, req.user.email));
+
+    res.json({ requests });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pay an incoming money request. Large amounts need a step-up token first.
+router.post('/requests/:requestId/pay', authenticateToken, apiLimiter, validate(schemas.requestAction), requireStepUpToPay, idempotency, async (req, res, next) => {
+  try {
+    const { request, transaction, newBalanceCents } = await moneyRequestService.payRequest(
+      req.params.requestId,
+      req.user.email,
+      { inTransaction: redeemStepUp(req) }
+    );
+
+    res.json({
+      message: 'Request paid successfully',
+      request: serializeRequest(request, req.user.email),
+      transactionId: transaction.id,
+      newBalance: toDecimalString(newBalanceCents)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Decline an incoming money request
+router.post('/requests/:requestId/decline', authenticateToken, apiLimiter, validate(schemas.requestAction), async (req, res, next) => {
+  try {
+    const request = await moneyRequestService.declineRequest(req.params.requestId, req.user.email);
+    res.json({
+      message: 'Request declined',
+      request: serializeRequest(request, req.user.email)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel an outgoing money request
+router.post('/requests/:requestId/cancel', authenticateToken, apiLimiter, validate(schemas.requestAction), async (req, res, next) => {
+  try {
+    const request = await moneyRequestService.cancelRequest(req.params.requestId, req.user.email);
+    res.json({
+      message: 'Request cancelled',
+      request: serializeRequest(request, req.user.email)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A split bill with each participant's share and payment status
+const serializeSplit = (split, requests) => {
+  const { status, collectedCents, outstandingCents, paidCount } = splitBillService.summarize(requests);
+  return {
+    id: split.id,
+    requesterEmail: split.requesterEmail,
+    totalAmount: toDecimalString(split.totalCents),
+    requesterShare: toDecimalString(split.requesterShareCents),
+    splitType: split.splitType,
+    note: split.note,
+    createdAt: split.createdAt,
+    status,
+    collected: toDecimalString(collectedCents),
+    outstanding: toDecimalString(outstandingCents),
+    paidCount,
+    participants: requests.map(request => ({
+      email: request.requesteeEmail,
+      name: request.requesteeName,
+      amount: toDecimalString(request.amountCents),
+      status: request.status,
+      requestId: request.id,
+      respondedAt: request.respondedAt || null
+    }))
+  };
+};
+
+// Split a bill between participants, creating one money request each
+router.post('/split', authenticateToken, apiLimiter, validate(schemas.split), idempotency, async (req, res, next) => {
+  try {
+    const { totalAmount, participants, splitType, includeSelf, requesterShares, note } = req.body;
+
+    const totalCents = parseAmount(totalAmount);
+
+    // Participants named by phone number are paid at their account's email
+    const resolved = participants.map(participant => {
+      if (typeof participant === 'string') {
+        return contactService.resolvePayee(participant).email;
       }
-    }
+      const { phone, ...share } = participant;
+      return share.email || !phone ? share : { ...share, email: contactService.resolvePayee(phone).email };
+    });
+
+    const { split, requests } = await splitBillService.createSplit({
+      requesterEmail: req.user.email,
+      totalCents,
+      participants: resolved,
+      splitType,
+      includeSelf: includeSelf !== false,
+      requesterShares,
+      note: note || ''
+    });
+
+    res.status(201).json({
+      message: 'Split bill requests sent successfully',
+      split: serializeSplit(split, requests)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List bills the user has split
+router.get('/split', authenticateToken, (req, res, next) => {
+  try {
+    const splits = db.splitBills
+      .findByRequester(req.user.email)
+      .map(split => serializeSplit(split, db.moneyRequests.findBySplit(split.id)));
+
+    res.json({ splits });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Group status of one split: who has paid and what is outstanding
+router.get('/split/:splitId', authenticateToken, validate(schemas.splitStatus), (req, res, next) => {
+  try {
+    const { split, requests } = splitBillService.getSplit(req.params.splitId, req.user.email);
+    res.json({ split: serializeSplit(split, requests) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bounds of the history date range as ISO timestamps, end exclusive. A
+// plain date covers the whole day (UTC), so both ends are inclusive.
+const rangeStart = (value) => new Date(value).toISOString();
+const rangeEnd = (value) => {
+  const end = new Date(value);
+  if (value.length === 10) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else {
+    end.setTime(end.getTime() + 1);
+  }
+  return end.toISOString();
+};
+
+// Payments and money requests, newest first, a page at a time. Pass the
+// nextCursor of one page as ?cursor= to get the next.
+router.get('/history', authenticateToken, validate(schemas.history), (req, res, next) => {
+  try {
+    const { type, status, counterparty, minAmount, maxAmount, from, to, q, cursor } = req.query;
+
+    const { items, nextCursor } = historyService.list(req.user.email, {
+      type,
+      status,
+      counterparty,
+      minAmountCents: minAmount ? parseAmount(minAmount) : undefined,
+      maxAmountCents: maxAmount ? parseAmount(maxAmount) : undefined,
+      from: from ? rangeStart(from) : undefined,
+      to: to ? rangeEnd(to) : undefined,
+      search: q
+    }, {
+      cursor,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+    });
+
+    res.json({ transactions: items, nextCursor });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Statement dates from the query or body, the current month to date by
+// default. Date-times are cut to their (UTC) date.
+const statementRange = ({ from, to }) => {
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    from: from ? from.slice(0, 10) : `${today.slice(0, 8)}01`,
+    to: to ? to.slice(0, 10) : today
+  };
+};
+
+// Download a monthly statement as CSV, OFX or PDF
+router.get('/export', authenticateToken, apiLimiter, validate(schemas.exportStatement), async (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+    const statement = statementService.build(user, statementRange(req.query));
+    const file = await statementService.render(statement, req.query.format);
+
+    res.attachment(file.filename);
+    res.type(file.contentType);
+    res.send(file.content);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Email a statement to the user as an attachment
+router.post('/export/email', authenticateToken, apiLimiter, validate(schemas.emailStatement), async (req, res, next) => {
+  try {
+    const user = db.users.findById(req.user.userId);
+    const statement = statementService.build(user, statementRange(req.body));
+    const file = await statementService.render(statement, req.body.format);
+
+    emailService.sendStatement(user.email, {
+      name: user.name,
+      from: statement.from,
+      to: statement.to,
+      openingBalanceCents: statement.openingBalanceCents,
+      closingBalanceCents: statement.closingBalanceCents
+    }, file);
+
+    res.json({
+      message: `Statement emailed to ${user.email}`,
+      filename: file.filename
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const serializeScheduledPayment = (payment) => ({
+  id: payment.id,
+  recipientEmail: payment.recipientEmail,
+  recipientName: payment.recipientName,
+  amount: toDecimalString(payment.amountCents),
+  note: payment.note,
+  frequency: payment.rule.frequency,
+  startDate: payment.rule.startDate,
+  interval: payment.rule.interval,
+  dayOfMonth: payment.rule.dayOfMonth,
+  endDate: payment.rule.endDate,
+  timeZone: payment.timeZone,
+  status: payment.status,
+  nextRunDate: payment.nextRunDate,
+  runCount: payment.runCount,
+  failureCount: payment.failureCount,
+  lastRunAt: payment.lastRunAt,
+  lastStatus: payment.lastStatus,
+  lastError: payment.lastError,
+  lastTransactionId: payment.lastTransactionId,
+  createdAt: payment.createdAt
+});
+
+// Schedule a payment for a later date, once or on a recurring schedule.
+// Large amounts need a step-up token, as when sending now.
+router.post('/scheduled', authenticateToken, apiLimiter, validate(schemas.schedule), requireStepUp, idempotency, (req, res, next) => {
+  try {
+    const { amount, note, frequency, startDate, interval, dayOfMonth, endDate } = req.body;
+    const user = db.users.findById(req.user.userId);
+
+    const payment = scheduledPaymentService.create(user, {
+      recipientEmail: payeeEmail(req.body, 'recipient', 'recipientEmail'),
+      amountCents: parseAmount(amount),
+      note: note || '',
+      frequency,
+      startDate,
+      interval,
+      dayOfMonth,
+      endDate,
+      inTransaction: redeemStepUp(req)
+    });
 
-    // Sort by timestamp (newest first)
-    userTransactions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    res.status(201).json({
+      message: 'Payment scheduled successfully',
+      scheduledPayment: serializeScheduledPayment(payment)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json({ transactions: userTransactions });
+// List the user's scheduled payments, newest first
+router.get('/scheduled', authenticateToken, validate(schemas.listScheduled), (req, res, next) => {
+  try {
+    const payments = scheduledPaymentService.list(req.user.userId, { status: req.query.status });
+    res.json({ scheduledPayments: payments.map(serializeScheduledPayment) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/scheduled/:scheduledId', authenticateToken, validate(schemas.scheduledAction), (req, res, next) => {
+  try {
+    const payment = scheduledPaymentService.get(req.user.userId, req.params.scheduledId);
+    res.json({ scheduledPayment: serializeScheduledPayment(payment) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop a scheduled payment until it is resumed
+router.post('/scheduled/:scheduledId/pause', authenticateToken, apiLimiter, validate(schemas.scheduledAction), (req, res, next) => {
+  try {
+    const payment = scheduledPaymentService.pause(req.user.userId, req.params.scheduledId);
+    res.json({ message: 'Scheduled payment paused', scheduledPayment: serializeScheduledPayment(payment) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restart a paused schedule. Payments that fell due while it was paused
+// are skipped.
+router.post('/scheduled/:scheduledId/resume', authenticateToken, apiLimiter, validate(schemas.scheduledAction), (req, res, next) => {
+  try {
+    const payment = scheduledPaymentService.resume(req.user.userId, req.params.scheduledId);
+    res.json({ message: 'Scheduled payment resumed', scheduledPayment: serializeScheduledPayment(payment) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a scheduled payment for good
+router.post('/scheduled/:scheduledId/cancel', authenticateToken, apiLimiter, validate(schemas.scheduledAction), (req, res, next) => {
+  try {
+    const payment = scheduledPaymentService.cancel(req.user.userId, req.params.scheduledId);
+    res.json({ message: 'Scheduled payment cancelled', scheduledPayment: serializeScheduledPayment(payment) });
   } catch (error) {
-    console.error('Transaction history error:', error);
-    res.status(500).json({ error: 'Failed to get transaction history' });
+    next(error);
   }
 });
 
 // Get transaction details
-router.get('/:transactionId', authenticateToken, (req, res) => {
+router.get('/:transactionId', authenticateToken, validate(schemas.transactionDetails), (req, res, next) => {
   try {
     const { transactionId } = req.params;
     const userEmail = req.user.email;
 
-    const transaction = transactions.get(transactionId);
+    const transaction = db.transactions.findById(transactionId);
     if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+      throw new NotFoundError('Transaction not found', 'TRANSACTION_NOT_FOUND');
     }
 
     // Check if user is involved in this transaction
     if (transaction.senderEmail !== userEmail && transaction.recipientEmail !== userEmail) {
-      return res.status(403).json({ error: 'Access denied' });
+      throw new ForbiddenError('Access denied');
     }
 
     const isReceived = transaction.recipientEmail === userEmail;
@@ -233,15 +473,14 @@ router.get('/:transactionId', authenticateToken, (req, res) => {
         type: isReceived ? 'received' : 'sent',
         name: isReceived ? transaction.senderName : transaction.recipientName,
         email: isReceived ? transaction.senderEmail : transaction.recipientEmail,
-        amount: transaction.amount,
+        amount: toDecimalString(transaction.amountCents),
         note: transaction.note,
         timestamp: transaction.timestamp,
         status: transaction.status
       }
     });
   } catch (error) {
-    console.error('Transaction details error:', error);
-    res.status(500).json({ error: 'Failed to get transaction details' });
+    next(error);
   }
 });
 
@@ -0,0 +1,177 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const webhookService = require('../services/webhookService');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/webhooks');
+
+const { WEBHOOK_EVENTS } = webhookService;
+
+const router = express.Router();
+
+// A webhook endpoint. The secret is only shown when it's created or rotated.
+const serializeWebhook = (webhook, { includeSecret = false } = {}) => ({
+  id: webhook.id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  active: Boolean(webhook.active),
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+  ...(includeSecret ? { secret: webhook.secret } : {})
+});
+
+// A delivery log entry, with the payload only in the detailed view
+const serializeDelivery = (delivery, { includePayload = false } = {}) => ({
+  id: delivery.id,
+  webhookId: delivery.webhookId,
+  eventId: delivery.eventId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  responseStatus: delivery.responseStatus,
+  durationMs: delivery.durationMs,
+  lastError: delivery.lastError,
+  createdAt: delivery.createdAt,
+  updatedAt: delivery.updatedAt,
+  deliveredAt: delivery.deliveredAt,
+  ...(includePayload ? { payload: delivery.payload, responseBody: delivery.responseBody } : {})
+});
+
+router.use(authenticateToken);
+
+// Event types an endpoint can subscribe to
+router.get('/events', (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+router.get('/', (req, res, next) => {
+  try {
+    res.json({
+      webhooks: webhookService.list(req.user.userId).map(webhook => serializeWebhook(webhook))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Register an endpoint; it subscribes to every event unless events is given
+router.post('/', apiLimiter, validate(schemas.create), (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+    const webhook = webhookService.create(req.user.userId, { url, events, description });
+
+    res.status(201).json({
+      message: 'Webhook created. Store the secret now, it won\'t be shown again.',
+      webhook: serializeWebhook(webhook, { includeSecret: true })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:webhookId', validate(schemas.webhookAction), (req, res, next) => {
+  try {
+    res.json({ webhook: serializeWebhook(webhookService.get(req.user.userId, req.params.webhookId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the URL, events or description, or pause the endpoint with active: false
+router.patch('/:webhookId', apiLimiter, validate(schemas.update), (req, res, next) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const webhook = webhookService.update(req.user.userId, req.params.webhookId, { url, events, description, active });
+
+    res.json({
+      message: 'Webhook updated',
+      webhook: serializeWebhook(webhook)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:webhookId', validate(schemas.webhookAction), (req, res, next) => {
+  try {
+    webhookService.remove(req.user.userId, req.params.webhookId);
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:webhookId/rotate-secret', apiLimiter, validate(schemas.webhookAction), (req, res, next) => {
+  try {
+    const webhook = webhookService.rotateSecret(req.user.userId, req.params.webhookId);
+
+    res.json({
+      message: 'Webhook secret rotated',
+      webhook: serializeWebhook(webhook, { includeSecret: true })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a signed ping event now and report how the endpoint answered
+router.post('/:webhookId/ping', apiLimiter, validate(schemas.webhookAction), async (req, res, next) => {
+  try {
+    const delivery = await webhookService.ping(req.user.userId, req.params.webhookId);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Ping delivered' : 'Ping failed',
+      delivery: serializeDelivery(delivery, { includePayload: true })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delivery log, newest first, e.g. ?status=failed
+router.get('/:webhookId/deliveries', validate(schemas.listDeliveries), (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const deliveries = webhookService.listDeliveries(req.user.userId, req.params.webhookId, {
+      status: req.query.status,
+      limit,
+      offset
+    });
+
+    res.json({ deliveries: deliveries.map(delivery => serializeDelivery(delivery)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:webhookId/deliveries/:deliveryId', validate(schemas.deliveryAction), (req, res, next) => {
+  try {
+    const { webhookId, deliveryId } = req.params;
+    const delivery = webhookService.getDelivery(req.user.userId, webhookId, deliveryId);
+
+    res.json({ delivery: serializeDelivery(delivery, { includePayload: true }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Queue a logged event to be sent again
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', apiLimiter, validate(schemas.deliveryAction), (req, res, next) => {
+  try {
+    const { webhookId, deliveryId } = req.params;
+    const delivery = webhookService.redeliver(req.user.userId, webhookId, deliveryId);
+
+    res.json({
+      message: 'Delivery queued',
+      delivery: serializeDelivery(delivery)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
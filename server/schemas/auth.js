@@ -0,0 +1,115 @@
+const { required, email, name, phone, payee, password, token, amount, id, emailCode, authCode, locale, timeZone } = require('./fields');
+
+module.exports = {
+  register: {
+    body: {
+      name: required(name),
+      email: required(email),
+      phone: required(phone),
+      password: required(password),
+      locale,
+      timeZone
+    }
+  },
+
+  verifyEmail: {
+    body: {
+      email: required(email),
+      code: required(emailCode)
+    }
+  },
+
+  resendVerification: {
+    body: {
+      email: required(email)
+    }
+  },
+
+  login: {
+    body: {
+      email: required(email),
+      // Existing passwords are only checked, not re-validated
+      password: required({ type: 'string', maxLength: 128 })
+    }
+  },
+
+  loginTwoFactor: {
+    body: {
+      challengeToken: required(token),
+      code: required(authCode)
+    }
+  },
+
+  refresh: {
+    body: {
+      refreshToken: required(token)
+    }
+  },
+
+  forgotPassword: {
+    body: {
+      email: required(email)
+    }
+  },
+
+  resetPassword: {
+    body: {
+      token: required(token),
+      password: required(password)
+    }
+  },
+
+  changePassword: {
+    body: {
+      currentPassword: required({ type: 'string', maxLength: 128 }),
+      newPassword: required(password)
+    }
+  },
+
+  revokeSession: {
+    params: {
+      sessionId: required({ type: 'string', maxLength: 64 })
+    }
+  },
+
+  twoFactorCode: {
+    body: {
+      code: required(authCode)
+    }
+  },
+
+  disableTwoFactor: {
+    body: {
+      password: required({ type: 'string', maxLength: 128 }),
+      code: required(authCode)
+    }
+  },
+
+  // The payment to approve: its amount, and the recipient (email or phone
+  // number) or, for a withdrawal, the bank account. One of them is required.
+  stepUp: {
+    body: {
+      method: required({ type: 'string', enum: ['totp', 'email'] }),
+      code: required(authCode),
+      amount: required(amount),
+      recipient: payee,
+      bankAccountId: id
+    }
+  },
+
+  updateProfile: {
+    body: {
+      name,
+      locale,
+      timeZone
+    }
+  },
+
+  updateNotificationPreferences: {
+    body: {
+      paymentReceipts: { type: 'boolean' },
+      moneyRequests: { type: 'boolean' },
+      securityAlerts: { type: 'boolean' }
+    }
+  }
+};
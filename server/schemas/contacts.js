@@ -0,0 +1,30 @@
+const { required, payee, id } = require('./fields');
+
+const nickname = { type: 'string', maxLength: 100 };
+const favorite = { type: 'boolean' };
+
+const contactParams = {
+  contactId: required(id)
+};
+
+module.exports = {
+  create: {
+    body: {
+      payee: required(payee),
+      nickname,
+      favorite
+    }
+  },
+
+  update: {
+    params: contactParams,
+    body: {
+      nickname,
+      favorite
+    }
+  },
+
+  contactAction: {
+    params: contactParams
+  }
+};
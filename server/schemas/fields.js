@@ -0,0 +1,52 @@
+const { SUPPORTED_LOCALES } = require('../email/renderer');
+
+// Field rules shared by the route schemas (see middleware/validate.js)
+
+const required = (rule) => ({ ...rule, required: true });
+
+// Emails are trimmed and lowercased before they're checked or used
+const email = { type: 'string', format: 'email', maxLength: 254, trim: true, lowercase: true };
+const name = { type: 'string', maxLength: 100 };
+const phone = { type: 'string', format: 'phone', maxLength: 32 };
+// An email address or a phone number (see contactService.resolvePayee),
+// normalized like email
+const payee = { type: 'string', format: 'payee', maxLength: 254, trim: true, lowercase: true };
+const password = { type: 'string', minLength: 8, maxLength: 128 };
+const amount = { type: 'amount' };
+const note = { type: 'string', maxLength: 280 };
+const token = { type: 'string', maxLength: 512 };
+const id = { type: 'string', maxLength: 64 };
+// Six digits emailed to the user
+const emailCode = { type: 'string', format: 'code' };
+// A TOTP code or a backup code
+const authCode = { type: 'string', maxLength: 20 };
+// Email language, one of the translation catalogs in email/locales
+const locale = { type: 'string', enum: SUPPORTED_LOCALES };
+const timeZone = { type: 'string', format: 'timeZone', maxLength: 64 };
+const date = { type: 'string', format: 'date' };
+// A calendar date without a time, in the user's time zone
+const day = { type: 'string', format: 'day' };
+// How many items a page has and how many to skip, as query strings
+const limit = { type: 'string', format: 'pageLimit' };
+const offset = { type: 'string', format: 'pageOffset' };
+
+module.exports = {
+  required,
+  email,
+  name,
+  phone,
+  payee,
+  password,
+  amount,
+  note,
+  token,
+  id,
+  emailCode,
+  authCode,
+  locale,
+  timeZone,
+  date,
+  day,
+  limit,
+  offset
+};
@@ -0,0 +1,52 @@
+const { required, name, amount, id } = require('./fields');
+const { ACCOUNT_TYPES, TRANSFER_STATUSES } = require('../services/fundingService');
+
+const bankAccountParams = {
+  bankAccountId: required(id)
+};
+
+const transfer = {
+  body: {
+    bankAccountId: required(id),
+    amount: required(amount)
+  }
+};
+
+module.exports = {
+  linkAccount: {
+    body: {
+      accountHolderName: required(name),
+      accountType: required({ type: 'string', enum: ACCOUNT_TYPES }),
+      routingNumber: required({ type: 'string', format: 'routingNumber' }),
+      accountNumber: required({ type: 'string', format: 'accountNumber' }),
+      nickname: { type: 'string', maxLength: 50 }
+    }
+  },
+
+  // The two micro-deposit amounts, in either order
+  verifyAccount: {
+    params: bankAccountParams,
+    body: {
+      amounts: required({ type: 'array', minItems: 2, maxItems: 2, items: amount })
+    }
+  },
+
+  bankAccountAction: {
+    params: bankAccountParams
+  },
+
+  deposit: transfer,
+  withdraw: transfer,
+
+  listTransfers: {
+    query: {
+      status: { type: 'string', enum: TRANSFER_STATUSES }
+    }
+  },
+
+  transferDetails: {
+    params: {
+      transferId: required(id)
+    }
+  }
+};
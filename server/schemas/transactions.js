@@ -0,0 +1,154 @@
+const { required, email, phone, payee, amount, note, id, date, day, limit } = require('./fields');
+const { SPLIT_TYPES, MAX_PARTICIPANTS } = require('../services/splitBillService');
+const { HISTORY_TYPES, HISTORY_STATUSES } = require('../services/historyService');
+const { STATEMENT_FORMATS } = require('../services/statementService');
+const { FREQUENCIES, SCHEDULED_PAYMENT_STATUSES } = require('../services/scheduledPaymentService');
+
+const REQUEST_STATUSES = ['pending', 'paid', 'declined', 'cancelled'];
+
+// An email or phone number, or an object with one of them and the
+// participant's share for the split type
+const splitParticipant = {
+  message: 'must be an email address, a phone number or a participant object',
+  anyOf: [
+    payee,
+    {
+      type: 'object',
+      properties: {
+        email,
+        phone,
+        amount,
+        percentage: amount,
+        shares: { type: 'integer', min: 1 }
+      }
+    }
+  ]
+};
+
+module.exports = {
+  // recipient is an email or phone number; recipientEmail is the older,
+  // email-only way to say the same. One of them is required.
+  send: {
+    body: {
+      recipient: payee,
+      recipientEmail: email,
+      amount: required(amount),
+      note
+    }
+  },
+
+  request: {
+    body: {
+      requestee: payee,
+      requesteeEmail: email,
+      amount: required(amount),
+      note
+    }
+  },
+
+  listRequests: {
+    query: {
+      direction: { type: 'string', enum: ['incoming', 'outgoing', 'all'] },
+      status: { type: 'string', enum: REQUEST_STATUSES }
+    }
+  },
+
+  requestAction: {
+    params: {
+      requestId: required(id)
+    }
+  },
+
+  split: {
+    body: {
+      totalAmount: required(amount),
+      participants: required({
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_PARTICIPANTS,
+        items: splitParticipant
+      }),
+      splitType: { type: 'string', enum: SPLIT_TYPES },
+      includeSelf: { type: 'boolean' },
+      requesterShares: { type: 'integer', min: 1 },
+      note
+    }
+  },
+
+  splitStatus: {
+    params: {
+      splitId: required(id)
+    }
+  },
+
+  history: {
+    query: {
+      type: { type: 'string', enum: HISTORY_TYPES },
+      status: { type: 'string', enum: HISTORY_STATUSES },
+      counterparty: email,
+      minAmount: amount,
+      maxAmount: amount,
+      from: date,
+      to: date,
+      q: { type: 'string', maxLength: 100 },
+      cursor: { type: 'string', maxLength: 200 },
+      limit
+    }
+  },
+
+  exportStatement: {
+    query: {
+      format: required({ type: 'string', enum: STATEMENT_FORMATS }),
+      from: date,
+      to: date
+    }
+  },
+
+  emailStatement: {
+    body: {
+      format: required({ type: 'string', enum: STATEMENT_FORMATS }),
+      from: date,
+      to: date
+    }
+  },
+
+  // Same payee fields as send. dayOfMonth is for monthly payments; it
+  // defaults to the start date's day.
+  schedule: {
+    body: {
+      recipient: payee,
+      recipientEmail: email,
+      amount: required(amount),
+      note,
+      frequency: required({ type: 'string', enum: FREQUENCIES }),
+      startDate: required(day),
+      interval: { type: 'integer', min: 1, max: 12 },
+      dayOfMonth: {
+        message: 'must be a day of the month from 1 to 31 or "last"',
+        anyOf: [
+          { type: 'integer', min: 1, max: 31 },
+          { type: 'string', enum: ['last'] }
+        ]
+      },
+      endDate: day
+    }
+  },
+
+  listScheduled: {
+    query: {
+      status: { type: 'string', enum: SCHEDULED_PAYMENT_STATUSES }
+    }
+  },
+
+  scheduledAction: {
+    params: {
+      scheduledId: required(id)
+    }
+  },
+
+  transactionDetails: {
+    params: {
+      transactionId: required(id)
+    }
+  }
+};
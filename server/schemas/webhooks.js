@@ -0,0 +1,55 @@
+const { required, id, limit, offset } = require('./fields');
+const { WEBHOOK_EVENTS } = require('../services/webhookService');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'succeeded', 'failed'];
+
+// Checked further by webhookService.checkUrl
+const url = { type: 'string', maxLength: 2048 };
+const events = { type: 'array', minItems: 1, maxItems: WEBHOOK_EVENTS.length, items: { type: 'string', enum: WEBHOOK_EVENTS } };
+const description = { type: 'string', maxLength: 200 };
+
+const webhookParams = {
+  webhookId: required(id)
+};
+
+module.exports = {
+  DELIVERY_STATUSES,
+
+  create: {
+    body: {
+      url: required(url),
+      events,
+      description
+    }
+  },
+
+  update: {
+    params: webhookParams,
+    body: {
+      url,
+      events,
+      description,
+      active: { type: 'boolean' }
+    }
+  },
+
+  webhookAction: {
+    params: webhookParams
+  },
+
+  listDeliveries: {
+    params: webhookParams,
+    query: {
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      limit,
+      offset
+    }
+  },
+
+  deliveryAction: {
+    params: {
+      ...webhookParams,
+      deliveryId: required(id)
+    }
+  }
+};
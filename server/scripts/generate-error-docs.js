@@ -0,0 +1,47 @@
+// Regenerates the error code table in docs/API_DOCUMENTATION.md from the
+// error classes in utils/errors.js. Run with `npm run docs:errors`.
+const fs = require('fs');
+const path = require('path');
+const { ERROR_CLASSES } = require('../utils/errors');
+
+const DOCS_PATH = path.join(__dirname, '..', '..', 'docs', 'API_DOCUMENTATION.md');
+const START_MARKER = '<!-- error-codes:start -->';
+const END_MARKER = '<!-- error-codes:end -->';
+
+function renderTable() {
+  const rows = ERROR_CLASSES.flatMap(ErrorClass =>
+    Object.entries(ErrorClass.codes).map(([code, description]) =>
+      `| \`${code}\` | ${ErrorClass.status} | ${ErrorClass.name} | ${description} |`
+    )
+  );
+
+  return [
+    '| Code | Status | Class | Meaning |',
+    '|------|--------|-------|---------|',
+    ...rows
+  ].join('\n');
+}
+
+function main() {
+  const docs = fs.readFileSync(DOCS_PATH, 'utf8');
+  const start = docs.indexOf(START_MARKER);
+  const end = docs.indexOf(END_MARKER);
+
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`Could not find ${START_MARKER} ... ${END_MARKER} in ${DOCS_PATH}`);
+  }
+
+  const updated = docs.slice(0, start + START_MARKER.length)
+    + '\n' + renderTable() + '\n'
+    + docs.slice(end);
+
+  if (updated === docs) {
+    console.log('Error code table is up to date');
+    return;
+  }
+
+  fs.writeFileSync(DOCS_PATH, updated);
+  console.log(`Updated error code table in ${path.relative(process.cwd(), DOCS_PATH)}`);
+}
+
+main();
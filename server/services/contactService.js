@@ -0,0 +1,128 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { normalizePhone } = require('../utils/phone');
+const { sameEmail } = require('../utils/email');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const MAX_CONTACTS = 500;
+const DEFAULT_RECENT_LIMIT = 10;
+// How many of the latest payments recent recipients are drawn from
+const RECENT_SCAN_SIZE = 200;
+
+// Saved payees and payee lookup. Money always moves between email
+// addresses; a phone number is resolved to the email of the one verified
+// account whose confirmed phone it is.
+class ContactService {
+  // Turn a payee (an email address or a phone number) into
+  // { email, phone, user }. user is null for emails nobody has signed up
+  // with yet, who are paid through a pending payment as before.
+  resolvePayee(payee) {
+    const phone = payee.includes('@') ? null : normalizePhone(payee);
+    if (!phone) {
+      return { email: payee, phone: null, user: db.users.findByEmail(payee) };
+    }
+
+    const users = db.users.findVerifiedByPhone(phone);
+    if (users.length === 0) {
+      throw new NotFoundError('No one has confirmed this phone number; pay them by email instead', 'PAYEE_NOT_FOUND');
+    }
+    if (users.length > 1) {
+      throw new ConflictError('More than one account uses this phone number', 'PAYEE_AMBIGUOUS');
+    }
+    return { email: users[0].email, phone, user: users[0] };
+  }
+
+  // The contact with the name of the account behind it, if there is one
+  withName(contact) {
+    const user = db.users.findByEmail(contact.email);
+    return { ...contact, name: user && user.verified ? user.name : null };
+  }
+
+  // Favorites first, then alphabetically by what the user sees
+  list(userId) {
+    const label = (contact) => (contact.nickname || contact.name || contact.email).toLowerCase();
+    return db.contacts.findByUser(userId)
+      .map(contact => this.withName(contact))
+      .sort((a, b) => Number(b.favorite) - Number(a.favorite) || label(a).localeCompare(label(b)));
+  }
+
+  get(userId, contactId) {
+    const contact = db.contacts.findById(contactId);
+    if (!contact || contact.userId !== userId) {
+      throw new NotFoundError('Contact not found', 'CONTACT_NOT_FOUND');
+    }
+    return this.withName(contact);
+  }
+
+  add(user, { payee, nickname, favorite = false }) {
+    const { email, phone } = this.resolvePayee(payee);
+
+    if (sameEmail(email, user.email)) {
+      throw new ValidationError('You cannot add yourself as a contact', 'SELF_CONTACT');
+    }
+    if (db.contacts.findByUserAndEmail(user.id, email)) {
+      throw new ConflictError('This person is already one of your contacts', 'CONTACT_EXISTS');
+    }
+    if (db.contacts.count({ userId: user.id }) >= MAX_CONTACTS) {
+      throw new ConflictError(`You can save at most ${MAX_CONTACTS} contacts`, 'CONTACT_LIMIT_REACHED');
+    }
+
+    const now = new Date().toISOString();
+    return this.withName(db.contacts.insert({
+      id: uuidv4(),
+      userId: user.id,
+      email,
+      phone,
+      nickname: nickname ? nickname.trim() : null,
+      favorite: Boolean(favorite),
+      createdAt: now,
+      updatedAt: now
+    }));
+  }
+
+  // An empty or null nickname clears it
+  update(userId, contactId, { nickname, favorite }) {
+    const contact = this.get(userId, contactId);
+
+    const changes = {};
+    if (nickname !== undefined) changes.nickname = nickname ? nickname.trim() : null;
+    if (favorite !== undefined) changes.favorite = favorite;
+    if (Object.keys(changes).length === 0) return contact;
+
+    changes.updatedAt = new Date().toISOString();
+    return this.withName(db.contacts.update(contact.id, changes));
+  }
+
+  remove(userId, contactId) {
+    const contact = this.get(userId, contactId);
+    db.contacts.delete({ id: contact.id });
+  }
+
+  // People the user has paid lately, most recent first, whether or not
+  // they're saved as contacts
+  recentRecipients(user, limit = DEFAULT_RECENT_LIMIT) {
+    const payments = db.transactions.find(
+      { senderEmail: user.email },
+      { orderBy: [['timestamp', 'desc']], limit: RECENT_SCAN_SIZE }
+    );
+    const contacts = new Map(db.contacts.findByUser(user.id).map(contact => [contact.email, contact]));
+
+    const recipients = new Map();
+    for (const payment of payments) {
+      if (recipients.size >= limit) break;
+      if (recipients.has(payment.recipientEmail)) continue;
+
+      const contact = contacts.get(payment.recipientEmail);
+      recipients.set(payment.recipientEmail, {
+        email: payment.recipientEmail,
+        name: payment.recipientName,
+        lastPaidAt: payment.timestamp,
+        contactId: contact ? contact.id : null
+      });
+    }
+    return [...recipients.values()];
+  }
+}
+
+module.exports = new ContactService();
+module.exports.MAX_CONTACTS = MAX_CONTACTS;
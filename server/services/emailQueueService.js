@@ -0,0 +1,196 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { transport } = require('../email');
+const { emailConfig } = require('../config/email');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+const { queue: queueConfig } = emailConfig;
+
+// A message without its body, for emails whose body holds a secret
+const redact = (message) => ({
+  to: message.to,
+  from: message.from,
+  subject: message.subject,
+  redacted: true
+});
+
+// Durable outbound email queue. Messages are stored in email_jobs and
+// delivered by a worker, so a slow or failing mail provider never holds up
+// an API response. Failed sends are retried with exponential backoff and
+// dead-lettered after emailConfig.queue.maxAttempts; dead messages can be
+// inspected and replayed through the admin API.
+class EmailQueueService {
+  constructor() {
+    this.running = null;
+    this.rerun = false;
+  }
+
+  // Store a fully built message. type names the email (receipt,
+  // verification, ...) for the admin views. The body of a message that
+  // containsSecrets (a code or link that lets someone act as the
+  // recipient) is dropped once it's sent.
+  enqueue(message, { type, containsSecrets = false }) {
+    const now = new Date().toISOString();
+    const job = db.emailJobs.insert({
+      id: uuidv4(),
+      type,
+      recipient: message.to,
+      subject: message.subject,
+      message,
+      containsSecrets,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lockedAt: null,
+      lastError: null,
+      messageId: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null
+    });
+
+    this.wake();
+    return job;
+  }
+
+  // Deliver queued messages right away instead of waiting for the next poll
+  wake() {
+    setImmediate(() => {
+      this.processDue().catch(error => console.error('Email queue run failed:', error));
+    });
+  }
+
+  // Wait before the next attempt after `attempts` failures
+  retryDelayMs(attempts) {
+    return Math.min(queueConfig.retryBaseMs * 2 ** (attempts - 1), queueConfig.retryMaxMs);
+  }
+
+  // Deliver every due message. Concurrent callers share the run in progress;
+  // if messages were queued during it, it goes round again.
+  processDue() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+
+    this.running = (async () => {
+      const summary = { sent: 0, retried: 0, dead: 0 };
+      do {
+        this.rerun = false;
+        let batch;
+        do {
+          const now = new Date();
+          batch = db.emailJobs.findDue(
+            now.toISOString(),
+            new Date(now.getTime() - queueConfig.lockTimeoutMs).toISOString(),
+            queueConfig.batchSize
+          );
+          for (const job of batch) {
+            const status = await this.deliver(job);
+            if (status === 'sent') summary.sent++;
+            else if (status === 'dead') summary.dead++;
+            else summary.retried++;
+          }
+        } while (batch.length === queueConfig.batchSize);
+      } while (this.rerun);
+      return summary;
+    })().finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  // One delivery attempt. Returns the job's new status.
+  async deliver(job) {
+    db.emailJobs.update(job.id, { status: 'sending', lockedAt: new Date().toISOString() });
+
+    try {
+      const { messageId } = await transport.send(job.message);
+      const now = new Date().toISOString();
+      db.emailJobs.update(job.id, {
+        status: 'sent',
+        ...(job.containsSecrets ? { message: redact(job.message) } : {}),
+        attempts: job.attempts + 1,
+        lockedAt: null,
+        lastError: null,
+        messageId: messageId || null,
+        updatedAt: now,
+        sentAt: now
+      });
+      console.log(`Email ${job.type} sent to ${job.recipient}`);
+      return 'sent';
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const now = new Date();
+      const dead = attempts >= queueConfig.maxAttempts;
+
+      db.emailJobs.update(job.id, {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        lockedAt: null,
+        lastError: error.message || String(error),
+        nextAttemptAt: new Date(now.getTime() + (dead ? 0 : this.retryDelayMs(attempts))).toISOString(),
+        updatedAt: now.toISOString()
+      });
+
+      if (dead) {
+        console.error(`Email ${job.type} to ${job.recipient} dead-lettered after ${attempts} attempts:`, error.message);
+      } else {
+        console.warn(`Email ${job.type} to ${job.recipient} failed (attempt ${attempts}), retrying:`, error.message);
+      }
+      return dead ? 'dead' : 'pending';
+    }
+  }
+
+  list({ status, limit = 50, offset = 0 } = {}) {
+    return db.emailJobs.findByStatus(status, { limit, offset });
+  }
+
+  get(id) {
+    const job = db.emailJobs.findById(id);
+    if (!job) {
+      throw new NotFoundError('Email job not found', 'EMAIL_JOB_NOT_FOUND');
+    }
+    return job;
+  }
+
+  // Put a dead-lettered message back in the queue with a fresh set of attempts
+  replay(id) {
+    const job = this.get(id);
+    if (job.status !== 'dead') {
+      throw new ConflictError('Only dead-lettered emails can be replayed', 'EMAIL_JOB_NOT_DEAD');
+    }
+
+    const now = new Date().toISOString();
+    const replayed = db.emailJobs.update(id, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      updatedAt: now
+    });
+
+    this.wake();
+    return replayed;
+  }
+
+  replayAllDead() {
+    return db.emailJobs.find({ status: 'dead' }).map(job => this.replay(job.id));
+  }
+
+  stats() {
+    return ['pending', 'sending', 'sent', 'dead'].reduce((counts, status) => {
+      counts[status] = db.emailJobs.count({ status });
+      return counts;
+    }, {});
+  }
+
+  // Forget delivered messages older than the retention period
+  purgeSent(now = new Date()) {
+    const cutoff = new Date(now.getTime() - queueConfig.sentRetentionDays * 24 * 60 * 60 * 1000);
+    return db.emailJobs.deleteSentBefore(cutoff.toISOString());
+  }
+}
+
+module.exports = new EmailQueueService();
+module.exports.redact = redact;
@@ -1,37 +1,131 @@
-const { sgMail, emailConfig } = require('../config/email');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { emailConfig } = require('../config/email');
+const renderer = require('../email/renderer');
+const { transport } = require('../email');
+const emailQueue = require('./emailQueueService');
 const { generateVerificationCode } = require('../utils/codeGenerator');
+const { ValidationError, RateLimitError } = require('../utils/errors');
 
-class EmailService {
-  constructor() {
-    this.verificationCodes = new Map(); // In production, use Redis or database
-    this.rateLimits = new Map(); // Track email sending rates
-  }
+// Codes are stored hashed, like step-up codes
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const MONEY_REQUEST_EVENTS = ['received', 'paid', 'declined', 'cancelled'];
+
+// Emails a user can turn off, by notification preference. Everything else
+// (verification, password and security codes) is always sent; invitations
+// go to people who don't have an account yet.
+const NOTIFICATION_PREFERENCES = {
+  paymentReceipts: ['receipt', 'refund'],
+  moneyRequests: MONEY_REQUEST_EVENTS.map(event => `request_${event}`),
+  securityAlerts: ['new_device_login']
+};
 
+// Emails with a code or link that lets someone act as the recipient. The
+// queue keeps them only until they're sent.
+const SECRET_EMAIL_TYPES = ['verification', 'password_reset', 'step_up_code'];
+
+// Transactional emails. Templates live in email/templates and are rendered
+// in the recipient's locale and time zone (email/renderer.js); messages
+// are delivered in the background by the email queue.
+
+class EmailService {
   // Rate limiting: max 3 verification emails per hour per email
   checkRateLimit(email, type = 'verification') {
-    const key = `${email}:${type}`;
-    const now = Date.now();
-    const hourAgo = now - (60 * 60 * 1000);
-    
-    if (!this.rateLimits.has(key)) {
-      this.rateLimits.set(key, []);
+    const now = new Date();
+    const hourAgo = new Date(now.getTime() - (60 * 60 * 1000)).toISOString();
+
+    // Attempts older than 1 hour no longer count
+    db.emailSendAttempts.deleteBefore(email, type, hourAgo);
+
+    if (db.emailSendAttempts.countSince(email, type, hourAgo) >= 3) {
+      throw new RateLimitError('Rate limit exceeded. Please wait before requesting another code.', 'EMAIL_RATE_LIMITED');
     }
-    
-    const attempts = this.rateLimits.get(key);
-    // Remove attempts older than 1 hour
-    const recentAttempts = attempts.filter(timestamp => timestamp > hourAgo);
-    this.rateLimits.set(key, recentAttempts);
-    
-    if (recentAttempts.length >= 3) {
-      throw new Error('Rate limit exceeded. Please wait before requesting another code.');
+
+    db.emailSendAttempts.insert({ id: uuidv4(), email, type, createdAt: now.toISOString() });
+  }
+
+  // A user's notification preferences, with every one they haven't set on
+  notificationPreferences(user) {
+    const saved = user.notificationPreferences || {};
+    return Object.fromEntries(Object.keys(NOTIFICATION_PREFERENCES).map(name => [name, saved[name] !== false]));
+  }
+
+  updateNotificationPreferences(user, changes) {
+    const preferences = this.notificationPreferences(user);
+    for (const name of Object.keys(NOTIFICATION_PREFERENCES)) {
+      if (typeof changes[name] === 'boolean') {
+        preferences[name] = changes[name];
+      }
     }
-    
-    // Add current attempt
-    recentAttempts.push(now);
-    this.rateLimits.set(key, recentAttempts);
+
+    db.users.update(user.id, { notificationPreferences: preferences });
+    return preferences;
+  }
+
+  // Whether the recipient wants this type of email. Only users can opt out.
+  wantsEmail(user, type) {
+    if (!user) return true;
+    const preference = Object.keys(NOTIFICATION_PREFERENCES)
+      .find(name => NOTIFICATION_PREFERENCES[name].includes(type));
+    return !preference || this.notificationPreferences(user)[preference];
+  }
+
+  // SendGrid dynamic template ID for a local template, if one is configured
+  // and the emails go through SendGrid
+  dynamicTemplateId(template) {
+    return transport.name === 'sendgrid' ? emailConfig.templates[template] || null : null;
   }
 
-  async sendVerificationCode(email, name) {
+  // Build the email for the recipient and hand it to the outbound queue.
+  // With a dynamic template SendGrid renders it from the template data;
+  // otherwise it's rendered here from email/templates. Attachments use
+  // SendGrid's shape: { content (base64), filename, type, disposition }.
+  // Returns the queued job, or null if the recipient turned this type of
+  // email off.
+  queue(type, email, template, data, { attachments } = {}) {
+    const user = db.users.findByEmail(email);
+    if (!this.wantsEmail(user, type)) {
+      console.log(`Skipped ${type} email to ${email} (turned off in notification preferences)`);
+      return null;
+    }
+
+    // Locale and time zone of the recipient if they have an account
+    const preferences = user ? { locale: user.locale, timeZone: user.timeZone } : {};
+    const templateId = this.dynamicTemplateId(template);
+
+    let msg;
+    if (templateId) {
+      const dynamicTemplateData = renderer.dynamicTemplateData(template, data, preferences);
+      msg = {
+        to: email,
+        from: emailConfig.from,
+        // Ignored by SendGrid in favor of the template's own subject; kept
+        // for the queue and logs
+        subject: dynamicTemplateData.subject,
+        templateId,
+        dynamicTemplateData
+      };
+    } else {
+      const { subject, html, text } = renderer.render(template, data, preferences);
+      msg = {
+        to: email,
+        from: emailConfig.from,
+        subject,
+        html,
+        text
+      };
+    }
+
+    if (attachments) {
+      msg.attachments = attachments;
+    }
+
+    return emailQueue.enqueue(msg, { type, containsSecrets: SECRET_EMAIL_TYPES.includes(type) });
+  }
+
+  sendVerificationCode(email, name) {
     try {
       // Check rate limit
       this.checkRateLimit(email, 'verification');
@@ -40,342 +134,221 @@ class EmailService {
       const code = generateVerificationCode();
       const expiresAt = Date.now() + (10 * 60 * 1000); // 10 minutes
       
-      // Store code with expiration
-      this.verificationCodes.set(email, {
-        code,
-        expiresAt,
-        attempts: 0
+      // Store code with expiration, replacing any earlier one
+      db.transaction(() => {
+        db.verificationCodes.deleteForEmail(email);
+        db.verificationCodes.insert({
+          id: uuidv4(),
+          email,
+          codeHash: hashCode(code),
+          attempts: 0,
+          createdAt: new Date().toISOString(),
+          expiresAt: new Date(expiresAt).toISOString()
+        });
       });
       
-      const msg = {
-        to: email,
-        from: emailConfig.from,
-        subject: 'Verify Your Zelle Account',
-        html: this.getVerificationTemplate(name, code),
-        // If using SendGrid dynamic templates:
-        // templateId: emailConfig.templates.verification,
-        // dynamicTemplateData: {
-        //   name,
-        //   verification_code: code,
-        //   expires_in: '10 minutes'
-        // }
-      };
-      
-      await sgMail.send(msg);
-      console.log(`Verification code sent to ${email}`);
+      const job = this.queue('verification', email, 'verification', { name, code, expiresInMinutes: 10 });
+      console.log(`Verification code queued for ${email}`);
       
-      return { success: true, expiresAt };
+      return { success: true, expiresAt, jobId: job.id };
     } catch (error) {
       console.error('Error sending verification email:', error);
       throw error;
     }
   }
 
-  async sendTransactionReceipt(email, transactionData) {
+  // transactionData.type is 'sent' or 'received'
+  sendTransactionReceipt(email, transactionData) {
     try {
-      const {
-        recipientName,
-        recipientEmail,
-        amount,
-        transactionId,
-        timestamp,
-        note,
-        type // 'sent' or 'received'
-      } = transactionData;
-      
-      const msg = {
-        to: email,
-        from: emailConfig.from,
-        subject: `Zelle ${type === 'sent' ? 'Payment Sent' : 'Payment Received'} - $${amount}`,
-        html: this.getReceiptTemplate(transactionData),
-        // If using SendGrid dynamic templates:
-        // templateId: emailConfig.templates.receipt,
-        // dynamicTemplateData: transactionData
-      };
+      const job = this.queue('receipt', email, 'receipt', { ...transactionData, variant: transactionData.type });
+      if (job) {
+        console.log(`Receipt queued for ${email} for transaction ${transactionData.transactionId}`);
+      }
       
-      await sgMail.send(msg);
-      console.log(`Receipt sent to ${email} for transaction ${transactionId}`);
-      
-      return { success: true };
+      return { success: true, jobId: job ? job.id : null };
     } catch (error) {
       console.error('Error sending receipt email:', error);
       throw error;
     }
   }
 
-  async sendWelcomeEmail(email, name) {
+  sendWelcomeEmail(email, name) {
     try {
-      const msg = {
-        to: email,
-        from: emailConfig.from,
-        subject: 'Welcome to Zelle!',
-        html: this.getWelcomeTemplate(name),
-      };
+      const job = this.queue('welcome', email, 'welcome', { name });
+      console.log(`Welcome email queued for ${email}`);
       
-      await sgMail.send(msg);
-      console.log(`Welcome email sent to ${email}`);
-      
-      return { success: true };
+      return { success: true, jobId: job.id };
     } catch (error) {
       console.error('Error sending welcome email:', error);
       throw error;
     }
   }
 
+  sendPaymentInvitation(email, transactionData) {
+    try {
+      const job = this.queue('invitation', email, 'invitation', {
+        ...transactionData,
+        signupUrl: `${emailConfig.appUrl}/signup?email=${encodeURIComponent(email)}`
+      });
+      console.log(`Payment invitation queued for ${email} for transaction ${transactionData.id}`);
+
+      return { success: true, jobId: job.id };
+    } catch (error) {
+      console.error('Error sending payment invitation email:', error);
+      throw error;
+    }
+  }
+
+  sendPaymentRefundNotice(email, transactionData) {
+    try {
+      const job = this.queue('refund', email, 'refund', transactionData);
+      if (job) {
+        console.log(`Refund notice queued for ${email} for transaction ${transactionData.id}`);
+      }
+
+      return { success: true, jobId: job ? job.id : null };
+    } catch (error) {
+      console.error('Error sending refund email:', error);
+      throw error;
+    }
+  }
+
+  // event is 'received' (to the requestee), 'paid' or 'declined' (to the
+  // requester) or 'cancelled' (to the requestee)
+  sendMoneyRequestNotification(email, event, requestData) {
+    try {
+      if (!MONEY_REQUEST_EVENTS.includes(event)) {
+        throw new Error(`Unknown money request event: ${event}`);
+      }
+
+      const job = this.queue(`request_${event}`, email, 'moneyRequest', { ...requestData, variant: event });
+      if (job) {
+        console.log(`Money request ${event} email queued for ${email} for request ${requestData.id}`);
+      }
+
+      return { success: true, jobId: job ? job.id : null };
+    } catch (error) {
+      console.error('Error sending money request email:', error);
+      throw error;
+    }
+  }
+
+  sendPasswordResetEmail(email, name, token, expiresInMinutes) {
+    try {
+      const resetUrl = `${emailConfig.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+      const job = this.queue('password_reset', email, 'passwordReset', { name, resetUrl, token, expiresInMinutes });
+      console.log(`Password reset email queued for ${email}`);
+
+      return { success: true, jobId: job.id };
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      throw error;
+    }
+  }
+
+  sendPasswordChangedEmail(email, name) {
+    try {
+      const job = this.queue('password_changed', email, 'passwordChanged', { name, changedAt: new Date().toISOString() });
+      console.log(`Password changed email queued for ${email}`);
+
+      return { success: true, jobId: job.id };
+    } catch (error) {
+      console.error('Error sending password changed email:', error);
+      throw error;
+    }
+  }
+
+  sendStepUpCode(email, name, code, expiresInMinutes) {
+    try {
+      const job = this.queue('step_up_code', email, 'stepUpCode', { name, code, expiresInMinutes });
+      console.log(`Step-up code queued for ${email}`);
+
+      return { success: true, jobId: job.id };
+    } catch (error) {
+      console.error('Error sending step-up code email:', error);
+      throw error;
+    }
+  }
+
+  // loginData: { name, userAgent, ipAddress, loggedInAt }
+  sendNewDeviceLoginAlert(email, loginData) {
+    try {
+      const job = this.queue('new_device_login', email, 'newDeviceLogin', loginData);
+      if (job) {
+        console.log(`New device login alert queued for ${email}`);
+      }
+
+      return { success: true, jobId: job ? job.id : null };
+    } catch (error) {
+      console.error('Error sending new device login alert:', error);
+      throw error;
+    }
+  }
+
+  // statementData: { name, from, to, openingBalanceCents, closingBalanceCents };
+  // file: { filename, contentType, content (Buffer) }
+  sendStatement(email, statementData, file) {
+    try {
+      const job = this.queue('statement', email, 'statement', { ...statementData, filename: file.filename }, {
+        attachments: [{
+          content: file.content.toString('base64'),
+          filename: file.filename,
+          type: file.contentType,
+          disposition: 'attachment'
+        }]
+      });
+      console.log(`Statement ${file.filename} queued for ${email}`);
+
+      return { success: true, jobId: job.id };
+    } catch (error) {
+      console.error('Error sending statement email:', error);
+      throw error;
+    }
+  }
+
+  // A scheduled payment that couldn't be made. variant is
+  // 'insufficientFunds', 'limitExceeded' or 'failed'; paymentData: { id, name, recipientName,
+  // recipientEmail, amountCents, scheduledFor, nextRunDate }, nextRunDate
+  // null if no more payments are scheduled
+  sendScheduledPaymentFailed(email, paymentData) {
+    try {
+      const job = this.queue('scheduled_payment_failed', email, 'scheduledPaymentFailed', paymentData);
+      console.log(`Scheduled payment failure email queued for ${email} for ${paymentData.id}`);
+
+      return { success: true, jobId: job.id };
+    } catch (error) {
+      console.error('Error sending scheduled payment failure email:', error);
+      throw error;
+    }
+  }
+
   verifyCode(email, inputCode) {
-    const stored = this.verificationCodes.get(email);
+    const stored = db.verificationCodes.findByEmail(email);
     
     if (!stored) {
-      throw new Error('No verification code found. Please request a new one.');
+      throw new ValidationError('No verification code found. Please request a new one.', 'INVALID_VERIFICATION_CODE');
     }
     
-    if (Date.now() > stored.expiresAt) {
-      this.verificationCodes.delete(email);
-      throw new Error('Verification code has expired. Please request a new one.');
+    if (Date.now() > Date.parse(stored.expiresAt)) {
+      db.verificationCodes.deleteForEmail(email);
+      throw new ValidationError('Verification code has expired. Please request a new one.', 'VERIFICATION_CODE_EXPIRED');
     }
     
     if (stored.attempts >= 3) {
-      this.verificationCodes.delete(email);
-      throw new Error('Too many failed attempts. Please request a new code.');
+      db.verificationCodes.deleteForEmail(email);
+      throw new RateLimitError('Too many failed attempts. Please request a new code.', 'TOO_MANY_ATTEMPTS');
     }
     
-    if (stored.code !== inputCode) {
-      stored.attempts++;
-      throw new Error('Invalid verification code.');
+    if (stored.codeHash !== hashCode(String(inputCode))) {
+      db.verificationCodes.update(stored.id, { attempts: stored.attempts + 1 });
+      throw new ValidationError('Invalid verification code.', 'INVALID_VERIFICATION_CODE');
     }
     
     // Code is valid, remove it
-    this.verificationCodes.delete(email);
+    db.verificationCodes.deleteForEmail(email);
     return true;
   }
-
-  getVerificationTemplate(name, code) {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Verify Your Zelle Account</title>
-        <style>
-            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fb; }
-            .container { max-width: 600px; margin: 0 auto; background-color: white; }
-            .header { background-color: #5c2d91; padding: 30px; text-align: center; }
-            .logo { color: white; font-size: 24px; font-weight: bold; }
-            .content { padding: 40px 30px; }
-            .code-box { background-color: #f8f9fa; border: 2px dashed #5c2d91; border-radius: 12px; padding: 30px; text-align: center; margin: 30px 0; }
-            .code { font-size: 36px; font-weight: bold; color: #5c2d91; letter-spacing: 8px; margin: 10px 0; }
-            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; color: #6c757d; font-size: 14px; }
-            .button { display: inline-block; background-color: #5c2d91; color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 20px 0; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <div class="logo">🏦 Zelle</div>
-            </div>
-            <div class="content">
-                <h1 style="color: #5c2d91; margin-bottom: 20px;">Verify Your Account</h1>
-                <p>Hi ${name},</p>
-                <p>Thank you for signing up with Zelle! To complete your account setup, please enter the verification code below:</p>
-                
-                <div class="code-box">
-                    <p style="margin: 0; color: #6c757d;">Your verification code is:</p>
-                    <div class="code">${code}</div>
-                    <p style="margin: 0; color: #6c757d; font-size: 14px;">This code expires in 10 minutes</p>
-                </div>
-                
-                <p>If you didn't request this verification code, please ignore this email.</p>
-                
-                <p>For your security:</p>
-                <ul>
-                    <li>Never share this code with anyone</li>
-                    <li>Zelle will never ask for this code over the phone</li>
-                    <li>This code expires in 10 minutes</li>
-                </ul>
-            </div>
-            <div class="footer">
-                <p>This email was sent by Zelle. If you have questions, contact our support team.</p>
-                <p>&copy; 2025 Zelle. All rights reserved.</p>
-            </div>
-        </div>
-    </body>
-    </html>
-    `;
-  }
-
-  getReceiptTemplate(data) {
-    const { recipientName, recipientEmail, amount, transactionId, timestamp, note, type, senderName } = data;
-    const isReceived = type === 'received';
-    
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Zelle Transaction Receipt</title>
-        <style>
-            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fb; }
-            .container { max-width: 600px; margin: 0 auto; background-color: white; }
-            .header { background-color: #5c2d91; padding: 30px; text-align: center; }
-            .logo { color: white; font-size: 24px; font-weight: bold; }
-            .content { padding: 40px 30px; }
-            .receipt-box { background-color: #f8f9fa; border-radius: 12px; padding: 30px; margin: 30px 0; }
-            .amount { font-size: 32px; font-weight: bold; color: ${isReceived ? '#28a745' : '#dc3545'}; text-align: center; margin: 20px 0; }
-            .detail-row { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #e9ecef; }
-            .detail-label { font-weight: 600; color: #6c757d; }
-            .detail-value { color: #212529; }
-            .status { background-color: #d4edda; color: #155724; padding: 8px 16px; border-radius: 20px; font-size: 14px; font-weight: 600; display: inline-block; }
-            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; color: #6c757d; font-size: 14px; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <div class="logo">🏦 Zelle</div>
-            </div>
-            <div class="content">
-                <h1 style="color: #5c2d91; margin-bottom: 20px;">
-                    ${isReceived ? '💰 Money Received' : '📤 Payment Sent'}
-                </h1>
-                
-                <div class="receipt-box">
-                    <div class="amount">${isReceived ? '+' : '-'}$${amount}</div>
-                    
-                    <div class="detail-row">
-                        <span class="detail-label">${isReceived ? 'From:' : 'To:'}</span>
-                        <span class="detail-value">${isReceived ? senderName : recipientName}</span>
-                    </div>
-                    
-                    <div class="detail-row">
-                        <span class="detail-label">Email:</span>
-                        <span class="detail-value">${isReceived ? data.senderEmail : recipientEmail}</span>
-                    </div>
-                    
-                    <div class="detail-row">
-                        <span class="detail-label">Transaction ID:</span>
-                        <span class="detail-value">${transactionId}</span>
-                    </div>
-                    
-                    <div class="detail-row">
-                        <span class="detail-label">Date & Time:</span>
-                        <span class="detail-value">${new Date(timestamp).toLocaleString()}</span>
-                    </div>
-                    
-                    ${note ? `
-                    <div class="detail-row">
-                        <span class="detail-label">Note:</span>
-                        <span class="detail-value">${note}</span>
-                    </div>
-                    ` : ''}
-                    
-                    <div class="detail-row">
-                        <span class="detail-label">Status:</span>
-                        <span class="detail-value"><span class="status">✅ Completed</span></span>
-                    </div>
-                </div>
-                
-                <p style="color: #6c757d; font-size: 14px;">
-                    This transaction was processed instantly through Zelle's secure network. 
-                    Keep this receipt for your records.
-                </p>
-                
-                <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; margin: 20px 0;">
-                    <strong>🔒 Security Reminder:</strong> Never share your Zelle login credentials or verification codes with anyone.
-                </div>
-            </div>
-            <div class="footer">
-                <p>Questions about this transaction? Contact Zelle Support.</p>
-                <p>&copy; 2025 Zelle. All rights reserved.</p>
-            </div>
-        </div>
-    </body>
-    </html>
-    `;
-  }
-
-  getWelcomeTemplate(name) {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Welcome to Zelle!</title>
-        <style>
-            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f5f7fb; }
-            .container { max-width: 600px; margin: 0 auto; background-color: white; }
-            .header { background-color: #5c2d91; padding: 30px; text-align: center; }
-            .logo { color: white; font-size: 24px; font-weight: bold; }
-            .content { padding: 40px 30px; }
-            .feature { display: flex; align-items: center; margin: 20px 0; }
-            .feature-icon { font-size: 24px; margin-right: 15px; }
-            .button { display: inline-block; background-color: #5c2d91; color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 20px 0; }
-            .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; color: #6c757d; font-size: 14px; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <div class="logo">🏦 Zelle</div>
-            </div>
-            <div class="content">
-                <h1 style="color: #5c2d91; margin-bottom: 20px;">Welcome to Zelle, ${name}! 🎉</h1>
-                
-                <p>Your account has been successfully verified and you're ready to start sending and receiving money instantly!</p>
-                
-                <h3 style="color: #5c2d91;">What you can do with Zelle:</h3>
-                
-                <div class="feature">
-                    <span class="feature-icon">⚡</span>
-                    <div>
-                        <strong>Send money instantly</strong><br>
-                        <span style="color: #6c757d;">Money arrives in minutes when both parties are enrolled</span>
-                    </div>
-                </div>
-                
-                <div class="feature">
-                    <span class="feature-icon">🔒</span>
-                    <div>
-                        <strong>Bank-level security</strong><br>
-                        <span style="color: #6c757d;">Your money is protected with industry-leading security</span>
-                    </div>
-                </div>
-                
-                <div class="feature">
-                    <span class="feature-icon">📱</span>
-                    <div>
-                        <strong>Easy to use</strong><br>
-                        <span style="color: #6c757d;">Send money with just an email address or phone number</span>
-                    </div>
-                </div>
-                
-                <div class="feature">
-                    <span class="feature-icon">💰</span>
-                    <div>
-                        <strong>No fees</strong><br>
-                        <span style="color: #6c757d;">When you use Zelle with your bank, there are typically no fees</span>
-                    </div>
-                </div>
-                
-                <div style="text-align: center; margin: 30px 0;">
-                    <a href="#" class="button">Start Using Zelle</a>
-                </div>
-                
-                <div style="background-color: #e7f3ff; border: 1px solid #b3d9ff; border-radius: 8px; padding: 15px; margin: 20px 0;">
-                    <strong>💡 Pro Tip:</strong> Add your most-used contacts to make sending money even faster!
-                </div>
-            </div>
-            <div class="footer">
-                <p>Need help? Visit our Help Center or contact support.</p>
-                <p>&copy; 2025 Zelle. All rights reserved.</p>
-            </div>
-        </div>
-    </body>
-    </html>
-    `;
-  }
 }
 
-module.exports = new EmailService();
\ No newline at end of file
+module.exports = new EmailService();
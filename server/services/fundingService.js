@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const ledger = require('./ledgerService');
+const webhookService = require('./webhookService');
+const { rail } = require('../rails');
+const { fundingConfig } = require('../config/funding');
+const { generateTransactionId } = require('../utils/codeGenerator');
+const { formatAmount, toDecimalString } = require('../utils/money');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const ACCOUNT_TYPES = ['checking', 'savings'];
+const TRANSFER_STATUSES = ['pending', 'settled', 'failed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How an account reads on statements: its nickname, or "Checking ending 6789"
+const accountLabel = (account) => account.nickname ||
+  `${account.accountType[0].toUpperCase()}${account.accountType.slice(1)} ending ${account.accountNumberLast4}`;
+
+// The same amounts in any order
+const sameAmounts = (a, b) => {
+  const sorted = (amounts) => [...amounts].sort((x, y) => x - y).join(',');
+  return sorted(a) === sorted(b);
+};
+
+// Moving money between users' balances and their own bank accounts through
+// the funding rail (rails/index.js). A bank account can be used once the
+// user confirms the two small deposits the rail sent to it. Deposits and
+// withdrawals are pending until the rail settles them, which a background
+// job (jobs/index.js) checks for:
+//   - a deposit is credited to the balance when it settles
+//   - a withdrawal leaves the balance at once, so it can't also be spent,
+//     and is put back if the bank rejects or returns it
+class FundingService {
+  constructor() {
+    this.running = null;
+  }
+
+  listAccounts(userId) {
+    return db.bankAccounts.findByUser(userId);
+  }
+
+  getAccount(userId, bankAccountId) {
+    const account = db.bankAccounts.findById(bankAccountId);
+    if (!account || account.userId !== userId || account.status === 'removed') {
+      throw new NotFoundError('Bank account not found', 'BANK_ACCOUNT_NOT_FOUND');
+    }
+    return account;
+  }
+
+  // Link an account and send it two micro-deposits of 1-99 cents
+  async linkAccount(user, { accountHolderName, accountType, routingNumber, accountNumber, nickname }) {
+    const accounts = this.listAccounts(user.id);
+    if (accounts.length >= fundingConfig.maxBankAccounts) {
+      throw new ConflictError(
+        `You can link at most ${fundingConfig.maxBankAccounts} bank accounts`,
+        'BANK_ACCOUNT_LIMIT_REACHED'
+      );
+    }
+
+    const accountNumberLast4 = accountNumber.slice(-4);
+    const linked = accounts.find(account => account.status !== 'failed' &&
+      account.routingNumber === routingNumber && account.accountNumberLast4 === accountNumberLast4);
+    if (linked) {
+      throw new ConflictError('This bank account is already linked', 'BANK_ACCOUNT_EXISTS');
+    }
+
+    const { token } = await rail.linkAccount({ routingNumber, accountNumber, accountType, accountHolderName });
+    const microDepositsCents = [crypto.randomInt(1, 100), crypto.randomInt(1, 100)];
+
+    const now = new Date().toISOString();
+    const account = db.bankAccounts.insert({
+      id: uuidv4(),
+      userId: user.id,
+      accountHolderName: accountHolderName.trim(),
+      accountType,
+      routingNumber,
+      accountNumberLast4,
+      nickname: nickname ? nickname.trim() : null,
+      railToken: token,
+      status: 'pending_verification',
+      microDepositsCents,
+      verificationAttempts: 0,
+      verifiedAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    await rail.sendMicroDeposits(account, microDepositsCents);
+    return account;
+  }
+
+  // Confirm the micro-deposit amounts, in either order. Too many wrong
+  // guesses and the account has to be linked again.
+  verifyAccount(userId, bankAccountId, amountsCents) {
+    const account = this.getAccount(userId, bankAccountId);
+    if (account.status !== 'pending_verification') {
+      throw new ConflictError(`Bank account is ${account.status}`, 'BANK_ACCOUNT_NOT_PENDING');
+    }
+
+    const now = new Date().toISOString();
+    if (sameAmounts(amountsCents, account.microDepositsCents)) {
+      return db.bankAccounts.update(account.id, {
+        status: 'verified',
+        microDepositsCents: null,
+        verifiedAt: now,
+        updatedAt: now
+      });
+    }
+
+    const attempts = account.verificationAttempts + 1;
+    const attemptsLeft = fundingConfig.maxVerificationAttempts - attempts;
+    db.bankAccounts.update(account.id, {
+      verificationAttempts: attempts,
+      ...(attemptsLeft <= 0 ? { status: 'failed', microDepositsCents: null } : {}),
+      updatedAt: now
+    });
+
+    throw new ValidationError(
+      attemptsLeft > 0
+        ? `Those aren't the amounts we sent. ${attemptsLeft} attempt(s) left.`
+        : 'Those aren\'t the amounts we sent. Link the account again to get new deposits.',
+      'INVALID_MICRO_DEPOSITS'
+    );
+  }
+
+  // Transfers already on their way still settle or fail as usual
+  removeAccount(userId, bankAccountId) {
+    const account = this.getAccount(userId, bankAccountId);
+    db.bankAccounts.update(account.id, { status: 'removed', updatedAt: new Date().toISOString() });
+  }
+
+  deposit(user, { bankAccountId, amountCents }) {
+    return this.submit(user, bankAccountId, 'deposit', amountCents);
+  }
+
+  // Throws InsufficientFundsError if the balance doesn't cover it.
+  // inTransaction(record) runs in the database transaction that takes the
+  // money out, before it does; throwing from it cancels the withdrawal.
+  withdraw(user, { bankAccountId, amountCents, inTransaction }) {
+    return this.submit(user, bankAccountId, 'withdrawal', amountCents, inTransaction);
+  }
+
+  // Throw FUNDING_LIMIT_EXCEEDED if moving amountCents now would go over
+  // the cap on each transfer or on the last 24 hours, in this direction
+  checkLimits(user, direction, amountCents, now = new Date()) {
+    const limits = fundingConfig.limits[direction];
+    const noun = direction === 'deposit' ? 'Deposits' : 'Withdrawals';
+
+    if (amountCents > limits.perTransferCents) {
+      throw new ForbiddenError(
+        `${noun} are limited to ${formatAmount(limits.perTransferCents)} each`,
+        'FUNDING_LIMIT_EXCEEDED',
+        { direction, limit: 'perTransfer', allowed: toDecimalString(limits.perTransferCents) }
+      );
+    }
+
+    const usedCents = db.fundingTransfers.sumSince(user.id, direction, new Date(now.getTime() - DAY_MS).toISOString());
+    const remainingCents = Math.max(limits.dailyAmountCents - usedCents, 0);
+    if (amountCents > remainingCents) {
+      throw new ForbiddenError(
+        `${noun} are limited to ${formatAmount(limits.dailyAmountCents)} in 24 hours; ` +
+          `${formatAmount(remainingCents)} is left right now`,
+        'FUNDING_LIMIT_EXCEEDED',
+        {
+          direction,
+          limit: 'dailyAmount',
+          allowed: toDecimalString(limits.dailyAmountCents),
+          remaining: toDecimalString(remainingCents)
+        }
+      );
+    }
+  }
+
+  async submit(user, bankAccountId, direction, amountCents, inTransaction) {
+    const account = this.getAccount(user.id, bankAccountId);
+    if (account.status !== 'verified') {
+      throw new ConflictError('Verify this bank account before moving money with it', 'BANK_ACCOUNT_NOT_VERIFIED');
+    }
+
+    const now = new Date().toISOString();
+    const transfer = db.transaction(() => {
+      this.checkLimits(user, direction, amountCents);
+
+      const record = db.fundingTransfers.insert({
+        id: 'FT-' + generateTransactionId().slice('TX-'.length),
+        userId: user.id,
+        bankAccountId: account.id,
+        direction,
+        amountCents,
+        status: 'pending',
+        railReference: null,
+        failureReason: null,
+        journalId: null,
+        submittedAt: now,
+        settledAt: null,
+        failedAt: null,
+        createdAt: now,
+        updatedAt: now
+      });
+      if (direction === 'deposit') return record;
+
+      if (inTransaction) {
+        inTransaction(record);
+      }
+
+      const journal = ledger.transfer({
+        fromAccount: ledger.userAccount(user.id),
+        toAccount: ledger.ACCOUNTS.WITHDRAWALS_PENDING,
+        amountCents,
+        type: 'withdrawal',
+        reference: record.id,
+        description: `Withdrawal to ${accountLabel(account)}`
+      });
+      return db.fundingTransfers.update(record.id, { journalId: journal.id });
+    });
+
+    try {
+      const { reference } = await rail.submitTransfer(transfer, account);
+      return db.fundingTransfers.update(transfer.id, { railReference: reference, updatedAt: new Date().toISOString() });
+    } catch (error) {
+      this.fail(transfer, 'The transfer could not be submitted to the bank');
+      throw error;
+    }
+  }
+
+  listTransfers(userId, { status, limit, offset } = {}) {
+    return db.fundingTransfers.findByUser(userId, { status, limit, offset });
+  }
+
+  getTransfer(userId, transferId) {
+    const transfer = db.fundingTransfers.findById(transferId);
+    if (!transfer || transfer.userId !== userId) {
+      throw new NotFoundError('Transfer not found', 'FUNDING_TRANSFER_NOT_FOUND');
+    }
+    return transfer;
+  }
+
+  // Ask the rail about every pending transfer and settle or fail the ones
+  // it has an answer for. Concurrent callers share the run in progress.
+  processPending() {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      const summary = { settled: 0, failed: 0, pending: 0 };
+      // Transfers that stay pending keep their place, so skip past them
+      let batch;
+      do {
+        batch = db.fundingTransfers.findPending(fundingConfig.batchSize, summary.pending);
+        for (const transfer of batch) {
+          summary[await this.check(transfer)]++;
+        }
+      } while (batch.length === fundingConfig.batchSize);
+      return summary;
+    })().finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  // The transfer's status after asking the rail about it
+  async check(transfer) {
+    let result;
+    try {
+      result = await rail.transferStatus(transfer, db.bankAccounts.findById(transfer.bankAccountId));
+    } catch (error) {
+      console.error(`Could not check funding transfer ${transfer.id}:`, error);
+      return 'pending';
+    }
+
+    if (result.status === 'settled') return this.settle(transfer);
+    if (result.status === 'failed') return this.fail(transfer, result.reason || 'Rejected by the bank');
+    return 'pending';
+  }
+
+  // Returns the transfer's status, which someone else may have settled or
+  // failed already. The owner's webhooks hear about it once it's committed.
+  settle(transfer) {
+    let settled = null;
+    const status = db.transaction(() => {
+      const current = db.fundingTransfers.findById(transfer.id);
+      if (current.status !== 'pending') return current.status;
+
+      const account = db.bankAccounts.findById(current.bankAccountId);
+      const journal = current.direction === 'deposit'
+        ? ledger.transfer({
+          fromAccount: ledger.ACCOUNTS.EXTERNAL_FUNDING,
+          toAccount: ledger.userAccount(current.userId),
+          amountCents: current.amountCents,
+          type: 'deposit',
+          reference: current.id,
+          description: `Deposit from ${accountLabel(account)}`
+        })
+        : ledger.transfer({
+          fromAccount: ledger.ACCOUNTS.WITHDRAWALS_PENDING,
+          toAccount: ledger.ACCOUNTS.EXTERNAL_FUNDING,
+          amountCents: current.amountCents,
+          type: 'withdrawal_settlement',
+          reference: current.id,
+          description: `Withdrawal to ${accountLabel(account)} settled`
+        });
+
+      const now = new Date().toISOString();
+      settled = db.fundingTransfers.update(current.id, {
+        status: 'settled',
+        // A withdrawal's journal entry stays the one that left the balance
+        ...(current.direction === 'deposit' ? { journalId: journal.id } : {}),
+        settledAt: now,
+        updatedAt: now
+      });
+      return 'settled';
+    });
+
+    if (settled) {
+      webhookService.emitTransfer('transfer.settled', settled);
+    }
+    return status;
+  }
+
+  fail(transfer, reason) {
+    let failed = null;
+    const status = db.transaction(() => {
+      const current = db.fundingTransfers.findById(transfer.id);
+      if (current.status !== 'pending') return current.status;
+
+      if (current.direction === 'withdrawal') {
+        const account = db.bankAccounts.findById(current.bankAccountId);
+        ledger.transfer({
+          fromAccount: ledger.ACCOUNTS.WITHDRAWALS_PENDING,
+          toAccount: ledger.userAccount(current.userId),
+          amountCents: current.amountCents,
+          type: 'withdrawal_return',
+          reference: current.id,
+          description: `Returned withdrawal to ${accountLabel(account)}`
+        });
+      }
+
+      const now = new Date().toISOString();
+      failed = db.fundingTransfers.update(current.id, {
+        status: 'failed',
+        failureReason: reason,
+        failedAt: now,
+        updatedAt: now
+      });
+      return 'failed';
+    });
+
+    if (failed) {
+      webhookService.emitTransfer('transfer.failed', failed);
+    }
+    return status;
+  }
+}
+
+module.exports = new FundingService();
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
+module.exports.TRANSFER_STATUSES = TRANSFER_STATUSES;
@@ -0,0 +1,149 @@
+const db = require('../db');
+const { escapeLike } = require('../db/query');
+const { toDecimalString } = require('../utils/money');
+const { ValidationError } = require('../utils/errors');
+
+const HISTORY_TYPES = ['sent', 'received', 'request'];
+// Payments are pending, completed or refunded; requests pending, paid,
+// declined or cancelled
+const HISTORY_STATUSES = ['pending', 'completed', 'refunded', 'paid', 'declined', 'cancelled'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Newest first; the id breaks ties so the order is total and pages never
+// overlap or skip items
+const ORDER_BY = [['timestamp', 'desc'], ['id', 'desc']];
+
+const compareItems = (a, b) => {
+  if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? 1 : -1;
+  if (a.id !== b.id) return a.id < b.id ? 1 : -1;
+  return 0;
+};
+
+// Cursors are opaque to clients: the sort key of the last item on a page
+const encodeCursor = (item) => Buffer.from(JSON.stringify([item.timestamp, item.id])).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof timestamp === 'string' && typeof id === 'string') {
+      return { timestamp, id };
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new ValidationError('Invalid cursor', 'INVALID_CURSOR');
+}
+
+// Where object for one table: each side the user can be on, with the shared
+// filters, split around the cursor so only items after it match
+function historyWhere(sides, filters, after) {
+  return {
+    $or: sides.flatMap(side => {
+      const where = { ...side, ...filters };
+      if (!after) return [where];
+
+      const range = where.timestamp || {};
+      const before = range.$lt !== undefined && range.$lt < after.timestamp ? range.$lt : after.timestamp;
+      return [
+        { ...where, timestamp: { ...range, $lt: before } },
+        { ...where, timestamp: after.timestamp, id: { $lt: after.id } }
+      ];
+    })
+  };
+}
+
+const transactionItem = (transaction, userEmail) => {
+  const isReceived = transaction.recipientEmail === userEmail;
+  return {
+    id: transaction.id,
+    type: isReceived ? 'received' : 'sent',
+    name: isReceived ? transaction.senderName : transaction.recipientName,
+    email: isReceived ? transaction.senderEmail : transaction.recipientEmail,
+    amount: toDecimalString(transaction.amountCents),
+    note: transaction.note,
+    timestamp: transaction.timestamp,
+    status: transaction.status
+  };
+};
+
+const requestItem = (request, userEmail) => {
+  const isIncoming = request.requesteeEmail === userEmail;
+  return {
+    id: request.id,
+    type: 'request',
+    direction: isIncoming ? 'incoming' : 'outgoing',
+    name: isIncoming ? request.requesterName : request.requesteeName,
+    email: isIncoming ? request.requesterEmail : request.requesteeEmail,
+    amount: toDecimalString(request.amountCents),
+    note: request.note,
+    timestamp: request.timestamp,
+    status: request.status
+  };
+};
+
+// A user's activity feed: payments they sent or received and money requests
+// in either direction, merged into one list with keyset pagination
+class HistoryService {
+  // filters: { type, status, counterparty, minAmountCents, maxAmountCents,
+  // from, to (ISO timestamps, to exclusive), search }
+  // Returns { items, nextCursor }; nextCursor is null on the last page.
+  list(userEmail, filters = {}, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { type, status, counterparty, minAmountCents, maxAmountCents, from, to, search } = filters;
+    const types = type ? [type] : HISTORY_TYPES;
+    const after = cursor ? decodeCursor(cursor) : null;
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+
+    const shared = {};
+    if (status) shared.status = status;
+    if (minAmountCents !== undefined || maxAmountCents !== undefined) {
+      shared.amountCents = {};
+      if (minAmountCents !== undefined) shared.amountCents.$gte = minAmountCents;
+      if (maxAmountCents !== undefined) shared.amountCents.$lte = maxAmountCents;
+    }
+    if (from || to) {
+      shared.timestamp = {};
+      if (from) shared.timestamp.$gte = from;
+      if (to) shared.timestamp.$lt = to;
+    }
+    if (search) shared.note = { $like: `%${escapeLike(search)}%` };
+
+    const side = (userColumn, counterpartyColumn) => ({
+      [userColumn]: userEmail,
+      ...(counterparty ? { [counterpartyColumn]: counterparty } : {})
+    });
+
+    // One extra row per table tells us whether there's another page
+    const options = { orderBy: ORDER_BY, limit: pageSize + 1 };
+    const items = [];
+
+    const paymentSides = [];
+    if (types.includes('sent')) paymentSides.push(side('senderEmail', 'recipientEmail'));
+    if (types.includes('received')) paymentSides.push(side('recipientEmail', 'senderEmail'));
+    if (paymentSides.length > 0) {
+      items.push(...db.transactions
+        .find(historyWhere(paymentSides, shared, after), options)
+        .map(transaction => transactionItem(transaction, userEmail)));
+    }
+
+    if (types.includes('request')) {
+      const requestSides = [side('requesterEmail', 'requesteeEmail'), side('requesteeEmail', 'requesterEmail')];
+      items.push(...db.moneyRequests
+        .find(historyWhere(requestSides, shared, after), options)
+        .map(request => requestItem(request, userEmail)));
+    }
+
+    items.sort(compareItems);
+    const page = items.slice(0, pageSize);
+
+    return {
+      items: page,
+      nextCursor: items.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+    };
+  }
+}
+
+module.exports = new HistoryService();
+module.exports.HISTORY_TYPES = HISTORY_TYPES;
+module.exports.HISTORY_STATUSES = HISTORY_STATUSES;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
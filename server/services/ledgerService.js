@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { toDecimalString } = require('../utils/money');
+const { InsufficientFundsError } = require('../utils/errors');
+
+// System accounts. User accounts are `user:<userId>`.
+const ACCOUNTS = {
+  // Money entering or leaving the system from outside (bank deposits, opening balances)
+  EXTERNAL_FUNDING: 'external:funding',
+  // Payments made to non-users before escrow existed; no longer written to
+  EXTERNAL_UNCLAIMED: 'external:unclaimed',
+  // Payments held for recipients who have not registered and verified yet
+  ESCROW_PENDING: 'escrow:pending',
+  // Withdrawals taken from users' balances that the bank hasn't settled yet
+  WITHDRAWALS_PENDING: 'clearing:withdrawals'
+};
+
+class LedgerService {
+  constructor() {
+    this.ACCOUNTS = ACCOUNTS;
+  }
+
+  userAccount(userId) {
+    return `user:${userId}`;
+  }
+
+  // Write a balanced journal entry. Each posting is { accountId, direction, amountCents }
+  // where direction is 'debit' or 'credit'. A credit increases an account's balance.
+  // Cached user balances are updated in the same database transaction, and a
+  // user account may never go below zero.
+  postJournal({ type, reference = null, description = '', postings }) {
+    if (!postings || postings.length < 2) {
+      throw new Error('A journal entry needs at least two postings');
+    }
+
+    let debits = 0;
+    let credits = 0;
+    for (const { direction, amountCents } of postings) {
+      if (!Number.isSafeInteger(amountCents) || amountCents <= 0) {
+        throw new Error('Posting amounts must be positive whole cents');
+      }
+      if (direction === 'debit') debits += amountCents;
+      else if (direction === 'credit') credits += amountCents;
+      else throw new Error(`Invalid posting direction: ${direction}`);
+    }
+
+    if (debits !== credits) {
+      throw new Error('Journal entry is not balanced');
+    }
+
+    const createdAt = new Date().toISOString();
+    const journal = {
+      id: 'JE-' + crypto.randomBytes(8).toString('hex').toUpperCase(),
+      type,
+      reference,
+      description,
+      createdAt
+    };
+
+    return db.transaction(() => {
+      db.journalEntries.insert(journal);
+
+      postings.forEach(({ accountId, direction, amountCents }, index) => {
+        db.ledgerPostings.insert({
+          id: `${journal.id}-${index + 1}`,
+          journalId: journal.id,
+          accountId,
+          direction,
+          amountCents,
+          createdAt
+        });
+
+        if (accountId.startsWith('user:')) {
+          const user = db.users.findById(accountId.slice('user:'.length));
+          if (!user) {
+            throw new Error(`Ledger account ${accountId} has no user`);
+          }
+          const change = direction === 'credit' ? amountCents : -amountCents;
+          if (user.balanceCents + change < 0) {
+            throw new InsufficientFundsError('Insufficient funds');
+          }
+          db.users.update(user.id, { balanceCents: user.balanceCents + change });
+        }
+      });
+
+      return journal;
+    });
+  }
+
+  // Move money from one account to another
+  transfer({ fromAccount, toAccount, amountCents, type = 'transfer', reference, description }) {
+    return this.postJournal({
+      type,
+      reference,
+      description,
+      postings: [
+        { accountId: fromAccount, direction: 'debit', amountCents },
+        { accountId: toAccount, direction: 'credit', amountCents }
+      ]
+    });
+  }
+
+  // Balance in cents derived from the journal: credits minus debits. With
+  // `before`, the balance just before that time.
+  getBalance(accountId, { before } = {}) {
+    const where = before ? { accountId, createdAt: { $lt: before } } : { accountId };
+    const credits = db.ledgerPostings.sum('amountCents', { ...where, direction: 'credit' });
+    const debits = db.ledgerPostings.sum('amountCents', { ...where, direction: 'debit' });
+    return credits - debits;
+  }
+
+  // Prove the books balance: every journal entry nets to zero, the balances
+  // of all accounts sum to zero, user funds are matched by external funding,
+  // and every cached user balance agrees with the journal.
+  reconcile() {
+    const balances = new Map();
+    const journalTotals = new Map();
+
+    for (const posting of db.ledgerPostings.find()) {
+      const signed = posting.direction === 'credit' ? posting.amountCents : -posting.amountCents;
+      balances.set(posting.accountId, (balances.get(posting.accountId) || 0) + signed);
+      journalTotals.set(posting.journalId, (journalTotals.get(posting.journalId) || 0) + signed);
+    }
+
+    const unbalancedJournals = [...journalTotals]
+      .filter(([, total]) => total !== 0)
+      .map(([journalId, total]) => ({ journalId, difference: toDecimalString(total) }));
+
+    let userTotal = 0;
+    let systemTotal = 0;
+    for (const [accountId, balance] of balances) {
+      if (accountId.startsWith('user:')) userTotal += balance;
+      else systemTotal += balance;
+    }
+
+    const mismatchedBalances = db.users.find()
+      .map(user => ({
+        userId: user.id,
+        email: user.email,
+        cached: user.balanceCents,
+        derived: balances.get(this.userAccount(user.id)) || 0
+      }))
+      .filter(({ cached, derived }) => cached !== derived)
+      .map(mismatch => ({
+        ...mismatch,
+        cached: toDecimalString(mismatch.cached),
+        derived: toDecimalString(mismatch.derived)
+      }));
+
+    const externalFunding = -(balances.get(ACCOUNTS.EXTERNAL_FUNDING) || 0);
+
+    return {
+      balanced: unbalancedJournals.length === 0 &&
+        userTotal + systemTotal === 0 &&
+        mismatchedBalances.length === 0,
+      totals: {
+        users: toDecimalString(userTotal),
+        system: toDecimalString(systemTotal),
+        externalFunding: toDecimalString(externalFunding)
+      },
+      accounts: Object.fromEntries(
+        [...balances].map(([accountId, balance]) => [accountId, toDecimalString(balance)])
+      ),
+      unbalancedJournals,
+      mismatchedBalances,
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.InsufficientFundsError = InsufficientFundsError;
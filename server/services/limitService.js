@@ -0,0 +1,131 @@
+const db = require('../db');
+const { limitsConfig } = require('../config/limits');
+const { formatAmount, toDecimalString } = require('../utils/money');
+const { ForbiddenError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling windows payments are counted over, ending now
+const WINDOWS = {
+  daily: { durationMs: DAY_MS, label: '24 hours' },
+  monthly: { durationMs: 30 * DAY_MS, label: '30 days' }
+};
+
+// When enough of the window's payments (oldest first) will have aged out
+// for enough(freedCents, freedCount) to hold, or null if they never will
+function availableAt(payments, durationMs, enough) {
+  let freedCents = 0;
+  let freedCount = 0;
+  for (const payment of payments) {
+    freedCents += payment.amountCents;
+    freedCount++;
+    if (enough(freedCents, freedCount)) {
+      return new Date(Date.parse(payment.timestamp) + durationMs).toISOString();
+    }
+  }
+  return null;
+}
+
+// Per-user limits on the payments a user sends: a cap on each payment and on
+// the amount and number of payments over the last 24 hours and 30 days.
+// Every payment counts, however it was sent (directly, paying a request or
+// on a schedule), including payments later refunded. The limits depend on
+// the user's tier, set in config/limits.js:
+//   new          phone not verified yet, or the account is less than
+//                establishedAfterDays old
+//   established  everyone else
+class LimitService {
+  tier(user, now = new Date()) {
+    const establishedAt = Date.parse(user.createdAt) + limitsConfig.establishedAfterDays * DAY_MS;
+    return user.phoneVerifiedAt && establishedAt <= now.getTime() ? 'established' : 'new';
+  }
+
+  // The user's tier and limits, with what is used and left of each window
+  usage(user, now = new Date()) {
+    const tier = this.tier(user, now);
+    const limits = limitsConfig.tiers[tier];
+
+    const windows = {};
+    for (const [name, { durationMs, label }] of Object.entries(WINDOWS)) {
+      const payments = db.transactions.find(
+        { senderEmail: user.email, timestamp: { $gt: new Date(now.getTime() - durationMs).toISOString() } },
+        { orderBy: [['timestamp', 'asc']] }
+      );
+      const usedCents = payments.reduce((sum, payment) => sum + payment.amountCents, 0);
+
+      windows[name] = {
+        label,
+        durationMs,
+        payments,
+        amountCents: limits[name].amountCents,
+        usedCents,
+        remainingCents: Math.max(limits[name].amountCents - usedCents, 0),
+        count: limits[name].count,
+        usedCount: payments.length,
+        remainingCount: Math.max(limits[name].count - payments.length, 0)
+      };
+    }
+
+    // The most a single payment could be right now
+    const availableCents = Object.values(windows).some(window => window.remainingCount === 0)
+      ? 0
+      : Math.min(limits.perTransactionCents, ...Object.values(windows).map(window => window.remainingCents));
+
+    return {
+      tier,
+      phoneVerified: Boolean(user.phoneVerifiedAt),
+      establishedAt: new Date(Date.parse(user.createdAt) + limitsConfig.establishedAfterDays * DAY_MS).toISOString(),
+      perTransactionCents: limits.perTransactionCents,
+      availableCents,
+      windows
+    };
+  }
+
+  // Throw TRANSFER_LIMIT_EXCEEDED if sending amountCents now would break
+  // one of the user's limits. details say which limit, and availableAt
+  // when the payment would fit (null if it never will).
+  checkSend(user, amountCents, now = new Date()) {
+    const usage = this.usage(user, now);
+    const blocked = (limit, message, extra) => new ForbiddenError(message, 'TRANSFER_LIMIT_EXCEEDED', {
+      tier: usage.tier,
+      limit,
+      ...extra
+    });
+
+    if (amountCents > usage.perTransactionCents) {
+      throw blocked('perTransaction', `Payments are limited to ${formatAmount(usage.perTransactionCents)} each`, {
+        allowed: toDecimalString(usage.perTransactionCents),
+        availableAt: null
+      });
+    }
+
+    for (const [name, window] of Object.entries(usage.windows)) {
+      if (window.remainingCount === 0) {
+        throw blocked(`${name}Count`, `You can send at most ${window.count} payments in ${window.label}`, {
+          allowed: window.count,
+          remaining: 0,
+          availableAt: availableAt(window.payments, window.durationMs, (freedCents, freedCount) => freedCount >= window.usedCount - window.count + 1)
+        });
+      }
+
+      if (amountCents > window.remainingCents) {
+        const needed = amountCents - window.remainingCents;
+        throw blocked(
+          `${name}Amount`,
+          `You can send at most ${formatAmount(window.amountCents)} in ${window.label}; ` +
+            `${formatAmount(window.remainingCents)} is left right now`,
+          {
+            allowed: toDecimalString(window.amountCents),
+            remaining: toDecimalString(window.remainingCents),
+            availableAt: amountCents > window.amountCents
+              ? null
+              : availableAt(window.payments, window.durationMs, (freedCents) => freedCents >= needed)
+          }
+        );
+      }
+    }
+  }
+}
+
+module.exports = new LimitService();
+module.exports.WINDOWS = WINDOWS;
@@ -0,0 +1,147 @@
+const db = require('../db');
+const emailService = require('./emailService');
+const paymentService = require('./paymentService');
+const webhookService = require('./webhookService');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const KeyedMutex = require('../utils/keyedMutex');
+const { generateTransactionId } = require('../utils/codeGenerator');
+const { sameEmail } = require('../utils/email');
+
+// Allowed status changes: only pending requests can be acted on
+const TRANSITIONS = {
+  pay: { from: 'pending', to: 'paid', actor: 'requestee' },
+  decline: { from: 'pending', to: 'declined', actor: 'requestee' },
+  cancel: { from: 'pending', to: 'cancelled', actor: 'requester' }
+};
+
+class MoneyRequestService {
+  constructor() {
+    // Serializes actions on the same request so it can't be paid twice
+    this.requestLocks = new KeyedMutex();
+  }
+
+  async createRequest({ requesterEmail, requesteeEmail, amountCents, note = '' }) {
+    const request = this.insertRequest({ requesterEmail, requesteeEmail, amountCents, note });
+
+    this.notify(requesteeEmail, 'received', request);
+    webhookService.emitRequest('request.created', request);
+
+    return request;
+  }
+
+  // Validate and store a pending request without notifying anyone, so
+  // callers can create several inside one database transaction
+  insertRequest({ requesterEmail, requesteeEmail, amountCents, note = '', splitId = null, splitIndex = null }) {
+    const requester = db.users.findByEmail(requesterEmail);
+    if (!requester) {
+      throw new NotFoundError('Requester not found', 'USER_NOT_FOUND');
+    }
+
+    if (sameEmail(requesteeEmail, requesterEmail)) {
+      throw new ValidationError('You cannot request money from yourself', 'SELF_REQUEST');
+    }
+
+    const requestee = db.users.findByEmail(requesteeEmail);
+    return db.moneyRequests.insert({
+      id: generateTransactionId(),
+      requesterEmail,
+      requesterName: requester.name,
+      requesteeEmail,
+      requesteeName: requestee ? requestee.name : requesteeEmail.split('@')[0],
+      amountCents,
+      note,
+      timestamp: new Date().toISOString(),
+      status: 'pending',
+      splitId,
+      splitIndex
+    });
+  }
+
+  // Look up a request and check the user may perform the given action on it
+  authorize(requestId, userEmail, action) {
+    const { from, actor } = TRANSITIONS[action];
+    const request = db.moneyRequests.findById(requestId);
+
+    if (!request || (request.requesterEmail !== userEmail && request.requesteeEmail !== userEmail)) {
+      throw new NotFoundError('Request not found', 'REQUEST_NOT_FOUND');
+    }
+
+    const actorEmail = actor === 'requester' ? request.requesterEmail : request.requesteeEmail;
+    if (actorEmail !== userEmail) {
+      throw new ForbiddenError(`Only the ${actor} can ${action} this request`);
+    }
+
+    if (request.status !== from) {
+      throw new ConflictError(`Cannot ${action} a request that is ${request.status}`, 'REQUEST_NOT_PENDING');
+    }
+
+    return request;
+  }
+
+  // Pay a request through the normal send path. The request is checked
+  // again and marked paid inside the payment's account lock and database
+  // transaction, so it is paid at most once and only if the money moves.
+  // inTransaction runs there too, as for paymentService.sendPayment.
+  async payRequest(requestId, userEmail, { inTransaction } = {}) {
+    return this.requestLocks.runExclusive([requestId], async () => {
+      const request = this.authorize(requestId, userEmail, 'pay');
+
+      let paid;
+      const { transaction, newBalanceCents } = await paymentService.sendPayment({
+        senderEmail: request.requesteeEmail,
+        recipientEmail: request.requesterEmail,
+        amountCents: request.amountCents,
+        note: request.note || `Payment for request ${request.id}`,
+        inTransaction: (record) => {
+          this.authorize(requestId, userEmail, 'pay');
+          if (inTransaction) {
+            inTransaction(record);
+          }
+          paid = db.moneyRequests.update(request.id, {
+            status: TRANSITIONS.pay.to,
+            transactionId: record.id,
+            respondedAt: record.timestamp
+          });
+        }
+      });
+
+      this.notify(paid.requesterEmail, 'paid', paid);
+      webhookService.emitRequest('request.paid', paid);
+
+      return { request: paid, transaction, newBalanceCents };
+    });
+  }
+
+  async declineRequest(requestId, userEmail) {
+    return this.respond(requestId, userEmail, 'decline', request => request.requesterEmail, 'declined');
+  }
+
+  async cancelRequest(requestId, userEmail) {
+    return this.respond(requestId, userEmail, 'cancel', request => request.requesteeEmail, 'cancelled');
+  }
+
+  async respond(requestId, userEmail, action, notifyEmail, event) {
+    const updated = await this.requestLocks.runExclusive([requestId], () => {
+      const request = this.authorize(requestId, userEmail, action);
+      return db.moneyRequests.update(request.id, {
+        status: TRANSITIONS[action].to,
+        respondedAt: new Date().toISOString()
+      });
+    });
+
+    this.notify(notifyEmail(updated), event, updated);
+    webhookService.emitRequest(`request.${event}`, updated);
+
+    return updated;
+  }
+
+  notify(email, event, request) {
+    try {
+      emailService.sendMoneyRequestNotification(email, event, request);
+    } catch (emailError) {
+      console.error(`Failed to send request ${event} email:`, emailError);
+    }
+  }
+}
+
+module.exports = new MoneyRequestService();
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const emailService = require('./emailService');
+const sessionService = require('./sessionService');
+const { authConfig } = require('../config/auth');
+const { generateSecureToken } = require('../utils/codeGenerator');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Reset tokens are only ever stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Password reset tokens are single-use and short-lived. Asking for a new
+// one invalidates any the user still has outstanding.
+class PasswordResetService {
+  // Email a reset link to the account behind email, if there is one.
+  // Callers should respond the same way either way so accounts can't be
+  // discovered through this endpoint.
+  async requestReset(email) {
+    const user = db.users.findByEmail(email);
+    if (!user) return false;
+
+    const now = new Date();
+    const token = generateSecureToken();
+    const expiresAt = new Date(now.getTime() + authConfig.passwordResetTtlMinutes * 60 * 1000);
+
+    db.transaction(() => {
+      db.passwordResetTokens.invalidateForUser(user.id);
+      db.passwordResetTokens.insert({
+        id: uuidv4(),
+        userId: user.id,
+        tokenHash: hashToken(token),
+        createdAt: now.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        usedAt: null
+      });
+    });
+
+    emailService.sendPasswordResetEmail(user.email, user.name, token, authConfig.passwordResetTtlMinutes);
+    return true;
+  }
+
+  // Set a new password using a reset token. Every session is revoked since
+  // whoever held them may be the reason for the reset.
+  async resetPassword(token, newPassword) {
+    const record = db.passwordResetTokens.findByTokenHash(hashToken(token));
+    if (!record || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+      throw new ValidationError('Invalid or expired reset token', 'INVALID_RESET_TOKEN');
+    }
+
+    const password = await bcrypt.hash(newPassword, 12);
+
+    const user = db.transaction(() => {
+      // Re-check, the same token may have been redeemed while hashing
+      if (db.passwordResetTokens.findById(record.id).usedAt) {
+        throw new ValidationError('Invalid or expired reset token', 'INVALID_RESET_TOKEN');
+      }
+      db.passwordResetTokens.update(record.id, { usedAt: new Date().toISOString() });
+      return db.users.update(record.userId, { password });
+    });
+
+    sessionService.revokeAll(user.id, { reason: 'password_reset' });
+    this.notifyPasswordChanged(user);
+
+    return user;
+  }
+
+  // Change the password of a signed-in user, keeping only their current session
+  async changePassword(userId, currentSessionId, currentPassword, newPassword) {
+    const user = db.users.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      throw new ForbiddenError('Current password is incorrect', 'WRONG_PASSWORD');
+    }
+
+    const updated = db.users.update(user.id, { password: await bcrypt.hash(newPassword, 12) });
+
+    const revoked = sessionService.revokeAll(user.id, {
+      exceptSessionId: currentSessionId,
+      reason: 'password_change'
+    });
+    this.notifyPasswordChanged(updated);
+
+    return { user: updated, revokedSessions: revoked };
+  }
+
+  notifyPasswordChanged(user) {
+    try {
+      emailService.sendPasswordChangedEmail(user.email, user.name);
+    } catch (emailError) {
+      console.error('Failed to send password changed email:', emailError);
+    }
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,233 @@
+const db = require('../db');
+const emailService = require('./emailService');
+const ledgerService = require('./ledgerService');
+const webhookService = require('./webhookService');
+const limitService = require('./limitService');
+const KeyedMutex = require('../utils/keyedMutex');
+const { generateTransactionId } = require('../utils/codeGenerator');
+const { sameEmail } = require('../utils/email');
+const { paymentConfig } = require('../config/payments');
+const { ValidationError, NotFoundError, InsufficientFundsError } = require('../utils/errors');
+
+class PaymentService {
+  constructor() {
+    // Per-account locks around the balance check and debit
+    this.accountLocks = new KeyedMutex();
+  }
+
+  // Send money from a registered user to an email address. The transfer
+  // limits (limitService) and balance checks, ledger posting and
+  // transaction record happen while both accounts are locked and inside a
+  // single database transaction.
+  // Recipients who have not registered and verified yet get the money held
+  // in escrow as a pending payment until they sign up or it expires.
+  // inTransaction(record) runs in that same lock and database transaction
+  // before the transfer is posted, for callers whose own changes must
+  // commit or roll back with the payment; throwing from it cancels the
+  // payment.
+  async sendPayment({ senderEmail, recipientEmail, amountCents, note = '', inTransaction }) {
+    const sender = db.users.findByEmail(senderEmail);
+    if (!sender) {
+      throw new NotFoundError('Sender not found', 'USER_NOT_FOUND');
+    }
+
+    if (sameEmail(recipientEmail, sender.email)) {
+      throw new ValidationError('You cannot send money to yourself', 'SELF_PAYMENT');
+    }
+
+    const recipient = db.users.findByEmail(recipientEmail);
+    const recipientEnrolled = Boolean(recipient && recipient.verified);
+    const recipientName = recipient ? recipient.name : recipientEmail.split('@')[0];
+
+    const lockKeys = [ledgerService.userAccount(sender.id)];
+    if (recipientEnrolled) {
+      lockKeys.push(ledgerService.userAccount(recipient.id));
+    }
+
+    const transaction = await this.accountLocks.runExclusive(lockKeys, () => {
+      // Re-read inside the lock, an earlier payment may have just committed
+      const current = db.users.findById(sender.id);
+      limitService.checkSend(current, amountCents);
+      if (current.balanceCents < amountCents) {
+        throw new InsufficientFundsError('Insufficient funds');
+      }
+
+      const now = new Date();
+      const record = {
+        id: generateTransactionId(),
+        senderEmail,
+        senderName: sender.name,
+        recipientEmail,
+        recipientName,
+        amountCents,
+        note,
+        timestamp: now.toISOString(),
+        status: recipientEnrolled ? 'completed' : 'pending',
+        expiresAt: recipientEnrolled
+          ? null
+          : new Date(now.getTime() + paymentConfig.pendingPaymentExpiryDays * 24 * 60 * 60 * 1000).toISOString(),
+        settledAt: recipientEnrolled ? now.toISOString() : null
+      };
+
+      // Post the transfer to the ledger and store the transaction together
+      db.transaction(() => {
+        if (inTransaction) {
+          inTransaction(record);
+        }
+
+        ledgerService.transfer({
+          fromAccount: ledgerService.userAccount(sender.id),
+          toAccount: recipientEnrolled
+            ? ledgerService.userAccount(recipient.id)
+            : ledgerService.ACCOUNTS.ESCROW_PENDING,
+          amountCents,
+          type: recipientEnrolled ? 'payment' : 'payment_escrow',
+          reference: record.id,
+          description: `Payment from ${senderEmail} to ${recipientEmail}`
+        });
+
+        db.transactions.insert(record);
+      });
+
+      return record;
+    });
+
+    this.sendReceipts(transaction, recipientEnrolled);
+    webhookService.emitTransaction(recipientEnrolled ? 'transaction.completed' : 'transaction.pending', transaction);
+
+    if (!recipientEnrolled) {
+      try {
+        emailService.sendPaymentInvitation(recipientEmail, transaction);
+      } catch (emailError) {
+        console.error('Failed to send payment invitation:', emailError);
+      }
+    }
+
+    return {
+      transaction,
+      newBalanceCents: db.users.findById(sender.id).balanceCents
+    };
+  }
+
+  // Credit every pending payment addressed to a newly verified user
+  async claimPendingPayments(user) {
+    const pending = db.transactions.findPendingForRecipient(user.email);
+    if (pending.length === 0) return [];
+
+    const claimed = await this.accountLocks.runExclusive([ledgerService.userAccount(user.id)], () => {
+      return pending
+        .map(transaction => db.transaction(() => {
+          // Skip anything the expiry job settled in the meantime
+          if (db.transactions.findById(transaction.id).status !== 'pending') {
+            return null;
+          }
+
+          ledgerService.transfer({
+            fromAccount: ledgerService.ACCOUNTS.ESCROW_PENDING,
+            toAccount: ledgerService.userAccount(user.id),
+            amountCents: transaction.amountCents,
+            type: 'payment_claim',
+            reference: transaction.id,
+            description: `Pending payment claimed by ${user.email}`
+          });
+
+          return db.transactions.update(transaction.id, {
+            recipientName: user.name,
+            status: 'completed',
+            settledAt: new Date().toISOString()
+          });
+        }))
+        .filter(Boolean);
+    });
+
+    for (const transaction of claimed) {
+      webhookService.emitTransaction('transaction.completed', transaction);
+
+      try {
+        emailService.sendTransactionReceipt(user.email, {
+          ...transaction,
+          transactionId: transaction.id,
+          type: 'received'
+        });
+      } catch (emailError) {
+        console.error('Failed to send receipt email:', emailError);
+      }
+    }
+
+    return claimed;
+  }
+
+  // Return unclaimed pending payments to their senders once they expire
+  async refundExpiredPayments(now = new Date()) {
+    const expired = db.transactions.findExpiredPending(now.toISOString());
+    const refunded = [];
+
+    for (const transaction of expired) {
+      const sender = db.users.findByEmail(transaction.senderEmail);
+      if (!sender) {
+        console.error(`Cannot refund ${transaction.id}: sender ${transaction.senderEmail} not found`);
+        continue;
+      }
+
+      const result = await this.accountLocks.runExclusive([ledgerService.userAccount(sender.id)], () => {
+        return db.transaction(() => {
+          if (db.transactions.findById(transaction.id).status !== 'pending') {
+            return null;
+          }
+
+          ledgerService.transfer({
+            fromAccount: ledgerService.ACCOUNTS.ESCROW_PENDING,
+            toAccount: ledgerService.userAccount(sender.id),
+            amountCents: transaction.amountCents,
+            type: 'payment_refund',
+            reference: transaction.id,
+            description: `Unclaimed payment to ${transaction.recipientEmail} refunded`
+          });
+
+          return db.transactions.update(transaction.id, {
+            status: 'refunded',
+            settledAt: new Date().toISOString()
+          });
+        });
+      });
+
+      if (!result) continue;
+      refunded.push(result);
+      webhookService.emitTransaction('transaction.refunded', result);
+
+      try {
+        emailService.sendPaymentRefundNotice(sender.email, result);
+      } catch (emailError) {
+        console.error('Failed to send refund email:', emailError);
+      }
+    }
+
+    return refunded;
+  }
+
+  // Receipts go through the email queue, so this never waits on delivery
+  sendReceipts(transaction, recipientIsUser) {
+    try {
+      // Send receipt to sender
+      emailService.sendTransactionReceipt(transaction.senderEmail, {
+        ...transaction,
+        transactionId: transaction.id,
+        type: 'sent'
+      });
+
+      // Send receipt to recipient if they're a user
+      if (recipientIsUser) {
+        emailService.sendTransactionReceipt(transaction.recipientEmail, {
+          ...transaction,
+          transactionId: transaction.id,
+          type: 'received'
+        });
+      }
+    } catch (emailError) {
+      console.error('Failed to queue receipt emails:', emailError);
+      // Don't fail the transaction if email fails
+    }
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,293 @@
+const db = require('../db');
+const paymentService = require('./paymentService');
+const emailService = require('./emailService');
+const { emailConfig } = require('../config/email');
+const { generateTransactionId } = require('../utils/codeGenerator');
+const { sameEmail } = require('../utils/email');
+const { dateInTimeZone, startOfDayInTimeZone } = require('../utils/timeZone');
+const { AppError, ValidationError, NotFoundError, ConflictError, InsufficientFundsError } = require('../utils/errors');
+
+const FREQUENCIES = ['once', 'weekly', 'monthly'];
+const SCHEDULED_PAYMENT_STATUSES = ['active', 'paused', 'completed', 'failed', 'cancelled'];
+// Schedules a user can have active or paused at once
+const MAX_SCHEDULED_PAYMENTS = 50;
+// Due payments loaded at a time by processDue
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (instant) => instant.toISOString().slice(0, 10);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Date of occurrence n (counting from 0) of a rule, or null if a one-off
+// payment has no such occurrence. Weekly payments repeat every `interval`
+// weeks from the start date. Monthly payments fall on dayOfMonth ('last'
+// for the last day), or the start date's day, every `interval` months;
+// months too short for that day use their last day instead, and later
+// months go back to the day asked for (Jan 31, Feb 28, Mar 31, ...).
+function occurrenceDate(rule, n) {
+  if (rule.frequency === 'once') {
+    return n === 0 ? rule.startDate : null;
+  }
+
+  const start = parseDate(rule.startDate);
+  if (rule.frequency === 'weekly') {
+    return formatDate(new Date(start.getTime() + n * rule.interval * 7 * DAY_MS));
+  }
+
+  const day = rule.dayOfMonth || start.getUTCDate();
+  const dayIn = (year, month) => (day === 'last' ? daysInMonth(year, month) : Math.min(day, daysInMonth(year, month)));
+
+  // The first payment is on or after the start date
+  const firstMonth = dayIn(start.getUTCFullYear(), start.getUTCMonth()) < start.getUTCDate() ? 1 : 0;
+  const months = start.getUTCMonth() + firstMonth + n * rule.interval;
+  const year = start.getUTCFullYear() + Math.floor(months / 12);
+  const month = months % 12;
+  return formatDate(new Date(Date.UTC(year, month, dayIn(year, month))));
+}
+
+// The first occurrence from number n on that falls on or after notBefore
+// (a date), as { occurrence, date }; null once the schedule has run out
+function nextOccurrence(rule, n, notBefore) {
+  for (let occurrence = n; ; occurrence++) {
+    const date = occurrenceDate(rule, occurrence);
+    if (!date || (rule.endDate && date > rule.endDate)) return null;
+    if (!notBefore || date >= notBefore) return { occurrence, date };
+  }
+}
+
+// Columns that point a schedule at its next payment, or mark it completed.
+// Payments run at the start of their day in the user's time zone.
+const nextRunFields = (payment, next) => (next
+  ? {
+    occurrence: next.occurrence,
+    nextRunDate: next.date,
+    nextRunAt: startOfDayInTimeZone(next.date, payment.timeZone).toISOString()
+  }
+  : { status: 'completed', nextRunDate: null, nextRunAt: null });
+
+// Which failure email a payment that couldn't be sent gets
+const failureVariant = (error) => {
+  if (error instanceof InsufficientFundsError) return 'insufficientFunds';
+  if (error.code === 'TRANSFER_LIMIT_EXCEEDED') return 'limitExceeded';
+  return 'failed';
+};
+
+// Payments that go out on a date or a recurring schedule. A background job
+// (jobs/index.js) sends each one when it's due through
+// paymentService.sendPayment, like any other payment. A payment that fails,
+// for example for lack of funds, isn't retried: the user is emailed and the
+// schedule moves on to its next date.
+class ScheduledPaymentService {
+  constructor() {
+    this.running = null;
+  }
+
+  // rule: { frequency, startDate, interval, dayOfMonth, endDate }, dates as
+  // YYYY-MM-DD in the user's time zone. inTransaction(payment) runs in the
+  // database transaction that stores the schedule.
+  create(user, { recipientEmail, amountCents, note = '', frequency, startDate, interval = 1, dayOfMonth, endDate, inTransaction }) {
+    if (sameEmail(recipientEmail, user.email)) {
+      throw new ValidationError('You cannot schedule a payment to yourself', 'INVALID_SCHEDULE');
+    }
+    if (dayOfMonth !== undefined && frequency !== 'monthly') {
+      throw new ValidationError('dayOfMonth only applies to monthly payments', 'INVALID_SCHEDULE');
+    }
+    if (frequency === 'once' && (interval !== 1 || endDate)) {
+      throw new ValidationError('One-off payments have no interval or end date', 'INVALID_SCHEDULE');
+    }
+
+    const timeZone = user.timeZone || emailConfig.defaultTimeZone;
+    if (startDate < dateInTimeZone(new Date(), timeZone)) {
+      throw new ValidationError('The start date is in the past', 'INVALID_SCHEDULE');
+    }
+
+    const rule = { frequency, startDate, interval, dayOfMonth: dayOfMonth || null, endDate: endDate || null };
+    const first = nextOccurrence(rule, 0);
+    if (!first) {
+      throw new ValidationError('The schedule ends before its first payment', 'INVALID_SCHEDULE');
+    }
+
+    if (db.scheduledPayments.count({ userId: user.id, status: { $in: ['active', 'paused'] } }) >= MAX_SCHEDULED_PAYMENTS) {
+      throw new ConflictError(
+        `You can have at most ${MAX_SCHEDULED_PAYMENTS} scheduled payments`,
+        'SCHEDULED_PAYMENT_LIMIT_REACHED'
+      );
+    }
+
+    const recipient = db.users.findByEmail(recipientEmail);
+    const now = new Date().toISOString();
+    const payment = {
+      id: 'SCHED-' + generateTransactionId().slice('TX-'.length),
+      userId: user.id,
+      recipientEmail,
+      recipientName: recipient ? recipient.name : recipientEmail.split('@')[0],
+      amountCents,
+      note,
+      rule,
+      timeZone,
+      status: 'active',
+      runCount: 0,
+      failureCount: 0,
+      lastRunAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastTransactionId: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return db.transaction(() => {
+      if (inTransaction) {
+        inTransaction(payment);
+      }
+      return db.scheduledPayments.insert({ ...payment, ...nextRunFields(payment, first) });
+    });
+  }
+
+  list(userId, { status } = {}) {
+    return db.scheduledPayments.findByUser(userId, { status });
+  }
+
+  get(userId, scheduledPaymentId) {
+    const payment = db.scheduledPayments.findById(scheduledPaymentId);
+    if (!payment || payment.userId !== userId) {
+      throw new NotFoundError('Scheduled payment not found', 'SCHEDULED_PAYMENT_NOT_FOUND');
+    }
+    return payment;
+  }
+
+  // Apply changes(payment) to a schedule in one of the `from` statuses
+  transition(userId, scheduledPaymentId, from, changes) {
+    const payment = this.get(userId, scheduledPaymentId);
+    if (!from.includes(payment.status)) {
+      throw new ConflictError(
+        `Scheduled payment is ${payment.status}`,
+        'SCHEDULED_PAYMENT_NOT_CHANGEABLE'
+      );
+    }
+    return db.scheduledPayments.update(payment.id, { ...changes(payment), updatedAt: new Date().toISOString() });
+  }
+
+  pause(userId, scheduledPaymentId) {
+    return this.transition(userId, scheduledPaymentId, ['active'], () => ({ status: 'paused' }));
+  }
+
+  // Payments that fell due while paused are skipped, not made up
+  resume(userId, scheduledPaymentId) {
+    return this.transition(userId, scheduledPaymentId, ['paused'], (payment) => ({
+      status: 'active',
+      ...nextRunFields(payment, nextOccurrence(payment.rule, payment.occurrence, dateInTimeZone(new Date(), payment.timeZone)))
+    }));
+  }
+
+  cancel(userId, scheduledPaymentId) {
+    return this.transition(userId, scheduledPaymentId, ['active', 'paused'], () => ({
+      status: 'cancelled',
+      nextRunDate: null,
+      nextRunAt: null
+    }));
+  }
+
+  // Make every payment that's due. Concurrent callers share the run in
+  // progress.
+  processDue(now = new Date()) {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      const summary = { succeeded: 0, failed: 0 };
+      let batch;
+      do {
+        batch = db.scheduledPayments.findDue(now.toISOString(), BATCH_SIZE);
+        for (const payment of batch) {
+          const status = await this.run(payment, now);
+          if (status) summary[status]++;
+        }
+      } while (batch.length === BATCH_SIZE);
+      return summary;
+    })().finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  // Make one scheduled payment. The schedule is moved on to its next date
+  // before the money moves, so a crash in between skips a payment rather
+  // than sending it twice. A payment made late (say the server was down)
+  // stands in for any others missed since: the next one is after today.
+  // Returns 'succeeded', 'failed', or null if someone else got to it first.
+  async run(payment, now = new Date()) {
+    const claimed = db.transaction(() => {
+      const current = db.scheduledPayments.findById(payment.id);
+      if (current.status !== 'active' || current.nextRunAt !== payment.nextRunAt) {
+        return null;
+      }
+      const tomorrow = formatDate(new Date(parseDate(dateInTimeZone(now, current.timeZone)).getTime() + DAY_MS));
+      return db.scheduledPayments.update(current.id, {
+        ...nextRunFields(current, nextOccurrence(current.rule, current.occurrence + 1, tomorrow)),
+        lastRunAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    });
+    if (!claimed) return null;
+
+    const user = db.users.findById(payment.userId);
+    try {
+      if (!user) {
+        throw new NotFoundError('Sender not found', 'USER_NOT_FOUND');
+      }
+
+      const { transaction } = await paymentService.sendPayment({
+        senderEmail: user.email,
+        recipientEmail: payment.recipientEmail,
+        amountCents: payment.amountCents,
+        note: payment.note
+      });
+
+      db.scheduledPayments.update(payment.id, {
+        runCount: claimed.runCount + 1,
+        lastStatus: 'succeeded',
+        lastError: null,
+        lastTransactionId: transaction.id
+      });
+      return 'succeeded';
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error(`Scheduled payment ${payment.id} failed:`, error);
+      }
+
+      db.scheduledPayments.update(payment.id, {
+        // A one-off payment that didn't go out is over
+        ...(payment.rule.frequency === 'once' ? { status: 'failed' } : {}),
+        runCount: claimed.runCount + 1,
+        failureCount: claimed.failureCount + 1,
+        lastStatus: 'failed',
+        lastError: error instanceof AppError ? error.message : 'Payment could not be sent'
+      });
+
+      if (user) {
+        try {
+          emailService.sendScheduledPaymentFailed(user.email, {
+            id: payment.id,
+            name: user.name,
+            recipientName: payment.recipientName,
+            recipientEmail: payment.recipientEmail,
+            amountCents: payment.amountCents,
+            scheduledFor: payment.nextRunDate,
+            nextRunDate: claimed.nextRunDate,
+            variant: failureVariant(error)
+          });
+        } catch (emailError) {
+          console.error('Failed to send scheduled payment failure email:', emailError);
+        }
+      }
+      return 'failed';
+    }
+  }
+}
+
+module.exports = new ScheduledPaymentService();
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.SCHEDULED_PAYMENT_STATUSES = SCHEDULED_PAYMENT_STATUSES;
+module.exports.occurrenceDate = occurrenceDate;
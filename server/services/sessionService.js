@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { authConfig } = require('../config/auth');
+const { generateSecureToken } = require('../utils/codeGenerator');
+const { AuthError } = require('../utils/errors');
+
+// Refresh tokens are only ever stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sessions pair a short-lived JWT access token with a long-lived refresh
+// token kept server-side. Refresh tokens rotate on every use; presenting an
+// already-rotated token revokes the whole session, since it means the token
+// was copied.
+class SessionService {
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: authConfig.accessTokenTtl }
+    );
+  }
+
+  issueTokens(user, session, refreshToken) {
+    const accessToken = this.signAccessToken(user, session.id);
+    const { exp, iat } = jwt.decode(accessToken);
+
+    return {
+      token: accessToken,
+      refreshToken,
+      expiresIn: exp - iat,
+      sessionId: session.id
+    };
+  }
+
+  // Start a new session for a user who just proved who they are
+  createSession(user, { userAgent = null, ipAddress = null } = {}) {
+    const now = new Date();
+    const refreshToken = generateSecureToken();
+    const session = db.sessions.insert({
+      id: uuidv4(),
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString(),
+      userAgent,
+      ipAddress
+    });
+
+    return this.issueTokens(user, session, refreshToken);
+  }
+
+  // True when a user who has signed in before has never had a session from
+  // this user agent, revoked and expired sessions included
+  isNewDevice(userId, { userAgent = null } = {}) {
+    return db.sessions.count({ userId }) > 0 && db.sessions.count({ userId, userAgent }) === 0;
+  }
+
+  // Exchange a refresh token for a new access token and a new refresh token
+  refresh(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const session = db.sessions.findByRefreshTokenHash(tokenHash);
+
+    if (!session) {
+      const reused = db.sessions.findByPreviousRefreshTokenHash(tokenHash);
+      if (reused && !reused.revokedAt) {
+        this.revoke(reused.id, 'refresh_token_reuse');
+        console.warn(`Refresh token reuse detected, revoked session ${reused.id}`);
+      }
+      throw new AuthError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (session.revokedAt) {
+      throw new AuthError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    if (session.expiresAt <= new Date().toISOString()) {
+      throw new AuthError('Session has expired', 'SESSION_EXPIRED');
+    }
+
+    const user = db.users.findById(session.userId);
+    if (!user) {
+      throw new AuthError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const nextRefreshToken = generateSecureToken();
+    const updated = db.sessions.update(session.id, {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: new Date().toISOString(),
+      userAgent: userAgent || session.userAgent,
+      ipAddress: ipAddress || session.ipAddress
+    });
+
+    return this.issueTokens(user, updated, nextRefreshToken);
+  }
+
+  isActive(sessionId) {
+    const session = sessionId && db.sessions.findById(sessionId);
+    return Boolean(session && !session.revokedAt && session.expiresAt > new Date().toISOString());
+  }
+
+  listActive(userId) {
+    return db.sessions.findActiveByUser(userId);
+  }
+
+  revoke(sessionId, reason = 'logout') {
+    return db.sessions.update(sessionId, {
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason
+    });
+  }
+
+  // Revoke every active session of a user, optionally keeping one
+  revokeAll(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+    const sessions = this.listActive(userId).filter(session => session.id !== exceptSessionId);
+    db.transaction(() => sessions.forEach(session => this.revoke(session.id, reason)));
+    return sessions.length;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,204 @@
+const db = require('../db');
+const moneyRequestService = require('./moneyRequestService');
+const webhookService = require('./webhookService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { generateTransactionId } = require('../utils/codeGenerator');
+const { parseAmount, allocate } = require('../utils/money');
+const { normalizeEmail } = require('../utils/email');
+
+const SPLIT_TYPES = ['even', 'amounts', 'percentages', 'shares'];
+const MAX_PARTICIPANTS = 50;
+
+// Percentages are handled in basis points (hundredths of a percent)
+const FULL_PERCENTAGE_BPS = 10000;
+
+function parsePercentage(value) {
+  try {
+    return parseAmount(value);
+  } catch (error) {
+    throw new ValidationError('Percentages must be positive numbers with at most two decimal places', 'INVALID_SPLIT');
+  }
+}
+
+function parseShares(value) {
+  if (!Number.isSafeInteger(value) || value <= 0) {
+    throw new ValidationError('Shares must be positive whole numbers', 'INVALID_SPLIT');
+  }
+  return value;
+}
+
+class SplitBillService {
+  // Work out what each participant owes. Returns { participantCents, requesterShareCents }
+  // where participantCents lines up with participants and everything adds up to totalCents.
+  calculateShares({ totalCents, participants, splitType, includeSelf, requesterShares }) {
+    const count = participants.length;
+
+    if (splitType === 'even') {
+      const weights = participants.map(() => 1);
+      if (includeSelf) weights.push(1);
+      const parts = allocate(totalCents, weights);
+      return { participantCents: parts.slice(0, count), requesterShareCents: includeSelf ? parts[count] : 0 };
+    }
+
+    if (splitType === 'amounts') {
+      const participantCents = participants.map(participant => {
+        try {
+          return parseAmount(participant.amount);
+        } catch (error) {
+          throw new ValidationError(`Invalid amount for ${participant.email}: ${error.message}`, 'INVALID_SPLIT');
+        }
+      });
+      const requesterShareCents = totalCents - participantCents.reduce((sum, cents) => sum + cents, 0);
+
+      if (requesterShareCents < 0) {
+        throw new ValidationError('Participant amounts add up to more than the total', 'INVALID_SPLIT');
+      }
+      if (!includeSelf && requesterShareCents !== 0) {
+        throw new ValidationError('Participant amounts must add up to the total', 'INVALID_SPLIT');
+      }
+      return { participantCents, requesterShareCents };
+    }
+
+    if (splitType === 'percentages') {
+      const weights = participants.map(participant => parsePercentage(participant.percentage));
+      const selfWeight = FULL_PERCENTAGE_BPS - weights.reduce((sum, weight) => sum + weight, 0);
+
+      if (selfWeight < 0) {
+        throw new ValidationError('Percentages add up to more than 100', 'INVALID_SPLIT');
+      }
+      if (!includeSelf && selfWeight !== 0) {
+        throw new ValidationError('Percentages must add up to 100', 'INVALID_SPLIT');
+      }
+
+      const parts = allocate(totalCents, [...weights, selfWeight]);
+      return { participantCents: parts.slice(0, count), requesterShareCents: parts[count] };
+    }
+
+    // shares
+    const weights = participants.map(participant => parseShares(participant.shares));
+    const selfWeight = includeSelf ? parseShares(requesterShares === undefined ? 1 : requesterShares) : 0;
+    const parts = allocate(totalCents, [...weights, selfWeight]);
+    return { participantCents: parts.slice(0, count), requesterShareCents: parts[count] };
+  }
+
+  // Split a bill and send one linked money request per participant.
+  // participants is a list of emails, or of { email, amount | percentage | shares }
+  // objects matching splitType.
+  async createSplit({
+    requesterEmail,
+    totalCents,
+    participants,
+    splitType = 'even',
+    includeSelf = true,
+    requesterShares,
+    note = ''
+  }) {
+    if (!SPLIT_TYPES.includes(splitType)) {
+      throw new ValidationError(`splitType must be one of ${SPLIT_TYPES.join(', ')}`, 'INVALID_SPLIT');
+    }
+
+    if (!Array.isArray(participants) || participants.length === 0) {
+      throw new ValidationError('At least one participant is required', 'INVALID_SPLIT');
+    }
+
+    if (participants.length > MAX_PARTICIPANTS) {
+      throw new ValidationError(`A bill can be split between at most ${MAX_PARTICIPANTS} participants`, 'INVALID_SPLIT');
+    }
+
+    const normalized = participants.map(participant =>
+      typeof participant === 'string' ? { email: participant } : { ...participant }
+    );
+
+    const emails = normalized.map(participant => participant.email);
+    if (emails.some(email => !email || typeof email !== 'string')) {
+      throw new ValidationError('Every participant needs an email or phone number', 'INVALID_SPLIT');
+    }
+    const addresses = emails.map(normalizeEmail);
+    if (new Set(addresses).size !== addresses.length) {
+      throw new ValidationError('Participants must be unique', 'INVALID_SPLIT');
+    }
+    if (addresses.includes(normalizeEmail(requesterEmail))) {
+      throw new ValidationError('Leave yourself out of the participants; use includeSelf instead', 'INVALID_SPLIT');
+    }
+
+    const { participantCents, requesterShareCents } = this.calculateShares({
+      totalCents,
+      participants: normalized,
+      splitType,
+      includeSelf,
+      requesterShares
+    });
+
+    if (participantCents.some(cents => cents <= 0)) {
+      throw new ValidationError('The total is too small to split between this many people', 'INVALID_SPLIT');
+    }
+
+    const split = {
+      id: 'SPLIT-' + generateTransactionId().slice('TX-'.length),
+      requesterEmail,
+      totalCents,
+      requesterShareCents,
+      splitType,
+      note,
+      createdAt: new Date().toISOString()
+    };
+
+    const requests = db.transaction(() => {
+      db.splitBills.insert(split);
+      return normalized.map((participant, index) => moneyRequestService.insertRequest({
+        requesterEmail,
+        requesteeEmail: participant.email,
+        amountCents: participantCents[index],
+        note,
+        splitId: split.id,
+        splitIndex: index
+      }));
+    });
+
+    for (const request of requests) {
+      moneyRequestService.notify(request.requesteeEmail, 'received', request);
+      webhookService.emitRequest('request.created', request);
+    }
+
+    return { split, requests };
+  }
+
+  // A split and its requests, visible to the requester and every participant
+  getSplit(splitId, userEmail) {
+    const split = db.splitBills.findById(splitId);
+    if (!split) {
+      throw new NotFoundError('Split not found', 'SPLIT_NOT_FOUND');
+    }
+
+    const requests = db.moneyRequests.findBySplit(splitId);
+    const isParticipant = requests.some(request => request.requesteeEmail === userEmail);
+    if (split.requesterEmail !== userEmail && !isParticipant) {
+      throw new NotFoundError('Split not found', 'SPLIT_NOT_FOUND');
+    }
+
+    return { split, requests };
+  }
+
+  // Overall state of a split derived from its requests
+  summarize(requests) {
+    const sumWhere = status => requests
+      .filter(request => request.status === status)
+      .reduce((sum, request) => sum + request.amountCents, 0);
+
+    let status = 'open';
+    if (!requests.some(request => request.status === 'pending')) {
+      status = requests.every(request => request.status === 'paid') ? 'settled' : 'closed';
+    }
+
+    return {
+      status,
+      collectedCents: sumWhere('paid'),
+      outstandingCents: sumWhere('pending'),
+      paidCount: requests.filter(request => request.status === 'paid').length
+    };
+  }
+}
+
+module.exports = new SplitBillService();
+module.exports.SPLIT_TYPES = SPLIT_TYPES;
+module.exports.MAX_PARTICIPANTS = MAX_PARTICIPANTS;
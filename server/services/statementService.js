@@ -0,0 +1,306 @@
+const PDFDocument = require('pdfkit');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const ledgerService = require('./ledgerService');
+const { toDecimalString, formatAmount } = require('../utils/money');
+const { ValidationError } = require('../utils/errors');
+
+const STATEMENT_FORMATS = ['csv', 'ofx', 'pdf'];
+const MAX_STATEMENT_MONTHS = 12;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ofx: 'application/x-ofx',
+  pdf: 'application/pdf'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 2025-01-31T09:00:00.000Z -> 2025-01-31
+const isoDate = (timestamp) => timestamp.slice(0, 10);
+
+// First instant of the month after the one `date` falls in (UTC)
+const nextMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+const monthLabel = (date) => date.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// How a ledger posting reads on the statement, from the journal entry and
+// the payment it belongs to (if any)
+function describe(posting, journal, transaction) {
+  const credit = posting.direction === 'credit';
+
+  if (transaction) {
+    switch (journal.type) {
+      case 'payment':
+      case 'payment_claim':
+        return credit
+          ? { description: `Payment from ${transaction.senderName}`, counterparty: transaction.senderEmail }
+          : { description: `Payment to ${transaction.recipientName}`, counterparty: transaction.recipientEmail };
+      case 'payment_escrow':
+        return { description: `Payment to ${transaction.recipientName} (pending)`, counterparty: transaction.recipientEmail };
+      case 'payment_refund':
+        return { description: `Refund of unclaimed payment to ${transaction.recipientEmail}`, counterparty: transaction.recipientEmail };
+      default:
+        break;
+    }
+  }
+
+  return { description: journal.description || journal.type, counterparty: '' };
+}
+
+// Spreadsheet apps run cells starting with these as formulas; amounts such
+// as -5.00 are left alone
+const CSV_FORMULA = /^[=+\-@\t\r]/;
+const CSV_NUMBER = /^-?\d+(\.\d+)?$/;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (CSV_FORMULA.test(text) && !CSV_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const xmlEscape = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// OFX date-time: 20250131090000.000[0:GMT]
+const ofxDate = (timestamp) => `${timestamp.replace(/[-:T]/g, '').slice(0, 14)}.000[0:GMT]`;
+
+// Account statements built from the ledger. A statement covers a date range
+// split into calendar months (UTC), each with its opening balance, every
+// posting to the user's account with the running balance after it, and the
+// closing balance. It can be rendered as CSV, OFX or PDF.
+class StatementService {
+  // from and to are ISO dates (YYYY-MM-DD), both inclusive
+  build(user, { from, to }) {
+    const start = new Date(`${from}T00:00:00.000Z`);
+    const end = new Date(new Date(`${to}T00:00:00.000Z`).getTime() + DAY_MS);
+
+    if (end <= start) {
+      throw new ValidationError('The statement must end on or after the day it starts', 'INVALID_STATEMENT_RANGE');
+    }
+    const latestEnd = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + MAX_STATEMENT_MONTHS, start.getUTCDate());
+    if (end.getTime() > latestEnd) {
+      throw new ValidationError(`A statement can cover at most ${MAX_STATEMENT_MONTHS} months`, 'INVALID_STATEMENT_RANGE');
+    }
+
+    const accountId = ledgerService.userAccount(user.id);
+    const postings = db.ledgerPostings.findByAccountBetween(accountId, start.toISOString(), end.toISOString());
+    const journals = new Map(
+      db.journalEntries.find({ id: { $in: [...new Set(postings.map(posting => posting.journalId))] } })
+        .map(journal => [journal.id, journal])
+    );
+
+    const openingBalanceCents = ledgerService.getBalance(accountId, { before: start.toISOString() });
+    let balanceCents = openingBalanceCents;
+    const lines = postings.map(posting => {
+      const journal = journals.get(posting.journalId);
+      const transaction = journal.reference ? db.transactions.findById(journal.reference) : null;
+      const amountCents = posting.direction === 'credit' ? posting.amountCents : -posting.amountCents;
+      balanceCents += amountCents;
+
+      return {
+        id: posting.id,
+        date: posting.createdAt,
+        type: journal.type,
+        ...describe(posting, journal, transaction),
+        reference: journal.reference || '',
+        note: transaction ? transaction.note || '' : '',
+        amountCents,
+        balanceCents
+      };
+    });
+
+    // One period per calendar month, clipped to the requested range
+    const periods = [];
+    let periodBalance = openingBalanceCents;
+    for (let periodStart = start; periodStart < end; periodStart = nextMonth(periodStart)) {
+      const periodEnd = nextMonth(periodStart) < end ? nextMonth(periodStart) : end;
+      const periodLines = lines.filter(line => line.date >= periodStart.toISOString() && line.date < periodEnd.toISOString());
+      const periodOpeningCents = periodBalance;
+      periodBalance = periodLines.length > 0 ? periodLines[periodLines.length - 1].balanceCents : periodBalance;
+
+      periods.push({
+        label: monthLabel(periodStart),
+        from: isoDate(periodStart.toISOString()),
+        // Last day of the period, inclusive
+        to: isoDate(new Date(periodEnd.getTime() - DAY_MS).toISOString()),
+        openingBalanceCents: periodOpeningCents,
+        closingBalanceCents: periodBalance,
+        creditsCents: periodLines.filter(line => line.amountCents > 0).reduce((sum, line) => sum + line.amountCents, 0),
+        debitsCents: periodLines.filter(line => line.amountCents < 0).reduce((sum, line) => sum - line.amountCents, 0),
+        lines: periodLines
+      });
+    }
+
+    return {
+      user: { id: user.id, name: user.name, email: user.email },
+      from,
+      to,
+      generatedAt: new Date().toISOString(),
+      openingBalanceCents,
+      closingBalanceCents: balanceCents,
+      periods
+    };
+  }
+
+  // Render a statement. Returns { filename, contentType, content } where
+  // content is a Buffer.
+  async render(statement, format) {
+    if (!STATEMENT_FORMATS.includes(format)) {
+      throw new Error(`Unknown statement format: ${format}`);
+    }
+
+    const content = format === 'pdf'
+      ? await this.toPdf(statement)
+      : Buffer.from(format === 'csv' ? this.toCsv(statement) : this.toOfx(statement), 'utf8');
+
+    return {
+      filename: `zelle-statement-${statement.from}-to-${statement.to}.${format}`,
+      contentType: CONTENT_TYPES[format],
+      content
+    };
+  }
+
+  // One row per posting, framed by opening and closing balance rows for
+  // each month
+  toCsv(statement) {
+    const rows = [['Date', 'Description', 'Type', 'Counterparty', 'Reference', 'Note', 'Amount', 'Balance']];
+
+    for (const period of statement.periods) {
+      rows.push([period.from, `Opening balance ${period.label}`, '', '', '', '', '', toDecimalString(period.openingBalanceCents)]);
+      for (const line of period.lines) {
+        rows.push([
+          line.date,
+          line.description,
+          line.type,
+          line.counterparty,
+          line.reference,
+          line.note,
+          toDecimalString(line.amountCents),
+          toDecimalString(line.balanceCents)
+        ]);
+      }
+      rows.push([period.to, `Closing balance ${period.label}`, '', '', '', '', '', toDecimalString(period.closingBalanceCents)]);
+    }
+
+    // A byte order mark so Excel reads it as UTF-8
+    return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // OFX 2.2 bank statement. OFX has no notion of monthly periods, so the
+  // whole range is one transaction list with the closing balance.
+  toOfx(statement) {
+    const lines = statement.periods.flatMap(period => period.lines);
+    const endOfRange = new Date(new Date(`${statement.to}T00:00:00.000Z`).getTime() + DAY_MS - 1).toISOString();
+
+    const transactions = lines.map(line => [
+      '<STMTTRN>',
+      `<TRNTYPE>${line.amountCents >= 0 ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+      `<DTPOSTED>${ofxDate(line.date)}</DTPOSTED>`,
+      `<TRNAMT>${toDecimalString(line.amountCents)}</TRNAMT>`,
+      `<FITID>${xmlEscape(line.id)}</FITID>`,
+      `<NAME>${xmlEscape(line.description.slice(0, 32))}</NAME>`,
+      line.note ? `<MEMO>${xmlEscape(line.note.slice(0, 255))}</MEMO>` : null,
+      '</STMTTRN>'
+    ].filter(Boolean).join(''));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      `<DTSERVER>${ofxDate(statement.generatedAt)}</DTSERVER>`,
+      '<LANGUAGE>ENG</LANGUAGE>',
+      '</SONRS></SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1><STMTTRNRS>',
+      `<TRNUID>${uuidv4()}</TRNUID>`,
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      '<STMTRS>',
+      '<CURDEF>USD</CURDEF>',
+      `<BANKACCTFROM><BANKID>ZELLE</BANKID><ACCTID>${xmlEscape(statement.user.id)}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDate(`${statement.from}T00:00:00.000Z`)}</DTSTART>`,
+      `<DTEND>${ofxDate(endOfRange)}</DTEND>`,
+      ...transactions,
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>${toDecimalString(statement.closingBalanceCents)}</BALAMT><DTASOF>${ofxDate(endOfRange)}</DTASOF></LEDGERBAL>`,
+      '</STMTRS>',
+      '</STMTTRNRS></BANKMSGSRSV1>',
+      '</OFX>',
+      ''
+    ].join('\n');
+  }
+
+  // Printable statement: a summary, then one section per month
+  toPdf(statement) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: 'Zelle Statement' } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      // Date, description, amount, balance
+      const columns = [
+        { x: left, width: 70 },
+        { x: left + 75, width: width - 255 },
+        { x: left + width - 175, width: 85, align: 'right' },
+        { x: left + width - 85, width: 85, align: 'right' }
+      ];
+
+      const row = (cells, { bold = false } = {}) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        const heights = cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width }));
+        cells.forEach((cell, index) => {
+          doc.text(cell, columns[index].x, y, { width: columns[index].width, align: columns[index].align || 'left' });
+        });
+        doc.x = left;
+        doc.y = y + Math.max(...heights) + 4;
+      };
+
+      doc.font('Helvetica-Bold').fontSize(18).text('Zelle Statement');
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(10)
+        .text(`${statement.user.name} <${statement.user.email}>`)
+        .text(`${statement.from} to ${statement.to}`)
+        .text(`Opening balance: ${formatAmount(statement.openingBalanceCents)}`)
+        .text(`Closing balance: ${formatAmount(statement.closingBalanceCents)}`);
+
+      for (const period of statement.periods) {
+        doc.moveDown(1.5);
+        doc.font('Helvetica-Bold').fontSize(13).text(period.label, left);
+        doc.font('Helvetica').fontSize(9)
+          .text(`Money in ${formatAmount(period.creditsCents)}   Money out ${formatAmount(period.debitsCents)}`);
+        doc.moveDown(0.5);
+
+        row(['Date', 'Description', 'Amount', 'Balance'], { bold: true });
+        row([period.from, 'Opening balance', '', formatAmount(period.openingBalanceCents)]);
+        for (const line of period.lines) {
+          const description = line.note ? `${line.description}\n${line.note}` : line.description;
+          row([isoDate(line.date), description, formatAmount(line.amountCents), formatAmount(line.balanceCents)]);
+        }
+        row([period.to, 'Closing balance', '', formatAmount(period.closingBalanceCents)], { bold: true });
+      }
+
+      doc.moveDown(2);
+      doc.font('Helvetica').fontSize(8).fillColor('#6c757d')
+        .text(`Generated ${statement.generatedAt}. Dates are in UTC.`, left);
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new StatementService();
+module.exports.STATEMENT_FORMATS = STATEMENT_FORMATS;
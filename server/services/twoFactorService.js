@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const emailService = require('./emailService');
+const totp = require('../utils/totp');
+const { authConfig } = require('../config/auth');
+const { generateVerificationCode } = require('../utils/codeGenerator');
+const { ValidationError, AuthError, ConflictError } = require('../utils/errors');
+
+const BACKUP_CODE_COUNT = 10;
+const MAX_STEP_UP_CODE_ATTEMPTS = 5;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Backup codes look like "3f9a-c21e" and are accepted with or without the dash
+const normalizeBackupCode = (code) => code.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+// Optional TOTP second factor. Enrollment is two steps: setup stores a new
+// secret, enable confirms the user's authenticator produces matching codes.
+// The same factors (or an emailed one-time code) are used to step up a
+// session before large transfers.
+class TwoFactorService {
+  // Start enrollment with a fresh secret. Replaces any unconfirmed secret.
+  setup(user) {
+    if (user.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = totp.generateSecret();
+    db.users.update(user.id, { totpSecret: secret, totpLastUsedStep: null });
+
+    return {
+      secret,
+      otpauthUrl: totp.provisioningUri({
+        secret,
+        accountName: user.email,
+        issuer: authConfig.totpIssuer
+      })
+    };
+  }
+
+  // Finish enrollment. Returns the backup codes, which are only shown once.
+  enable(user, code) {
+    if (user.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!user.totpSecret) {
+      throw new ValidationError('Start two-factor setup first', 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+    if (!this.verifyTotp(user, code)) {
+      throw new ValidationError('Invalid authentication code', 'INVALID_CODE');
+    }
+
+    const backupCodes = generateBackupCodes();
+    db.users.update(user.id, {
+      totpEnabled: true,
+      totpBackupCodes: backupCodes.map(backupCode => hashCode(normalizeBackupCode(backupCode)))
+    });
+
+    return backupCodes;
+  }
+
+  disable(user, code) {
+    if (!user.totpEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!this.verifySecondFactor(user, code)) {
+      throw new ValidationError('Invalid authentication code', 'INVALID_CODE');
+    }
+
+    db.users.update(user.id, {
+      totpEnabled: false,
+      totpSecret: null,
+      totpLastUsedStep: null,
+      totpBackupCodes: null
+    });
+  }
+
+  regenerateBackupCodes(user, code) {
+    if (!user.totpEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!this.verifyTotp(user, code)) {
+      throw new ValidationError('Invalid authentication code', 'INVALID_CODE');
+    }
+
+    const backupCodes = generateBackupCodes();
+    db.users.update(user.id, {
+      totpBackupCodes: backupCodes.map(backupCode => hashCode(normalizeBackupCode(backupCode)))
+    });
+
+    return backupCodes;
+  }
+
+  status(user) {
+    return {
+      enabled: Boolean(user.totpEnabled),
+      backupCodesRemaining: user.totpEnabled ? (user.totpBackupCodes || []).length : 0
+    };
+  }
+
+  // Check a TOTP code. Each time step can only be used once, so a code seen
+  // over someone's shoulder can't be replayed.
+  verifyTotp(user, code) {
+    if (!user.totpSecret) return false;
+
+    const step = totp.verify(user.totpSecret, String(code || '').trim());
+    if (step === null) return false;
+    if (user.totpLastUsedStep !== null && user.totpLastUsedStep !== undefined && step <= user.totpLastUsedStep) {
+      return false;
+    }
+
+    db.users.update(user.id, { totpLastUsedStep: step });
+    return true;
+  }
+
+  // Redeem one of the user's backup codes
+  useBackupCode(user, code) {
+    const hash = hashCode(normalizeBackupCode(String(code || '')));
+    const remaining = user.totpBackupCodes || [];
+    if (!remaining.includes(hash)) return false;
+
+    db.users.update(user.id, { totpBackupCodes: remaining.filter(stored => stored !== hash) });
+    return true;
+  }
+
+  // TOTP code or, failing that, a backup code
+  verifySecondFactor(user, code) {
+    return this.verifyTotp(user, code) || this.useBackupCode(user, code);
+  }
+
+  // Short-lived token proving the password step of a login succeeded
+  issueLoginChallenge(user) {
+    return jwt.sign(
+      { userId: user.id, purpose: 'login_2fa' },
+      process.env.JWT_SECRET,
+      { expiresIn: authConfig.twoFactorChallengeTtl }
+    );
+  }
+
+  // Finish a login with the second factor. Returns the user on success.
+  completeLogin(challengeToken, code) {
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new AuthError('Login challenge is invalid or has expired', 'INVALID_CHALLENGE');
+    }
+    if (payload.purpose !== 'login_2fa') {
+      throw new AuthError('Login challenge is invalid or has expired', 'INVALID_CHALLENGE');
+    }
+
+    const user = db.users.findById(payload.userId);
+    if (!user || !user.totpEnabled) {
+      throw new AuthError('Login challenge is invalid or has expired', 'INVALID_CHALLENGE');
+    }
+    if (!this.verifySecondFactor(user, code)) {
+      throw new AuthError('Invalid authentication code', 'INVALID_2FA_CODE');
+    }
+
+    return user;
+  }
+
+  // Email a one-time code the user can step up with instead of TOTP
+  sendStepUpCode(user) {
+    const code = generateVerificationCode();
+    const now = new Date();
+
+    db.transaction(() => {
+      db.stepUpCodes.invalidateForUser(user.id);
+      db.stepUpCodes.insert({
+        id: uuidv4(),
+        userId: user.id,
+        codeHash: hashCode(code),
+        attempts: 0,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + authConfig.stepUpCodeTtlMinutes * 60 * 1000).toISOString(),
+        usedAt: null
+      });
+    });
+
+    emailService.sendStepUpCode(user.email, user.name, code, authConfig.stepUpCodeTtlMinutes);
+  }
+
+  verifyStepUpCode(user, code) {
+    const record = db.stepUpCodes.findLatestUsable(user.id);
+    if (!record || record.attempts >= MAX_STEP_UP_CODE_ATTEMPTS) return false;
+
+    if (record.codeHash !== hashCode(String(code || '').trim())) {
+      db.stepUpCodes.update(record.id, { attempts: record.attempts + 1 });
+      return false;
+    }
+
+    db.stepUpCodes.update(record.id, { usedAt: new Date().toISOString() });
+    return true;
+  }
+
+  // Confirm a second factor for the current session before one payment.
+  // method is 'totp' or 'email'; amountCents and payee (see
+  // middleware/stepUp.js) are the payment's. Returns a step-up token for
+  // the X-Step-Up-Token header that approves only that payment.
+  stepUp(user, sessionId, { method, code, amountCents, payee }) {
+    let verified;
+    if (method === 'totp') {
+      if (!user.totpEnabled) {
+        throw new ValidationError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+      }
+      verified = this.verifyTotp(user, code);
+    } else if (method === 'email') {
+      verified = this.verifyStepUpCode(user, code);
+    } else {
+      throw new ValidationError('method must be totp or email');
+    }
+
+    if (!verified) {
+      throw new ValidationError('Invalid or expired verification code', 'INVALID_CODE');
+    }
+
+    const stepUpToken = jwt.sign(
+      { userId: user.id, sessionId, purpose: 'step_up', amountCents, payee },
+      process.env.JWT_SECRET,
+      { expiresIn: authConfig.stepUpTokenTtl, jwtid: uuidv4() }
+    );
+    const { exp, iat } = jwt.decode(stepUpToken);
+
+    return { stepUpToken, expiresIn: exp - iat };
+  }
+
+  // The claims of a step-up token if it was issued to this session for
+  // this payment ({ amountCents, payee }) and hasn't approved one yet,
+  // otherwise null
+  checkStepUpToken(token, sessionId, { amountCents, payee }) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (payload.purpose !== 'step_up' || payload.sessionId !== sessionId || !payload.jti) {
+      return null;
+    }
+    if (payload.amountCents !== amountCents || payload.payee !== payee) {
+      return null;
+    }
+
+    return db.stepUpTokens.findById(payload.jti) ? null : payload;
+  }
+
+  // Use up a checked step-up token. Call it inside the payment's database
+  // transaction so the token stays usable if the payment fails. False if
+  // another payment used it first.
+  redeemStepUpToken(payload) {
+    return db.transaction(() => {
+      const now = new Date().toISOString();
+      db.stepUpTokens.deleteExpired(now);
+      if (db.stepUpTokens.findById(payload.jti)) return false;
+
+      db.stepUpTokens.insert({
+        id: payload.jti,
+        userId: payload.userId,
+        usedAt: now,
+        expiresAt: new Date(payload.exp * 1000).toISOString()
+      });
+      return true;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
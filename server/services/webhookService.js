@@ -0,0 +1,514 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { webhookConfig } = require('../config/webhooks');
+const { generateSecureToken } = require('../utils/codeGenerator');
+const { toDecimalString } = require('../utils/money');
+const { isPublicAddress, publicLookup } = require('../utils/network');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Events an endpoint can subscribe to
+const WEBHOOK_EVENTS = [
+  'transaction.completed',
+  'transaction.pending',
+  'transaction.refunded',
+  'request.created',
+  'request.paid',
+  'request.declined',
+  'request.cancelled',
+  'transfer.settled',
+  'transfer.failed'
+];
+
+// The host of a URL, without the brackets around an IPv6 address
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+// Whether a URL's host is plainly not on the public internet: a non-public
+// IP address or localhost. Hostnames are only resolved when delivering.
+const isPrivateHost = (url) => {
+  const host = hostOf(url);
+  if (net.isIP(host)) return !isPublicAddress(host);
+  return /^localhost$|\.localhost$/i.test(host.replace(/\.$/, ''));
+};
+
+// POST body to url, resolving with { status, body } (at most
+// maxBodyLength characters of the response). Unless webhookConfig allows
+// private networks, only public addresses are connected to, checked after
+// DNS resolution (see utils/network.js). Redirects aren't followed; the
+// registered URL is the one we trust.
+function post(url, { headers, body, timeoutMs, maxBodyLength }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!webhookConfig.allowPrivateNetworks && isPrivateHost(target)) {
+      return reject(new Error(`${hostOf(target)} is not a public address`));
+    }
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: webhookConfig.allowPrivateNetworks ? undefined : publicLookup
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        text += chunk;
+        if (text.length >= maxBodyLength) response.destroy();
+      });
+      response.on('close', () => {
+        clearTimeout(timer);
+        resolve({ status: response.statusCode, body: text.slice(0, maxBodyLength) });
+      });
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`No response within ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+// A transaction as one of its participants sees it, the same shape as
+// GET /api/transactions/:transactionId
+const transactionData = (transaction, userEmail) => {
+  const isReceived = transaction.recipientEmail === userEmail;
+  return {
+    id: transaction.id,
+    type: isReceived ? 'received' : 'sent',
+    name: isReceived ? transaction.senderName : transaction.recipientName,
+    email: isReceived ? transaction.senderEmail : transaction.recipientEmail,
+    amount: toDecimalString(transaction.amountCents),
+    note: transaction.note,
+    timestamp: transaction.timestamp,
+    status: transaction.status
+  };
+};
+
+// A money request as one of its participants sees it, the same shape as
+// GET /api/transactions/requests
+const requestData = (request, userEmail) => ({
+  id: request.id,
+  direction: request.requesteeEmail === userEmail ? 'incoming' : 'outgoing',
+  requesterEmail: request.requesterEmail,
+  requesterName: request.requesterName,
+  requesteeEmail: request.requesteeEmail,
+  requesteeName: request.requesteeName,
+  amount: toDecimalString(request.amountCents),
+  note: request.note,
+  timestamp: request.timestamp,
+  status: request.status,
+  respondedAt: request.respondedAt || null,
+  transactionId: request.transactionId || null,
+  splitId: request.splitId || null
+});
+
+// A deposit or withdrawal between the user's balance and their bank
+// account, the same shape as GET /api/funding/transfers/:transferId
+const transferData = (transfer) => ({
+  id: transfer.id,
+  bankAccountId: transfer.bankAccountId,
+  direction: transfer.direction,
+  amount: toDecimalString(transfer.amountCents),
+  status: transfer.status,
+  failureReason: transfer.failureReason,
+  submittedAt: transfer.submittedAt,
+  settledAt: transfer.settledAt,
+  failedAt: transfer.failedAt
+});
+
+// Outbound webhooks. Users register endpoints for the events on their
+// account; every event is stored as one delivery per subscribed endpoint
+// and POSTed by a worker, signed with the endpoint's secret. Failed
+// deliveries are retried with exponential backoff and marked failed after
+// webhookConfig.maxAttempts. The deliveries double as the log users can
+// inspect and redeliver from.
+class WebhookService {
+  constructor() {
+    this.running = null;
+    this.rerun = false;
+  }
+
+  // Only http(s) URLs on a public host, and in production only https ones.
+  // Hostnames are checked again, resolved, every time an event is delivered.
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ValidationError('Webhook URL is not a valid URL', 'INVALID_WEBHOOK_URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ValidationError('Webhook URL must use http or https', 'INVALID_WEBHOOK_URL');
+    }
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+      throw new ValidationError('Webhook URL must use https', 'INVALID_WEBHOOK_URL');
+    }
+    if (!webhookConfig.allowPrivateNetworks && isPrivateHost(parsed)) {
+      throw new ValidationError('Webhook URL must be publicly reachable', 'INVALID_WEBHOOK_URL');
+    }
+  }
+
+  checkEvents(events) {
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown webhook event(s): ${unknown.join(', ')}`, 'VALIDATION_FAILED');
+    }
+  }
+
+  // Register an endpoint. Without events it subscribes to all of them.
+  create(userId, { url, events = WEBHOOK_EVENTS, description = '' }) {
+    this.checkUrl(url);
+    this.checkEvents(events);
+
+    if (db.webhooks.count({ userId }) >= webhookConfig.maxEndpointsPerUser) {
+      throw new ConflictError(
+        `You can register at most ${webhookConfig.maxEndpointsPerUser} webhook endpoints`,
+        'WEBHOOK_LIMIT_REACHED'
+      );
+    }
+
+    const now = new Date().toISOString();
+    return db.webhooks.insert({
+      id: uuidv4(),
+      userId,
+      url,
+      description,
+      events: [...new Set(events)],
+      secret: `whsec_${generateSecureToken()}`,
+      active: true,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  list(userId) {
+    return db.webhooks.findByUser(userId);
+  }
+
+  get(userId, webhookId) {
+    const webhook = db.webhooks.findById(webhookId);
+    if (!webhook || webhook.userId !== userId) {
+      throw new NotFoundError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+    }
+    return webhook;
+  }
+
+  update(userId, webhookId, { url, events, description, active }) {
+    const webhook = this.get(userId, webhookId);
+
+    const changes = {};
+    if (url !== undefined) {
+      this.checkUrl(url);
+      changes.url = url;
+    }
+    if (events !== undefined) {
+      this.checkEvents(events);
+      changes.events = [...new Set(events)];
+    }
+    if (description !== undefined) changes.description = description;
+    if (active !== undefined) changes.active = active;
+
+    if (Object.keys(changes).length === 0) {
+      return webhook;
+    }
+    return db.webhooks.update(webhook.id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  // A webhook that isn't paused, for sending events to now
+  getActive(userId, webhookId) {
+    const webhook = this.get(userId, webhookId);
+    if (!webhook.active) {
+      throw new ConflictError('This webhook is paused; resume it first', 'WEBHOOK_PAUSED');
+    }
+    return webhook;
+  }
+
+  // Delete an endpoint along with its delivery log
+  remove(userId, webhookId) {
+    const webhook = this.get(userId, webhookId);
+    db.transaction(() => {
+      db.webhookDeliveries.delete({ webhookId: webhook.id });
+      db.webhooks.delete({ id: webhook.id });
+    });
+  }
+
+  // Replace the signing secret. The old one stops working immediately.
+  rotateSecret(userId, webhookId) {
+    const webhook = this.get(userId, webhookId);
+    return db.webhooks.update(webhook.id, {
+      secret: `whsec_${generateSecureToken()}`,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // X-Zelle-Signature value: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+  // "<t>.<body>" keyed with the endpoint secret>
+  sign(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Queue an event for every subscribed endpoint of the given users.
+  // dataFor(user) builds the event data as that user sees it. Webhooks never
+  // fail the action that raised the event, so errors are only logged.
+  emit(event, users, dataFor) {
+    try {
+      const recipients = new Map(users.filter(Boolean).map(user => [user.id, user]));
+      if (recipients.size === 0) return [];
+
+      const webhooks = db.webhooks.findSubscribed([...recipients.keys()], event);
+      if (webhooks.length === 0) return [];
+
+      const eventId = `evt_${uuidv4()}`;
+      const createdAt = new Date().toISOString();
+      const deliveries = webhooks.map(webhook => this.insertDelivery(webhook, {
+        id: eventId,
+        type: event,
+        createdAt,
+        data: dataFor(recipients.get(webhook.userId))
+      }));
+
+      this.wake();
+      return deliveries;
+    } catch (error) {
+      console.error(`Failed to queue ${event} webhooks:`, error);
+      return [];
+    }
+  }
+
+  emitTransaction(event, transaction) {
+    const users = [transaction.senderEmail, transaction.recipientEmail].map(email => db.users.findByEmail(email));
+    return this.emit(event, users, user => ({ transaction: transactionData(transaction, user.email) }));
+  }
+
+  emitRequest(event, request) {
+    const users = [request.requesterEmail, request.requesteeEmail].map(email => db.users.findByEmail(email));
+    return this.emit(event, users, user => ({ request: requestData(request, user.email) }));
+  }
+
+  emitTransfer(event, transfer) {
+    return this.emit(event, [db.users.findById(transfer.userId)], () => ({ transfer: transferData(transfer) }));
+  }
+
+  insertDelivery(webhook, payload) {
+    const now = new Date().toISOString();
+    return db.webhookDeliveries.insert({
+      id: uuidv4(),
+      webhookId: webhook.id,
+      eventId: payload.id,
+      event: payload.type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lockedAt: null,
+      responseStatus: null,
+      responseBody: null,
+      durationMs: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      deliveredAt: null
+    });
+  }
+
+  // Send a ping event to an endpoint right away and return the delivery.
+  // Pings aren't retried.
+  async ping(userId, webhookId) {
+    const webhook = this.getActive(userId, webhookId);
+    const delivery = this.insertDelivery(webhook, {
+      id: `evt_${uuidv4()}`,
+      type: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { webhookId: webhook.id }
+    });
+
+    await this.deliver(delivery);
+    return db.webhookDeliveries.findById(delivery.id);
+  }
+
+  // Deliver queued events right away instead of waiting for the next poll
+  wake() {
+    setImmediate(() => {
+      this.processDue().catch(error => console.error('Webhook delivery run failed:', error));
+    });
+  }
+
+  // Wait before the next attempt after `attempts` failures
+  retryDelayMs(attempts) {
+    return Math.min(webhookConfig.retryBaseMs * 2 ** (attempts - 1), webhookConfig.retryMaxMs);
+  }
+
+  // Deliver every due event. Concurrent callers share the run in progress;
+  // if events were queued during it, it goes round again.
+  processDue() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+
+    this.running = (async () => {
+      const summary = { succeeded: 0, retried: 0, failed: 0 };
+      do {
+        this.rerun = false;
+        let batch;
+        do {
+          const now = new Date();
+          batch = db.webhookDeliveries.findDue(
+            now.toISOString(),
+            new Date(now.getTime() - webhookConfig.lockTimeoutMs).toISOString(),
+            webhookConfig.batchSize
+          );
+          for (const delivery of batch) {
+            const status = await this.deliver(delivery);
+            if (status === 'succeeded') summary.succeeded++;
+            else if (status === 'failed') summary.failed++;
+            else summary.retried++;
+          }
+        } while (batch.length === webhookConfig.batchSize);
+      } while (this.rerun);
+      return summary;
+    })().finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  // One delivery attempt. Any 2xx response counts as delivered. Returns the
+  // delivery's new status. Deliveries for endpoints deleted or paused since
+  // the event was queued fail without being sent.
+  async deliver(delivery) {
+    const webhook = db.webhooks.findById(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      const now = new Date().toISOString();
+      db.webhookDeliveries.update(delivery.id, {
+        status: 'failed',
+        lockedAt: null,
+        lastError: webhook ? 'The webhook is paused' : 'The webhook was deleted',
+        nextAttemptAt: now,
+        updatedAt: now
+      });
+      return 'failed';
+    }
+    db.webhookDeliveries.update(delivery.id, { status: 'sending', lockedAt: new Date().toISOString() });
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await post(webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Zelle-Webhooks/1.0',
+          'X-Zelle-Event': delivery.event,
+          'X-Zelle-Delivery': delivery.id,
+          'X-Zelle-Signature': this.sign(webhook.secret, Math.floor(started / 1000), body)
+        },
+        body,
+        timeoutMs: webhookConfig.timeoutMs,
+        maxBodyLength: webhookConfig.maxResponseBodyLength
+      });
+
+      responseStatus = response.status;
+      responseBody = response.body;
+      if (responseStatus < 200 || responseStatus > 299) {
+        error = `Endpoint responded with HTTP ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+    const result = {
+      attempts,
+      lockedAt: null,
+      responseStatus,
+      responseBody,
+      durationMs: Date.now() - started,
+      updatedAt: now.toISOString()
+    };
+
+    if (!error) {
+      db.webhookDeliveries.update(delivery.id, {
+        ...result,
+        status: 'succeeded',
+        lastError: null,
+        deliveredAt: now.toISOString()
+      });
+      console.log(`Webhook ${delivery.event} delivered to ${webhook.url}`);
+      return 'succeeded';
+    }
+
+    const failed = attempts >= webhookConfig.maxAttempts || delivery.event === 'ping';
+    db.webhookDeliveries.update(delivery.id, {
+      ...result,
+      status: failed ? 'failed' : 'pending',
+      lastError: error,
+      nextAttemptAt: new Date(now.getTime() + (failed ? 0 : this.retryDelayMs(attempts))).toISOString()
+    });
+
+    if (failed) {
+      console.error(`Webhook ${delivery.event} to ${webhook.url} failed after ${attempts} attempt(s):`, error);
+    } else {
+      console.warn(`Webhook ${delivery.event} to ${webhook.url} failed (attempt ${attempts}), retrying:`, error);
+    }
+    return failed ? 'failed' : 'pending';
+  }
+
+  listDeliveries(userId, webhookId, { status, limit = 50, offset = 0 } = {}) {
+    const webhook = this.get(userId, webhookId);
+    return db.webhookDeliveries.findByWebhook(webhook.id, { status, limit, offset });
+  }
+
+  getDelivery(userId, webhookId, deliveryId) {
+    const webhook = this.get(userId, webhookId);
+    const delivery = db.webhookDeliveries.findById(deliveryId);
+    if (!delivery || delivery.webhookId !== webhook.id) {
+      throw new NotFoundError('Webhook delivery not found', 'WEBHOOK_DELIVERY_NOT_FOUND');
+    }
+    return delivery;
+  }
+
+  // Send a logged event again with a fresh set of attempts, e.g. after
+  // fixing the endpoint. The payload and event id are unchanged so the
+  // receiver can recognise duplicates.
+  redeliver(userId, webhookId, deliveryId) {
+    this.getActive(userId, webhookId);
+    const delivery = this.getDelivery(userId, webhookId, deliveryId);
+    if (delivery.status === 'sending') {
+      throw new ConflictError('This delivery is in progress', 'WEBHOOK_DELIVERY_IN_PROGRESS');
+    }
+
+    const now = new Date().toISOString();
+    const redelivered = db.webhookDeliveries.update(delivery.id, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      updatedAt: now
+    });
+
+    this.wake();
+    return redelivered;
+  }
+
+  // Forget finished deliveries older than the retention period
+  purgeDeliveries(now = new Date()) {
+    const cutoff = new Date(now.getTime() - webhookConfig.deliveryRetentionDays * 24 * 60 * 60 * 1000);
+    return db.webhookDeliveries.deleteFinishedBefore(cutoff.toISOString());
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
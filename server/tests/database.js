@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database, createAdapter } = require('../db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+// A separate database on a fresh adapter. With `through`, a SQLite
+// database is only migrated up to and including that migration file, so
+// later migrations can be checked against data in the older schema.
+function openDatabase(databaseUrl, { through } = {}) {
+  const db = new Database(createAdapter(databaseUrl));
+
+  if (through === undefined) {
+    db.migrate();
+    return db;
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zelle-migrations-'));
+  try {
+    fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql') && file <= through)
+      .forEach(file => fs.copyFileSync(path.join(MIGRATIONS_DIR, file), path.join(dir, file)));
+    db.adapter.migrate(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return db;
+}
+
+module.exports = { MIGRATIONS_DIR, openDatabase };
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MIGRATIONS_DIR, openDatabase } = require('./database');
+
+const MIGRATIONS = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+
+let users = 0;
+const newUser = (fields = {}) => {
+  users++;
+  return {
+    id: `user-${users}`,
+    name: `User ${users}`,
+    email: `user${users}@example.com`,
+    phone: '+15555550100',
+    password: 'hash',
+    verified: false,
+    balanceCents: 0,
+    createdAt: new Date(Date.UTC(2030, 0, users)).toISOString(),
+    ...fields
+  };
+};
+
+describe.each([
+  ['memory', 'memory:'],
+  ['sqlite', 'sqlite::memory:']
+])('%s adapter', (name, databaseUrl) => {
+  let db;
+
+  beforeEach(() => {
+    db = openDatabase(databaseUrl);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('stores and reads back rows, with booleans and JSON intact', () => {
+    const user = db.users.insert(newUser({
+      verified: true,
+      totpBackupCodes: ['a', 'b'],
+      notificationPreferences: { receipts: false }
+    }));
+
+    expect(db.users.findById(user.id)).toMatchObject({
+      email: user.email,
+      verified: true,
+      totpBackupCodes: ['a', 'b'],
+      notificationPreferences: { receipts: false }
+    });
+    expect(db.users.findByEmail(user.email).id).toBe(user.id);
+    expect(db.users.findById('missing')).toBeNull();
+  });
+
+  test('rejects a second row with the same id', () => {
+    const user = db.users.insert(newUser());
+    expect(() => db.users.insert({ ...user, email: 'other@example.com' })).toThrow();
+  });
+
+  test('updates, counts, sums and deletes', () => {
+    const a = db.users.insert(newUser({ balanceCents: 100 }));
+    db.users.insert(newUser({ balanceCents: 250 }));
+
+    expect(db.users.update(a.id, { balanceCents: 150, verified: true })).toMatchObject({ balanceCents: 150, verified: true });
+    expect(db.users.count({ verified: true })).toBe(1);
+    expect(db.users.sum('balanceCents')).toBe(400);
+    expect(db.users.sum('balanceCents', { id: 'missing' })).toBe(0);
+
+    expect(db.users.delete({ id: a.id })).toBe(1);
+    expect(db.users.count()).toBe(1);
+  });
+
+  test('filters with operators, orders and pages', () => {
+    const rows = [100, 200, 300, 400].map(balanceCents => db.users.insert(newUser({ balanceCents })));
+    const ids = (found) => found.map(row => row.id);
+
+    expect(ids(db.users.find({ balanceCents: { $gte: 200, $lt: 400 } }, { orderBy: [['balanceCents', 'asc']] })))
+      .toEqual([rows[1].id, rows[2].id]);
+    expect(ids(db.users.find({ id: { $in: [rows[0].id, rows[3].id] } }, { orderBy: [['balanceCents', 'desc']] })))
+      .toEqual([rows[3].id, rows[0].id]);
+    expect(db.users.find({ id: { $in: [] } })).toEqual([]);
+    expect(ids(db.users.find({ $or: [{ balanceCents: 100 }, { balanceCents: 400 }] }, { orderBy: [['balanceCents', 'asc']] })))
+      .toEqual([rows[0].id, rows[3].id]);
+    expect(ids(db.users.find({}, { orderBy: [['balanceCents', 'desc']], limit: 2, offset: 1 })))
+      .toEqual([rows[2].id, rows[1].id]);
+    expect(db.users.count({ totpSecret: null })).toBe(4);
+    expect(db.users.count({ totpSecret: { $ne: null } })).toBe(0);
+  });
+
+  test('LIKE matches wildcards and escaped wildcards', () => {
+    db.users.insert(newUser({ name: '100% Ann' }));
+    db.users.insert(newUser({ name: '1000 Bob' }));
+
+    expect(db.users.find({ name: { $like: '100%' } })).toHaveLength(2);
+    expect(db.users.find({ name: { $like: '100\\%%' } }).map(user => user.name)).toEqual(['100% Ann']);
+    expect(db.users.find({ name: { $like: '1_00%' } }).map(user => user.name)).toEqual(['1000 Bob']);
+  });
+
+  test('$ieq matches ignoring case', () => {
+    const ann = db.users.insert(newUser({ email: 'Ann@Example.com' }));
+    db.users.insert(newUser({ email: 'bob@example.com' }));
+
+    expect(db.users.find({ email: { $ieq: 'ann@EXAMPLE.com' } }).map(user => user.id)).toEqual([ann.id]);
+    expect(db.users.count({ email: { $ieq: 'ann@example.co' } })).toBe(0);
+  });
+
+  test('rolls back every write in a failed transaction, nested ones included', () => {
+    const user = db.users.insert(newUser({ balanceCents: 100 }));
+
+    expect(() => db.transaction(() => {
+      db.users.update(user.id, { balanceCents: 50 });
+      db.transaction(() => {
+        db.users.insert(newUser({ id: 'inner' }));
+      });
+      throw new Error('boom');
+    })).toThrow('boom');
+
+    expect(db.users.findById(user.id).balanceCents).toBe(100);
+    expect(db.users.findById('inner')).toBeNull();
+
+    expect(db.transaction(() => db.users.update(user.id, { balanceCents: 75 }).balanceCents)).toBe(75);
+    expect(db.users.findById(user.id).balanceCents).toBe(75);
+  });
+});
+
+describe('sqlite migrations', () => {
+  test('apply every migration once, in order', () => {
+    const db = openDatabase('sqlite::memory:', { through: '000' });
+    expect(db.migrate()).toEqual(MIGRATIONS);
+    expect(db.migrate()).toEqual([]);
+
+    const applied = db.adapter.db.prepare('SELECT id FROM schema_migrations ORDER BY id').all().map(row => row.id);
+    expect(applied).toEqual(MIGRATIONS);
+    db.close();
+  });
+
+  test('enforce the schema', () => {
+    const db = openDatabase('sqlite::memory:');
+
+    expect(() => db.users.insert(newUser({ nickname: 'x' }))).toThrow('Unknown column nickname on users');
+    expect(() => db.users.insert(newUser({ name: undefined, email: undefined }))).toThrow(/NOT NULL/);
+    const user = db.users.insert(newUser());
+    expect(() => db.users.insert(newUser({ email: user.email }))).toThrow(/UNIQUE/);
+    expect(() => db.ledgerPostings.insert({
+      id: 'LP-1',
+      journalId: 'JE-missing',
+      accountId: 'user:x',
+      direction: 'credit',
+      amountCents: 100,
+      createdAt: new Date().toISOString()
+    })).toThrow(/FOREIGN KEY/);
+    db.close();
+  });
+
+  test('move balances from dollars into cents and opening ledger entries', () => {
+    const db = openDatabase('sqlite::memory:', { through: '001_initial.sql' });
+    const raw = db.adapter.db;
+    raw.prepare(`INSERT INTO users (id, name, email, phone, password, verified, balance, createdAt)
+      VALUES ('u1', 'Ann', 'ann@example.com', '5550100', 'hash', 1, 12.34, '2024-01-01T00:00:00.000Z')`).run();
+    raw.prepare(`INSERT INTO transactions (id, senderEmail, senderName, recipientEmail, recipientName, amount, note, timestamp, status)
+      VALUES ('TX-1', 'ann@example.com', 'Ann', 'bob@example.com', 'Bob', 0.29, '', '2024-01-02T00:00:00.000Z', 'completed')`).run();
+
+    db.migrate();
+
+    expect(db.users.findById('u1')).toMatchObject({ balanceCents: 1234, verified: true });
+    expect(db.users.findById('u1').balance).toBeUndefined();
+    expect(db.transactions.findById('TX-1').amountCents).toBe(29);
+    expect(db.ledgerPostings.find({ accountId: 'user:u1' })).toEqual([
+      expect.objectContaining({ direction: 'credit', amountCents: 1234 })
+    ]);
+    expect(db.ledgerPostings.sum('amountCents', { direction: 'debit' })).toBe(1234);
+    db.close();
+  });
+
+  test('drop the bodies of sent emails that held a code', () => {
+    const db = openDatabase('sqlite::memory:', { through: '019_step_up_tokens.sql' });
+    const now = new Date().toISOString();
+    const job = (id, type, status) => db.emailJobs.insert({
+      id,
+      type,
+      recipient: 'ann@example.com',
+      subject: 'Subject',
+      message: { to: 'ann@example.com', from: { email: 'noreply@example.com', name: 'Zelle' }, subject: 'Subject', text: 'Code 123456' },
+      status,
+      attempts: 1,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+    job('sent-code', 'verification', 'sent');
+    job('queued-code', 'password_reset', 'pending');
+    job('receipt', 'receipt', 'sent');
+
+    db.migrate();
+
+    expect(db.emailJobs.findById('sent-code')).toMatchObject({
+      containsSecrets: true,
+      message: { to: 'ann@example.com', from: { email: 'noreply@example.com', name: 'Zelle' }, subject: 'Subject', redacted: true }
+    });
+    expect(db.emailJobs.findById('sent-code').message.text).toBeUndefined();
+    expect(db.emailJobs.findById('queued-code')).toMatchObject({ containsSecrets: true, message: { text: 'Code 123456' } });
+    expect(db.emailJobs.findById('receipt')).toMatchObject({ containsSecrets: false, message: { text: 'Code 123456' } });
+    db.close();
+  });
+
+  test('lowercase stored emails unless that would merge two accounts', () => {
+    const db = openDatabase('sqlite::memory:', { through: '021_email_verification_codes.sql' });
+    const ann = db.users.insert(newUser({ email: 'Ann@Example.com' }));
+    const bob = db.users.insert(newUser({ email: 'Bob@Example.com' }));
+    const bobby = db.users.insert(newUser({ email: 'bob@example.com' }));
+    db.adapter.db.prepare(`INSERT INTO transactions (id, senderEmail, senderName, recipientEmail, recipientName, amountCents, note, timestamp, status)
+      VALUES ('TX-1', 'Ann@Example.com', 'Ann', 'CAT@example.com', 'Cat', 100, '', '2024-01-02T00:00:00.000Z', 'pending')`).run();
+
+    db.migrate();
+
+    expect(db.users.findById(ann.id).email).toBe('ann@example.com');
+    expect(db.users.findById(bob.id).email).toBe('Bob@Example.com');
+    expect(db.users.findById(bobby.id).email).toBe('bob@example.com');
+    expect(db.transactions.findById('TX-1')).toMatchObject({ senderEmail: 'ann@example.com', recipientEmail: 'cat@example.com' });
+    db.close();
+  });
+
+  test('keep data across restarts in a database file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zelle-db-'));
+    const databaseUrl = `sqlite:${path.join(dir, 'zelle.db')}`;
+    try {
+      const first = openDatabase(databaseUrl);
+      const user = first.users.insert(newUser({ verified: true }));
+      first.close();
+
+      const second = openDatabase(databaseUrl);
+      expect(second.migrate()).toEqual([]);
+      expect(second.users.findById(user.id)).toMatchObject({ email: user.email, verified: true });
+      second.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,116 @@
+const db = require('../db');
+const emailQueue = require('../services/emailQueueService');
+const emailService = require('../services/emailService');
+const { transport } = require('../email');
+const { emailConfig } = require('../config/email');
+const { app, request } = require('./helpers');
+
+const ADMIN_KEY = 'admin-test-key';
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+
+const message = (to) => ({ to, from: emailConfig.from, subject: 'Hello', html: '<p>Hi</p>', text: 'Hi' });
+
+// Make a job's next retry due now
+const makeDue = (job) => db.emailJobs.update(job.id, { nextAttemptAt: new Date().toISOString() });
+
+describe('email queue', () => {
+  beforeAll(() => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (jest.isMockFunction(transport.send)) transport.send.mockRestore();
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('backs off exponentially, up to a maximum', () => {
+    expect([1, 2, 3, 4].map(attempts => emailQueue.retryDelayMs(attempts))).toEqual([30000, 60000, 120000, 240000]);
+    expect(emailQueue.retryDelayMs(20)).toBe(emailConfig.queue.retryMaxMs);
+  });
+
+  test('retries a failed send later and dead-letters it after the last attempt', async () => {
+    jest.spyOn(transport, 'send').mockRejectedValue(new Error('provider down'));
+    const job = emailQueue.enqueue(message('retry@example.com'), { type: 'receipt' });
+
+    const before = Date.now();
+    expect(await emailQueue.processDue()).toEqual({ sent: 0, retried: 1, dead: 0 });
+    const retrying = db.emailJobs.findById(job.id);
+    expect(retrying).toMatchObject({ status: 'pending', attempts: 1, lastError: 'provider down' });
+    expect(Date.parse(retrying.nextAttemptAt)).toBeGreaterThanOrEqual(before + 30000);
+
+    // Not due yet
+    expect(await emailQueue.processDue()).toEqual({ sent: 0, retried: 0, dead: 0 });
+
+    for (let attempt = 2; attempt < emailConfig.queue.maxAttempts; attempt++) {
+      makeDue(job);
+      await emailQueue.processDue();
+    }
+    makeDue(job);
+    expect(await emailQueue.processDue()).toEqual({ sent: 0, retried: 0, dead: 1 });
+    expect(db.emailJobs.findById(job.id)).toMatchObject({ status: 'dead', attempts: emailConfig.queue.maxAttempts });
+    expect(transport.send).toHaveBeenCalledTimes(emailConfig.queue.maxAttempts);
+  });
+
+  test('admins can list and replay dead-lettered emails', async () => {
+    const [dead] = db.emailJobs.find({ status: 'dead' });
+
+    const listed = await request(app).get('/api/admin/emails?status=dead').set(admin).expect(200);
+    expect(listed.body.counts.dead).toBe(1);
+    expect(listed.body.emails.map(email => email.id)).toEqual([dead.id]);
+
+    const replayed = await request(app).post(`/api/admin/emails/${dead.id}/replay`).set(admin).expect(200);
+    expect(replayed.body.email).toMatchObject({ status: 'pending', attempts: 0 });
+
+    await emailQueue.processDue();
+    expect(db.emailJobs.findById(dead.id).status).toBe('sent');
+    expect(transport.list({ to: 'retry@example.com' })).toHaveLength(1);
+
+    const again = await request(app).post(`/api/admin/emails/${dead.id}/replay`).set(admin);
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('EMAIL_JOB_NOT_DEAD');
+    expect((await request(app).post('/api/admin/emails/missing/replay').set(admin)).body.code).toBe('EMAIL_JOB_NOT_FOUND');
+    expect((await request(app).get('/api/admin/emails')).body.code).toBe('INVALID_ADMIN_KEY');
+  });
+
+  test('replays every dead-lettered email at once', async () => {
+    jest.spyOn(transport, 'send').mockRejectedValue(new Error('mailbox full'));
+    const jobs = ['a@example.com', 'b@example.com'].map(to => emailQueue.enqueue(message(to), { type: 'receipt' }));
+    jobs.forEach(job => db.emailJobs.update(job.id, { attempts: emailConfig.queue.maxAttempts - 1 }));
+    await emailQueue.processDue();
+    transport.send.mockRestore();
+
+    const res = await request(app).post('/api/admin/emails/replay-dead').set(admin).expect(200);
+    expect(res.body.replayed).toBe(2);
+    await emailQueue.processDue();
+    expect(jobs.map(job => db.emailJobs.findById(job.id).status)).toEqual(['sent', 'sent']);
+  });
+
+  test('keeps emails with a code only until they are sent, and never shows the code', async () => {
+    emailService.sendVerificationCode('secret@example.com', 'Sam');
+    const job = db.emailJobs.findOne({ recipient: 'secret@example.com' });
+    expect(job).toMatchObject({ type: 'verification', containsSecrets: true });
+    expect(job.message.text).toMatch(/\d{6}/);
+
+    const queued = await request(app).get(`/api/admin/emails/${job.id}`).set(admin).expect(200);
+    expect(queued.body.message).toEqual({ to: 'secret@example.com', from: emailConfig.from, subject: job.subject, redacted: true });
+
+    await emailQueue.processDue();
+    const sent = db.emailJobs.findById(job.id);
+    expect(sent.status).toBe('sent');
+    expect(sent.message).toEqual(emailQueue.redact(job.message));
+    // It still reached the recipient in full
+    expect(transport.list({ to: 'secret@example.com' })[0].text).toMatch(/\d{6}/);
+
+    // Other emails keep their body
+    const receipt = emailQueue.enqueue(message('plain@example.com'), { type: 'receipt' });
+    await emailQueue.processDue();
+    expect(db.emailJobs.findById(receipt.id).message.text).toBe('Hi');
+  });
+});
@@ -0,0 +1,56 @@
+const renderer = require('../email/renderer');
+
+const receipt = (fields = {}) => ({
+  variant: 'received',
+  status: 'completed',
+  amountCents: 123456,
+  senderName: 'Ann',
+  senderEmail: 'ann@example.com',
+  transactionId: 'TX-1',
+  timestamp: '2025-01-15T23:30:00.000Z',
+  note: 'Lunch',
+  ...fields
+});
+
+describe('email renderer', () => {
+  test('escapes user text in HTML, catalog placeholders included, and leaves it as typed in text', () => {
+    const received = renderer.render('receipt', receipt({ senderName: '<script>x</script>', note: '<b>hi</b> & bye' }));
+    expect(received.html).toContain('&lt;script&gt;x&lt;/script&gt;');
+    expect(received.html).toContain('&lt;b&gt;hi&lt;/b&gt; &amp; bye');
+    expect(received.html).not.toMatch(/<script>|<b>hi/);
+    expect(received.text).toContain('From: <script>x</script> (ann@example.com)');
+    expect(received.text).toContain('Note: <b>hi</b> & bye');
+
+    const pending = renderer.render('receipt', receipt({
+      variant: 'sent',
+      status: 'pending',
+      recipientName: 'Bob',
+      recipientEmail: '<img src=x>@example.com',
+      expiresAt: '2025-01-29T23:30:00.000Z'
+    }));
+    expect(pending.html).toContain('&lt;img src&#x3D;x&gt;@example.com isn\'t enrolled');
+    expect(pending.html).not.toContain('<img');
+    expect(pending.text).toContain('<img src=x>@example.com isn\'t enrolled');
+  });
+
+  test('formats for the recipient\'s locale and time zone', () => {
+    const english = renderer.render('receipt', receipt());
+    expect(english.locale).toBe('en');
+    expect(english.subject).toBe('Zelle Payment Received - $1,234.56');
+    expect(english.text).toMatch(/Date & Time: Jan 15, 2025, 6:30\sPM \(America\/New_York\)/);
+
+    const spanish = renderer.render('receipt', receipt(), { locale: 'es-MX', timeZone: 'Europe/Madrid' });
+    expect(spanish.locale).toBe('es');
+    expect(spanish.subject).toMatch(/^Pago de Zelle recibido - 1234,56\sUS\$$/);
+    expect(spanish.text).toMatch(/Fecha y hora: 16 ene 2025, 0:30 \(Europe\/Madrid\)/);
+    expect(spanish.html).toContain('<html lang="es"');
+  });
+
+  test('falls back to the defaults for unsupported locales and time zones', () => {
+    const rendered = renderer.render('receipt', receipt(), { locale: 'fr', timeZone: 'Not/A_Zone' });
+
+    expect(rendered.locale).toBe('en');
+    expect(rendered.text).toContain('(America/New_York)');
+    expect(renderer.resolveLocale('ES')).toBe('es');
+  });
+});
@@ -0,0 +1,84 @@
+const db = require('../db');
+const emailService = require('../services/emailService');
+const { app, request, PASSWORD, emailedCode } = require('./helpers');
+
+const register = (email) => request(app).post('/api/auth/register').send({
+  name: 'New User',
+  email,
+  phone: '+15555550123',
+  password: PASSWORD
+});
+
+const verify = (email, code) => request(app).post('/api/auth/verify-email').send({ email, code });
+
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+describe('email verification codes', () => {
+  test('are stored hashed, one per address, and removed once used', async () => {
+    await register('hashed@example.com').expect(201);
+    const code = await emailedCode('hashed@example.com', /Verify/);
+
+    const stored = db.verificationCodes.findByEmail('hashed@example.com');
+    expect(stored).toMatchObject({ attempts: 0 });
+    expect(stored.codeHash).not.toContain(code);
+
+    // A new code replaces the first
+    emailService.sendVerificationCode('hashed@example.com', 'New User');
+    expect(db.verificationCodes.count({ email: 'hashed@example.com' })).toBe(1);
+    const newCode = await emailedCode('hashed@example.com', /Verify/);
+    if (newCode !== code) {
+      expect((await verify('hashed@example.com', code)).body.code).toBe('INVALID_VERIFICATION_CODE');
+    }
+
+    await verify('hashed@example.com', newCode).expect(200);
+    expect(db.verificationCodes.findByEmail('hashed@example.com')).toBeNull();
+    expect(db.users.findByEmail('hashed@example.com').verified).toBe(true);
+  });
+
+  test('count wrong guesses and are dropped after three', async () => {
+    emailService.sendVerificationCode('guesses@example.com', 'Guesses');
+    const code = await emailedCode('guesses@example.com', /Verify/);
+
+    for (let i = 1; i <= 3; i++) {
+      expect(() => emailService.verifyCode('guesses@example.com', wrongCode(code)))
+        .toThrow(expect.objectContaining({ code: 'INVALID_VERIFICATION_CODE' }));
+      expect(db.verificationCodes.findByEmail('guesses@example.com').attempts).toBe(i);
+    }
+
+    expect(() => emailService.verifyCode('guesses@example.com', code))
+      .toThrow(expect.objectContaining({ code: 'TOO_MANY_ATTEMPTS' }));
+    expect(db.verificationCodes.findByEmail('guesses@example.com')).toBeNull();
+  });
+
+  test('expire after ten minutes', () => {
+    emailService.sendVerificationCode('expired@example.com', 'Expired');
+    const stored = db.verificationCodes.findByEmail('expired@example.com');
+    db.verificationCodes.update(stored.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(() => emailService.verifyCode('expired@example.com', '000000'))
+      .toThrow(expect.objectContaining({ code: 'VERIFICATION_CODE_EXPIRED' }));
+    expect(db.verificationCodes.findByEmail('expired@example.com')).toBeNull();
+  });
+
+  test('can be sent three times an hour per address', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    for (let i = 0; i < 3; i++) {
+      emailService.sendVerificationCode('limited@example.com', 'Limited');
+    }
+    expect(() => emailService.sendVerificationCode('limited@example.com', 'Limited'))
+      .toThrow(expect.objectContaining({ code: 'EMAIL_RATE_LIMITED' }));
+    expect(db.emailSendAttempts.count({ email: 'limited@example.com' })).toBe(3);
+
+    // Other addresses have their own limit
+    expect(() => emailService.sendVerificationCode('other@example.com', 'Other')).not.toThrow();
+
+    // Attempts older than an hour stop counting and are cleared out
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000 - 1000).toISOString();
+    db.emailSendAttempts.find({ email: 'limited@example.com' })
+      .forEach(attempt => db.emailSendAttempts.update(attempt.id, { createdAt: hourAgo }));
+    expect(() => emailService.sendVerificationCode('limited@example.com', 'Limited')).not.toThrow();
+    expect(db.emailSendAttempts.count({ email: 'limited@example.com' })).toBe(1);
+    console.error.mockRestore();
+  });
+});
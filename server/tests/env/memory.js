@@ -0,0 +1,2 @@
+// Run the suites against the in-memory adapter
+process.env.DATABASE_URL = 'memory:';
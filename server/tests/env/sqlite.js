@@ -0,0 +1,2 @@
+// Run the suites against SQLite, with every migration applied
+process.env.DATABASE_URL = 'sqlite::memory:';
@@ -0,0 +1,69 @@
+const db = require('../db');
+const ledgerService = require('../services/ledgerService');
+const paymentService = require('../services/paymentService');
+const { app, request, PASSWORD, createUser, balanceOf, emailedCode, lastEmail } = require('./helpers');
+
+const send = (sender, body) => request(app).post('/api/transactions/send').set(sender.auth).send(body);
+const escrowBalance = () => ledgerService.getBalance(ledgerService.ACCOUNTS.ESCROW_PENDING);
+
+describe('escrow for recipients who have not signed up', () => {
+  test('holds the payment until the recipient verifies their email, then credits them', async () => {
+    const sender = createUser('escrow-sender@example.com', { balanceCents: 10000 });
+    const escrowBefore = escrowBalance();
+
+    const res = await send(sender, { recipientEmail: 'newcomer@example.com', amount: '25.00' });
+    expect(res.status).toBe(200);
+    expect(res.body.transaction.status).toBe('pending');
+    expect(balanceOf(sender.user.id)).toBe(7500);
+    expect(escrowBalance()).toBe(escrowBefore + 2500);
+    expect(await lastEmail('newcomer@example.com', /sent you/)).not.toBeNull();
+
+    await request(app).post('/api/auth/register').send({
+      name: 'Newcomer',
+      email: 'newcomer@example.com',
+      phone: '+15555550123',
+      password: PASSWORD
+    }).expect(201);
+    const code = await emailedCode('newcomer@example.com', /Verify/);
+
+    const verified = await request(app).post('/api/auth/verify-email')
+      .send({ email: 'newcomer@example.com', code })
+      .expect(200);
+
+    expect(verified.body.claimedPayments).toBe(1);
+    const newcomer = db.users.findByEmail('newcomer@example.com');
+    expect(newcomer.balanceCents).toBe(2500);
+    expect(escrowBalance()).toBe(escrowBefore);
+    expect(db.transactions.findById(res.body.transaction.id)).toMatchObject({ status: 'completed' });
+    expect(ledgerService.reconcile().balanced).toBe(true);
+  });
+
+  test('refunds the sender once an unclaimed payment expires, exactly once', async () => {
+    const sender = createUser('refund-sender@example.com', { balanceCents: 10000 });
+    const escrowBefore = escrowBalance();
+
+    const res = await send(sender, { recipientEmail: 'nobody@example.com', amount: '40.00' });
+    const { id } = res.body.transaction;
+    const { expiresAt } = db.transactions.findById(id);
+
+    // Not expired yet
+    expect(await paymentService.refundExpiredPayments()).toEqual([]);
+    expect(balanceOf(sender.user.id)).toBe(6000);
+
+    const afterExpiry = new Date(Date.parse(expiresAt) + 1000);
+    const refunded = await paymentService.refundExpiredPayments(afterExpiry);
+    expect(refunded.map(transaction => transaction.id)).toEqual([id]);
+    expect(db.transactions.findById(id).status).toBe('refunded');
+    expect(balanceOf(sender.user.id)).toBe(10000);
+    expect(escrowBalance()).toBe(escrowBefore);
+
+    expect(await paymentService.refundExpiredPayments(afterExpiry)).toEqual([]);
+    expect(balanceOf(sender.user.id)).toBe(10000);
+
+    // A refunded payment can't be claimed afterwards
+    const late = createUser('nobody@example.com');
+    expect(await paymentService.claimPendingPayments(late.user)).toEqual([]);
+    expect(balanceOf(late.user.id)).toBe(0);
+    expect(ledgerService.reconcile().balanced).toBe(true);
+  });
+});
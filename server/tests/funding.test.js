@@ -0,0 +1,239 @@
+const db = require('../db');
+const fundingService = require('../services/fundingService');
+const { app, request, createUser, balanceOf } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Account numbers ending in 0000 are returned by the mock rail
+const GOOD_ACCOUNT = '123456789';
+const CLOSED_ACCOUNT = '987650000';
+
+// Make the mock rail answer for a transfer: it settles (or fails) once its
+// settlement delay has passed since the transfer was submitted
+const makeDue = (transfer) => db.fundingTransfers.update(transfer.id, { submittedAt: new Date(0).toISOString() });
+
+describe('funding', () => {
+  let users = 0;
+  let owner;
+
+  beforeEach(() => {
+    users++;
+    owner = createUser(`funding${users}@example.com`);
+  });
+
+  const link = (accountNumber) => request(app).post('/api/funding/accounts')
+    .set(owner.auth)
+    .send({ accountHolderName: 'Owner', accountType: 'checking', routingNumber: '021000021', accountNumber })
+    .expect(201)
+    .then(res => res.body.bankAccount);
+
+  const verify = (account, amounts) => request(app).post(`/api/funding/accounts/${account.id}/verify`)
+    .set(owner.auth)
+    .send({ amounts });
+
+  // A linked account, verified with the amounts the rail sent
+  const linkVerified = async (accountNumber) => {
+    const account = await link(accountNumber);
+    return fundingService.verifyAccount(owner.user.id, account.id, db.bankAccounts.findById(account.id).microDepositsCents);
+  };
+
+  const dollars = (cents) => (cents / 100).toFixed(2);
+
+  describe('micro-deposit verification', () => {
+    test('takes the two amounts in either order', async () => {
+      const account = await link(GOOD_ACCOUNT);
+      expect(account.status).toBe('pending_verification');
+      const [first, second] = db.bankAccounts.findById(account.id).microDepositsCents;
+
+      const res = await verify(account, [dollars(second), dollars(first)]).expect(200);
+      expect(res.body.bankAccount).toMatchObject({ status: 'verified' });
+      expect(res.body.bankAccount.verifiedAt).not.toBeNull();
+      expect(db.bankAccounts.findById(account.id).microDepositsCents).toBeNull();
+
+      // Only once
+      const again = await verify(account, [dollars(first), dollars(second)]);
+      expect(again.status).toBe(409);
+      expect(again.body.code).toBe('BANK_ACCOUNT_NOT_PENDING');
+    });
+
+    test('wrong guesses count down until the account has to be linked again', async () => {
+      const account = await link(GOOD_ACCOUNT);
+      const [first, second] = db.bankAccounts.findById(account.id).microDepositsCents;
+      // Off by a cent, so never right
+      const wrong = [dollars(first), dollars(second === 99 ? 98 : second + 1)];
+
+      const firstTry = await verify(account, wrong).expect(400);
+      expect(firstTry.body).toMatchObject({ code: 'INVALID_MICRO_DEPOSITS', error: expect.stringContaining('2 attempt(s) left') });
+      expect((await verify(account, wrong).expect(400)).body.error).toContain('1 attempt(s) left');
+      expect((await verify(account, wrong).expect(400)).body.error).toContain('Link the account again');
+      expect(db.bankAccounts.findById(account.id)).toMatchObject({ status: 'failed', verificationAttempts: 3, microDepositsCents: null });
+
+      // Even the right amounts are too late now
+      expect((await verify(account, [dollars(first), dollars(second)])).body.code).toBe('BANK_ACCOUNT_NOT_PENDING');
+
+      // A failed account can be linked again and gets new deposits
+      const relinked = await link(GOOD_ACCOUNT);
+      expect(relinked.id).not.toBe(account.id);
+      expect(db.bankAccounts.findById(relinked.id).microDepositsCents).toHaveLength(2);
+    });
+
+    test('no money moves through an unverified account', async () => {
+      const account = await link(GOOD_ACCOUNT);
+      const res = await request(app).post('/api/funding/deposit')
+        .set(owner.auth)
+        .send({ bankAccountId: account.id, amount: '10.00' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('BANK_ACCOUNT_NOT_VERIFIED');
+      expect(db.fundingTransfers.count({ userId: owner.user.id })).toBe(0);
+    });
+  });
+
+  describe('settlement', () => {
+    test('a deposit is credited when it settles', async () => {
+      const account = await linkVerified(GOOD_ACCOUNT);
+
+      const res = await request(app).post('/api/funding/deposit')
+        .set(owner.auth)
+        .send({ bankAccountId: account.id, amount: '250.00' })
+        .expect(202);
+      expect(res.body).toMatchObject({ transfer: { direction: 'deposit', amount: '250.00', status: 'pending' }, balance: '0.00' });
+
+      // Not before the rail settles it
+      await fundingService.processPending();
+      expect(db.fundingTransfers.findById(res.body.transfer.id).status).toBe('pending');
+      expect(balanceOf(owner.user.id)).toBe(0);
+
+      makeDue(res.body.transfer);
+      expect(await fundingService.processPending()).toMatchObject({ settled: 1, failed: 0 });
+      expect(balanceOf(owner.user.id)).toBe(25000);
+
+      const settled = await request(app).get(`/api/funding/transfers/${res.body.transfer.id}`).set(owner.auth).expect(200);
+      expect(settled.body.transfer.status).toBe('settled');
+      expect(settled.body.transfer.settledAt).not.toBeNull();
+
+      // Settling again changes nothing
+      expect(fundingService.settle(settled.body.transfer)).toBe('settled');
+      expect(balanceOf(owner.user.id)).toBe(25000);
+    });
+
+    test('a withdrawal leaves the balance at once and stays out when it settles', async () => {
+      const account = await linkVerified(GOOD_ACCOUNT);
+      const deposit = await fundingService.deposit(owner.user, { bankAccountId: account.id, amountCents: 10000 });
+      fundingService.settle(deposit);
+
+      const res = await request(app).post('/api/funding/withdraw')
+        .set(owner.auth)
+        .send({ bankAccountId: account.id, amount: '40.00' })
+        .expect(202);
+      expect(res.body).toMatchObject({ transfer: { direction: 'withdrawal', status: 'pending' }, balance: '60.00' });
+
+      // Can't be spent twice
+      const tooMuch = await request(app).post('/api/funding/withdraw')
+        .set(owner.auth)
+        .send({ bankAccountId: account.id, amount: '60.01' });
+      expect(tooMuch.body.code).toBe('INSUFFICIENT_FUNDS');
+
+      makeDue(res.body.transfer);
+      await fundingService.processPending();
+      expect(db.fundingTransfers.findById(res.body.transfer.id).status).toBe('settled');
+      expect(balanceOf(owner.user.id)).toBe(6000);
+    });
+  });
+
+  describe('returns', () => {
+    test('a returned deposit never reaches the balance', async () => {
+      const account = await linkVerified(CLOSED_ACCOUNT);
+      const deposit = await fundingService.deposit(owner.user, { bankAccountId: account.id, amountCents: 5000 });
+
+      makeDue(deposit);
+      expect(await fundingService.processPending()).toMatchObject({ settled: 0, failed: 1 });
+      expect(db.fundingTransfers.findById(deposit.id)).toMatchObject({ status: 'failed', failureReason: 'R01: Insufficient funds' });
+      expect(balanceOf(owner.user.id)).toBe(0);
+    });
+
+    test('a returned withdrawal goes back to the balance, once', async () => {
+      const good = await linkVerified(GOOD_ACCOUNT);
+      const closed = await linkVerified(CLOSED_ACCOUNT);
+      fundingService.settle(await fundingService.deposit(owner.user, { bankAccountId: good.id, amountCents: 5000 }));
+
+      const withdrawal = await fundingService.withdraw(owner.user, { bankAccountId: closed.id, amountCents: 3000 });
+      expect(balanceOf(owner.user.id)).toBe(2000);
+
+      makeDue(withdrawal);
+      await fundingService.processPending();
+      expect(db.fundingTransfers.findById(withdrawal.id)).toMatchObject({ status: 'failed', failureReason: 'R02: Account closed' });
+      expect(balanceOf(owner.user.id)).toBe(5000);
+
+      // A settled or failed transfer keeps its status
+      expect(fundingService.fail(withdrawal, 'again')).toBe('failed');
+      expect(fundingService.settle(withdrawal)).toBe('failed');
+      expect(balanceOf(owner.user.id)).toBe(5000);
+    });
+  });
+
+  // The defaults: $2,500 a transfer and $5,000 in 24 hours, each way
+  describe('limits', () => {
+    const blocked = async (move) => {
+      try {
+        await move();
+      } catch (error) {
+        expect(error.code).toBe('FUNDING_LIMIT_EXCEEDED');
+        return error.details;
+      }
+      return null;
+    };
+
+    test('cap each deposit and the deposits in 24 hours', async () => {
+      const account = await linkVerified(GOOD_ACCOUNT);
+      const deposit = (amountCents) => () => fundingService.deposit(owner.user, { bankAccountId: account.id, amountCents });
+
+      expect(await blocked(deposit(250001))).toEqual({ direction: 'deposit', limit: 'perTransfer', allowed: '2500.00' });
+
+      const first = await fundingService.deposit(owner.user, { bankAccountId: account.id, amountCents: 250000 });
+      expect(await blocked(deposit(200000))).toBeNull();
+      expect(await blocked(deposit(50001))).toEqual({ direction: 'deposit', limit: 'dailyAmount', allowed: '5000.00', remaining: '500.00' });
+
+      // Settled deposits still count; ones older than 24 hours don't
+      fundingService.settle(first);
+      expect(await blocked(deposit(50001))).not.toBeNull();
+      db.fundingTransfers.update(first.id, { createdAt: new Date(Date.now() - 25 * HOUR_MS).toISOString() });
+      expect(await blocked(deposit(250000))).toBeNull();
+
+      // Nothing was recorded for the blocked ones
+      expect(db.fundingTransfers.count({ userId: owner.user.id })).toBe(3);
+    });
+
+    test('cap withdrawals, with failed ones not counting', async () => {
+      const good = await linkVerified(GOOD_ACCOUNT);
+      const closed = await linkVerified(CLOSED_ACCOUNT);
+      for (const amountCents of [250000, 250000, 250000]) {
+        const deposit = await fundingService.deposit(owner.user, { bankAccountId: good.id, amountCents });
+        db.fundingTransfers.update(deposit.id, { createdAt: new Date(Date.now() - 25 * HOUR_MS).toISOString() });
+        fundingService.settle(deposit);
+      }
+      const withdraw = (bankAccountId, amountCents) => () => fundingService.withdraw(owner.user, { bankAccountId, amountCents });
+
+      expect(await blocked(withdraw(good.id, 250001))).toEqual({ direction: 'withdrawal', limit: 'perTransfer', allowed: '2500.00' });
+
+      expect(await blocked(withdraw(good.id, 250000))).toBeNull();
+      const returned = await fundingService.withdraw(owner.user, { bankAccountId: closed.id, amountCents: 250000 });
+      const res = await request(app).post('/api/funding/withdraw')
+        .set(owner.auth)
+        .send({ bankAccountId: good.id, amount: '0.01' });
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({
+        code: 'FUNDING_LIMIT_EXCEEDED',
+        error: 'Withdrawals are limited to $5,000.00 in 24 hours; $0.00 is left right now',
+        details: { direction: 'withdrawal', limit: 'dailyAmount', remaining: '0.00' }
+      });
+      expect(balanceOf(owner.user.id)).toBe(250000);
+
+      // Once the bank returns one, its amount can be withdrawn again
+      makeDue(returned);
+      await fundingService.processPending();
+      expect(balanceOf(owner.user.id)).toBe(500000);
+      expect(await blocked(withdraw(good.id, 250000))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../app');
+const db = require('../db');
+const ledgerService = require('../services/ledgerService');
+const sessionService = require('../services/sessionService');
+const emailQueue = require('../services/emailQueueService');
+const { transport } = require('../email');
+
+const PASSWORD = 'password123';
+
+// Add cents to a user's balance as a deposit from outside the system.
+// Returns the journal entry.
+function fund(userId, amountCents) {
+  return ledgerService.transfer({
+    fromAccount: ledgerService.ACCOUNTS.EXTERNAL_FUNDING,
+    toAccount: ledgerService.userAccount(userId),
+    amountCents,
+    type: 'deposit'
+  });
+}
+
+// A verified user with a signed-in session, without going through
+// registration (and its rate limit). Returns the user, their access token
+// and the Authorization header to send it in.
+function createUser(email, { balanceCents = 0, ...fields } = {}) {
+  const user = db.users.insert({
+    id: uuidv4(),
+    name: email.split('@')[0],
+    email,
+    phone: '+15555550100',
+    password: bcrypt.hashSync(PASSWORD, 4),
+    verified: true,
+    balanceCents: 0,
+    locale: null,
+    timeZone: null,
+    createdAt: new Date().toISOString(),
+    ...fields
+  });
+
+  if (balanceCents > 0) {
+    fund(user.id, balanceCents);
+  }
+
+  const { token, sessionId } = sessionService.createSession(user);
+  return {
+    user: db.users.findById(user.id),
+    token,
+    sessionId,
+    auth: { Authorization: `Bearer ${token}` }
+  };
+}
+
+const balanceOf = (userId) => db.users.findById(userId).balanceCents;
+
+// Deliver queued emails and return the newest one to `to` whose subject
+// matches
+async function lastEmail(to, subject) {
+  await emailQueue.processDue();
+  return transport.list({ to }).find(message => subject.test(message.subject)) || null;
+}
+
+// The six-digit code in the newest matching email
+async function emailedCode(to, subject) {
+  const message = await lastEmail(to, subject);
+  const match = message && message.text.match(/\b(\d{6})\b/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  app,
+  request,
+  PASSWORD,
+  fund,
+  createUser,
+  balanceOf,
+  lastEmail,
+  emailedCode
+};
@@ -0,0 +1,53 @@
+const { escapeLike, matches } = require('../db/query');
+const { app, request, createUser } = require('./helpers');
+
+describe('LIKE patterns', () => {
+  test('escapeLike makes wildcards match themselves', () => {
+    expect(escapeLike('50%_off\\')).toBe('50\\%\\_off\\\\');
+
+    const note = (pattern) => ({ note: { $like: `%${escapeLike(pattern)}%` } });
+    expect(matches({ note: 'Got 50% off' }, note('50%'))).toBe(true);
+    expect(matches({ note: 'Got 500 off' }, note('50%'))).toBe(false);
+    expect(matches({ note: 'a_b' }, note('_'))).toBe(true);
+    expect(matches({ note: 'ab' }, note('_'))).toBe(false);
+  });
+});
+
+describe('GET /api/transactions/history', () => {
+  let alice;
+
+  beforeAll(async () => {
+    alice = createUser('alice@example.com', { balanceCents: 10000 });
+    createUser('bob@example.com');
+
+    for (const note of ['Rent 100%', 'Rent 1000', 'pizza_night', 'pizzas']) {
+      await request(app)
+        .post('/api/transactions/send')
+        .set(alice.auth)
+        .send({ recipientEmail: 'bob@example.com', amount: '1.00', note })
+        .expect(200);
+    }
+  });
+
+  const search = (query) => request(app).get('/api/transactions/history').set(alice.auth).query(query);
+
+  test('search matches % and _ literally', async () => {
+    const percent = await search({ q: '100%' }).expect(200);
+    expect(percent.body.transactions.map(item => item.note)).toEqual(['Rent 100%']);
+
+    const underscore = await search({ q: 'pizza_' }).expect(200);
+    expect(underscore.body.transactions.map(item => item.note)).toEqual(['pizza_night']);
+  });
+
+  test('validates the page limit', async () => {
+    const page = await search({ limit: '2' }).expect(200);
+    expect(page.body.transactions).toHaveLength(2);
+    expect(page.body.nextCursor).toEqual(expect.any(String));
+
+    for (const limit of ['0', '-1', 'abc', '2.5']) {
+      const res = await search({ limit });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+    }
+  });
+});
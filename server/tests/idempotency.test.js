@@ -0,0 +1,92 @@
+const db = require('../db');
+const { app, request, createUser, balanceOf, fund } = require('./helpers');
+
+describe('Idempotency-Key', () => {
+  let alice;
+  let bob;
+
+  beforeAll(() => {
+    alice = createUser('alice@example.com', { balanceCents: 10000 });
+    bob = createUser('bob@example.com');
+  });
+
+  const send = (key, body) => request(app)
+    .post('/api/transactions/send')
+    .set(alice.auth)
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  test('replays the stored response instead of paying twice', async () => {
+    const body = { recipientEmail: 'bob@example.com', amount: '10.00' };
+
+    const first = await send('pay-bob-1', body);
+    expect(first.status).toBe(200);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    const replay = await send('pay-bob-1', body);
+    expect(replay.status).toBe(200);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body).toEqual(first.body);
+
+    expect(balanceOf(bob.user.id)).toBe(1000);
+    expect(db.transactions.count({ senderEmail: 'alice@example.com' })).toBe(1);
+  });
+
+  test('rejects a reused key with a different body with 409', async () => {
+    await send('pay-bob-2', { recipientEmail: 'bob@example.com', amount: '5.00' }).expect(200);
+
+    const reused = await send('pay-bob-2', { recipientEmail: 'bob@example.com', amount: '6.00' });
+
+    expect(reused.status).toBe(409);
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(balanceOf(bob.user.id)).toBe(1500);
+  });
+
+  test('keys are per user', async () => {
+    const carol = createUser('carol@example.com', { balanceCents: 1000 });
+
+    const res = await request(app)
+      .post('/api/transactions/send')
+      .set(carol.auth)
+      .set('Idempotency-Key', 'pay-bob-1')
+      .send({ recipientEmail: 'bob@example.com', amount: '10.00' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(balanceOf(carol.user.id)).toBe(0);
+  });
+
+  test('a rejected payment releases the key, so the retry runs once funds are there', async () => {
+    const body = { recipientEmail: 'bob@example.com', amount: '200.00' };
+
+    const first = await send('top-up-first', body);
+    expect(first.status).toBe(422);
+    expect(first.body.code).toBe('INSUFFICIENT_FUNDS');
+
+    fund(alice.user.id, 20000);
+    const retry = await send('top-up-first', body);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+
+    const replay = await send('top-up-first', body);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(db.transactions.count({ senderEmail: 'alice@example.com', amountCents: 20000 })).toBe(1);
+  });
+
+  test('a request that can never succeed is final and replayed', async () => {
+    const body = { recipientEmail: 'alice@example.com', amount: '1.00' };
+
+    expect((await send('to-self', body)).status).toBe(400);
+
+    const replay = await send('to-self', body);
+    expect(replay.status).toBe(400);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('rejects an empty key', async () => {
+    const res = await send('', { recipientEmail: 'bob@example.com', amount: '1.00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+});
@@ -0,0 +1,103 @@
+const db = require('../db');
+const ledgerService = require('../services/ledgerService');
+const { InsufficientFundsError } = require('../utils/errors');
+const { createUser, fund } = require('./helpers');
+
+const { ACCOUNTS } = ledgerService;
+
+describe('ledger', () => {
+  let users = 0;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    users++;
+    alice = createUser(`alice${users}@example.com`).user;
+    bob = createUser(`bob${users}@example.com`).user;
+  });
+
+  test('transfers update cached balances and the books reconcile', () => {
+    fund(alice.id, 10000);
+    ledgerService.transfer({
+      fromAccount: ledgerService.userAccount(alice.id),
+      toAccount: ledgerService.userAccount(bob.id),
+      amountCents: 2550,
+      type: 'payment'
+    });
+
+    expect(db.users.findById(alice.id).balanceCents).toBe(7450);
+    expect(db.users.findById(bob.id).balanceCents).toBe(2550);
+    expect(ledgerService.getBalance(ledgerService.userAccount(bob.id))).toBe(2550);
+
+    const report = ledgerService.reconcile();
+    expect(report.balanced).toBe(true);
+    expect(report.unbalancedJournals).toEqual([]);
+    expect(report.mismatchedBalances).toEqual([]);
+    expect(report.accounts[ledgerService.userAccount(alice.id)]).toBe('74.50');
+    expect(report.totals.users).toBe(report.totals.externalFunding);
+  });
+
+  test('refuses to take a user account below zero and writes nothing', () => {
+    fund(alice.id, 1000);
+    const postings = db.ledgerPostings.count();
+
+    expect(() => ledgerService.transfer({
+      fromAccount: ledgerService.userAccount(alice.id),
+      toAccount: ledgerService.userAccount(bob.id),
+      amountCents: 1001
+    })).toThrow(InsufficientFundsError);
+
+    expect(db.ledgerPostings.count()).toBe(postings);
+    expect(db.users.findById(alice.id).balanceCents).toBe(1000);
+    expect(db.users.findById(bob.id).balanceCents).toBe(0);
+    expect(ledgerService.reconcile().balanced).toBe(true);
+  });
+
+  test('rejects unbalanced or non-positive journal entries', () => {
+    expect(() => ledgerService.postJournal({
+      type: 'adjustment',
+      postings: [
+        { accountId: ACCOUNTS.EXTERNAL_FUNDING, direction: 'debit', amountCents: 100 },
+        { accountId: ledgerService.userAccount(alice.id), direction: 'credit', amountCents: 99 }
+      ]
+    })).toThrow('Journal entry is not balanced');
+
+    expect(() => ledgerService.transfer({
+      fromAccount: ACCOUNTS.EXTERNAL_FUNDING,
+      toAccount: ledgerService.userAccount(alice.id),
+      amountCents: 0.5
+    })).toThrow('Posting amounts must be positive whole cents');
+  });
+
+  test('reconcile reports a cached balance that disagrees with the journal', () => {
+    fund(alice.id, 5000);
+    db.users.update(alice.id, { balanceCents: 6000 });
+
+    const report = ledgerService.reconcile();
+    db.users.update(alice.id, { balanceCents: 5000 });
+
+    expect(report.balanced).toBe(false);
+    expect(report.mismatchedBalances).toEqual([
+      expect.objectContaining({ userId: alice.id, cached: '60.00', derived: '50.00' })
+    ]);
+  });
+
+  test('reconcile reports a journal entry that does not net to zero', () => {
+    const journal = fund(bob.id, 300);
+    db.ledgerPostings.insert({
+      id: `${journal.id}-3`,
+      journalId: journal.id,
+      accountId: ACCOUNTS.EXTERNAL_FUNDING,
+      direction: 'debit',
+      amountCents: 1,
+      createdAt: new Date().toISOString()
+    });
+
+    const report = ledgerService.reconcile();
+    db.ledgerPostings.delete({ id: `${journal.id}-3` });
+
+    expect(report.balanced).toBe(false);
+    expect(report.unbalancedJournals).toEqual([{ journalId: journal.id, difference: '-0.01' }]);
+    expect(ledgerService.reconcile().balanced).toBe(true);
+  });
+});
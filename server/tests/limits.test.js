@@ -0,0 +1,180 @@
+const paymentService = require('../services/paymentService');
+const sessionService = require('../services/sessionService');
+const limitService = require('../services/limitService');
+const { app, request, createUser, balanceOf } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Only Date is faked, so payments can be sent hours or days before now
+const NOW = new Date('2025-03-01T12:00:00.000Z');
+const at = (msFromNow) => jest.setSystemTime(new Date(NOW.getTime() + msFromNow));
+
+// The default new-tier limits: $500 a payment, $1,000 and 10 payments a
+// day, $2,500 and 40 payments in 30 days
+describe('transfer limits', () => {
+  let users = 0;
+  let sender;
+  let recipient;
+
+  beforeAll(() => {
+    jest.useFakeTimers({
+      now: NOW,
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'queueMicrotask', 'setTimeout', 'clearTimeout',
+        'setInterval', 'clearInterval', 'hrtime', 'performance']
+    });
+    recipient = createUser('recipient@example.com').user;
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    users++;
+    at(-40 * DAY_MS);
+    sender = createUser(`sender${users}@example.com`, { balanceCents: 1000000 }).user;
+    at(0);
+  });
+
+  // Send a payment msFromNow (negative: in the past), then come back to now
+  const pay = async (amountCents, msFromNow = 0) => {
+    at(msFromNow);
+    try {
+      return await paymentService.sendPayment({ senderEmail: sender.email, recipientEmail: recipient.email, amountCents });
+    } finally {
+      at(0);
+    }
+  };
+
+  // The details of the limit a payment of amountCents would break at
+  // msFromNow, or null if it would go through. Nothing is sent either way.
+  const blocked = (amountCents, msFromNow = 0) => {
+    try {
+      limitService.checkSend(sender, amountCents, new Date(NOW.getTime() + msFromNow));
+    } catch (error) {
+      expect(error.code).toBe('TRANSFER_LIMIT_EXCEEDED');
+      return error.details;
+    }
+    return null;
+  };
+
+  test('caps each payment', async () => {
+    expect(blocked(50000)).toBeNull();
+    expect(blocked(50001)).toEqual({ tier: 'new', limit: 'perTransaction', allowed: '500.00', availableAt: null });
+
+    await expect(pay(50001)).rejects.toMatchObject({ code: 'TRANSFER_LIMIT_EXCEEDED' });
+    expect(balanceOf(sender.id)).toBe(1000000);
+  });
+
+  test('the daily amount rolls off 24 hours after each payment', async () => {
+    // Older than a day, so no longer counted
+    await pay(40000, -30 * HOUR_MS);
+    await pay(40000, -20 * HOUR_MS);
+    await pay(40000, -2 * HOUR_MS);
+
+    expect(blocked(20000)).toBeNull();
+    expect(blocked(30000)).toEqual({
+      tier: 'new',
+      limit: 'dailyAmount',
+      allowed: '1000.00',
+      remaining: '200.00',
+      availableAt: new Date(NOW.getTime() + 4 * HOUR_MS).toISOString()
+    });
+    await expect(pay(30000)).rejects.toMatchObject({ code: 'TRANSFER_LIMIT_EXCEEDED' });
+
+    expect(blocked(30000, 4 * HOUR_MS + 1)).toBeNull();
+    await pay(30000, 4 * HOUR_MS + 1);
+  });
+
+  test('the daily count frees up when the oldest payment ages out', async () => {
+    for (let i = 10; i >= 1; i--) {
+      await pay(100, -i * HOUR_MS);
+    }
+
+    expect(blocked(100)).toMatchObject({
+      limit: 'dailyCount',
+      allowed: 10,
+      remaining: 0,
+      availableAt: new Date(NOW.getTime() + 14 * HOUR_MS).toISOString()
+    });
+    expect(blocked(100, 14 * HOUR_MS + 1)).toBeNull();
+  });
+
+  test('the monthly amount counts the last 30 days', async () => {
+    for (const daysAgo of [35, 25, 20, 15, 10, 2]) {
+      await pay(48000, -daysAgo * DAY_MS);
+    }
+
+    expect(blocked(10000)).toBeNull();
+    expect(blocked(15000)).toEqual({
+      tier: 'new',
+      limit: 'monthlyAmount',
+      allowed: '2500.00',
+      remaining: '100.00',
+      availableAt: new Date(NOW.getTime() + 5 * DAY_MS).toISOString()
+    });
+  });
+
+  test('a blocked send says which limit and when it would fit', async () => {
+    await pay(50000, -3 * HOUR_MS);
+    await pay(40000, -HOUR_MS);
+    const auth = { Authorization: `Bearer ${sessionService.createSession(sender).token}` };
+
+    const res = await request(app).post('/api/transactions/send')
+      .set(auth)
+      .send({ recipientEmail: recipient.email, amount: '150.00' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({
+      code: 'TRANSFER_LIMIT_EXCEEDED',
+      error: 'You can send at most $1,000.00 in 24 hours; $100.00 is left right now',
+      details: { limit: 'dailyAmount', remaining: '100.00', availableAt: new Date(NOW.getTime() + 21 * HOUR_MS).toISOString() }
+    });
+    expect(balanceOf(sender.id)).toBe(1000000 - 90000);
+  });
+
+  test('usage reports what is left of each window', async () => {
+    await pay(20000, -3 * DAY_MS);
+    await pay(30000, -HOUR_MS);
+
+    const usage = limitService.usage(sender);
+
+    expect(usage.windows.daily).toMatchObject({ usedCents: 30000, remainingCents: 70000, usedCount: 1, remainingCount: 9 });
+    expect(usage.windows.monthly).toMatchObject({ usedCents: 50000, remainingCents: 200000, usedCount: 2, remainingCount: 38 });
+    expect(usage.availableCents).toBe(50000);
+  });
+
+  test('users move to the established tier with a verified phone and a 30 day old account', () => {
+    const created = (daysAgo, fields = {}) => {
+      users++;
+      return createUser(`tier${users}@example.com`, {
+        createdAt: new Date(NOW.getTime() - daysAgo * DAY_MS).toISOString(),
+        phoneVerifiedAt: NOW.toISOString(),
+        ...fields
+      }).user;
+    };
+
+    expect(limitService.tier(created(29))).toBe('new');
+    expect(limitService.tier(created(30))).toBe('established');
+    expect(limitService.tier(created(400, { phoneVerifiedAt: null }))).toBe('new');
+  });
+
+  test('GET /api/limits shows the windows and how to reach the next tier', async () => {
+    await pay(12500, -HOUR_MS);
+    const auth = { Authorization: `Bearer ${sessionService.createSession(sender).token}` };
+
+    const res = await request(app).get('/api/limits').set(auth).expect(200);
+
+    expect(res.body).toMatchObject({
+      tier: 'new',
+      perTransaction: '500.00',
+      available: '500.00',
+      upgrade: { tier: 'established', requires: ['phoneVerification'], phoneVerification: 'support' },
+      windows: {
+        daily: { durationHours: 24, amount: { limit: '1000.00', used: '125.00', remaining: '875.00' }, count: { limit: 10, used: 1 } },
+        monthly: { durationHours: 720, amount: { limit: '2500.00', used: '125.00' }, count: { limit: 40 } }
+      }
+    });
+  });
+});
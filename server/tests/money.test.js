@@ -0,0 +1,79 @@
+const { parseAmount, toDecimalString, formatAmount, allocate } = require('../utils/money');
+
+describe('parseAmount', () => {
+  test.each([
+    ['50', 5000],
+    ['50.5', 5050],
+    ['50.05', 5005],
+    ['0.01', 1],
+    [' 12.34 ', 1234],
+    [25, 2500],
+    [19.99, 1999]
+  ])('parses %p as %p cents', (input, cents) => {
+    expect(parseAmount(input)).toBe(cents);
+  });
+
+  test.each([
+    ['0'],
+    ['0.00'],
+    ['-5'],
+    ['+5'],
+    ['1e3'],
+    ['1.234'],
+    ['.50'],
+    ['05'],
+    ['1,000'],
+    [''],
+    ['abc'],
+    [NaN],
+    [Infinity],
+    [null],
+    [undefined],
+    [{}]
+  ])('rejects %p', (input) => {
+    expect(() => parseAmount(input)).toThrow();
+  });
+
+  test('rejects amounts too large to count in cents exactly', () => {
+    expect(() => parseAmount('90071992547409.92')).toThrow('Amount is too large');
+  });
+});
+
+describe('toDecimalString and formatAmount', () => {
+  test('always show two decimal places', () => {
+    expect(toDecimalString(123456)).toBe('1234.56');
+    expect(toDecimalString(5)).toBe('0.05');
+    expect(toDecimalString(-250)).toBe('-2.50');
+    expect(formatAmount(123456)).toBe('$1,234.56');
+  });
+});
+
+describe('allocate', () => {
+  test('splits evenly when it can', () => {
+    expect(allocate(900, [1, 1, 1])).toEqual([300, 300, 300]);
+  });
+
+  test('gives leftover cents to the earliest parts on a tie', () => {
+    expect(allocate(1000, [1, 1, 1])).toEqual([334, 333, 333]);
+    expect(allocate(1, [1, 1])).toEqual([1, 0]);
+  });
+
+  test('gives leftover cents to the largest remainders', () => {
+    // Exact shares are 1.6, 3.6 and 4.8 cents
+    expect(allocate(10, [4, 9, 12])).toEqual([2, 3, 5]);
+    expect(allocate(100, [1, 2])).toEqual([33, 67]);
+  });
+
+  test('always adds up to the total', () => {
+    for (const [total, weights] of [[9999, [3, 7, 11]], [1, [5, 5, 5]], [12345, [1, 1, 1, 1, 1, 1, 1]]]) {
+      const parts = allocate(total, weights);
+      expect(parts.reduce((sum, part) => sum + part, 0)).toBe(total);
+      parts.forEach(part => expect(Number.isInteger(part)).toBe(true));
+    }
+  });
+
+  test('rejects weights that add up to nothing', () => {
+    expect(() => allocate(100, [0, 0])).toThrow();
+    expect(() => allocate(100, [])).toThrow();
+  });
+});
@@ -0,0 +1,152 @@
+const db = require('../db');
+const ledgerService = require('../services/ledgerService');
+const paymentService = require('../services/paymentService');
+const moneyRequestService = require('../services/moneyRequestService');
+const { app, request, createUser, balanceOf } = require('./helpers');
+
+describe('money requests', () => {
+  let requester;
+  let requestee;
+  let stranger;
+
+  beforeAll(() => {
+    requester = createUser('requester@example.com');
+    requestee = createUser('requestee@example.com', { balanceCents: 10000 });
+    stranger = createUser('stranger@example.com', { balanceCents: 10000 });
+  });
+
+  const ask = async (amount, from = requestee) => {
+    const res = await request(app)
+      .post('/api/transactions/request')
+      .set(requester.auth)
+      .send({ requesteeEmail: from.user.email, amount, note: 'Dinner' })
+      .expect(200);
+    return res.body.request;
+  };
+
+  const act = (user, requestId, action) => request(app)
+    .post(`/api/transactions/requests/${requestId}/${action}`)
+    .set(user.auth);
+
+  test('a new request is pending and shows on both sides', async () => {
+    const created = await ask('20.00');
+    expect(created).toMatchObject({ status: 'pending', direction: 'outgoing', amount: '20.00' });
+
+    const incoming = await request(app)
+      .get('/api/transactions/requests?direction=incoming&status=pending')
+      .set(requestee.auth)
+      .expect(200);
+    expect(incoming.body.requests.map(item => item.id)).toContain(created.id);
+  });
+
+  test('pending -> paid moves the money once', async () => {
+    const { id } = await ask('20.00');
+    const requesterBefore = balanceOf(requester.user.id);
+
+    const paid = await act(requestee, id, 'pay').expect(200);
+    expect(paid.body.request).toMatchObject({ status: 'paid', transactionId: paid.body.transactionId });
+    expect(balanceOf(requester.user.id)).toBe(requesterBefore + 2000);
+
+    for (const [user, action] of [[requestee, 'pay'], [requestee, 'decline'], [requester, 'cancel']]) {
+      const again = await act(user, id, action);
+      expect(again.status).toBe(409);
+      expect(again.body.code).toBe('REQUEST_NOT_PENDING');
+    }
+    expect(balanceOf(requester.user.id)).toBe(requesterBefore + 2000);
+  });
+
+  test('paying the same request twice at once pays it once', async () => {
+    const { id } = await ask('15.00');
+    const requesterBefore = balanceOf(requester.user.id);
+
+    const responses = await Promise.all([act(requestee, id, 'pay'), act(requestee, id, 'pay')]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 409]);
+    expect(balanceOf(requester.user.id)).toBe(requesterBefore + 1500);
+    expect(ledgerService.reconcile().balanced).toBe(true);
+  });
+
+  test('pending -> declined, after which it cannot be paid', async () => {
+    const { id } = await ask('5.00');
+
+    const declined = await act(requestee, id, 'decline').expect(200);
+    expect(declined.body.request.status).toBe('declined');
+
+    const pay = await act(requestee, id, 'pay');
+    expect(pay.status).toBe(409);
+    expect(db.moneyRequests.findById(id).status).toBe('declined');
+  });
+
+  test('pending -> cancelled by the requester only', async () => {
+    const { id } = await ask('5.00');
+
+    const byRequestee = await act(requestee, id, 'cancel');
+    expect(byRequestee.status).toBe(403);
+
+    const cancelled = await act(requester, id, 'cancel').expect(200);
+    expect(cancelled.body.request.status).toBe('cancelled');
+
+    expect((await act(requestee, id, 'pay')).status).toBe(409);
+  });
+
+  test('only the requestee can pay or decline, and others cannot see it', async () => {
+    const { id } = await ask('5.00');
+
+    expect((await act(requester, id, 'pay')).status).toBe(403);
+    expect((await act(requester, id, 'decline')).status).toBe(403);
+
+    const hidden = await act(stranger, id, 'pay');
+    expect(hidden.status).toBe(404);
+    expect(hidden.body.code).toBe('REQUEST_NOT_FOUND');
+    expect(db.moneyRequests.findById(id).status).toBe('pending');
+  });
+
+  test('a payment that fails leaves the request pending', async () => {
+    const broke = createUser('broke@example.com');
+    const { id } = await ask('5.00', broke);
+
+    const res = await act(broke, id, 'pay');
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('INSUFFICIENT_FUNDS');
+    expect(db.moneyRequests.findById(id).status).toBe('pending');
+  });
+
+  test('a request that stops being pending while the payment waits is not paid', async () => {
+    const { id } = await ask('5.00');
+    const requesterBefore = balanceOf(requester.user.id);
+    const requesteeBefore = balanceOf(requestee.user.id);
+
+    // Hold the payer's account so the payment queues behind it
+    let release;
+    let held;
+    await new Promise(locked => {
+      held = paymentService.accountLocks.runExclusive([ledgerService.userAccount(requestee.user.id)], () => {
+        locked();
+        return new Promise(resolve => { release = resolve; });
+      });
+    });
+    const paying = moneyRequestService.payRequest(id, requestee.user.email);
+    await new Promise(resolve => setImmediate(resolve));
+
+    db.moneyRequests.update(id, { status: 'cancelled' });
+    release();
+    await held;
+
+    await expect(paying).rejects.toMatchObject({ code: 'REQUEST_NOT_PENDING' });
+    expect(db.moneyRequests.findById(id).status).toBe('cancelled');
+    expect(balanceOf(requester.user.id)).toBe(requesterBefore);
+    expect(balanceOf(requestee.user.id)).toBe(requesteeBefore);
+    expect(ledgerService.reconcile().balanced).toBe(true);
+  });
+
+  test('you cannot request money from yourself', async () => {
+    const res = await request(app)
+      .post('/api/transactions/request')
+      .set(requester.auth)
+      .send({ requesteeEmail: 'requester@example.com', amount: '5.00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('SELF_REQUEST');
+  });
+});
@@ -0,0 +1,44 @@
+const { isPublicAddress, publicLookup } = require('../utils/network');
+
+describe('isPublicAddress', () => {
+  test.each([
+    '8.8.8.8',
+    '1.1.1.1',
+    '172.32.0.1',
+    '2606:4700:4700::1111'
+  ])('%s is public', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '224.0.0.1',
+    '::',
+    '::1',
+    'fe80::1',
+    'fd00::1',
+    '::ffff:127.0.0.1',
+    '::ffff:10.0.0.1',
+    '64:ff9b::a00:1',
+    'localhost',
+    'example.com'
+  ])('%s is not', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+});
+
+describe('publicLookup', () => {
+  test('fails for names that resolve to a non-public address', (done) => {
+    publicLookup('localhost', { all: true }, (error) => {
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toMatch(/non-public address/);
+      done();
+    });
+  });
+});
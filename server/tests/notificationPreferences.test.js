@@ -0,0 +1,48 @@
+const db = require('../db');
+const emailService = require('../services/emailService');
+const { app, request, createUser, lastEmail } = require('./helpers');
+
+describe('notification preferences', () => {
+  test('every optional email is on until turned off, and changes leave the rest alone', async () => {
+    const owner = createUser('prefs@example.com');
+
+    const initial = await request(app).get('/api/auth/profile/notifications').set(owner.auth).expect(200);
+    expect(initial.body.preferences).toEqual({ paymentReceipts: true, moneyRequests: true, securityAlerts: true });
+
+    const updated = await request(app).patch('/api/auth/profile/notifications')
+      .set(owner.auth)
+      .send({ moneyRequests: false })
+      .expect(200);
+    expect(updated.body.preferences).toEqual({ paymentReceipts: true, moneyRequests: false, securityAlerts: true });
+    expect(db.users.findById(owner.user.id).notificationPreferences.moneyRequests).toBe(false);
+  });
+
+  test('receipts stop for whoever turned them off', async () => {
+    const sender = createUser('sender@example.com', { balanceCents: 10000 });
+    const recipient = createUser('quiet@example.com', { notificationPreferences: { paymentReceipts: false } });
+
+    await request(app).post('/api/transactions/send')
+      .set(sender.auth)
+      .send({ recipientEmail: recipient.user.email, amount: '5.00' })
+      .expect(200);
+
+    expect(await lastEmail('sender@example.com', /Payment Sent/)).not.toBeNull();
+    expect(await lastEmail('quiet@example.com', /Payment Received/)).toBeNull();
+  });
+
+  test('decide which emails go out, but never hold back codes or people without an account', () => {
+    const user = db.users.findById(createUser('alerts@example.com', {
+      notificationPreferences: { paymentReceipts: false, moneyRequests: false, securityAlerts: false }
+    }).user.id);
+
+    expect(['receipt', 'refund', 'request_received', 'request_paid', 'new_device_login']
+      .filter(type => emailService.wantsEmail(user, type))).toEqual([]);
+    expect(['verification', 'password_reset', 'step_up_code', 'password_changed']
+      .every(type => emailService.wantsEmail(user, type))).toBe(true);
+    expect(emailService.wantsEmail(null, 'receipt')).toBe(true);
+
+    expect(emailService.sendNewDeviceLoginAlert('alerts@example.com', {
+      name: 'alerts', loggedInAt: new Date().toISOString(), userAgent: 'phone', ipAddress: '127.0.0.1'
+    }).jobId).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const passwordResetService = require('../services/passwordResetService');
+const sessionService = require('../services/sessionService');
+const { app, request, PASSWORD, createUser, lastEmail } = require('./helpers');
+
+const NEW_PASSWORD = 'correct-horse-battery';
+
+const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+const reset = (token, password = NEW_PASSWORD) => request(app).post('/api/auth/reset-password').send({ token, password });
+
+// The token in the link of the newest reset email
+async function emailedToken(to) {
+  const message = await lastEmail(to, /Reset your Zelle password/);
+  const match = message && message.text.match(/token=([^\s&"]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+describe('password reset', () => {
+  test('sets a new password once per token and signs the user out everywhere', async () => {
+    const owner = createUser('reset@example.com');
+    const other = sessionService.createSession(owner.user);
+
+    await forgot('reset@example.com').expect(200);
+    const token = await emailedToken('reset@example.com');
+    expect(token).toEqual(expect.any(String));
+    expect(db.passwordResetTokens.findOne({ userId: owner.user.id }).tokenHash).not.toBe(token);
+
+    await reset(token).expect(200);
+    expect(await bcrypt.compare(NEW_PASSWORD, db.users.findById(owner.user.id).password)).toBe(true);
+    expect(sessionService.isActive(owner.sessionId)).toBe(false);
+    expect(sessionService.isActive(other.sessionId)).toBe(false);
+    expect(db.sessions.findById(other.sessionId).revokedReason).toBe('password_reset');
+    expect(await lastEmail('reset@example.com', /password was changed/)).not.toBeNull();
+
+    const again = await reset(token, 'another-password');
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('INVALID_RESET_TOKEN');
+    expect(await bcrypt.compare(NEW_PASSWORD, db.users.findById(owner.user.id).password)).toBe(true);
+  });
+
+  test('tokens expire', async () => {
+    const owner = createUser('expiry@example.com');
+
+    await forgot('expiry@example.com').expect(200);
+    const token = await emailedToken('expiry@example.com');
+    const record = db.passwordResetTokens.findOne({ userId: owner.user.id });
+    db.passwordResetTokens.update(record.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const res = await reset(token);
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_RESET_TOKEN');
+    expect(sessionService.isActive(owner.sessionId)).toBe(true);
+  });
+
+  test('asking again invalidates the earlier token', async () => {
+    createUser('twice@example.com');
+
+    await forgot('twice@example.com').expect(200);
+    const first = await emailedToken('twice@example.com');
+    await forgot('twice@example.com').expect(200);
+    const second = await emailedToken('twice@example.com');
+    expect(second).not.toBe(first);
+
+    await expect(passwordResetService.resetPassword(first, NEW_PASSWORD))
+      .rejects.toMatchObject({ code: 'INVALID_RESET_TOKEN' });
+    await expect(passwordResetService.resetPassword(second, NEW_PASSWORD)).resolves.toBeTruthy();
+  });
+
+  test('answers the same whether or not the account exists', async () => {
+    const known = await forgot('reset@example.com').expect(200);
+    const unknown = await forgot('nobody@example.com').expect(200);
+
+    expect(unknown.body).toEqual(known.body);
+    expect(await lastEmail('nobody@example.com', /.*/)).toBeNull();
+  });
+});
+
+describe('change password', () => {
+  test('needs the current password and keeps only the current session', async () => {
+    const owner = createUser('change@example.com');
+    const other = sessionService.createSession(owner.user);
+
+    await expect(passwordResetService.changePassword(owner.user.id, owner.sessionId, 'wrong-password', NEW_PASSWORD))
+      .rejects.toMatchObject({ code: 'WRONG_PASSWORD' });
+    expect(sessionService.isActive(other.sessionId)).toBe(true);
+
+    const res = await request(app).post('/api/auth/change-password')
+      .set(owner.auth)
+      .send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD })
+      .expect(200);
+
+    expect(res.body.revokedSessions).toBe(1);
+    expect(sessionService.isActive(owner.sessionId)).toBe(true);
+    expect(sessionService.isActive(other.sessionId)).toBe(false);
+    expect(await bcrypt.compare(NEW_PASSWORD, db.users.findById(owner.user.id).password)).toBe(true);
+  });
+});
@@ -0,0 +1,63 @@
+const contactService = require('../services/contactService');
+const { app, request, createUser, balanceOf } = require('./helpers');
+
+const ADMIN_KEY = 'admin-test-key';
+
+const confirmPhone = (user) => request(app)
+  .post(`/api/admin/users/${user.id}/phone-verification`)
+  .set('X-Admin-Key', ADMIN_KEY)
+  .expect(200);
+
+describe('paying by phone number', () => {
+  let payer;
+
+  beforeAll(() => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    payer = createUser('payer@example.com', { balanceCents: 10000 });
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  const send = (recipient) => request(app).post('/api/transactions/send')
+    .set(payer.auth)
+    .send({ recipient, amount: '5.00' });
+
+  test('only finds accounts whose phone support has confirmed', async () => {
+    const claimant = createUser('claimant@example.com', { phone: '+15555550111' });
+
+    const unconfirmed = await send('+1 (555) 555-0111');
+    expect(unconfirmed.status).toBe(404);
+    expect(unconfirmed.body.code).toBe('PAYEE_NOT_FOUND');
+    expect(balanceOf(claimant.user.id)).toBe(0);
+
+    await confirmPhone(claimant.user);
+    await send('+1 (555) 555-0111').expect(200);
+    expect(balanceOf(claimant.user.id)).toBe(500);
+
+    // Taking the confirmation away stops it again
+    await request(app).delete(`/api/admin/users/${claimant.user.id}/phone-verification`).set('X-Admin-Key', ADMIN_KEY).expect(200);
+    expect(() => contactService.resolvePayee('+15555550111')).toThrow(expect.objectContaining({ code: 'PAYEE_NOT_FOUND' }));
+  });
+
+  test('someone signing up with a confirmed number does not take it over', async () => {
+    const owner = createUser('owner@example.com', { phone: '+15555550122' });
+    await confirmPhone(owner.user);
+    createUser('squatter@example.com', { phone: '+15555550122' });
+
+    expect(contactService.resolvePayee('+15555550122').email).toBe('owner@example.com');
+    await request(app).post('/api/contacts').set(payer.auth).send({ payee: '+15555550122' }).expect(201);
+  });
+
+  test('a number confirmed for two accounts is ambiguous', async () => {
+    const first = createUser('first@example.com', { phone: '+15555550133' });
+    const second = createUser('second@example.com', { phone: '+15555550133' });
+    await confirmPhone(first.user);
+    await confirmPhone(second.user);
+
+    const res = await send('+15555550133');
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PAYEE_AMBIGUOUS');
+  });
+});
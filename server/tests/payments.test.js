@@ -0,0 +1,58 @@
+const db = require('../db');
+const ledgerService = require('../services/ledgerService');
+const { app, request, createUser, balanceOf } = require('./helpers');
+
+const send = (sender, body) => request(app).post('/api/transactions/send').set(sender.auth).send(body);
+
+describe('POST /api/transactions/send', () => {
+  test('moves money between users', async () => {
+    const alice = createUser('alice@example.com', { balanceCents: 10000 });
+    const bob = createUser('bob@example.com');
+
+    const res = await send(alice, { recipientEmail: 'bob@example.com', amount: '12.34', note: 'Lunch' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.transaction).toMatchObject({ amount: '12.34', status: 'completed' });
+    expect(res.body.newBalance).toBe('87.66');
+    expect(balanceOf(bob.user.id)).toBe(1234);
+    expect(ledgerService.reconcile().balanced).toBe(true);
+  });
+
+  test('concurrent sends from one account never overdraw it', async () => {
+    const sender = createUser('concurrent@example.com', { balanceCents: 10000 });
+    createUser('payee@example.com');
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () =>
+      send(sender, { recipientEmail: 'payee@example.com', amount: '30.00' })));
+
+    const statuses = responses.map(res => res.status).sort();
+    expect(statuses).toEqual([200, 200, 200, 422, 422]);
+    responses
+      .filter(res => res.status === 422)
+      .forEach(res => expect(res.body.code).toBe('INSUFFICIENT_FUNDS'));
+
+    expect(balanceOf(sender.user.id)).toBe(1000);
+    expect(db.transactions.count({ senderEmail: 'concurrent@example.com' })).toBe(3);
+    expect(ledgerService.reconcile().balanced).toBe(true);
+  });
+
+  test('rejects a payment to yourself', async () => {
+    const alice = createUser('self@example.com', { balanceCents: 5000 });
+
+    const res = await send(alice, { recipientEmail: 'self@example.com', amount: '10.00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('SELF_PAYMENT');
+    expect(balanceOf(alice.user.id)).toBe(5000);
+  });
+
+  test('rejects invalid amounts', async () => {
+    const alice = createUser('amounts@example.com', { balanceCents: 5000 });
+
+    for (const amount of ['0', '-1', '1.001', '1e2']) {
+      const res = await send(alice, { recipientEmail: 'bob@example.com', amount });
+      expect(res.status).toBe(400);
+    }
+    expect(balanceOf(alice.user.id)).toBe(5000);
+  });
+});
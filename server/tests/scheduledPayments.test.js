@@ -0,0 +1,145 @@
+const db = require('../db');
+const scheduledPaymentService = require('../services/scheduledPaymentService');
+const { createUser, balanceOf } = require('./helpers');
+
+const { occurrenceDate } = scheduledPaymentService;
+
+const dates = (rule, count) => Array.from({ length: count }, (_, n) => occurrenceDate(rule, n));
+
+describe('occurrenceDate', () => {
+  test('a one-off payment happens once', () => {
+    const rule = { frequency: 'once', startDate: '2031-05-10', interval: 1 };
+    expect(dates(rule, 2)).toEqual(['2031-05-10', null]);
+  });
+
+  test('weekly payments repeat every interval weeks, across month and year ends', () => {
+    expect(dates({ frequency: 'weekly', startDate: '2031-12-24', interval: 1 }, 3))
+      .toEqual(['2031-12-24', '2031-12-31', '2032-01-07']);
+    expect(dates({ frequency: 'weekly', startDate: '2031-12-24', interval: 2 }, 3))
+      .toEqual(['2031-12-24', '2032-01-07', '2032-01-21']);
+  });
+
+  test('monthly payments on the 31st use the last day of shorter months and go back to the 31st', () => {
+    expect(dates({ frequency: 'monthly', startDate: '2031-01-31', interval: 1 }, 5))
+      .toEqual(['2031-01-31', '2031-02-28', '2031-03-31', '2031-04-30', '2031-05-31']);
+  });
+
+  test('February 29th in leap years', () => {
+    expect(dates({ frequency: 'monthly', startDate: '2032-01-30', interval: 1 }, 3))
+      .toEqual(['2032-01-30', '2032-02-29', '2032-03-30']);
+    expect(dates({ frequency: 'monthly', startDate: '2031-02-28', interval: 12, dayOfMonth: 29 }, 2))
+      .toEqual(['2031-02-28', '2032-02-29']);
+  });
+
+  test('"last" is always the last day of the month', () => {
+    expect(dates({ frequency: 'monthly', startDate: '2031-01-15', interval: 1, dayOfMonth: 'last' }, 4))
+      .toEqual(['2031-01-31', '2031-02-28', '2031-03-31', '2031-04-30']);
+  });
+
+  test('the first payment is on or after the start date', () => {
+    // The 5th has passed in the start month, so the first is next month's
+    expect(dates({ frequency: 'monthly', startDate: '2031-01-20', interval: 1, dayOfMonth: 5 }, 2))
+      .toEqual(['2031-02-05', '2031-03-05']);
+    expect(dates({ frequency: 'monthly', startDate: '2031-01-20', interval: 1, dayOfMonth: 25 }, 2))
+      .toEqual(['2031-01-25', '2031-02-25']);
+  });
+
+  test('intervals roll over into the next year', () => {
+    expect(dates({ frequency: 'monthly', startDate: '2031-11-30', interval: 3 }, 3))
+      .toEqual(['2031-11-30', '2032-02-29', '2032-05-30']);
+  });
+});
+
+describe('running scheduled payments', () => {
+  let sender;
+  let users = 0;
+
+  beforeEach(() => {
+    users++;
+    sender = createUser(`scheduler${users}@example.com`, { balanceCents: 10000, timeZone: 'UTC' }).user;
+    createUser(`landlord${users}@example.com`);
+  });
+
+  // Keep each test's schedules out of the next test's runs
+  afterEach(() => {
+    scheduledPaymentService.list(sender.id, { status: 'active' })
+      .forEach(payment => scheduledPaymentService.cancel(sender.id, payment.id));
+  });
+
+  const schedule = (rule) => scheduledPaymentService.create(sender, {
+    recipientEmail: `landlord${users}@example.com`,
+    amountCents: 1000,
+    ...rule
+  });
+  const at = (iso) => new Date(iso);
+
+  test('pays on the due date and rolls on to the next month', async () => {
+    const payment = schedule({ frequency: 'monthly', startDate: '2099-01-31' });
+    expect(payment).toMatchObject({ nextRunDate: '2099-01-31', nextRunAt: '2099-01-31T00:00:00.000Z' });
+
+    // Not due yet
+    expect(await scheduledPaymentService.processDue(at('2099-01-30T23:59:59Z'))).toEqual({ succeeded: 0, failed: 0 });
+
+    expect(await scheduledPaymentService.processDue(at('2099-01-31T00:00:01Z'))).toEqual({ succeeded: 1, failed: 0 });
+    expect(db.scheduledPayments.findById(payment.id)).toMatchObject({
+      status: 'active',
+      runCount: 1,
+      lastStatus: 'succeeded',
+      nextRunDate: '2099-02-28'
+    });
+    expect(balanceOf(sender.id)).toBe(9000);
+
+    // Running again the same day pays nothing more
+    expect(await scheduledPaymentService.processDue(at('2099-01-31T12:00:00Z'))).toEqual({ succeeded: 0, failed: 0 });
+  });
+
+  test('a late run pays once and skips to the next date after today', async () => {
+    const payment = schedule({ frequency: 'weekly', startDate: '2099-03-02' });
+
+    expect(await scheduledPaymentService.processDue(at('2099-03-20T09:00:00Z'))).toEqual({ succeeded: 1, failed: 0 });
+
+    expect(db.scheduledPayments.findById(payment.id).nextRunDate).toBe('2099-03-23');
+    expect(balanceOf(sender.id)).toBe(9000);
+  });
+
+  test('a failed payment is recorded and the schedule moves on', async () => {
+    const payment = scheduledPaymentService.create(sender, {
+      recipientEmail: `landlord${users}@example.com`,
+      amountCents: 20000,
+      frequency: 'monthly',
+      startDate: '2099-06-15'
+    });
+
+    expect(await scheduledPaymentService.processDue(at('2099-06-15T08:00:00Z'))).toEqual({ succeeded: 0, failed: 1 });
+
+    expect(db.scheduledPayments.findById(payment.id)).toMatchObject({
+      status: 'active',
+      failureCount: 1,
+      lastStatus: 'failed',
+      nextRunDate: '2099-07-15'
+    });
+    expect(balanceOf(sender.id)).toBe(10000);
+  });
+
+  test('a one-off payment completes, and ends after the end date', async () => {
+    const once = schedule({ frequency: 'once', startDate: '2099-08-01' });
+    const ending = schedule({ frequency: 'weekly', startDate: '2099-08-01', endDate: '2099-08-10' });
+
+    await scheduledPaymentService.processDue(at('2099-08-01T01:00:00Z'));
+    expect(db.scheduledPayments.findById(once.id)).toMatchObject({ status: 'completed', nextRunDate: null });
+    expect(db.scheduledPayments.findById(ending.id).nextRunDate).toBe('2099-08-08');
+
+    await scheduledPaymentService.processDue(at('2099-08-08T01:00:00Z'));
+    expect(db.scheduledPayments.findById(ending.id)).toMatchObject({ status: 'completed', runCount: 2 });
+  });
+
+  test('rejects schedules that start in the past or are to yourself', () => {
+    expect(() => schedule({ frequency: 'once', startDate: '2000-01-01' })).toThrow('The start date is in the past');
+    expect(() => scheduledPaymentService.create(sender, {
+      recipientEmail: sender.email,
+      amountCents: 100,
+      frequency: 'once',
+      startDate: '2099-01-01'
+    })).toThrow('You cannot schedule a payment to yourself');
+  });
+});
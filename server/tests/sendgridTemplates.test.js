@@ -0,0 +1,60 @@
+// This file's module registry sends through SendGrid, with a dynamic
+// template configured for receipts only. Nothing leaves the machine:
+// @sendgrid/mail's send is replaced for every test.
+process.env.EMAIL_TRANSPORT = 'sendgrid';
+process.env.SENDGRID_API_KEY = 'SG.test';
+process.env.SENDGRID_TEMPLATE_RECEIPT = 'd-receipt';
+
+const sgMail = require('@sendgrid/mail');
+const emailService = require('../services/emailService');
+const emailQueue = require('../services/emailQueueService');
+const { createUser } = require('./helpers');
+
+describe('SendGrid dynamic templates', () => {
+  beforeAll(() => {
+    jest.spyOn(sgMail, 'send').mockResolvedValue([{ headers: { 'x-message-id': 'sg-1' } }]);
+  });
+
+  test('are used for emails that have one, with values formatted for the recipient', async () => {
+    expect(emailService.dynamicTemplateId('receipt')).toBe('d-receipt');
+    createUser('ana@example.com', { locale: 'es', timeZone: 'Europe/Madrid' });
+
+    const { jobId } = emailService.sendTransactionReceipt('ana@example.com', {
+      type: 'received',
+      status: 'completed',
+      amountCents: 2550,
+      senderName: 'Bob',
+      senderEmail: 'bob@example.com',
+      transactionId: 'TX-1',
+      timestamp: '2025-01-15T23:30:00.000Z'
+    });
+    await emailQueue.processDue();
+
+    const [message] = sgMail.send.mock.calls.find(([msg]) => msg.to === 'ana@example.com');
+    expect(message).toMatchObject({
+      templateId: 'd-receipt',
+      dynamicTemplateData: {
+        variant: 'received',
+        amountCents: 2550,
+        locale: 'es',
+        timeZone: 'Europe/Madrid',
+        timestampFormatted: '16 ene 2025, 0:30 (Europe/Madrid)'
+      }
+    });
+    expect(message.dynamicTemplateData.amount).toMatch(/^25,50\sUS\$$/);
+    expect(message.subject).toBe(message.dynamicTemplateData.subject);
+    expect(message).not.toHaveProperty('html');
+    expect(emailQueue.get(jobId)).toMatchObject({ status: 'sent', messageId: 'sg-1' });
+  });
+
+  test('are not used for emails without one', async () => {
+    expect(emailService.dynamicTemplateId('welcome')).toBeNull();
+
+    emailService.sendWelcomeEmail('new@example.com', 'New');
+    await emailQueue.processDue();
+
+    const [message] = sgMail.send.mock.calls.find(([msg]) => msg.to === 'new@example.com');
+    expect(message).not.toHaveProperty('templateId');
+    expect(message).toMatchObject({ subject: 'Welcome to Zelle!', html: expect.stringContaining('Welcome to Zelle, New!') });
+  });
+});
@@ -0,0 +1,106 @@
+const db = require('../db');
+const sessionService = require('../services/sessionService');
+const { app, request, PASSWORD, createUser, lastEmail } = require('./helpers');
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+const profile = (token) => request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+
+describe('sessions', () => {
+  test('login starts a session with a refresh token, and warns about new devices', async () => {
+    const { user } = createUser('login@example.com');
+
+    const res = await request(app).post('/api/auth/login')
+      .set('User-Agent', 'laptop')
+      .send({ email: 'login@example.com', password: PASSWORD })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ sessionId: expect.any(String), refreshToken: expect.any(String) });
+    await profile(res.body.token).expect(200);
+
+    // Refresh tokens are only stored hashed
+    const session = db.sessions.findById(res.body.sessionId);
+    expect(session).toMatchObject({ userId: user.id, userAgent: 'laptop' });
+    expect(session.refreshTokenHash).not.toBe(res.body.refreshToken);
+
+    expect(await lastEmail('login@example.com', /New sign-in/)).not.toBeNull();
+  });
+
+  test('a refresh token rotates on every use', async () => {
+    const { user } = createUser('rotate@example.com');
+    const first = sessionService.createSession(user);
+
+    const second = (await refresh(first.refreshToken).expect(200)).body;
+    expect(second.sessionId).toBe(first.sessionId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    await profile(second.token).expect(200);
+
+    const third = (await refresh(second.refreshToken).expect(200)).body;
+    expect(third.refreshToken).not.toBe(second.refreshToken);
+    expect(sessionService.isActive(first.sessionId)).toBe(true);
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    const { user } = createUser('reuse@example.com');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const stolen = sessionService.createSession(user);
+    const rotated = (await refresh(stolen.refreshToken).expect(200)).body;
+
+    const replay = await refresh(stolen.refreshToken);
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect(db.sessions.findById(stolen.sessionId)).toMatchObject({ revokedReason: 'refresh_token_reuse' });
+
+    // Both the legitimate holder's tokens stop working
+    expect((await refresh(rotated.refreshToken)).body.code).toBe('SESSION_REVOKED');
+    expect((await profile(rotated.token)).body.code).toBe('SESSION_REVOKED');
+    console.warn.mockRestore();
+  });
+
+  test('an unknown or expired refresh token is refused', async () => {
+    const { user } = createUser('expired@example.com');
+    const tokens = sessionService.createSession(user);
+    db.sessions.update(tokens.sessionId, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect((await refresh(tokens.refreshToken)).body.code).toBe('SESSION_EXPIRED');
+    expect((await refresh('not-a-token')).body.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+
+  test('logout revokes only the current session', async () => {
+    const { user } = createUser('logout@example.com');
+    const phone = sessionService.createSession(user, { userAgent: 'phone' });
+    const laptop = sessionService.createSession(user, { userAgent: 'laptop' });
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${phone.token}`).expect(200);
+
+    expect((await profile(phone.token)).body.code).toBe('SESSION_REVOKED');
+    expect((await refresh(phone.refreshToken)).body.code).toBe('SESSION_REVOKED');
+    await profile(laptop.token).expect(200);
+  });
+
+  test('sessions can be listed and revoked one at a time or all at once', async () => {
+    const { user } = createUser('many@example.com');
+    const [phone, laptop, tablet] = ['phone', 'laptop', 'tablet']
+      .map(userAgent => sessionService.createSession(user, { userAgent }));
+    const auth = { Authorization: `Bearer ${phone.token}` };
+
+    // createUser's session plus these three
+    const listed = (await request(app).get('/api/auth/sessions').set(auth).expect(200)).body.sessions;
+    expect(listed).toHaveLength(4);
+    expect(listed.find(session => session.current).id).toBe(phone.sessionId);
+
+    await request(app).delete(`/api/auth/sessions/${tablet.sessionId}`).set(auth).expect(200);
+    expect((await profile(tablet.token)).body.code).toBe('SESSION_REVOKED');
+
+    // Other users' sessions can't be revoked
+    const other = createUser('other@example.com');
+    const foreign = await request(app).delete(`/api/auth/sessions/${other.sessionId}`).set(auth);
+    expect(foreign.status).toBe(404);
+    expect(sessionService.isActive(other.sessionId)).toBe(true);
+
+    const all = await request(app).post('/api/auth/logout-all').set(auth).expect(200);
+    expect(all.body.revokedSessions).toBe(3);
+    expect(sessionService.listActive(user.id)).toEqual([]);
+    expect((await profile(laptop.token)).body.code).toBe('SESSION_REVOKED');
+    expect((await refresh(laptop.refreshToken)).body.code).toBe('SESSION_REVOKED');
+  });
+});
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own module registry, so its own database (an
+// in-memory one of the adapter tests/env picked) and rate limiters. Emails
+// go to an outbox in a temporary directory that is removed when the file
+// is done.
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zelle-outbox-'));
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.FROM_EMAIL = 'noreply@example.com';
+process.env.EMAIL_TRANSPORT = 'outbox';
+process.env.EMAIL_OUTBOX_DIR = outboxDir;
+
+// Bring the test database's schema up to date before anything uses it
+require('../db').migrate();
+
+// Services log every email and payment; keep the test output readable
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+afterAll(async () => {
+  // Let queued emails finish before their directory goes
+  await require('../services/emailQueueService').processDue();
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+});
@@ -0,0 +1,141 @@
+const db = require('../db');
+const splitBillService = require('../services/splitBillService');
+const { app, request, createUser } = require('./helpers');
+
+const emails = (...names) => names.map(name => ({ email: `${name}@example.com` }));
+
+describe('splitting a total', () => {
+  test('evenly, with the leftover cents going to the first people', () => {
+    expect(splitBillService.calculateShares({
+      totalCents: 1000, participants: emails('a', 'b', 'c'), splitType: 'even', includeSelf: false
+    })).toEqual({ participantCents: [334, 333, 333], requesterShareCents: 0 });
+
+    expect(splitBillService.calculateShares({
+      totalCents: 1001, participants: emails('a', 'b', 'c'), splitType: 'even', includeSelf: true
+    })).toEqual({ participantCents: [251, 250, 250], requesterShareCents: 250 });
+  });
+
+  test('by percentage, with the requester keeping what is not assigned', () => {
+    expect(splitBillService.calculateShares({
+      totalCents: 1000,
+      participants: [{ email: 'a@example.com', percentage: '33.33' }, { email: 'b@example.com', percentage: '33.33' }],
+      splitType: 'percentages',
+      includeSelf: true
+    })).toEqual({ participantCents: [333, 333], requesterShareCents: 334 });
+  });
+
+  test('by shares, with the remainder going to the largest fraction', () => {
+    expect(splitBillService.calculateShares({
+      totalCents: 1001,
+      participants: [{ email: 'a@example.com', shares: 1 }, { email: 'b@example.com', shares: 2 }],
+      splitType: 'shares',
+      includeSelf: true
+    })).toEqual({ participantCents: [250, 501], requesterShareCents: 250 });
+  });
+
+  test('by amount, which must add up to the total', () => {
+    const participants = [{ email: 'a@example.com', amount: '4.00' }, { email: 'b@example.com', amount: '5.00' }];
+
+    expect(splitBillService.calculateShares({ totalCents: 1000, participants, splitType: 'amounts', includeSelf: true }))
+      .toEqual({ participantCents: [400, 500], requesterShareCents: 100 });
+    expect(() => splitBillService.calculateShares({ totalCents: 1000, participants, splitType: 'amounts', includeSelf: false }))
+      .toThrow('Participant amounts must add up to the total');
+    expect(() => splitBillService.calculateShares({ totalCents: 800, participants, splitType: 'amounts', includeSelf: true }))
+      .toThrow('Participant amounts add up to more than the total');
+  });
+
+  test('rejects splits that do not work out', async () => {
+    const split = (fields) => splitBillService.createSplit({ requesterEmail: 'owner@example.com', ...fields });
+    createUser('owner@example.com');
+
+    await expect(split({ totalCents: 1, participants: ['a@example.com', 'b@example.com'] }))
+      .rejects.toMatchObject({ code: 'INVALID_SPLIT', message: 'The total is too small to split between this many people' });
+    await expect(split({ totalCents: 1000, participants: ['a@example.com', 'a@example.com'] }))
+      .rejects.toMatchObject({ code: 'INVALID_SPLIT', message: 'Participants must be unique' });
+    await expect(split({ totalCents: 1000, participants: ['owner@example.com'] }))
+      .rejects.toMatchObject({ code: 'INVALID_SPLIT' });
+    await expect(split({
+      totalCents: 1000,
+      participants: [{ email: 'a@example.com', percentage: '60' }, { email: 'b@example.com', percentage: '50' }],
+      splitType: 'percentages'
+    })).rejects.toMatchObject({ code: 'INVALID_SPLIT', message: 'Percentages add up to more than 100' });
+
+    expect(db.splitBills.count({ requesterEmail: 'owner@example.com' })).toBe(0);
+  });
+});
+
+describe('split bills', () => {
+  let host;
+  let guests;
+
+  beforeAll(() => {
+    host = createUser('host@example.com');
+    guests = ['ann', 'ben', 'cat'].map(name => createUser(`${name}@example.com`, { balanceCents: 10000 }));
+  });
+
+  const createSplit = (body) => request(app).post('/api/transactions/split').set(host.auth).send(body);
+  const act = (user, requestId, action) => request(app)
+    .post(`/api/transactions/requests/${requestId}/${action}`)
+    .set(user.auth);
+  const status = (user, splitId) => request(app).get(`/api/transactions/split/${splitId}`).set(user.auth);
+
+  test('sends one request per participant and tracks who has paid', async () => {
+    const created = await createSplit({
+      totalAmount: '100.00',
+      participants: guests.map(guest => guest.user.email),
+      note: 'Dinner'
+    }).expect(201);
+
+    const { split } = created.body;
+    expect(split).toMatchObject({ status: 'open', totalAmount: '100.00', requesterShare: '25.00', outstanding: '75.00' });
+    expect(split.participants.map(participant => [participant.email, participant.amount, participant.status])).toEqual([
+      ['ann@example.com', '25.00', 'pending'],
+      ['ben@example.com', '25.00', 'pending'],
+      ['cat@example.com', '25.00', 'pending']
+    ]);
+
+    const [ann, ben, cat] = split.participants;
+    await act(guests[0], ann.requestId, 'pay').expect(200);
+
+    const partlyPaid = (await status(host, split.id).expect(200)).body.split;
+    expect(partlyPaid).toMatchObject({ status: 'open', collected: '25.00', outstanding: '50.00', paidCount: 1 });
+    expect(partlyPaid.participants.map(participant => participant.status)).toEqual(['paid', 'pending', 'pending']);
+    expect(partlyPaid.participants[0].respondedAt).not.toBeNull();
+
+    // Participants can follow the split too
+    expect((await status(guests[1], split.id).expect(200)).body.split.paidCount).toBe(1);
+
+    await act(guests[1], ben.requestId, 'pay').expect(200);
+    await act(guests[2], cat.requestId, 'pay').expect(200);
+
+    expect((await status(host, split.id)).body.split).toMatchObject({
+      status: 'settled', collected: '75.00', outstanding: '0.00', paidCount: 3
+    });
+  });
+
+  test('is closed rather than settled once someone declines', async () => {
+    const created = await createSplit({
+      totalAmount: '10.00',
+      participants: [guests[0].user.email, guests[1].user.email],
+      includeSelf: false
+    }).expect(201);
+    const { split } = created.body;
+    expect(split.participants.map(participant => participant.amount)).toEqual(['5.00', '5.00']);
+
+    await act(guests[0], split.participants[0].requestId, 'pay').expect(200);
+    await act(guests[1], split.participants[1].requestId, 'decline').expect(200);
+
+    expect((await status(host, split.id)).body.split).toMatchObject({
+      status: 'closed', collected: '5.00', outstanding: '0.00', paidCount: 1
+    });
+  });
+
+  test('is hidden from people who are not part of it', async () => {
+    const outsider = createUser('outsider@example.com');
+    const created = await createSplit({ totalAmount: '9.00', participants: [guests[2].user.email] }).expect(201);
+
+    const res = await status(outsider, created.body.split.id);
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('SPLIT_NOT_FOUND');
+  });
+});
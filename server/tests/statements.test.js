@@ -0,0 +1,118 @@
+const paymentService = require('../services/paymentService');
+const sessionService = require('../services/sessionService');
+const statementService = require('../services/statementService');
+const { app, request, fund, createUser } = require('./helpers');
+
+// Only Date is faked, so the payments below happen on the days given
+const on = (timestamp) => jest.setSystemTime(new Date(timestamp));
+
+describe('statements', () => {
+  let alice;
+  let bob;
+  let auth;
+
+  beforeAll(async () => {
+    jest.useFakeTimers({
+      now: new Date('2025-01-01T09:00:00.000Z'),
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'queueMicrotask', 'setTimeout', 'clearTimeout',
+        'setInterval', 'clearInterval', 'hrtime', 'performance']
+    });
+    alice = createUser('alice@example.com');
+    bob = createUser('bob@example.com', { name: 'Bob <Builder>', balanceCents: 10000 });
+
+    on('2025-01-10T12:00:00.000Z');
+    fund(alice.user.id, 10000);
+    on('2025-01-15T12:00:00.000Z');
+    await paymentService.sendPayment({
+      senderEmail: alice.user.email,
+      recipientEmail: bob.user.email,
+      amountCents: 1234,
+      note: '=HYPERLINK("http://evil"), "quoted" & <tagged>'
+    });
+    on('2025-02-03T12:00:00.000Z');
+    await paymentService.sendPayment({ senderEmail: bob.user.email, recipientEmail: alice.user.email, amountCents: 500, note: 'Change' });
+    jest.useRealTimers();
+
+    // A session that hasn't expired by the real clock
+    auth = { Authorization: `Bearer ${sessionService.createSession(alice.user).token}` };
+  });
+
+  test('open and close every month with the running balance', () => {
+    const statement = statementService.build(alice.user, { from: '2025-01-01', to: '2025-02-28' });
+
+    expect(statement).toMatchObject({ openingBalanceCents: 0, closingBalanceCents: 9266 });
+    expect(statement.periods.map(period => [period.label, period.openingBalanceCents, period.closingBalanceCents, period.creditsCents, period.debitsCents]))
+      .toEqual([
+        ['January 2025', 0, 8766, 10000, 1234],
+        ['February 2025', 8766, 9266, 500, 0]
+      ]);
+    expect(statement.periods[0].lines.map(line => [line.description, line.amountCents, line.balanceCents])).toEqual([
+      ['deposit', 10000, 10000],
+      ['Payment to Bob <Builder>', -1234, 8766]
+    ]);
+
+    // Starting mid-month picks up the balance so far
+    const later = statementService.build(alice.user, { from: '2025-01-12', to: '2025-01-31' });
+    expect(later.periods).toHaveLength(1);
+    expect(later.periods[0]).toMatchObject({ from: '2025-01-12', to: '2025-01-31', openingBalanceCents: 10000, closingBalanceCents: 8766 });
+
+    // Months without activity carry the balance over
+    const quiet = statementService.build(alice.user, { from: '2025-03-01', to: '2025-03-31' });
+    expect(quiet).toMatchObject({ openingBalanceCents: 9266, closingBalanceCents: 9266 });
+  });
+
+  test('cover one to twelve months', () => {
+    expect(() => statementService.build(alice.user, { from: '2025-02-01', to: '2025-01-31' })).toThrow('must end on or after');
+    expect(() => statementService.build(alice.user, { from: '2025-01-01', to: '2026-01-01' })).toThrow('at most 12 months');
+    expect(statementService.build(alice.user, { from: '2025-01-01', to: '2025-12-31' }).periods).toHaveLength(12);
+  });
+
+  test('CSV quotes text and keeps it from running as a formula', () => {
+    const csv = statementService.toCsv(statementService.build(alice.user, { from: '2025-01-01', to: '2025-02-28' }));
+    // Led by a byte order mark for Excel
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+    const rows = csv.slice(1).split('\r\n');
+
+    expect(rows[0]).toBe('Date,Description,Type,Counterparty,Reference,Note,Amount,Balance');
+    expect(rows[1]).toBe('2025-01-01,Opening balance January 2025,,,,,,0.00');
+    expect(rows[3]).toMatch(/^2025-01-15T12:00:00.000Z,Payment to Bob <Builder>,payment,bob@example.com,TX-\w+,"'=HYPERLINK\(""http:\/\/evil""\), ""quoted"" & <tagged>",-12.34,87.66$/);
+    expect(rows[4]).toBe('2025-01-31,Closing balance January 2025,,,,,,87.66');
+    expect(rows[5]).toBe('2025-02-01,Opening balance February 2025,,,,,,87.66');
+    expect(rows[7]).toBe('2025-02-28,Closing balance February 2025,,,,,,92.66');
+    expect(rows[8]).toBe('');
+  });
+
+  test('OFX lists the range with escaped text and the closing balance', () => {
+    const ofx = statementService.toOfx(statementService.build(alice.user, { from: '2025-01-01', to: '2025-02-28' }));
+
+    expect(ofx).toContain('<DTSTART>20250101000000.000[0:GMT]</DTSTART>');
+    expect(ofx).toContain('<DTEND>20250228235959.000[0:GMT]</DTEND>');
+    expect(ofx.match(/<STMTTRN>/g)).toHaveLength(3);
+    expect(ofx).toContain('<TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20250115120000.000[0:GMT]</DTPOSTED><TRNAMT>-12.34</TRNAMT>');
+    expect(ofx).toContain('<NAME>Payment to Bob &lt;Builder&gt;</NAME>');
+    expect(ofx).toContain('<MEMO>=HYPERLINK("http://evil"), "quoted" &amp; &lt;tagged&gt;</MEMO>');
+    expect(ofx).toContain('<LEDGERBAL><BALAMT>92.66</BALAMT><DTASOF>20250228235959.000[0:GMT]</DTASOF></LEDGERBAL>');
+  });
+
+  test('download as a file in each format', async () => {
+    const pdf = await request(app).get('/api/transactions/export')
+      .set(auth)
+      .query({ format: 'pdf', from: '2025-01-01', to: '2025-02-28' })
+      .responseType('blob')
+      .expect(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.headers['content-disposition']).toBe('attachment; filename="zelle-statement-2025-01-01-to-2025-02-28.pdf"');
+    expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.body.subarray(-6).toString()).toMatch(/%%EOF/);
+
+    const csv = await request(app).get('/api/transactions/export')
+      .set(auth)
+      .query({ format: 'csv', from: '2025-01-01', to: '2025-01-31' })
+      .expect(200);
+    expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(csv.text).toContain('Closing balance January 2025,,,,,,87.66');
+
+    const bad = await request(app).get('/api/transactions/export').set(auth).query({ format: 'xls' });
+    expect(bad.status).toBe(400);
+  });
+});
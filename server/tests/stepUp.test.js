@@ -0,0 +1,135 @@
+// A low threshold keeps stepped-up payments within the new tier's limits
+process.env.STEP_UP_THRESHOLD = '100.00';
+
+const sessionService = require('../services/sessionService');
+const { app, request, fund, createUser, balanceOf, emailedCode } = require('./helpers');
+
+describe('step-up for large payments', () => {
+  let alice;
+  let bob;
+
+  beforeAll(() => {
+    alice = createUser('alice@example.com', { balanceCents: 100000 });
+    bob = createUser('bob@example.com', { balanceCents: 100000 });
+  });
+
+  const send = (user, body, headers = {}) => request(app)
+    .post('/api/transactions/send')
+    .set(user.auth)
+    .set(headers)
+    .send(body);
+
+  // Email a security code and trade it for a step-up token for one payment
+  const stepUp = async (user, payment) => {
+    await request(app).post('/api/auth/step-up/email').set(user.auth).expect(200);
+    const code = await emailedCode(user.user.email, /security code/);
+    const res = await request(app).post('/api/auth/step-up').set(user.auth)
+      .send({ method: 'email', code, ...payment })
+      .expect(200);
+    return res.body.stepUpToken;
+  };
+
+  test('payments up to the threshold need no step-up', async () => {
+    await send(alice, { recipientEmail: 'bob@example.com', amount: '100.00' }).expect(200);
+  });
+
+  test('a larger payment is refused without a step-up token', async () => {
+    const res = await send(alice, { recipientEmail: 'bob@example.com', amount: '100.01' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ code: 'STEP_UP_REQUIRED', details: { methods: ['email'] } });
+  });
+
+  test('a wrong emailed code gets no token', async () => {
+    await request(app).post('/api/auth/step-up/email').set(alice.auth).expect(200);
+    const code = await emailedCode('alice@example.com', /security code/);
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const res = await request(app).post('/api/auth/step-up').set(alice.auth)
+      .send({ method: 'email', code: wrong, amount: '150.00', recipient: 'bob@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CODE');
+  });
+
+  test('a step-up token approves one payment, and its replay', async () => {
+    const token = await stepUp(alice, { recipient: 'bob@example.com', amount: '150.00' });
+    const payment = { recipientEmail: 'bob@example.com', amount: '150.00' };
+    const before = balanceOf(alice.user.id);
+
+    const first = await send(alice, payment, { 'X-Step-Up-Token': token, 'Idempotency-Key': 'big-1' });
+    expect(first.status).toBe(200);
+
+    // Replaying the same request moves no money and needs no new token
+    const replay = await send(alice, payment, { 'Idempotency-Key': 'big-1' });
+    expect(replay.status).toBe(200);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+
+    // The token is used up
+    const reused = await send(alice, payment, { 'X-Step-Up-Token': token });
+    expect(reused.status).toBe(403);
+    expect(reused.body.code).toBe('STEP_UP_REQUIRED');
+
+    expect(balanceOf(alice.user.id)).toBe(before - 15000);
+  });
+
+  test('a step-up token only works in the session it was issued to', async () => {
+    const token = await stepUp(alice, { recipient: 'bob@example.com', amount: '150.00' });
+    const otherSession = sessionService.createSession(alice.user);
+
+    const res = await request(app)
+      .post('/api/transactions/send')
+      .set('Authorization', `Bearer ${otherSession.token}`)
+      .set('X-Step-Up-Token', token)
+      .send({ recipientEmail: 'bob@example.com', amount: '150.00' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('STEP_UP_REQUIRED');
+  });
+
+  test('paying a large money request needs a step-up token too', async () => {
+    const created = await request(app)
+      .post('/api/transactions/request')
+      .set(bob.auth)
+      .send({ requesteeEmail: 'alice@example.com', amount: '150.00' })
+      .expect(200);
+    const pay = (headers = {}) => request(app)
+      .post(`/api/transactions/requests/${created.body.request.id}/pay`)
+      .set(alice.auth)
+      .set(headers);
+
+    const refused = await pay();
+    expect(refused.status).toBe(403);
+    expect(refused.body.code).toBe('STEP_UP_REQUIRED');
+
+    const paid = await pay({ 'X-Step-Up-Token': await stepUp(alice, { recipient: 'bob@example.com', amount: '150.00' }) });
+    expect(paid.status).toBe(200);
+    expect(paid.body.request.status).toBe('paid');
+  });
+
+  test('a step-up token only approves its own amount and payee, and survives a failed payment', async () => {
+    const carol = createUser('carol@example.com', { balanceCents: 12000 });
+    createUser('dave@example.com');
+    const token = await stepUp(carol, { recipient: 'bob@example.com', amount: '150.00' });
+    const withToken = (payment) => send(carol, payment, { 'X-Step-Up-Token': token });
+
+    for (const payment of [
+      { recipientEmail: 'bob@example.com', amount: '150.01' },
+      { recipientEmail: 'dave@example.com', amount: '150.00' }
+    ]) {
+      const res = await withToken(payment);
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('STEP_UP_REQUIRED');
+    }
+
+    // Not enough money: the payment fails and leaves the token unused
+    const failed = await withToken({ recipientEmail: 'bob@example.com', amount: '150.00' });
+    expect(failed.status).toBe(422);
+    expect(failed.body.code).toBe('INSUFFICIENT_FUNDS');
+
+    fund(carol.user.id, 5000);
+    await withToken({ recipient: 'bob@example.com', amount: '150.00' }).expect(200);
+    expect(balanceOf(carol.user.id)).toBe(2000);
+    expect((await withToken({ recipient: 'bob@example.com', amount: '150.00' })).status).toBe(403);
+  });
+});
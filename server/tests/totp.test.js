@@ -0,0 +1,119 @@
+const totp = require('../utils/totp');
+const db = require('../db');
+const twoFactorService = require('../services/twoFactorService');
+const { app, request, PASSWORD, createUser } = require('./helpers');
+
+// RFC 6238 test secret ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('utils/totp', () => {
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 SHA-1 vector at %is', (seconds, code) => {
+    expect(totp.generate(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  test('accepts codes one step either side and returns the step', () => {
+    const now = 1700000000000;
+    const step = Math.floor(now / 30000);
+
+    expect(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now), { now })).toBe(step);
+    expect(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now - 30000), { now })).toBe(step - 1);
+    expect(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now + 30000), { now })).toBe(step + 1);
+    expect(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, now + 60000), { now })).toBeNull();
+  });
+
+  test('rejects anything that is not six digits', () => {
+    for (const code of ['', '12345', '1234567', 'abcdef', 123456, null]) {
+      expect(totp.verify(RFC_SECRET, code)).toBeNull();
+    }
+  });
+
+  test('base32 round-trips and secrets are 20 bytes', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    expect(totp.base32Encode(bytes)).toBe(RFC_SECRET);
+    expect(totp.base32Decode(RFC_SECRET.toLowerCase())).toEqual(bytes);
+    expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+    expect(() => totp.base32Decode('not base32!')).toThrow('Invalid base32 secret');
+  });
+
+  test('builds an otpauth URI authenticator apps can read', () => {
+    const uri = new URL(totp.provisioningUri({ secret: RFC_SECRET, accountName: 'a@example.com', issuer: 'Zelle' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Zelle:a@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('two-factor authentication', () => {
+  // Each TOTP step can only be used once, so every code comes from a step
+  // after the last one. Date.now is moved along with it.
+  let clock = Date.now();
+  const nextCode = (secret) => {
+    clock += 30 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(clock);
+    return totp.generate(secret, clock);
+  };
+
+  afterAll(() => {
+    Date.now.mockRestore();
+  });
+
+  test('enrolls, logs in with a second factor and steps up with TOTP', async () => {
+    // Established tier, so a payment over the step-up threshold is within limits
+    const alice = createUser('alice@example.com', {
+      balanceCents: 500000,
+      phoneVerifiedAt: new Date(0).toISOString(),
+      createdAt: new Date(0).toISOString()
+    });
+
+    const setup = await request(app).post('/api/auth/2fa/setup').set(alice.auth).expect(200);
+    const { secret } = setup.body;
+    expect(setup.body.otpauthUrl).toContain(secret);
+
+    // A wrong code doesn't enable it
+    expect(() => twoFactorService.enable(db.users.findById(alice.user.id), '000000')).toThrow('Invalid authentication code');
+
+    const code = nextCode(secret);
+    const enabled = await request(app).post('/api/auth/2fa/enable').set(alice.auth).send({ code }).expect(200);
+    expect(enabled.body.backupCodes).toHaveLength(10);
+
+    // The code that enabled it can't be used again
+    expect(twoFactorService.verifyTotp(db.users.findById(alice.user.id), code)).toBe(false);
+
+    const login = await request(app).post('/api/auth/login')
+      .send({ email: 'alice@example.com', password: PASSWORD })
+      .expect(200);
+    expect(login.body).toMatchObject({ twoFactorRequired: true });
+    expect(login.body.token).toBeUndefined();
+
+    const completed = await request(app).post('/api/auth/login/2fa')
+      .send({ challengeToken: login.body.challengeToken, code: nextCode(secret) })
+      .expect(200);
+    const auth = { Authorization: `Bearer ${completed.body.token}` };
+
+    // Over the step-up threshold ($1,000 by default)
+    const payment = { recipientEmail: 'bob@example.com', amount: '1500.00' };
+    const refused = await request(app).post('/api/transactions/send').set(auth).send(payment);
+    expect(refused.status).toBe(403);
+    expect(refused.body).toMatchObject({ code: 'STEP_UP_REQUIRED', details: { methods: ['totp', 'email'] } });
+
+    const stepUp = await request(app).post('/api/auth/step-up')
+      .set(auth)
+      .send({ method: 'totp', code: nextCode(secret), recipient: 'bob@example.com', amount: '1500.00' })
+      .expect(200);
+
+    const sent = await request(app).post('/api/transactions/send')
+      .set(auth)
+      .set('X-Step-Up-Token', stepUp.body.stepUpToken)
+      .send(payment);
+    expect(sent.status).toBe(200);
+  });
+});
@@ -0,0 +1,98 @@
+const db = require('../db');
+const paymentService = require('../services/paymentService');
+const moneyRequestService = require('../services/moneyRequestService');
+const { validate } = require('../middleware/validate');
+const { email, payee, amount, required } = require('../schemas/fields');
+const { app, request, PASSWORD, createUser } = require('./helpers');
+
+// Run the validate middleware on a fake request
+const run = (schema, req) => {
+  let error;
+  validate(schema)(req, {}, (err) => { error = err; });
+  return { req, error };
+};
+
+describe('request validation', () => {
+  test('reports every offending field at once', () => {
+    const { error } = run({ body: { email: required(email), amount: required(amount) } }, { body: { email: 'nope', amount: '-1' } });
+
+    expect(error).toMatchObject({ code: 'VALIDATION_FAILED' });
+    expect(error.details.map(detail => detail.field)).toEqual(['email', 'amount']);
+  });
+
+  test('trims and lowercases emails, nested ones included, and leaves phone numbers alone', () => {
+    const schema = {
+      body: {
+        email,
+        payee,
+        participants: { type: 'array', items: { anyOf: [payee, { type: 'object', properties: { email } }] } }
+      },
+      query: { counterparty: email }
+    };
+    const { req, error } = run(schema, {
+      body: {
+        email: '  Ann@Example.COM ',
+        payee: '+1 555 555 0100',
+        participants: ['Bob@Example.com', { email: ' Cat@EXAMPLE.com' }]
+      },
+      query: { counterparty: 'Dan@Example.com' }
+    });
+
+    expect(error).toBeUndefined();
+    expect(req.body).toEqual({
+      email: 'ann@example.com',
+      payee: '+1 555 555 0100',
+      participants: ['bob@example.com', { email: 'cat@example.com' }]
+    });
+    expect(req.query.counterparty).toBe('dan@example.com');
+  });
+});
+
+describe('emails ignore case', () => {
+  test('at signup and login', async () => {
+    await request(app).post('/api/auth/register')
+      .send({ name: 'Mixed', email: ' Mixed@Example.com', phone: '+15555550123', password: PASSWORD })
+      .expect(201);
+    expect(db.users.findByEmail('mixed@example.com').email).toBe('mixed@example.com');
+    expect(db.users.findByEmail('MIXED@EXAMPLE.COM')).not.toBeNull();
+
+    const again = await request(app).post('/api/auth/register')
+      .send({ name: 'Mixed', email: 'mixed@EXAMPLE.com', phone: '+15555550123', password: PASSWORD });
+    expect(again.status).toBe(409);
+
+    // Found, but not verified yet
+    const login = await request(app).post('/api/auth/login').send({ email: 'MIXED@example.com', password: PASSWORD });
+    expect(login.status).toBe(403);
+    expect(login.body.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+
+  test('so you cannot pay or ask yourself by changing the case', async () => {
+    const self = createUser('self@example.com', { balanceCents: 10000 });
+
+    const res = await request(app).post('/api/transactions/send')
+      .set(self.auth)
+      .send({ recipientEmail: 'Self@Example.com', amount: '10.00' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('SELF_PAYMENT');
+
+    // Callers that skip the validator are caught too
+    await expect(paymentService.sendPayment({ senderEmail: 'self@example.com', recipientEmail: 'SELF@example.COM', amountCents: 1000 }))
+      .rejects.toMatchObject({ code: 'SELF_PAYMENT' });
+    await expect(moneyRequestService.createRequest({ requesterEmail: 'self@example.com', requesteeEmail: 'Self@example.com', amountCents: 1000 }))
+      .rejects.toMatchObject({ code: 'SELF_REQUEST' });
+
+    expect(db.users.findById(self.user.id).balanceCents).toBe(10000);
+  });
+
+  test('when paying a new address in another case', async () => {
+    const sender = createUser('payer@example.com', { balanceCents: 10000 });
+    const payee = createUser('payee@example.com');
+
+    await request(app).post('/api/transactions/send')
+      .set(sender.auth)
+      .send({ recipientEmail: 'PAYEE@example.com', amount: '10.00' })
+      .expect(200);
+
+    expect(db.users.findById(payee.user.id).balanceCents).toBe(1000);
+  });
+});
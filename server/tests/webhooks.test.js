@@ -0,0 +1,201 @@
+// Deliveries go to a server on this machine
+process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = 'true';
+
+const crypto = require('crypto');
+const http = require('http');
+const db = require('../db');
+const webhookService = require('../services/webhookService');
+const fundingService = require('../services/fundingService');
+const { webhookConfig } = require('../config/webhooks');
+const { app, request, createUser } = require('./helpers');
+
+// The check from the webhook docs
+function verify(rawBody, header, secret) {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${rawBody}`).digest('hex');
+  return Math.abs(Date.now() / 1000 - Number(t)) < 300 &&
+    typeof v1 === 'string' && v1.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected));
+}
+
+// Make a delivery's next retry due now
+const makeDue = (delivery) => db.webhookDeliveries.update(delivery.id, { nextAttemptAt: new Date().toISOString() });
+
+describe('webhooks', () => {
+  let receiver;
+  let url;
+  let received = [];
+  let respondWith = 200;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(respondWith, { 'Content-Type': 'text/plain' });
+        res.end(respondWith === 200 ? 'ok' : 'nope');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    received = [];
+    respondWith = 200;
+  });
+
+  afterAll(async () => {
+    console.warn.mockRestore();
+    console.error.mockRestore();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  const register = (owner, body) => request(app).post('/api/webhooks').set(owner.auth).send({ url, ...body }).expect(201);
+
+  test('events are signed with the endpoint secret', async () => {
+    const payer = createUser('signed-payer@example.com', { balanceCents: 10000 });
+    const payee = createUser('signed-payee@example.com');
+    const { webhook } = (await register(payee, { events: ['transaction.completed'] })).body;
+
+    await request(app).post('/api/transactions/send')
+      .set(payer.auth)
+      .send({ recipientEmail: payee.user.email, amount: '12.50' })
+      .expect(200);
+    await webhookService.processDue();
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(headers['x-zelle-event']).toBe('transaction.completed');
+    expect(verify(body, headers['x-zelle-signature'], webhook.secret)).toBe(true);
+    expect(verify(body.replace('12.50', '99.99'), headers['x-zelle-signature'], webhook.secret)).toBe(false);
+    expect(verify(body, headers['x-zelle-signature'], 'whsec_other')).toBe(false);
+
+    const event = JSON.parse(body);
+    expect(event).toMatchObject({
+      type: 'transaction.completed',
+      data: { transaction: { type: 'received', email: payer.user.email, amount: '12.50', status: 'completed' } }
+    });
+    expect(db.webhookDeliveries.findById(headers['x-zelle-delivery'])).toMatchObject({ eventId: event.id, status: 'succeeded' });
+
+    // A rotated secret signs from then on
+    const rotated = (await request(app).post(`/api/webhooks/${webhook.id}/rotate-secret`).set(payee.auth).expect(200)).body.webhook;
+    await request(app).post(`/api/webhooks/${webhook.id}/ping`).set(payee.auth).expect(200);
+    const ping = received[1];
+    expect(verify(ping.body, ping.headers['x-zelle-signature'], rotated.secret)).toBe(true);
+    expect(verify(ping.body, ping.headers['x-zelle-signature'], webhook.secret)).toBe(false);
+  });
+
+  test('failed deliveries are retried with backoff, then given up on', async () => {
+    expect([1, 2, 3].map(attempts => webhookService.retryDelayMs(attempts))).toEqual([30000, 60000, 120000]);
+    expect(webhookService.retryDelayMs(20)).toBe(webhookConfig.retryMaxMs);
+
+    const owner = createUser('retry@example.com');
+    await register(owner, { events: ['request.created'] });
+    respondWith = 500;
+
+    await request(app).post('/api/transactions/request')
+      .set(createUser('asker@example.com').auth)
+      .send({ requesteeEmail: owner.user.email, amount: '5.00' })
+      .expect(200);
+    const before = Date.now();
+    await webhookService.processDue();
+
+    const [delivery] = db.webhookDeliveries.find({ event: 'request.created' });
+    expect(delivery).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      responseStatus: 500,
+      responseBody: 'nope',
+      lastError: 'Endpoint responded with HTTP 500'
+    });
+    expect(Date.parse(delivery.nextAttemptAt)).toBeGreaterThanOrEqual(before + 30000);
+
+    // Not due yet
+    await webhookService.processDue();
+    expect(received).toHaveLength(1);
+
+    makeDue(delivery);
+    respondWith = 200;
+    await webhookService.processDue();
+    expect(db.webhookDeliveries.findById(delivery.id)).toMatchObject({ status: 'succeeded', attempts: 2, lastError: null });
+
+    // The same event, every attempt
+    expect(received.map(({ body }) => JSON.parse(body).id)).toEqual([delivery.eventId, delivery.eventId]);
+
+    respondWith = 500;
+    db.webhookDeliveries.update(delivery.id, { status: 'pending', attempts: webhookConfig.maxAttempts - 1, nextAttemptAt: new Date().toISOString() });
+    await webhookService.processDue();
+    expect(db.webhookDeliveries.findById(delivery.id)).toMatchObject({ status: 'failed', attempts: webhookConfig.maxAttempts });
+  });
+
+  test('the delivery log pages, filters and redelivers', async () => {
+    const owner = createUser('log@example.com');
+    const { webhook } = (await register(owner, {})).body;
+    const deliveries = `/api/webhooks/${webhook.id}/deliveries`;
+
+    respondWith = 500;
+    for (let i = 0; i < 3; i++) {
+      await request(app).post(`/api/webhooks/${webhook.id}/ping`).set(owner.auth).expect(200);
+    }
+    respondWith = 200;
+    await request(app).post(`/api/webhooks/${webhook.id}/ping`).set(owner.auth).expect(200);
+
+    const all = (await request(app).get(deliveries).set(owner.auth).expect(200)).body.deliveries;
+    expect(all).toHaveLength(4);
+    const page = (await request(app).get(`${deliveries}?limit=2&offset=1`).set(owner.auth).expect(200)).body.deliveries;
+    expect(page.map(delivery => delivery.id)).toEqual(all.slice(1, 3).map(delivery => delivery.id));
+    const failed = (await request(app).get(`${deliveries}?status=failed`).set(owner.auth).expect(200)).body.deliveries;
+    expect(failed).toHaveLength(3);
+
+    for (const query of ['limit=0', 'limit=ten', 'offset=-1', 'limit=1.5', 'status=lost']) {
+      const res = await request(app).get(`${deliveries}?${query}`).set(owner.auth);
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+    }
+
+    // Only the owner sees the log
+    const stranger = createUser('stranger@example.com');
+    expect((await request(app).get(deliveries).set(stranger.auth)).body.code).toBe('WEBHOOK_NOT_FOUND');
+
+    const detail = await request(app).get(`${deliveries}/${failed[0].id}`).set(owner.auth).expect(200);
+    expect(detail.body.delivery).toMatchObject({ event: 'ping', payload: { type: 'ping' }, responseBody: 'nope' });
+
+    const redelivered = await request(app).post(`${deliveries}/${failed[0].id}/redeliver`).set(owner.auth).expect(200);
+    expect(redelivered.body.delivery).toMatchObject({ status: 'pending', attempts: 0 });
+    await webhookService.processDue();
+    expect(db.webhookDeliveries.findById(failed[0].id).status).toBe('succeeded');
+  });
+
+  test('bank transfers that settle or fail are reported to their owner', async () => {
+    const owner = createUser('transfers@example.com');
+    await register(owner, { events: ['transfer.settled', 'transfer.failed'] });
+    const link = async (accountNumber) => {
+      const account = await fundingService.linkAccount(owner.user, {
+        accountHolderName: 'Owner', accountType: 'checking', routingNumber: '021000021', accountNumber
+      });
+      return fundingService.verifyAccount(owner.user.id, account.id, account.microDepositsCents);
+    };
+    const good = await link('123456789');
+    const closed = await link('987650000');
+
+    const deposit = await fundingService.deposit(owner.user, { bankAccountId: good.id, amountCents: 2500 });
+    const returned = await fundingService.deposit(owner.user, { bankAccountId: closed.id, amountCents: 1000 });
+    expect(fundingService.settle(deposit)).toBe('settled');
+    db.fundingTransfers.update(returned.id, { submittedAt: new Date(0).toISOString() });
+    await fundingService.processPending();
+    await webhookService.processDue();
+
+    const events = Object.fromEntries(received.map(({ body }) => JSON.parse(body)).map(event => [event.type, event.data.transfer]));
+    expect(events['transfer.settled']).toMatchObject({ id: deposit.id, direction: 'deposit', amount: '25.00', status: 'settled' });
+    expect(events['transfer.failed']).toMatchObject({ id: returned.id, status: 'failed', failureReason: 'R01: Insufficient funds' });
+
+    // Only once, however often it's checked
+    expect(fundingService.settle(deposit)).toBe('settled');
+    expect(db.webhookDeliveries.count({ event: 'transfer.settled' })).toBe(1);
+  });
+});
@@ -0,0 +1,8 @@
+// Emails are case-insensitive: requests carry them trimmed and lowercased
+// (middleware/validate.js) and repositories look them up ignoring case.
+// These are for comparing addresses that may have come from elsewhere.
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const sameEmail = (a, b) => normalizeEmail(a) === normalizeEmail(b);
+
+module.exports = { normalizeEmail, sameEmail };
@@ -0,0 +1,183 @@
+// Application errors. Each class maps to one HTTP status (applied by the
+// error middleware in app.js) and carries a stable machine-readable code
+// that clients can branch on instead of matching messages. The codes a class
+// may use are listed in its `codes` catalog, which is also what the error
+// table in docs/API_DOCUMENTATION.md is generated from
+// (npm run docs:errors).
+
+class AppError extends Error {
+  static status = 500;
+  static defaultCode = 'INTERNAL_ERROR';
+  static codes = {
+    INTERNAL_ERROR: 'Something went wrong on our side'
+  };
+
+  constructor(message, code, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.defaultCode;
+    this.details = details;
+
+    // Every code has to be documented in the catalog
+    if (!Object.prototype.hasOwnProperty.call(this.constructor.codes, this.code)) {
+      throw new Error(`Unknown ${this.name} code: ${this.code}`);
+    }
+  }
+
+  toJSON() {
+    const body = { error: this.message, code: this.code };
+    if (this.details !== undefined) {
+      body.details = this.details;
+    }
+    return body;
+  }
+}
+
+class ValidationError extends AppError {
+  static status = 400;
+  static defaultCode = 'VALIDATION_FAILED';
+  static codes = {
+    VALIDATION_FAILED: 'One or more fields are invalid; `details` lists each field and the problem',
+    INVALID_JSON: 'The request body is not valid JSON',
+    BODY_TOO_LARGE: 'The request body is larger than 100 KB',
+    INVALID_IDEMPOTENCY_KEY: 'The Idempotency-Key header is empty or too long',
+    INVALID_VERIFICATION_CODE: 'The email verification code is wrong or was never sent',
+    VERIFICATION_CODE_EXPIRED: 'The email verification code has expired; request a new one',
+    INVALID_RESET_TOKEN: 'The password reset token is wrong, expired or already used',
+    PASSWORD_UNCHANGED: 'The new password is the same as the current one',
+    INVALID_CODE: 'The authenticator, backup or emailed security code is wrong or expired',
+    TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication has to be enabled first',
+    TWO_FACTOR_SETUP_REQUIRED: 'Call /auth/2fa/setup before enabling two-factor authentication',
+    SELF_PAYMENT: 'You cannot send money to yourself',
+    SELF_REQUEST: 'You cannot request money from yourself',
+    SELF_CONTACT: 'You cannot add yourself as a contact',
+    INVALID_SPLIT: 'The split amounts, percentages, shares or participants don\'t add up',
+    INVALID_STATEMENT_RANGE: 'The statement ends before it starts or covers more than 12 months',
+    INVALID_CURSOR: 'The pagination cursor is malformed; pass back the nextCursor from the previous page',
+    INVALID_WEBHOOK_URL: 'The webhook URL is not an http(s) URL, points at a private address, or isn\'t https in production',
+    INVALID_SCHEDULE: 'The scheduled payment starts in the past, ends before its first payment, or is to yourself',
+    INVALID_MICRO_DEPOSITS: 'The micro-deposit amounts are wrong; the account fails verification after 3 wrong tries'
+  };
+}
+
+class AuthError extends AppError {
+  static status = 401;
+  static defaultCode = 'UNAUTHORIZED';
+  static codes = {
+    UNAUTHORIZED: 'No access token was sent',
+    TOKEN_INVALID: 'The access token is malformed or has expired; refresh it',
+    SESSION_REVOKED: 'The session was logged out or revoked; log in again',
+    SESSION_EXPIRED: 'The session has expired; log in again',
+    INVALID_REFRESH_TOKEN: 'The refresh token is unknown or was already rotated',
+    INVALID_CREDENTIALS: 'The email or password is wrong',
+    INVALID_CHALLENGE: 'The two-factor login challenge is invalid or has expired; log in again',
+    INVALID_2FA_CODE: 'The authenticator or backup code is wrong',
+    INVALID_ADMIN_KEY: 'The X-Admin-Key header is missing or wrong'
+  };
+}
+
+class ForbiddenError extends AppError {
+  static status = 403;
+  static defaultCode = 'FORBIDDEN';
+  static codes = {
+    FORBIDDEN: 'You are not allowed to do this',
+    EMAIL_NOT_VERIFIED: 'Verify your email before logging in',
+    WRONG_PASSWORD: 'The current password is wrong',
+    STEP_UP_REQUIRED: 'This payment needs a step-up token; `details.methods` lists the ways to get one',
+    TRANSFER_LIMIT_EXCEEDED: 'The payment is over one of your transfer limits; `details` says which, and when it would fit',
+    FUNDING_LIMIT_EXCEEDED: 'The deposit or withdrawal is over one of your funding limits; `details` says which',
+    ADMIN_DISABLED: 'Admin access is not configured on this server'
+  };
+}
+
+class NotFoundError extends AppError {
+  static status = 404;
+  static defaultCode = 'NOT_FOUND';
+  static codes = {
+    NOT_FOUND: 'The resource does not exist',
+    ENDPOINT_NOT_FOUND: 'There is no endpoint at this path',
+    USER_NOT_FOUND: 'No user has this email or id',
+    SESSION_NOT_FOUND: 'No active session has this id',
+    TRANSACTION_NOT_FOUND: 'The transaction does not exist',
+    REQUEST_NOT_FOUND: 'The money request does not exist',
+    SPLIT_NOT_FOUND: 'The split does not exist or you are not part of it',
+    MESSAGE_NOT_FOUND: 'No message in the development outbox has this id',
+    EMAIL_JOB_NOT_FOUND: 'No queued email has this id',
+    WEBHOOK_NOT_FOUND: 'You have no webhook endpoint with this id',
+    WEBHOOK_DELIVERY_NOT_FOUND: 'The webhook endpoint has no delivery with this id',
+    PAYEE_NOT_FOUND: 'No enrolled user has confirmed this phone number; pay them by email instead',
+    CONTACT_NOT_FOUND: 'You have no contact with this id',
+    SCHEDULED_PAYMENT_NOT_FOUND: 'You have no scheduled payment with this id',
+    BANK_ACCOUNT_NOT_FOUND: 'You have no linked bank account with this id',
+    FUNDING_TRANSFER_NOT_FOUND: 'You have no deposit or withdrawal with this id'
+  };
+}
+
+class ConflictError extends AppError {
+  static status = 409;
+  static defaultCode = 'CONFLICT';
+  static codes = {
+    CONFLICT: 'The request conflicts with the current state',
+    USER_EXISTS: 'An account with this email already exists',
+    ALREADY_VERIFIED: 'The email is already verified',
+    REQUEST_NOT_PENDING: 'The money request was already paid, declined or cancelled',
+    TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+    IDEMPOTENCY_KEY_REUSED: 'The Idempotency-Key was already used for a different request',
+    IDEMPOTENCY_KEY_IN_PROGRESS: 'A request with this Idempotency-Key is still running',
+    EMAIL_JOB_NOT_DEAD: 'Only dead-lettered emails can be replayed',
+    WEBHOOK_LIMIT_REACHED: 'You already have the maximum number of webhook endpoints',
+    WEBHOOK_DELIVERY_IN_PROGRESS: 'The webhook delivery is being sent right now; try again shortly',
+    WEBHOOK_PAUSED: 'The webhook endpoint is paused; set it active again before pinging or redelivering',
+    PAYEE_AMBIGUOUS: 'More than one account has confirmed this phone number; pay them by email instead',
+    CONTACT_EXISTS: 'This person is already one of your contacts',
+    CONTACT_LIMIT_REACHED: 'You already have the maximum number of contacts',
+    SCHEDULED_PAYMENT_LIMIT_REACHED: 'You already have the maximum number of active and paused scheduled payments',
+    SCHEDULED_PAYMENT_NOT_CHANGEABLE: 'The scheduled payment can\'t be paused, resumed or cancelled in its current status',
+    BANK_ACCOUNT_EXISTS: 'This bank account is already linked',
+    BANK_ACCOUNT_LIMIT_REACHED: 'You already have the maximum number of linked bank accounts',
+    BANK_ACCOUNT_NOT_PENDING: 'The bank account is already verified, or failed verification and has to be linked again',
+    BANK_ACCOUNT_NOT_VERIFIED: 'Verify the bank account with its micro-deposits before depositing or withdrawing'
+  };
+}
+
+class InsufficientFundsError extends AppError {
+  static status = 422;
+  static defaultCode = 'INSUFFICIENT_FUNDS';
+  static codes = {
+    INSUFFICIENT_FUNDS: 'The balance is too low for this payment'
+  };
+}
+
+class RateLimitError extends AppError {
+  static status = 429;
+  static defaultCode = 'RATE_LIMITED';
+  static codes = {
+    RATE_LIMITED: 'Too many requests from this IP; wait and try again',
+    EMAIL_RATE_LIMITED: 'Too many emails were sent to this address; wait an hour',
+    TOO_MANY_ATTEMPTS: 'Too many wrong codes; request a new one'
+  };
+}
+
+// Every error class, in the order the docs list them
+const ERROR_CLASSES = [
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  InsufficientFundsError,
+  RateLimitError,
+  AppError
+];
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  InsufficientFundsError,
+  RateLimitError,
+  ERROR_CLASSES
+};
@@ -0,0 +1,43 @@
+// Serializes async work per key. Callers holding different keys run
+// concurrently; callers sharing a key run one after another in FIFO order.
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async acquire(key) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    await previous;
+
+    return () => {
+      release();
+      // Drop the entry once nobody is queued behind us
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    };
+  }
+
+  // Run fn while holding every key. Keys are taken in sorted order so two
+  // callers locking the same pair of accounts cannot deadlock.
+  async runExclusive(keys, fn) {
+    const sortedKeys = [...new Set(keys)].sort();
+    const releases = [];
+
+    try {
+      for (const key of sortedKeys) {
+        releases.push(await this.acquire(key));
+      }
+      return await fn();
+    } finally {
+      releases.reverse().forEach(release => release());
+    }
+  }
+}
+
+module.exports = KeyedMutex;
@@ -0,0 +1,96 @@
+// Money is handled as integer cents everywhere inside the server. Amounts
+// arrive as decimal strings (or plain JSON numbers) and leave as decimal
+// strings with exactly two places.
+
+const AMOUNT_PATTERN = /^(0|[1-9]\d*)(?:\.(\d{1,2}))?$/;
+
+const currencyFormatter = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+});
+
+// Parse a user-supplied amount such as "50", "50.5" or "50.00" into cents.
+// Rejects exponents, signs, more than two decimals and non-positive values.
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error('Amount must be a valid number');
+    }
+    value = String(value);
+  }
+
+  if (typeof value !== 'string') {
+    throw new Error('Amount must be a decimal string');
+  }
+
+  const match = value.trim().match(AMOUNT_PATTERN);
+  if (!match) {
+    throw new Error('Amount must be a decimal number with at most two decimal places');
+  }
+
+  const [, whole, fraction = ''] = match;
+  const cents = Number(whole) * 100 + Number(fraction.padEnd(2, '0'));
+
+  if (!Number.isSafeInteger(cents)) {
+    throw new Error('Amount is too large');
+  }
+
+  if (cents <= 0) {
+    throw new Error('Amount must be greater than 0');
+  }
+
+  return cents;
+}
+
+// 123456 -> "1234.56"
+function toDecimalString(cents) {
+  const sign = cents < 0 ? '-' : '';
+  const absolute = Math.abs(cents);
+  const whole = Math.floor(absolute / 100);
+  const fraction = String(absolute % 100).padStart(2, '0');
+  return `${sign}${whole}.${fraction}`;
+}
+
+// 123456 -> "$1,234.56"
+function formatAmount(cents) {
+  return currencyFormatter.format(cents / 100);
+}
+
+// Split totalCents in proportion to integer weights without losing a cent.
+// Each part is rounded down and the leftover cents go to the parts with the
+// largest remainders (earlier parts win ties), so the parts always add up
+// to the total.
+function allocate(totalCents, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) {
+    throw new Error('Weights must add up to more than 0');
+  }
+
+  const parts = weights.map((weight, index) => {
+    const exact = totalCents * weight;
+    return {
+      index,
+      cents: Math.floor(exact / totalWeight),
+      remainder: exact % totalWeight
+    };
+  });
+
+  let leftover = totalCents - parts.reduce((sum, part) => sum + part.cents, 0);
+  [...parts]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(part => {
+      if (leftover > 0) {
+        part.cents++;
+        leftover--;
+      }
+    });
+
+  return parts.map(part => part.cents);
+}
+
+module.exports = {
+  parseAmount,
+  toDecimalString,
+  formatAmount,
+  allocate
+};
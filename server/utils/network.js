@@ -0,0 +1,63 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses that aren't on the public internet: this host, private and
+// carrier-grade NAT networks, link-local, documentation, benchmarking,
+// multicast and reserved ranges, and IPv6 prefixes that embed an IPv4
+// address (NAT64, 6to4). IPv4-mapped IPv6 addresses (::ffff:127.0.0.1)
+// are checked as the IPv4 address they carry.
+const NON_PUBLIC_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+// Whether address is an IP address on the public internet
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !NON_PUBLIC_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// A dns.lookup for http(s).request that fails for hostnames resolving to
+// any non-public address. The address is checked as the connection is
+// made, so a name can't be switched to a private address after a check.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+};
+
+module.exports = { isPublicAddress, publicLookup };
@@ -0,0 +1,13 @@
+// E.164: a plus sign, country code and up to 15 digits in total
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+// A phone number in E.164 (+15555550100), or null if it isn't one. People
+// write numbers with spaces, dashes, dots and parentheses, or with 00 for
+// the plus sign; those are all accepted. The country code is required.
+function normalizePhone(value) {
+  if (typeof value !== 'string') return null;
+  const compact = value.trim().replace(/[\s().-]/g, '').replace(/^00/, '+');
+  return E164.test(compact) ? compact : null;
+}
+
+module.exports = { normalizePhone };
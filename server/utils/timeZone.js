@@ -0,0 +1,51 @@
+// Whether Intl knows an IANA time zone name such as "America/New_York"
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The calendar date (2025-01-31) it is in a time zone at an instant
+function dateInTimeZone(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(instant)
+      .map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// How far a time zone is ahead of UTC at an instant, in milliseconds
+function timeZoneOffsetMs(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    })
+      .formatToParts(instant)
+      .map(part => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant a calendar date (2025-01-31) starts in a time zone. The
+// offset is checked again at the result, in case a DST change falls in
+// between.
+function startOfDayInTimeZone(date, timeZone) {
+  const midnightUtc = Date.parse(`${date}T00:00:00Z`);
+  let instant = new Date(midnightUtc - timeZoneOffsetMs(new Date(midnightUtc), timeZone));
+  instant = new Date(midnightUtc - timeZoneOffsetMs(instant, timeZone));
+  return instant;
+}
+
+module.exports = { isValidTimeZone, dateInTimeZone, startOfDayInTimeZone };